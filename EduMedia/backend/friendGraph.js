@@ -0,0 +1,104 @@
+// ==========================================
+// EduMedia - Friend Graph
+// Treats accepted friendships as an undirected graph and
+// walks it breadth-first, one batched query per level, to
+// find friends-of-friends, their mutual friends and the
+// shortest chain of people between two users.
+// ==========================================
+
+const db = require('./repository');
+
+class FriendGraph {
+    /**
+     * @param {Function} loadNeighbours - (userIds) => Promise<Map<id string, Set<id string>>>
+     */
+    constructor(loadNeighbours) {
+        this.loadNeighbours = loadNeighbours;
+    }
+
+    /**
+     * Breadth-first walk from a user
+     * Each reached user records its depth and every user one level closer
+     * that links to it, so depth-2 parents are the mutual friends
+     * @param {string} startId - User to start from
+     * @param {number} maxDepth - How many hops to walk
+     * @param {string} [stopAt] - Stop after the level where this user is reached
+     * @param {Set<string>} [exclude] - User ids (as strings) the walk never enters
+     * @returns {Promise<Map>} User id string -> {depth, parents}
+     */
+    async breadthFirst(startId, maxDepth, stopAt = null, exclude = new Set()) {
+        const start = String(startId);
+        const visited = new Map([[start, { depth: 0, parents: [] }]]);
+        let frontier = [start];
+
+        for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+            const neighbours = await this.loadNeighbours(frontier);
+            const next = [];
+
+            frontier.forEach(userId => {
+                (neighbours.get(userId) || []).forEach(neighbourId => {
+                    if (exclude.has(neighbourId)) return;
+                    const seen = visited.get(neighbourId);
+                    if (!seen) {
+                        visited.set(neighbourId, { depth, parents: [userId] });
+                        next.push(neighbourId);
+                    } else if (seen.depth === depth) {
+                        seen.parents.push(userId);
+                    }
+                });
+            });
+
+            if (stopAt !== null && visited.has(String(stopAt))) break;
+            frontier = next;
+        }
+
+        return visited;
+    }
+
+    /**
+     * Friends-of-friends ranked by how many friends they share with the user
+     * @param {string} userId - User to suggest people to
+     * @param {Object} options
+     * @param {number} [options.limit] - Maximum suggestions
+     * @param {Set<string>} [options.exclude] - User ids (as strings) to leave out
+     * @returns {Promise<Array>} [{id, mutual_friend_ids}] best first
+     */
+    async suggestions(userId, { limit = 10, exclude = new Set() } = {}) {
+        const visited = await this.breadthFirst(userId, 2);
+
+        return [...visited.entries()]
+            .filter(([id, { depth }]) => depth === 2 && !exclude.has(id))
+            .map(([id, { parents }]) => ({ id, mutual_friend_ids: parents }))
+            .sort((a, b) => b.mutual_friend_ids.length - a.mutual_friend_ids.length ||
+                a.id.localeCompare(b.id, undefined, { numeric: true }))
+            .slice(0, limit);
+    }
+
+    /**
+     * Shortest chain of friendships from one user to another
+     * @param {string} fromId - Starting user
+     * @param {string} toId - User to reach
+     * @param {number} maxDepth - Give up beyond this many hops
+     * @param {Set<string>} [exclude] - User ids (as strings) the chain may not pass through or end at
+     * @returns {Promise<Array|null>} User id strings from fromId to toId, or null if not connected
+     */
+    async shortestPath(fromId, toId, maxDepth, exclude = new Set()) {
+        const target = String(toId);
+        const visited = await this.breadthFirst(fromId, maxDepth, target, exclude);
+        if (!visited.has(target)) return null;
+
+        // Walk back through the first parent that reached each user
+        const path = [target];
+        while (visited.get(path[0]).depth > 0) {
+            path.unshift(visited.get(path[0]).parents[0]);
+        }
+        return path;
+    }
+}
+
+const friendGraph = new FriendGraph(userIds => db.getFriendIdsForUsers(userIds));
+
+module.exports = {
+    friendGraph,
+    FriendGraph
+};
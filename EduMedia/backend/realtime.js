@@ -0,0 +1,93 @@
+// ==========================================
+// EduMedia - Realtime Events (Server-Sent Events)
+// Keeps every open /api/realtime stream and pushes post,
+// like, comment, friend request and notification events
+// to the users connected on them.
+// ==========================================
+
+// Comment lines sent on idle streams so proxies do not close them
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// How long the browser waits before reconnecting a dropped stream
+const RECONNECT_DELAY = 3000;
+
+class RealtimeHub {
+    constructor() {
+        this.clients = new Map(); // client id -> {id, userId, res}
+        this.nextClientId = 1;
+
+        setInterval(() => {
+            this.clients.forEach(client => client.res.write(': ping\n\n'));
+        }, HEARTBEAT_INTERVAL).unref();
+    }
+
+    /**
+     * Turn a response into an event stream for a user
+     * The client is dropped again when the connection closes
+     * @param {string} userId - Authenticated user's ID
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @returns {Object} The connected client
+     */
+    connect(userId, req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable nginx buffering
+        });
+        res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+        const client = { id: this.nextClientId++, userId, res };
+        this.clients.set(client.id, client);
+
+        req.on('close', () => this.clients.delete(client.id));
+
+        this.send(client, 'connected', { client_id: client.id });
+        return client;
+    }
+
+    /**
+     * Write one event to a client
+     */
+    send(client, event, data) {
+        client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * Send an event to every stream a user has open (one per tab)
+     */
+    sendToUser(userId, event, data) {
+        this.clients.forEach(client => {
+            if (String(client.userId) === String(userId)) {
+                this.send(client, event, data);
+            }
+        });
+    }
+
+    /**
+     * Send an event to every connected client
+     */
+    broadcast(event, data) {
+        this.clients.forEach(client => this.send(client, event, data));
+    }
+
+    /**
+     * IDs of users with at least one open stream
+     * @returns {Array<string>}
+     */
+    connectedUserIds() {
+        return [...new Set([...this.clients.values()].map(client => String(client.userId)))];
+    }
+
+    get size() {
+        return this.clients.size;
+    }
+}
+
+const realtime = new RealtimeHub();
+
+module.exports = {
+    realtime,
+    RealtimeHub
+};
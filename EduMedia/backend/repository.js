@@ -0,0 +1,2210 @@
+// ==========================================
+// EduMedia - Repository Layer
+// Domain-level data access for users, posts, likes,
+// comments and friends on top of the configured
+// storage driver (see storage/index.js)
+// ==========================================
+
+const { store } = require('./storage');
+
+// Public user columns (never expose password_hash)
+const USER_FIELDS = ['id', 'name', 'email', 'bio', 'initials', 'created_at'];
+const AUTHOR_FIELDS = ['id', 'name', 'email', 'initials'];
+
+// ========== HELPERS ==========
+
+/**
+ * Pick a subset of fields from an object
+ * @param {Object} source - Source object
+ * @param {Array<string>} fields - Fields to keep
+ * @returns {Object|null} New object or null if source is missing
+ */
+function pick(source, fields) {
+    if (!source) return null;
+    return fields.reduce((result, field) => {
+        result[field] = source[field];
+        return result;
+    }, {});
+}
+
+/**
+ * Return the first row of a select or null
+ */
+async function selectOne(table, where) {
+    const rows = await store.select(table, { where, limit: 1 });
+    return rows[0] || null;
+}
+
+/**
+ * Escape % and _ so a literal value can be used in an ILIKE filter
+ */
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Embed user details into rows (replaces Supabase foreign-key joins)
+ * Looks up all referenced users in a single batched query
+ * @param {Array} rows - Rows holding a user id column
+ * @param {string} foreignKey - Column with the user id (e.g. author_id)
+ * @param {string} as - Property to attach the user under (e.g. author)
+ * @param {Array<string>} fields - User fields to include
+ * @returns {Promise<Array>} Rows with the user attached
+ */
+async function attachUsers(rows, foreignKey, as, fields = AUTHOR_FIELDS) {
+    const ids = [...new Set(rows.map(row => row[foreignKey]).filter(id => id !== null && id !== undefined))];
+    if (ids.length === 0) return rows;
+
+    const users = await store.select('users', { where: { id: { in: ids } } });
+    const usersById = new Map(users.map(user => [String(user.id), user]));
+
+    return rows.map(row => ({
+        ...row,
+        [as]: pick(usersById.get(String(row[foreignKey])), fields)
+    }));
+}
+
+/**
+ * Get initials from a name
+ * @param {string} name - Full name
+ * @returns {string} Initials (max 2 characters)
+ */
+function getInitials(name) {
+    return name
+        .split(' ')
+        .map(word => word[0])
+        .join('')
+        .toUpperCase()
+        .substring(0, 2);
+}
+
+/**
+ * Get the @handle for a user: their name without spaces or punctuation
+ * @param {string} name - Full name
+ * @returns {string} Handle (e.g. "Alice Smith" -> "AliceSmith")
+ */
+function getMentionHandle(name) {
+    return (name || '').replace(/[^\p{L}\p{N}_]/gu, '');
+}
+
+// ========== USER MANAGEMENT ==========
+
+/**
+ * Strip private columns from a user row
+ * @param {Object} user - User row
+ * @returns {Object|null} Public user object
+ */
+function toPublicUser(user) {
+    return pick(user, USER_FIELDS);
+}
+
+/**
+ * Get user by ID (includes password_hash, never send it to clients)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} User row or null
+ */
+async function getUserById(userId) {
+    return selectOne('users', { id: userId });
+}
+
+/**
+ * Get user by email (case-insensitive)
+ * @param {string} email - User email
+ * @returns {Promise<Object|null>} User row or null
+ */
+async function getUserByEmail(email) {
+    return selectOne('users', { email: { ilike: escapeLike(email.trim()) } });
+}
+
+/**
+ * Get every user (public columns only)
+ * @returns {Promise<Array>} Users ordered by name
+ */
+async function getAllUsers() {
+    const users = await store.select('users', { orderBy: { column: 'name', ascending: true } });
+    return users.map(toPublicUser);
+}
+
+/**
+ * Get users whose @handle starts with a prefix
+ * Handles drop the spaces in names, so the pattern allows anything
+ * between letters and the exact check happens afterwards
+ * @param {string} prefix - Handle prefix (without the @)
+ * @returns {Promise<Array>} User rows
+ */
+async function getUsersByHandlePrefix(prefix) {
+    const pattern = `%${[...prefix].map(escapeLike).join('%')}%`;
+    const users = await store.select('users', {
+        where: { name: { ilike: pattern } },
+        orderBy: { column: 'name', ascending: true }
+    });
+    return users.filter(user => getMentionHandle(user.name).toLowerCase().startsWith(prefix.toLowerCase()));
+}
+
+/**
+ * Get users with exactly this @handle (names are not unique, so there may be several)
+ * @param {string} handle - Handle (without the @)
+ * @returns {Promise<Array>} User rows
+ */
+async function getUsersByHandle(handle) {
+    const users = await getUsersByHandlePrefix(handle);
+    return users.filter(user => getMentionHandle(user.name).toLowerCase() === handle.toLowerCase());
+}
+
+/**
+ * Create a new user
+ * @param {Object} userData - User data {name, email, bio, initials, password_hash}
+ * @returns {Promise<Object>} Created user row
+ */
+async function createUser(userData) {
+    const [user] = await store.insert('users', {
+        name: userData.name,
+        email: userData.email,
+        bio: userData.bio || '',
+        initials: userData.initials || getInitials(userData.name),
+        password_hash: userData.password_hash
+    });
+    return user;
+}
+
+/**
+ * Update user columns
+ * @param {string} userId - User ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object|null>} Updated user row
+ */
+async function updateUser(userId, updates) {
+    if (updates.name) {
+        updates = { ...updates, initials: getInitials(updates.name) };
+    }
+
+    const [user] = await store.update('users', { id: userId }, updates);
+    return user || null;
+}
+
+// ========== POST MANAGEMENT ==========
+
+/**
+ * Get a post by ID (posts in the Trash are treated as missing)
+ * @param {string} postId - Post ID
+ * @returns {Promise<Object|null>} Post row or null
+ */
+async function getPostById(postId) {
+    return selectOne('posts', { id: postId, deleted_at: null });
+}
+
+/**
+ * Get several posts by ID in one query
+ * @param {Array<string>} postIds - Post IDs
+ * @returns {Promise<Array>} Post rows (missing and trashed IDs are skipped)
+ */
+async function getPostsByIds(postIds) {
+    return store.select('posts', { where: { id: { in: postIds }, deleted_at: null } });
+}
+
+/**
+ * Check whether a user may see a post
+ * Public posts are visible to everyone, friends-only posts to the author's
+ * accepted friends, list posts to the members of one of the author's friend
+ * lists, group posts to the group's members, and private posts only to the author.
+ * Nobody sees posts across a block, whichever side set it
+ * @param {Object} post - Post row
+ * @param {string} viewerId - Viewing user's ID
+ * @returns {Promise<boolean>}
+ */
+async function canViewPost(post, viewerId) {
+    if (String(post.author_id) === String(viewerId)) return true;
+    if (await isBlockedBetween(post.author_id, viewerId)) return false;
+
+    switch (post.visibility || 'public') {
+        case 'public':
+            return true;
+        case 'friends':
+            return areFriends(post.author_id, viewerId);
+        case 'list':
+            return isFriendListMember(post.audience_list_id, viewerId);
+        case 'group':
+            return isGroupMember(post.group_id, viewerId);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Keep only the posts a user may see, checking friendships, list and group
+ * memberships and blocks with one query each
+ * @param {Array} posts - Post rows
+ * @param {string} viewerId - Viewing user's ID
+ * @returns {Promise<Array>} Visible posts in their original order
+ */
+async function filterVisiblePosts(posts, viewerId) {
+    const needs = visibility => posts.some(post =>
+        post.visibility === visibility && String(post.author_id) !== String(viewerId));
+    const [friendIds, listIds, groupIds, blockedIds] = await Promise.all([
+        needs('friends') ? getFriendIds(viewerId).then(ids => new Set(ids.map(String))) : new Set(),
+        needs('list') ? getListIdsContainingUser(viewerId).then(ids => new Set(ids.map(String))) : new Set(),
+        needs('group') ? getGroupIdsForUser(viewerId).then(ids => new Set(ids.map(String))) : new Set(),
+        getBlockedUserIds(viewerId).then(ids => new Set(ids.map(String)))
+    ]);
+
+    return posts.filter(post => {
+        if (String(post.author_id) === String(viewerId)) return true;
+        if (blockedIds.has(String(post.author_id))) return false;
+        switch (post.visibility || 'public') {
+            case 'public':
+                return true;
+            case 'friends':
+                return friendIds.has(String(post.author_id));
+            case 'list':
+                return listIds.has(String(post.audience_list_id));
+            case 'group':
+                return groupIds.has(String(post.group_id));
+            default:
+                return false;
+        }
+    });
+}
+
+/**
+ * Keep only the users who may see a post (the other direction of
+ * filterVisiblePosts), loading blocks and the post's audience with one query each
+ * @param {Object} post - Post row
+ * @param {Array} userIds - Candidate viewer IDs
+ * @returns {Promise<Set>} Id strings of the users who can see the post
+ */
+async function filterPostViewers(post, userIds) {
+    const authorId = String(post.author_id);
+    const audience = async () => {
+        switch (post.visibility || 'public') {
+            case 'public':
+                return null;
+            case 'friends':
+                return getFriendIds(post.author_id);
+            case 'list':
+                return post.audience_list_id === null || post.audience_list_id === undefined ? [] :
+                    (await store.select('friend_list_members', { where: { list_id: post.audience_list_id } }))
+                        .map(row => row.friend_id);
+            case 'group':
+                return post.group_id === null || post.group_id === undefined ? [] :
+                    (await store.select('group_members', { where: { group_id: post.group_id } }))
+                        .map(row => row.user_id);
+            default:
+                return [];
+        }
+    };
+
+    const [blockedIds, audienceIds] = await Promise.all([getBlockedUserIds(post.author_id), audience()]);
+    const blocked = new Set(blockedIds.map(String));
+    const allowed = audienceIds && new Set(audienceIds.map(String));
+
+    return new Set(userIds.map(String).filter(id =>
+        id === authorId || (!blocked.has(id) && (!allowed || allowed.has(id)))));
+}
+
+/**
+ * Get all posts with author details (newest first)
+ * Posts in private groups are left out unless asked for
+ * @param {Object} options
+ * @param {boolean} [options.includeGroupPosts] - Also return private group posts
+ * @returns {Promise<Array>} Posts with author information
+ */
+async function getAllPosts({ includeGroupPosts = false } = {}) {
+    const where = { deleted_at: null };
+    if (!includeGroupPosts) {
+        where.or = [{ group_id: null }, { visibility: 'public' }];
+    }
+
+    const posts = await store.select('posts', {
+        where,
+        orderBy: { column: 'created_at', ascending: false }
+    });
+    return attachUsers(posts, 'author_id', 'author');
+}
+
+/**
+ * Get posts by user ID with author details (newest first)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} User's posts
+ */
+async function getPostsByUser(userId) {
+    const posts = await store.select('posts', {
+        where: { author_id: userId, deleted_at: null },
+        orderBy: { column: 'created_at', ascending: false }
+    });
+    return attachUsers(posts, 'author_id', 'author');
+}
+
+/**
+ * Get one page of the feed with author details
+ * Pages are keyed on the last post of the previous page rather than an
+ * offset, so new posts arriving between requests do not shift pages.
+ * Post ids increase with creation time, so they order newest/oldest.
+ * @param {Object} options
+ * @param {string} [options.sort] - 'newest', 'oldest' or 'mostLiked'
+ * @param {string} [options.search] - Match post content or author name
+ * @param {string} [options.authorId] - Only posts by this user
+ * @param {string} [options.tag] - Only posts tagged with this hashtag
+ * @param {string} [options.groupId] - Only posts in this study group
+ * @param {string} [options.courseId] - Only posts tagged with this course
+ * @param {boolean} [options.unanswered] - Only questions without an accepted answer
+ * @param {string} [options.viewerId] - Only posts this user may see
+ * @param {boolean} [options.hideMuted] - Also leave out authors the viewer muted
+ * @param {Object} [options.after] - {id, likes} of the previous page's last post
+ * @param {number} [options.limit] - Page size
+ * @returns {Promise<Array>} Posts with author information
+ */
+async function getFeedPosts({ sort = 'newest', search = '', authorId = null, authorIds = null, tag = null, groupId = null, courseId = null, unanswered = false, viewerId = null, hideMuted = false, after = null, limit = 10 } = {}) {
+    const conditions = [{ deleted_at: null }];
+
+    if (groupId) {
+        conditions.push({ group_id: groupId });
+    }
+
+    if (courseId) {
+        conditions.push({ course_id: courseId });
+    }
+
+    if (unanswered) {
+        conditions.push({ post_type: 'question', accepted_comment_id: null });
+    }
+
+    if (authorId) {
+        conditions.push({ author_id: authorId });
+    }
+
+    if (authorIds) {
+        conditions.push({ author_id: { in: authorIds } });
+    }
+
+    if (tag) {
+        conditions.push({ id: { in: await getPostIdsByTag(tag) } });
+    }
+
+    if (viewerId) {
+        const [friendIds, listIds] = await Promise.all([
+            getFriendIds(viewerId),
+            getListIdsContainingUser(viewerId)
+        ]);
+        const visible = [
+            { visibility: 'public' },
+            { visibility: null }, // Posts from before visibility existed
+            { author_id: viewerId },
+            { visibility: 'friends', author_id: { in: friendIds } },
+            { visibility: 'list', audience_list_id: { in: listIds } }
+        ];
+        // Private group posts only show inside their group
+        if (groupId && await isGroupMember(groupId, viewerId)) {
+            visible.push({ visibility: 'group' });
+        }
+        conditions.push({ or: visible });
+
+        // Blocked users never see each other; muted users only leave the main feed
+        const [blockedIds, mutedIds] = await Promise.all([
+            getBlockedUserIds(viewerId),
+            hideMuted ? getMutedUserIds(viewerId) : []
+        ]);
+        const hiddenIds = [...blockedIds, ...mutedIds];
+        if (hiddenIds.length > 0) {
+            conditions.push({ author_id: { notIn: hiddenIds } });
+        }
+    }
+
+    if (search) {
+        const pattern = `%${escapeLike(search)}%`;
+        const authors = await store.select('users', { where: { name: { ilike: pattern } } });
+        conditions.push({
+            or: [
+                { content: { ilike: pattern } },
+                { author_id: { in: authors.map(author => author.id) } }
+            ]
+        });
+    }
+
+    let orderBy;
+    switch (sort) {
+        case 'oldest':
+            orderBy = { column: 'id', ascending: true };
+            if (after) conditions.push({ id: { gt: after.id } });
+            break;
+        case 'mostLiked':
+            orderBy = [
+                { column: 'likes', ascending: false },
+                { column: 'id', ascending: false }
+            ];
+            if (after) {
+                conditions.push({
+                    or: [
+                        { likes: { lt: after.likes } },
+                        { likes: after.likes, id: { lt: after.id } }
+                    ]
+                });
+            }
+            break;
+        default:
+            orderBy = { column: 'id', ascending: false };
+            if (after) conditions.push({ id: { lt: after.id } });
+    }
+
+    const posts = await store.select('posts', { where: { and: conditions }, orderBy, limit });
+    return attachUsers(posts, 'author_id', 'author');
+}
+
+/**
+ * Count a user's posts (excluding the Trash)
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function countPostsByUser(userId) {
+    return store.count('posts', { author_id: userId, deleted_at: null });
+}
+
+/**
+ * Get a user's soft-deleted posts (most recently deleted first)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Trashed post rows
+ */
+async function getDeletedPostsByUser(userId) {
+    return store.select('posts', {
+        where: { author_id: userId, deleted_at: { not: null } },
+        orderBy: { column: 'deleted_at', ascending: false }
+    });
+}
+
+/**
+ * Create a new post
+ * @param {Object} postData - Post data {author_id, content, visibility}
+ * @returns {Promise<Object>} Created post row
+ */
+async function createPost(postData) {
+    const [post] = await store.insert('posts', {
+        author_id: postData.author_id,
+        content: postData.content,
+        visibility: postData.visibility || 'public',
+        audience_list_id: postData.audience_list_id || null,
+        group_id: postData.group_id || null,
+        course_id: postData.course_id || null,
+        post_type: postData.post_type || 'post',
+        likes: 0
+    });
+    return post;
+}
+
+/**
+ * Re-insert a post that no longer exists (e.g. purged from the Trash)
+ * with its original id and timestamps
+ * @param {Object} post - Full post row
+ * @returns {Promise<Object>} Restored post row
+ */
+async function restorePost(post) {
+    const [restored] = await store.insert('posts', post);
+    return restored;
+}
+
+/**
+ * Update a post owned by an author
+ * @param {string} postId - Post ID
+ * @param {string} authorId - Author's user ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object|null>} Updated post row or null if not owned
+ */
+async function updatePost(postId, authorId, updates) {
+    const [post] = await store.update('posts', { id: postId, author_id: authorId, deleted_at: null }, updates);
+    return post || null;
+}
+
+/**
+ * Move a post to the Trash, keeping its likes and comments
+ * @param {string} postId - Post ID
+ * @param {string} authorId - Author's user ID
+ * @returns {Promise<boolean>} True if a post was deleted
+ */
+async function deletePost(postId, authorId) {
+    const deleted = await store.update(
+        'posts',
+        { id: postId, author_id: authorId, deleted_at: null },
+        { deleted_at: new Date().toISOString() }
+    );
+    return deleted.length > 0;
+}
+
+/**
+ * Bring a post back from the Trash
+ * @param {string} postId - Post ID
+ * @param {string} authorId - Author's user ID
+ * @returns {Promise<Object|null>} Restored post row or null if not in the Trash
+ */
+async function restoreDeletedPost(postId, authorId) {
+    const [post] = await store.update(
+        'posts',
+        { id: postId, author_id: authorId, deleted_at: { not: null } },
+        { deleted_at: null }
+    );
+    return post || null;
+}
+
+/**
+ * Permanently remove trashed posts (with likes, comments, answer votes, tags,
+ * mentions, notifications and revisions) deleted before a cutoff
+ * @param {string} cutoff - ISO timestamp
+ * @returns {Promise<number>} Number of posts purged
+ */
+async function purgeDeletedPosts(cutoff) {
+    const expired = await store.select('posts', { where: { deleted_at: { lt: cutoff } } });
+    const postIds = expired.map(post => post.id);
+    if (postIds.length === 0) return 0;
+
+    await store.remove('likes', { post_id: { in: postIds } });
+    const comments = await store.select('comments', { where: { post_id: { in: postIds } } });
+    if (comments.length > 0) {
+        await store.remove('answer_votes', { comment_id: { in: comments.map(comment => comment.id) } });
+    }
+    await store.remove('comments', { post_id: { in: postIds } });
+    await store.remove('post_tags', { post_id: { in: postIds } });
+    await store.remove('mentions', { post_id: { in: postIds } });
+    await store.remove('notifications', { post_id: { in: postIds } });
+    await store.remove('post_revisions', { post_id: { in: postIds } });
+    const removed = await store.remove('posts', { id: { in: postIds } });
+    return removed.length;
+}
+
+// ========== LIKES MANAGEMENT ==========
+
+/**
+ * Get likes for a post
+ * @param {string} postId - Post ID
+ * @returns {Promise<Array>} Like rows
+ */
+async function getLikesByPost(postId) {
+    return store.select('likes', { where: { post_id: postId } });
+}
+
+/**
+ * Get likes for several posts in one query
+ * @param {Array<string>} postIds - Post IDs
+ * @returns {Promise<Array>} Like rows
+ */
+async function getLikesForPosts(postIds) {
+    return store.select('likes', { where: { post_id: { in: postIds } } });
+}
+
+/**
+ * Count likes on a post
+ * @param {string} postId - Post ID
+ * @returns {Promise<number>} Like count
+ */
+async function countLikes(postId) {
+    return store.count('likes', { post_id: postId });
+}
+
+/**
+ * Refresh the cached posts.likes counter used for "Most Liked" sorting
+ * @param {string} postId - Post ID
+ */
+async function syncLikeCount(postId) {
+    await store.update('posts', { id: postId }, { likes: await countLikes(postId) });
+}
+
+/**
+ * Check if user liked a post
+ * @param {string} postId - Post ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if user liked the post
+ */
+async function hasUserLikedPost(postId, userId) {
+    const like = await selectOne('likes', { post_id: postId, user_id: userId });
+    return like !== null;
+}
+
+/**
+ * Add a like to a post
+ * @param {string} postId - Post ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Created like row
+ */
+async function addLike(postId, userId) {
+    const [like] = await store.insert('likes', { post_id: postId, user_id: userId });
+    await syncLikeCount(postId);
+    return like;
+}
+
+/**
+ * Remove a like from a post
+ * @param {string} postId - Post ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if a like was removed
+ */
+async function removeLike(postId, userId) {
+    const removed = await store.remove('likes', { post_id: postId, user_id: userId });
+    await syncLikeCount(postId);
+    return removed.length > 0;
+}
+
+// ========== COMMENTS MANAGEMENT ==========
+
+/**
+ * Get a comment by ID with author details
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<Object|null>} Comment or null
+ */
+async function getCommentById(commentId) {
+    const comment = await selectOne('comments', { id: commentId });
+    if (!comment) return null;
+
+    const [withAuthor] = await attachUsers([comment], 'author_id', 'author');
+    return withAuthor;
+}
+
+/**
+ * Get comments for a post with author details (oldest first)
+ * @param {string} postId - Post ID
+ * @param {Object} options
+ * @param {boolean} [options.byScore] - Highest-voted first (answers to a question)
+ * @returns {Promise<Array>} Comments with author information
+ */
+async function getCommentsByPost(postId, { byScore = false } = {}) {
+    const comments = await store.select('comments', {
+        where: { post_id: postId },
+        orderBy: byScore
+            ? [{ column: 'score', ascending: false }, { column: 'created_at', ascending: true }]
+            : { column: 'created_at', ascending: true }
+    });
+    return attachUsers(comments, 'author_id', 'author');
+}
+
+/**
+ * Get comments for several posts in one query (oldest first)
+ * @param {Array<string>} postIds - Post IDs
+ * @returns {Promise<Array>} Comments with author information
+ */
+async function getCommentsForPosts(postIds) {
+    const comments = await store.select('comments', {
+        where: { post_id: { in: postIds } },
+        orderBy: [
+            { column: 'created_at', ascending: true },
+            { column: 'id', ascending: true }
+        ]
+    });
+    return attachUsers(comments, 'author_id', 'author');
+}
+
+/**
+ * Count comments on a post
+ * @param {string} postId - Post ID
+ * @returns {Promise<number>} Comment count
+ */
+async function countComments(postId) {
+    return store.count('comments', { post_id: postId });
+}
+
+/**
+ * Add a comment to a post
+ * @param {Object} commentData - Comment data {post_id, author_id, text}
+ * @returns {Promise<Object>} Created comment with author details
+ */
+async function addComment(commentData) {
+    const [comment] = await store.insert('comments', {
+        post_id: commentData.post_id,
+        author_id: commentData.author_id,
+        text: commentData.text
+    });
+    const [withAuthor] = await attachUsers([comment], 'author_id', 'author');
+    return withAuthor;
+}
+
+/**
+ * Update a comment's text
+ * @param {string} commentId - Comment ID
+ * @param {string} text - New comment text
+ * @returns {Promise<Object|null>} Updated comment with author details
+ */
+async function updateComment(commentId, text) {
+    const [comment] = await store.update('comments', { id: commentId }, { text });
+    if (!comment) return null;
+
+    const [withAuthor] = await attachUsers([comment], 'author_id', 'author');
+    return withAuthor;
+}
+
+/**
+ * Delete a comment with the mentions it made, its votes and the notifications about it
+ * A deleted accepted answer leaves its question unanswered again
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<boolean>} True if a comment was deleted
+ */
+async function deleteComment(commentId) {
+    await store.remove('mentions', { comment_id: commentId });
+    await store.remove('notifications', { comment_id: commentId });
+    await store.remove('answer_votes', { comment_id: commentId });
+    await store.update('posts', { accepted_comment_id: commentId }, { accepted_comment_id: null });
+    const removed = await store.remove('comments', { id: commentId });
+    return removed.length > 0;
+}
+
+// ========== ANSWERS ==========
+
+/**
+ * Refresh the cached comments.score counter answers are sorted by
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<number>} New score
+ */
+async function syncAnswerScore(commentId) {
+    const score = await store.count('answer_votes', { comment_id: commentId });
+    await store.update('comments', { id: commentId }, { score });
+    return score;
+}
+
+/**
+ * Upvote an answer (does nothing if the user already did)
+ * @returns {Promise<number>} New score
+ */
+async function addAnswerVote(commentId, userId) {
+    const existing = await selectOne('answer_votes', { comment_id: commentId, user_id: userId });
+    if (!existing) {
+        await store.insert('answer_votes', { comment_id: commentId, user_id: userId });
+    }
+    return syncAnswerScore(commentId);
+}
+
+/**
+ * Take back an upvote
+ * @returns {Promise<number>} New score
+ */
+async function removeAnswerVote(commentId, userId) {
+    await store.remove('answer_votes', { comment_id: commentId, user_id: userId });
+    return syncAnswerScore(commentId);
+}
+
+/**
+ * Which of these answers a user has upvoted
+ * @returns {Promise<Array>} Comment IDs
+ */
+async function getAnswerVoteIds(userId, commentIds) {
+    if (commentIds.length === 0) return [];
+    const votes = await store.select('answer_votes', { where: { user_id: userId, comment_id: { in: commentIds } } });
+    return votes.map(vote => vote.comment_id);
+}
+
+/**
+ * Mark an answer as accepted, or clear it with null
+ * @returns {Promise<Object|null>} Updated post row
+ */
+async function setAcceptedAnswer(postId, commentId) {
+    const [post] = await store.update('posts', { id: postId }, { accepted_comment_id: commentId });
+    return post || null;
+}
+
+// ========== FRIENDS MANAGEMENT ==========
+
+/**
+ * Get a friendship row by ID
+ * @param {string} friendshipId - Friendship ID
+ * @returns {Promise<Object|null>} Friendship row or null
+ */
+async function getFriendshipById(friendshipId) {
+    return selectOne('friends', { id: friendshipId });
+}
+
+/**
+ * Get friendship rows between two users in either direction
+ * @param {string} userId - First user ID
+ * @param {string} otherUserId - Second user ID
+ * @returns {Promise<Array>} Friendship rows (pending or accepted)
+ */
+async function getFriendshipsBetween(userId, otherUserId) {
+    const [outgoing, incoming] = await Promise.all([
+        store.select('friends', { where: { user_id: userId, friend_id: otherUserId } }),
+        store.select('friends', { where: { user_id: otherUserId, friend_id: userId } })
+    ]);
+    return [...outgoing, ...incoming];
+}
+
+/**
+ * Get accepted friends for a user with friend details
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Friendships with friend information
+ */
+async function getFriendsByUser(userId) {
+    const friendships = await store.select('friends', {
+        where: { user_id: userId, isaccepted: true },
+        orderBy: { column: 'added_at', ascending: false }
+    });
+    return attachUsers(friendships, 'friend_id', 'friend');
+}
+
+/**
+ * Get the IDs of a user's accepted friends (either direction)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Friend user IDs
+ */
+async function getFriendIds(userId) {
+    const [outgoing, incoming] = await Promise.all([
+        store.select('friends', { where: { user_id: userId, isaccepted: true } }),
+        store.select('friends', { where: { friend_id: userId, isaccepted: true } })
+    ]);
+    const ids = [...outgoing.map(row => row.friend_id), ...incoming.map(row => row.user_id)];
+    return [...new Map(ids.map(id => [String(id), id])).values()];
+}
+
+/**
+ * Get accepted friends for many users at once (one breadth-first level of the friend graph)
+ * @param {Array} userIds - User IDs
+ * @returns {Promise<Map>} User id string -> Set of friend id strings
+ */
+async function getFriendIdsForUsers(userIds) {
+    const [outgoing, incoming] = await Promise.all([
+        store.select('friends', { where: { user_id: { in: userIds }, isaccepted: true } }),
+        store.select('friends', { where: { friend_id: { in: userIds }, isaccepted: true } })
+    ]);
+
+    const friendsByUser = new Map(userIds.map(id => [String(id), new Set()]));
+    const link = (userId, friendId) => {
+        if (friendsByUser.has(String(userId))) friendsByUser.get(String(userId)).add(String(friendId));
+    };
+    outgoing.forEach(row => link(row.user_id, row.friend_id));
+    incoming.forEach(row => link(row.friend_id, row.user_id));
+    return friendsByUser;
+}
+
+/**
+ * Get the IDs of users with a pending friend request to or from a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} User IDs
+ */
+async function getPendingRequestUserIds(userId) {
+    const [sent, received] = await Promise.all([
+        store.select('friends', { where: { user_id: userId, isaccepted: false } }),
+        store.select('friends', { where: { friend_id: userId, isaccepted: false } })
+    ]);
+    return [...sent.map(row => row.friend_id), ...received.map(row => row.user_id)];
+}
+
+/**
+ * Check whether two users are accepted friends
+ * @param {string} userId - First user ID
+ * @param {string} otherUserId - Second user ID
+ * @returns {Promise<boolean>}
+ */
+async function areFriends(userId, otherUserId) {
+    const friendships = await getFriendshipsBetween(userId, otherUserId);
+    return friendships.some(friendship => friendship.isaccepted);
+}
+
+/**
+ * Get pending friend requests received by a user with sender details
+ * @param {string} userId - Receiver's user ID
+ * @returns {Promise<Array>} Pending requests with sender information
+ */
+async function getPendingRequests(userId) {
+    const requests = await store.select('friends', {
+        where: { friend_id: userId, isaccepted: false },
+        orderBy: { column: 'added_at', ascending: false }
+    });
+    return attachUsers(requests, 'user_id', 'sender');
+}
+
+/**
+ * Get pending friend requests sent by a user with receiver details
+ * @param {string} userId - Sender's user ID
+ * @returns {Promise<Array>} Pending requests with receiver information
+ */
+async function getSentRequests(userId) {
+    const requests = await store.select('friends', {
+        where: { user_id: userId, isaccepted: false },
+        orderBy: { column: 'added_at', ascending: false }
+    });
+    return attachUsers(requests, 'friend_id', 'receiver');
+}
+
+/**
+ * Create a pending friend request
+ * @param {string} senderId - Sender's user ID
+ * @param {string} receiverId - Receiver's user ID
+ * @returns {Promise<Object>} Created friendship row
+ */
+async function createFriendRequest(senderId, receiverId) {
+    const [request] = await store.insert('friends', {
+        user_id: senderId,
+        friend_id: receiverId
+    });
+    return request;
+}
+
+/**
+ * Accept a friend request and create the reciprocal friendship row
+ * so both users see each other as friends
+ * @param {Object} request - Pending friendship row
+ * @returns {Promise<Object>} Accepted friendship row
+ */
+async function acceptFriendRequest(request) {
+    const [accepted] = await store.update('friends', { id: request.id }, { isaccepted: true });
+
+    try {
+        await store.insert('friends', {
+            user_id: request.friend_id,
+            friend_id: request.user_id,
+            isaccepted: true
+        });
+    } catch (error) {
+        // The original friendship is still valid
+        console.error('Reciprocal friendship error:', error.message);
+    }
+
+    return accepted;
+}
+
+/**
+ * Remove a friendship row by ID
+ * @param {string} friendshipId - Friendship ID
+ * @returns {Promise<boolean>} True if a row was removed
+ */
+async function removeFriend(friendshipId) {
+    const removed = await store.remove('friends', { id: friendshipId });
+    return removed.length > 0;
+}
+
+/**
+ * Remove the friendship row pointing from one user to another
+ * @param {string} userId - Row owner (user_id)
+ * @param {string} friendId - Friend (friend_id)
+ * @returns {Promise<boolean>} True if a row was removed
+ */
+async function removeFriendshipRow(userId, friendId) {
+    const removed = await store.remove('friends', { user_id: userId, friend_id: friendId });
+    return removed.length > 0;
+}
+
+// ========== FRIEND LISTS ==========
+
+/**
+ * Get a user's friend lists with the ids of their members
+ * @param {string} ownerId - List owner's user ID
+ * @returns {Promise<Array>} Lists (oldest first) with member_ids
+ */
+async function getFriendListsByOwner(ownerId) {
+    const lists = await store.select('friend_lists', {
+        where: { owner_id: ownerId },
+        orderBy: { column: 'created_at', ascending: true }
+    });
+    if (lists.length === 0) return [];
+
+    const members = await store.select('friend_list_members', {
+        where: { list_id: { in: lists.map(list => list.id) } }
+    });
+    return lists.map(list => ({
+        ...list,
+        member_ids: members
+            .filter(member => String(member.list_id) === String(list.id))
+            .map(member => member.friend_id)
+    }));
+}
+
+/**
+ * Get a friend list by ID
+ * @param {string} listId - List ID
+ * @returns {Promise<Object|null>} List row or null
+ */
+async function getFriendListById(listId) {
+    return selectOne('friend_lists', { id: listId });
+}
+
+/**
+ * Create an empty friend list
+ * @param {string} ownerId - Owner's user ID
+ * @param {string} name - List name
+ * @returns {Promise<Object>} Created list row
+ */
+async function createFriendList(ownerId, name) {
+    const [list] = await store.insert('friend_lists', { owner_id: ownerId, name });
+    return list;
+}
+
+/**
+ * Rename a friend list
+ * @returns {Promise<Object|null>} Updated list row
+ */
+async function renameFriendList(listId, name) {
+    const [list] = await store.update('friend_lists', { id: listId }, { name });
+    return list || null;
+}
+
+/**
+ * Delete a friend list and its memberships
+ * Posts shared with the list fall back to private so they do not
+ * become visible to anyone new
+ * @param {string} listId - List ID
+ */
+async function deleteFriendList(listId) {
+    await store.update('posts', { audience_list_id: listId }, { visibility: 'private', audience_list_id: null });
+    await store.remove('friend_list_members', { list_id: listId });
+    await store.remove('friend_lists', { id: listId });
+}
+
+/**
+ * Add a friend to a list (does nothing if they are already on it)
+ * @returns {Promise<Object>} Membership row
+ */
+async function addFriendListMember(listId, friendId) {
+    const existing = await selectOne('friend_list_members', { list_id: listId, friend_id: friendId });
+    if (existing) return existing;
+
+    const [member] = await store.insert('friend_list_members', { list_id: listId, friend_id: friendId });
+    return member;
+}
+
+/**
+ * Take a friend off a list
+ * @returns {Promise<boolean>} True if they were on it
+ */
+async function removeFriendListMember(listId, friendId) {
+    const removed = await store.remove('friend_list_members', { list_id: listId, friend_id: friendId });
+    return removed.length > 0;
+}
+
+/**
+ * Take a friend off every list an owner has (when they stop being friends)
+ * @param {string} ownerId - List owner's user ID
+ * @param {string} friendId - Former friend's user ID
+ */
+async function removeFromFriendLists(ownerId, friendId) {
+    const lists = await store.select('friend_lists', { where: { owner_id: ownerId } });
+    if (lists.length === 0) return;
+
+    await store.remove('friend_list_members', {
+        list_id: { in: lists.map(list => list.id) },
+        friend_id: friendId
+    });
+}
+
+/**
+ * Get the IDs of every list a user has been put on (by anyone)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} List IDs
+ */
+async function getListIdsContainingUser(userId) {
+    const memberships = await store.select('friend_list_members', { where: { friend_id: userId } });
+    return memberships.map(member => member.list_id);
+}
+
+/**
+ * Check whether a user is on a friend list
+ * @returns {Promise<boolean>}
+ */
+async function isFriendListMember(listId, userId) {
+    if (listId === null || listId === undefined) return false;
+    return (await store.count('friend_list_members', { list_id: listId, friend_id: userId })) > 0;
+}
+
+// ========== FOLLOWS ==========
+
+/**
+ * Follow a user (does nothing if already following)
+ * @param {string} followerId - Who follows
+ * @param {string} followeeId - Who is followed
+ * @returns {Promise<Object>} Follow row
+ */
+async function followUser(followerId, followeeId) {
+    const existing = await selectOne('follows', { follower_id: followerId, followee_id: followeeId });
+    if (existing) return existing;
+
+    const [follow] = await store.insert('follows', { follower_id: followerId, followee_id: followeeId });
+    return follow;
+}
+
+/**
+ * Stop following a user
+ * @returns {Promise<boolean>} True if they were followed
+ */
+async function unfollowUser(followerId, followeeId) {
+    const removed = await store.remove('follows', { follower_id: followerId, followee_id: followeeId });
+    return removed.length > 0;
+}
+
+/**
+ * Check whether one user follows another
+ * @returns {Promise<boolean>}
+ */
+async function isFollowing(followerId, followeeId) {
+    return (await store.count('follows', { follower_id: followerId, followee_id: followeeId })) > 0;
+}
+
+/**
+ * Get the IDs of the users someone follows
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Followed user IDs
+ */
+async function getFollowingIds(userId) {
+    const follows = await store.select('follows', { where: { follower_id: userId } });
+    return follows.map(follow => follow.followee_id);
+}
+
+/**
+ * Count a user's followers and the users they follow
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} {followers, following}
+ */
+async function getFollowCounts(userId) {
+    const [followers, following] = await Promise.all([
+        store.count('follows', { followee_id: userId }),
+        store.count('follows', { follower_id: userId })
+    ]);
+    return { followers, following };
+}
+
+/**
+ * Remove follows in both directions between two users
+ */
+async function removeFollowsBetween(userId, otherUserId) {
+    await store.remove('follows', {
+        or: [
+            { follower_id: userId, followee_id: otherUserId },
+            { follower_id: otherUserId, followee_id: userId }
+        ]
+    });
+}
+
+// ========== BLOCK & MUTE ==========
+
+/**
+ * Get the users someone has blocked and muted, with user details
+ * @param {string} userId - User who set the relations
+ * @returns {Promise<Array>} Relation rows with the target user attached (newest first)
+ */
+async function getUserRelations(userId) {
+    const relations = await store.select('user_relations', {
+        where: { user_id: userId },
+        orderBy: { column: 'created_at', ascending: false }
+    });
+    return attachUsers(relations, 'target_id', 'target');
+}
+
+/**
+ * Get the block and mute rows a user has set on another user
+ * @param {string} userId - User who set the relations
+ * @param {string} targetId - User they apply to
+ * @returns {Promise<Array>} Relation rows
+ */
+async function getRelationsBetween(userId, targetId) {
+    return store.select('user_relations', { where: { user_id: userId, target_id: targetId } });
+}
+
+/**
+ * Block or mute a user (does nothing if already set)
+ * @param {string} userId - User setting the relation
+ * @param {string} targetId - User being blocked or muted
+ * @param {string} type - block | mute
+ * @returns {Promise<Object>} Relation row
+ */
+async function addUserRelation(userId, targetId, type) {
+    const existing = await selectOne('user_relations', { user_id: userId, target_id: targetId, type });
+    if (existing) return existing;
+
+    const [relation] = await store.insert('user_relations', {
+        user_id: userId,
+        target_id: targetId,
+        type
+    });
+    return relation;
+}
+
+/**
+ * Unblock or unmute a user
+ * @returns {Promise<boolean>} True if a relation was removed
+ */
+async function removeUserRelation(userId, targetId, type) {
+    const removed = await store.remove('user_relations', { user_id: userId, target_id: targetId, type });
+    return removed.length > 0;
+}
+
+/**
+ * Get every user on the other side of a block, whoever blocked whom
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} User IDs
+ */
+async function getBlockedUserIds(userId) {
+    const [blocked, blockedBy] = await Promise.all([
+        store.select('user_relations', { where: { user_id: userId, type: 'block' } }),
+        store.select('user_relations', { where: { target_id: userId, type: 'block' } })
+    ]);
+    return [...blocked.map(row => row.target_id), ...blockedBy.map(row => row.user_id)];
+}
+
+/**
+ * Check whether either user has blocked the other
+ * @returns {Promise<boolean>}
+ */
+async function isBlockedBetween(userId, otherUserId) {
+    const count = await store.count('user_relations', {
+        type: 'block',
+        or: [
+            { user_id: userId, target_id: otherUserId },
+            { user_id: otherUserId, target_id: userId }
+        ]
+    });
+    return count > 0;
+}
+
+/**
+ * Get the users a user has muted
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} User IDs
+ */
+async function getMutedUserIds(userId) {
+    const muted = await store.select('user_relations', { where: { user_id: userId, type: 'mute' } });
+    return muted.map(row => row.target_id);
+}
+
+// ========== HASHTAGS ==========
+
+/**
+ * Replace the hashtags indexed for a post
+ * Tags that stay on the post keep their original row (and timestamp)
+ * @param {string} postId - Post ID
+ * @param {Array<string>} tags - Lowercase tags without the #
+ */
+async function setPostTags(postId, tags) {
+    const existing = await store.select('post_tags', { where: { post_id: postId } });
+    const existingTags = existing.map(row => row.tag);
+
+    const removedTags = existingTags.filter(tag => !tags.includes(tag));
+    const addedTags = tags.filter(tag => !existingTags.includes(tag));
+
+    if (removedTags.length > 0) {
+        await store.remove('post_tags', { post_id: postId, tag: { in: removedTags } });
+    }
+    if (addedTags.length > 0) {
+        await store.insert('post_tags', addedTags.map(tag => ({ post_id: postId, tag })));
+    }
+}
+
+/**
+ * Get the IDs of every post carrying a hashtag
+ * @param {string} tag - Lowercase tag without the #
+ * @returns {Promise<Array>} Post IDs
+ */
+async function getPostIdsByTag(tag) {
+    const rows = await store.select('post_tags', { where: { tag } });
+    return rows.map(row => row.post_id);
+}
+
+/**
+ * Get the most used hashtags on public posts tagged since a date
+ * @param {string} since - ISO timestamp
+ * @param {number} limit - Maximum number of tags
+ * @returns {Promise<Array>} [{tag, count}] most used first
+ */
+async function getPopularTags(since, limit = 10) {
+    const rows = await store.select('post_tags', { where: { created_at: { gte: since } } });
+    const posts = await store.select('posts', {
+        where: {
+            id: { in: [...new Set(rows.map(row => row.post_id))] },
+            deleted_at: null,
+            or: [{ visibility: 'public' }, { visibility: null }]
+        }
+    });
+    const publicIds = new Set(posts.map(post => String(post.id)));
+
+    const counts = new Map();
+    rows.forEach(row => {
+        if (publicIds.has(String(row.post_id))) {
+            counts.set(row.tag, (counts.get(row.tag) || 0) + 1);
+        }
+    });
+
+    return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+        .slice(0, limit);
+}
+
+// ========== MENTIONS ==========
+
+/**
+ * Replace the mentions recorded for a post or one of its comments
+ * Users who stay mentioned keep their original row (with the handle as now typed)
+ * @param {Object} target - {post_id, comment_id} (comment_id null for the post itself)
+ * @param {string} authorId - Who wrote the post or comment
+ * @param {Array} mentions - [{user_id, handle}] resolved from the text
+ * @returns {Promise<Array>} Mention rows that did not exist before
+ */
+async function setMentions(target, authorId, mentions) {
+    const where = { post_id: target.post_id, comment_id: target.comment_id ?? null };
+    const existing = await store.select('mentions', { where });
+    const existingIds = existing.map(row => String(row.mentioned_user_id));
+    const mentionedIds = mentions.map(mention => String(mention.user_id));
+
+    const removed = existing.filter(row => !mentionedIds.includes(String(row.mentioned_user_id)));
+    const added = mentions.filter(mention => !existingIds.includes(String(mention.user_id)));
+
+    if (removed.length > 0) {
+        await store.remove('mentions', { id: { in: removed.map(row => row.id) } });
+    }
+    for (const row of existing) {
+        const mention = mentions.find(item => String(item.user_id) === String(row.mentioned_user_id));
+        if (mention && mention.handle !== row.handle) {
+            await store.update('mentions', { id: row.id }, { handle: mention.handle });
+        }
+    }
+    if (added.length === 0) return [];
+
+    return store.insert('mentions', added.map(mention => ({
+        ...where,
+        author_id: authorId,
+        mentioned_user_id: mention.user_id,
+        handle: mention.handle
+    })));
+}
+
+/**
+ * Get the mentions in several posts and their comments with user details
+ * @param {Array<string>} postIds - Post IDs
+ * @returns {Promise<Array>} Mention rows with the mentioned user attached as `user`
+ */
+async function getMentionsForPosts(postIds) {
+    const mentions = await store.select('mentions', { where: { post_id: { in: postIds } } });
+    return attachUsers(mentions, 'mentioned_user_id', 'user', ['id', 'name', 'initials']);
+}
+
+// ========== STUDY GROUPS ==========
+
+/**
+ * Create a group with its creator as owner
+ * @param {Object} groupData - {name, description, is_public, owner_id}
+ * @returns {Promise<Object>} Created group row
+ */
+async function createGroup(groupData) {
+    const [group] = await store.insert('study_groups', {
+        name: groupData.name,
+        description: groupData.description || '',
+        is_public: Boolean(groupData.is_public),
+        owner_id: groupData.owner_id
+    });
+    await addGroupMember(group.id, groupData.owner_id, 'owner');
+    return group;
+}
+
+/**
+ * Get a group by ID
+ * @returns {Promise<Object|null>} Group row or null
+ */
+async function getGroupById(groupId) {
+    return selectOne('study_groups', { id: groupId });
+}
+
+/**
+ * Get several groups by ID in one query
+ */
+async function getGroupsByIds(groupIds) {
+    if (groupIds.length === 0) return [];
+    return store.select('study_groups', { where: { id: { in: groupIds } } });
+}
+
+/**
+ * Get every public group (newest first)
+ */
+async function getPublicGroups() {
+    return store.select('study_groups', {
+        where: { is_public: true },
+        orderBy: { column: 'id', ascending: false }
+    });
+}
+
+/**
+ * Update a group's name, description or privacy
+ * Group posts carry the group's privacy as their visibility, so they are
+ * switched between public and group-only along with it
+ * @returns {Promise<Object|null>} Updated group row
+ */
+async function updateGroup(groupId, changes) {
+    const [group] = await store.update('study_groups', { id: groupId }, changes);
+    if (group && changes.is_public !== undefined) {
+        await store.update('posts', { group_id: groupId }, { visibility: groupPostVisibility(group) });
+    }
+    return group || null;
+}
+
+/**
+ * Delete a group, its memberships and requests
+ * Its posts stay with their authors as private posts
+ */
+async function deleteGroup(groupId) {
+    await store.update('posts', { group_id: groupId }, { group_id: null, visibility: 'private' });
+    await store.remove('group_requests', { group_id: groupId });
+    await store.remove('group_members', { group_id: groupId });
+    await store.remove('study_groups', { id: groupId });
+}
+
+/**
+ * Visibility stored on a group's posts: public groups' posts are public
+ */
+function groupPostVisibility(group) {
+    return group.is_public ? 'public' : 'group';
+}
+
+/**
+ * Get a user's membership row in a group
+ * @returns {Promise<Object|null>} {group_id, user_id, role} or null
+ */
+async function getGroupMembership(groupId, userId) {
+    return selectOne('group_members', { group_id: groupId, user_id: userId });
+}
+
+/**
+ * Check whether a user belongs to a group
+ * @returns {Promise<boolean>}
+ */
+async function isGroupMember(groupId, userId) {
+    if (groupId === null || groupId === undefined) return false;
+    return (await store.count('group_members', { group_id: groupId, user_id: userId })) > 0;
+}
+
+/**
+ * Get a group's members with user details (oldest members first)
+ */
+async function getGroupMembers(groupId) {
+    const members = await store.select('group_members', {
+        where: { group_id: groupId },
+        orderBy: { column: 'id', ascending: true }
+    });
+    return attachUsers(members, 'user_id', 'user');
+}
+
+/**
+ * Get a user's memberships
+ * @returns {Promise<Array>} Membership rows (group_id, role)
+ */
+async function getGroupMemberships(userId) {
+    return store.select('group_members', { where: { user_id: userId } });
+}
+
+/**
+ * Get the IDs of the groups a user belongs to
+ */
+async function getGroupIdsForUser(userId) {
+    return (await getGroupMemberships(userId)).map(member => member.group_id);
+}
+
+/**
+ * Count members for several groups in one query
+ * @returns {Promise<Map>} Group ID string -> member count
+ */
+async function countGroupMembers(groupIds) {
+    const counts = new Map();
+    if (groupIds.length === 0) return counts;
+
+    const members = await store.select('group_members', { where: { group_id: { in: groupIds } } });
+    members.forEach(member => {
+        const key = String(member.group_id);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+}
+
+/**
+ * Add a user to a group (does nothing if they already belong to it)
+ * @returns {Promise<Object>} Membership row
+ */
+async function addGroupMember(groupId, userId, role = 'member') {
+    const existing = await getGroupMembership(groupId, userId);
+    if (existing) return existing;
+
+    const [member] = await store.insert('group_members', { group_id: groupId, user_id: userId, role });
+    return member;
+}
+
+/**
+ * Change a member's role
+ * @returns {Promise<Object|null>} Updated membership row
+ */
+async function setGroupMemberRole(groupId, userId, role) {
+    const [member] = await store.update('group_members', { group_id: groupId, user_id: userId }, { role });
+    return member || null;
+}
+
+/**
+ * Remove a user from a group
+ * @returns {Promise<boolean>} True if they were a member
+ */
+async function removeGroupMember(groupId, userId) {
+    const removed = await store.remove('group_members', { group_id: groupId, user_id: userId });
+    return removed.length > 0;
+}
+
+/**
+ * Get the pending invite or join request for a user in a group
+ * @returns {Promise<Object|null>} {type: invite|request, invited_by} or null
+ */
+async function getGroupRequest(groupId, userId) {
+    return selectOne('group_requests', { group_id: groupId, user_id: userId });
+}
+
+/**
+ * Get a group's pending invites or join requests with user details
+ * @param {string} groupId - Group ID
+ * @param {string} type - invite | request
+ */
+async function getGroupRequests(groupId, type) {
+    const requests = await store.select('group_requests', {
+        where: { group_id: groupId, type },
+        orderBy: { column: 'id', ascending: true }
+    });
+    return attachUsers(requests, 'user_id', 'user');
+}
+
+/**
+ * Get the group invites waiting for a user, with who sent them
+ */
+async function getGroupInvitesForUser(userId) {
+    const invites = await store.select('group_requests', {
+        where: { user_id: userId, type: 'invite' },
+        orderBy: { column: 'id', ascending: false }
+    });
+    return attachUsers(invites, 'invited_by', 'inviter');
+}
+
+/**
+ * Record an invite or join request (replacing any earlier one for the same user)
+ * @param {Object} requestData - {group_id, user_id, type, invited_by}
+ * @returns {Promise<Object>} Request row
+ */
+async function createGroupRequest(requestData) {
+    await removeGroupRequest(requestData.group_id, requestData.user_id);
+    const [request] = await store.insert('group_requests', {
+        group_id: requestData.group_id,
+        user_id: requestData.user_id,
+        type: requestData.type,
+        invited_by: requestData.invited_by || null
+    });
+    return request;
+}
+
+/**
+ * Drop a user's pending invite or join request for a group
+ * @returns {Promise<boolean>} True if there was one
+ */
+async function removeGroupRequest(groupId, userId) {
+    const removed = await store.remove('group_requests', { group_id: groupId, user_id: userId });
+    return removed.length > 0;
+}
+
+// ========== COURSES ==========
+
+/**
+ * Search the course catalog by code or title
+ * @param {string} query - Text to match (empty lists the newest courses)
+ * @param {number} limit - Maximum courses
+ * @returns {Promise<Array>} Course rows
+ */
+async function searchCourses(query = '', limit = 20) {
+    const where = {};
+    if (query) {
+        const pattern = `%${escapeLike(query)}%`;
+        where.or = [{ code: { ilike: pattern } }, { title: { ilike: pattern } }];
+    }
+
+    return store.select('courses', {
+        where,
+        orderBy: { column: 'id', ascending: false },
+        limit
+    });
+}
+
+/**
+ * Find a course offering by its code and term (term ignores case)
+ * @param {string} code - Normalized course code, e.g. "CS201"
+ * @param {string} term - e.g. "Fall 2026"
+ * @returns {Promise<Object|null>} Course row or null
+ */
+async function findCourse(code, term) {
+    return selectOne('courses', { code, term: { ilike: escapeLike(term) } });
+}
+
+/**
+ * Add a course offering to the catalog
+ * @param {Object} courseData - {code, title, term, created_by}
+ * @returns {Promise<Object>} Created course row
+ */
+async function createCourse(courseData) {
+    const [course] = await store.insert('courses', {
+        code: courseData.code,
+        title: courseData.title,
+        term: courseData.term,
+        created_by: courseData.created_by
+    });
+    return course;
+}
+
+/**
+ * Get a course by ID
+ * @returns {Promise<Object|null>} Course row or null
+ */
+async function getCourseById(courseId) {
+    return selectOne('courses', { id: courseId });
+}
+
+/**
+ * Get several courses by ID in one query
+ */
+async function getCoursesByIds(courseIds) {
+    if (courseIds.length === 0) return [];
+    return store.select('courses', { where: { id: { in: courseIds } } });
+}
+
+/**
+ * Get the courses a user is enrolled in, ordered by code
+ */
+async function getCoursesForUser(userId) {
+    const enrollments = await store.select('enrollments', { where: { user_id: userId } });
+    const courses = await getCoursesByIds(enrollments.map(enrollment => enrollment.course_id));
+    return courses.sort((a, b) => a.code.localeCompare(b.code) || a.term.localeCompare(b.term));
+}
+
+/**
+ * Check whether a user is enrolled in a course
+ * @returns {Promise<boolean>}
+ */
+async function isEnrolled(courseId, userId) {
+    return (await store.count('enrollments', { course_id: courseId, user_id: userId })) > 0;
+}
+
+/**
+ * Enroll a user in a course (does nothing if they already are)
+ * @returns {Promise<Object>} Enrollment row
+ */
+async function enrollInCourse(courseId, userId) {
+    const existing = await selectOne('enrollments', { course_id: courseId, user_id: userId });
+    if (existing) return existing;
+
+    const [enrollment] = await store.insert('enrollments', { course_id: courseId, user_id: userId });
+    return enrollment;
+}
+
+/**
+ * Drop a user's enrollment; posts they tagged with the course keep the tag
+ * @returns {Promise<boolean>} True if they were enrolled
+ */
+async function unenrollFromCourse(courseId, userId) {
+    const removed = await store.remove('enrollments', { course_id: courseId, user_id: userId });
+    return removed.length > 0;
+}
+
+/**
+ * Get everyone enrolled in a course with user details
+ */
+async function getCourseEnrollments(courseId) {
+    const enrollments = await store.select('enrollments', {
+        where: { course_id: courseId },
+        orderBy: { column: 'id', ascending: true }
+    });
+    return attachUsers(enrollments, 'user_id', 'user');
+}
+
+/**
+ * Count enrollments for several courses in one query
+ * @returns {Promise<Map>} Course ID string -> enrolled count
+ */
+async function countEnrollments(courseIds) {
+    const counts = new Map();
+    if (courseIds.length === 0) return counts;
+
+    const enrollments = await store.select('enrollments', { where: { course_id: { in: courseIds } } });
+    enrollments.forEach(enrollment => {
+        const key = String(enrollment.course_id);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+}
+
+// ========== DIRECT MESSAGES ==========
+
+/**
+ * Order two user IDs so a pair always maps to the same conversation row
+ */
+function conversationPair(userId, otherUserId) {
+    return String(userId).localeCompare(String(otherUserId), undefined, { numeric: true }) <= 0
+        ? [userId, otherUserId]
+        : [otherUserId, userId];
+}
+
+/**
+ * Get the one-to-one conversation between two users, creating it if needed
+ * @returns {Promise<Object>} Conversation row
+ */
+async function getOrCreateConversation(userId, otherUserId) {
+    const [userA, userB] = conversationPair(userId, otherUserId);
+    const existing = await selectOne('conversations', { user_a_id: userA, user_b_id: userB });
+    if (existing) return existing;
+
+    const [conversation] = await store.insert('conversations', {
+        user_a_id: userA,
+        user_b_id: userB,
+        last_message_at: null,
+        last_message_body: null,
+        last_message_sender_id: null
+    });
+    return conversation;
+}
+
+/**
+ * Get a conversation by ID
+ * @returns {Promise<Object|null>} Conversation row or null
+ */
+async function getConversationById(conversationId) {
+    return selectOne('conversations', { id: conversationId });
+}
+
+/**
+ * Get a user's conversations that have messages, most recent first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Conversations with user_a and user_b attached
+ */
+async function getConversationsForUser(userId) {
+    const conversations = await store.select('conversations', {
+        where: {
+            or: [{ user_a_id: userId }, { user_b_id: userId }],
+            last_message_at: { not: null }
+        },
+        orderBy: { column: 'last_message_at', ascending: false }
+    });
+    const withA = await attachUsers(conversations, 'user_a_id', 'user_a');
+    return attachUsers(withA, 'user_b_id', 'user_b');
+}
+
+/**
+ * Get a page of a conversation's messages, newest first
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options
+ * @param {string} [options.before] - Only messages with a smaller ID
+ * @param {number} [options.limit] - Page size
+ * @returns {Promise<Array>} Message rows
+ */
+async function getMessages(conversationId, { before = null, limit = 30 } = {}) {
+    const where = { conversation_id: conversationId };
+    if (before) where.id = { lt: before };
+
+    return store.select('messages', {
+        where,
+        orderBy: { column: 'id', ascending: false },
+        limit
+    });
+}
+
+/**
+ * Add a message and keep the conversation's last-message preview current
+ * @returns {Promise<Object>} Message row
+ */
+async function addMessage(conversationId, senderId, body) {
+    const [message] = await store.insert('messages', {
+        conversation_id: conversationId,
+        sender_id: senderId,
+        body,
+        read_at: null
+    });
+
+    await store.update('conversations', { id: conversationId }, {
+        last_message_at: message.created_at,
+        last_message_body: body,
+        last_message_sender_id: senderId
+    });
+    return message;
+}
+
+/**
+ * Count a user's unread messages per conversation
+ * @param {string} userId - User ID
+ * @param {Array} [hiddenSenderIds] - Leave out messages from these users (e.g. blocked)
+ * @returns {Promise<Map>} Conversation ID string -> unread count
+ */
+async function getUnreadMessageCounts(userId, hiddenSenderIds = []) {
+    const conversations = await store.select('conversations', {
+        where: { or: [{ user_a_id: userId }, { user_b_id: userId }] }
+    });
+    const counts = new Map();
+    if (conversations.length === 0) return counts;
+
+    const unread = await store.select('messages', {
+        where: {
+            conversation_id: { in: conversations.map(conversation => conversation.id) },
+            sender_id: { neq: userId, notIn: hiddenSenderIds },
+            read_at: null
+        }
+    });
+    unread.forEach(message => {
+        const key = String(message.conversation_id);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+}
+
+/**
+ * Mark the messages a user received in a conversation as read
+ * @returns {Promise<number>} Number of messages marked
+ */
+async function markConversationRead(conversationId, userId) {
+    const updated = await store.update(
+        'messages',
+        { conversation_id: conversationId, sender_id: { neq: userId }, read_at: null },
+        { read_at: new Date().toISOString() }
+    );
+    return updated.length;
+}
+
+// ========== NOTIFICATIONS ==========
+
+/**
+ * Create a notification
+ * @param {Object} notificationData - {user_id, actor_id, type, post_id, comment_id, friendship_id, group_id}
+ * @returns {Promise<Object>} Created notification row
+ */
+async function createNotification(notificationData) {
+    const [notification] = await store.insert('notifications', {
+        user_id: notificationData.user_id,
+        actor_id: notificationData.actor_id,
+        type: notificationData.type,
+        post_id: notificationData.post_id ?? null,
+        comment_id: notificationData.comment_id ?? null,
+        friendship_id: notificationData.friendship_id ?? null,
+        group_id: notificationData.group_id ?? null
+    });
+    return notification;
+}
+
+/**
+ * Get a page of a user's notifications with actor details (newest first)
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {string} [options.before] - Only notifications with a lower id (next page)
+ * @param {number} [options.limit] - Page size
+ * @returns {Promise<Array>} Notifications with the actor attached
+ */
+async function getNotifications(userId, { before = null, limit = 20 } = {}) {
+    const where = { user_id: userId };
+    if (before) where.id = { lt: before };
+
+    const notifications = await store.select('notifications', {
+        where,
+        orderBy: { column: 'id', ascending: false },
+        limit
+    });
+    return attachUsers(notifications, 'actor_id', 'actor');
+}
+
+/**
+ * Count a user's unread notifications
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function countUnreadNotifications(userId) {
+    return store.count('notifications', { user_id: userId, read_at: null });
+}
+
+/**
+ * Mark a user's unread notifications as read
+ * @param {string} userId - User ID
+ * @param {Object} where - Extra filter (e.g. {id}); empty marks all
+ * @returns {Promise<number>} Number of notifications marked
+ */
+async function markNotificationsRead(userId, where = {}) {
+    const updated = await store.update(
+        'notifications',
+        { ...where, user_id: userId, read_at: null },
+        { read_at: new Date().toISOString() }
+    );
+    return updated.length;
+}
+
+/**
+ * Delete notifications that no longer apply (e.g. after an unlike)
+ * @param {Object} where - Filter
+ * @returns {Promise<number>} Number of notifications removed
+ */
+async function deleteNotifications(where) {
+    const removed = await store.remove('notifications', where);
+    return removed.length;
+}
+
+// ========== POST REVISIONS ==========
+
+/**
+ * Get every revision of a post with editor details, oldest first
+ * @param {string} postId - Post ID
+ * @returns {Promise<Array>} Revision rows
+ */
+async function getRevisionsByPost(postId) {
+    const revisions = await store.select('post_revisions', {
+        where: { post_id: postId },
+        orderBy: [
+            { column: 'created_at', ascending: true },
+            { column: 'id', ascending: true }
+        ]
+    });
+    return attachUsers(revisions, 'editor_id', 'editor');
+}
+
+/**
+ * Count the stored revisions of a post
+ * @param {string} postId - Post ID
+ * @returns {Promise<number>}
+ */
+async function countRevisions(postId) {
+    return store.count('post_revisions', { post_id: postId });
+}
+
+/**
+ * Store a revision of a post
+ * @param {Object} revisionData - {post_id, editor_id, content, created_at?}
+ * @returns {Promise<Object>} Created revision row
+ */
+async function addPostRevision(revisionData) {
+    const [revision] = await store.insert('post_revisions', revisionData);
+    return revision;
+}
+
+// ========== UNDO HISTORY ==========
+
+/**
+ * Get a user's undo or redo entries, oldest first (top of the stack is last)
+ * @param {string} userId - User ID
+ * @param {string} stack - Stack name ('undo' or 'redo')
+ * @returns {Promise<Array>} Undo entry rows
+ */
+async function getUndoActions(userId, stack = 'undo') {
+    return store.select('undo_actions', {
+        where: { user_id: userId, stack },
+        orderBy: [
+            { column: 'created_at', ascending: true },
+            { column: 'id', ascending: true }
+        ]
+    });
+}
+
+/**
+ * Store an undo or redo entry for a user
+ * @param {string} userId - User ID
+ * @param {Object} action - Undo action payload ({type, ...})
+ * @param {string} stack - Stack name ('undo' or 'redo')
+ * @returns {Promise<Object>} Created undo entry row
+ */
+async function addUndoAction(userId, action, stack = 'undo') {
+    const [entry] = await store.insert('undo_actions', {
+        user_id: userId,
+        stack: stack,
+        type: action.type,
+        action: action,
+        created_at: new Date().toISOString()
+    });
+    return entry;
+}
+
+/**
+ * Delete undo entries by ID
+ * @param {Array<string>} entryIds - Undo entry IDs
+ * @returns {Promise<number>} Number of entries deleted
+ */
+async function deleteUndoActions(entryIds) {
+    const removed = await store.remove('undo_actions', { id: { in: entryIds } });
+    return removed.length;
+}
+
+/**
+ * Delete all of a user's entries in one stack
+ * @param {string} userId - User ID
+ * @param {string} stack - Stack name ('undo' or 'redo')
+ * @returns {Promise<number>} Number of entries deleted
+ */
+async function clearUndoActions(userId, stack = 'undo') {
+    const removed = await store.remove('undo_actions', { user_id: userId, stack });
+    return removed.length;
+}
+
+/**
+ * Delete undo entries created before a cutoff
+ * @param {string} cutoff - ISO timestamp
+ * @param {string} [userId] - Limit to one user's entries
+ * @returns {Promise<number>} Number of entries deleted
+ */
+async function deleteUndoActionsBefore(cutoff, userId) {
+    const where = { created_at: { lt: cutoff } };
+    if (userId !== undefined) where.user_id = userId;
+
+    const removed = await store.remove('undo_actions', where);
+    return removed.length;
+}
+
+// ========== EXPORTS ==========
+
+module.exports = {
+    store,
+
+    // Helpers
+    attachUsers,
+    getInitials,
+    getMentionHandle,
+    toPublicUser,
+
+    // User functions
+    getUserById,
+    getUserByEmail,
+    getAllUsers,
+    getUsersByHandlePrefix,
+    getUsersByHandle,
+    createUser,
+    updateUser,
+
+    // Post functions
+    getPostById,
+    getPostsByIds,
+    getAllPosts,
+    getPostsByUser,
+    getFeedPosts,
+    canViewPost,
+    filterVisiblePosts,
+    filterPostViewers,
+    countPostsByUser,
+    getDeletedPostsByUser,
+    createPost,
+    restorePost,
+    updatePost,
+    deletePost,
+    restoreDeletedPost,
+    purgeDeletedPosts,
+
+    // Like functions
+    getLikesByPost,
+    getLikesForPosts,
+    countLikes,
+    hasUserLikedPost,
+    addLike,
+    removeLike,
+
+    // Comment functions
+    getCommentById,
+    getCommentsByPost,
+    getCommentsForPosts,
+    countComments,
+    addComment,
+    updateComment,
+    deleteComment,
+
+    // Answer functions
+    addAnswerVote,
+    removeAnswerVote,
+    getAnswerVoteIds,
+    setAcceptedAnswer,
+
+    // Friend functions
+    getFriendshipById,
+    getFriendshipsBetween,
+    getFriendsByUser,
+    getFriendIds,
+    getFriendIdsForUsers,
+    getPendingRequestUserIds,
+    areFriends,
+    getPendingRequests,
+    getSentRequests,
+    createFriendRequest,
+    acceptFriendRequest,
+    removeFriend,
+    removeFriendshipRow,
+
+    // Friend list functions
+    getFriendListsByOwner,
+    getFriendListById,
+    createFriendList,
+    renameFriendList,
+    deleteFriendList,
+    addFriendListMember,
+    removeFriendListMember,
+    removeFromFriendLists,
+    getListIdsContainingUser,
+    isFriendListMember,
+
+    // Follow functions
+    followUser,
+    unfollowUser,
+    isFollowing,
+    getFollowingIds,
+    getFollowCounts,
+    removeFollowsBetween,
+
+    // Block & mute functions
+    getUserRelations,
+    getRelationsBetween,
+    addUserRelation,
+    removeUserRelation,
+    getBlockedUserIds,
+    isBlockedBetween,
+    getMutedUserIds,
+
+    // Hashtag functions
+    setPostTags,
+    getPostIdsByTag,
+    getPopularTags,
+
+    // Mention functions
+    setMentions,
+    getMentionsForPosts,
+
+    // Study group functions
+    createGroup,
+    getGroupById,
+    getGroupsByIds,
+    getPublicGroups,
+    updateGroup,
+    deleteGroup,
+    groupPostVisibility,
+    getGroupMembership,
+    isGroupMember,
+    getGroupMembers,
+    getGroupMemberships,
+    getGroupIdsForUser,
+    countGroupMembers,
+    addGroupMember,
+    setGroupMemberRole,
+    removeGroupMember,
+    getGroupRequest,
+    getGroupRequests,
+    getGroupInvitesForUser,
+    createGroupRequest,
+    removeGroupRequest,
+
+    // Course functions
+    searchCourses,
+    findCourse,
+    createCourse,
+    getCourseById,
+    getCoursesByIds,
+    getCoursesForUser,
+    isEnrolled,
+    enrollInCourse,
+    unenrollFromCourse,
+    getCourseEnrollments,
+    countEnrollments,
+
+    // Direct message functions
+    getOrCreateConversation,
+    getConversationById,
+    getConversationsForUser,
+    getMessages,
+    addMessage,
+    getUnreadMessageCounts,
+    markConversationRead,
+
+    // Notification functions
+    createNotification,
+    getNotifications,
+    countUnreadNotifications,
+    markNotificationsRead,
+    deleteNotifications,
+
+    // Post revision functions
+    getRevisionsByPost,
+    countRevisions,
+    addPostRevision,
+
+    // Undo history functions
+    getUndoActions,
+    addUndoAction,
+    deleteUndoActions,
+    clearUndoActions,
+    deleteUndoActionsBefore
+};
@@ -0,0 +1,351 @@
+// ==========================================
+// EduMedia - Full-Text Search (Inverted Index)
+// Maps every stemmed term to the posts containing it so a
+// search only touches posts that share a term with the query.
+// Results are ranked with BM25.
+// ==========================================
+
+// Words too common to help ranking
+const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'because', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+    'doing', 'for', 'from', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him',
+    'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'my', 'no', 'not',
+    'of', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'she', 'so', 'some',
+    'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+    'those', 'to', 'too', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+    'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours'
+]);
+
+// BM25 tuning: term frequency saturation and document length normalisation
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// ========== STEMMING (Porter algorithm) ==========
+
+function isConsonant(word, i) {
+    const char = word[i];
+    if ('aeiou'.includes(char)) return false;
+    if (char === 'y') return i === 0 || !isConsonant(word, i - 1);
+    return true;
+}
+
+/**
+ * Porter's measure m of a stem: the number of vowel-consonant sequences in [C](VC)^m[V]
+ */
+function measure(stem) {
+    let m = 0;
+    let i = 0;
+    while (i < stem.length && isConsonant(stem, i)) i++;
+    while (i < stem.length) {
+        while (i < stem.length && !isConsonant(stem, i)) i++;
+        if (i >= stem.length) break;
+        while (i < stem.length && isConsonant(stem, i)) i++;
+        m++;
+    }
+    return m;
+}
+
+function hasVowel(stem) {
+    for (let i = 0; i < stem.length; i++) {
+        if (!isConsonant(stem, i)) return true;
+    }
+    return false;
+}
+
+function endsWithDoubleConsonant(word) {
+    const n = word.length;
+    return n >= 2 && word[n - 1] === word[n - 2] && isConsonant(word, n - 1);
+}
+
+/**
+ * consonant-vowel-consonant ending where the last consonant is not w, x or y (e.g. "hop")
+ */
+function endsWithCVC(word) {
+    const n = word.length;
+    return n >= 3 &&
+        isConsonant(word, n - 3) &&
+        !isConsonant(word, n - 2) &&
+        isConsonant(word, n - 1) &&
+        !'wxy'.includes(word[n - 1]);
+}
+
+/**
+ * Replace the first matching suffix if the remaining stem passes the condition
+ * @param {string} word
+ * @param {Array<Array<string>>} rules - [suffix, replacement] pairs
+ * @param {Function} condition - Receives the stem without the suffix
+ */
+function replaceSuffix(word, rules, condition) {
+    for (const [suffix, replacement] of rules) {
+        if (word.endsWith(suffix)) {
+            const stem = word.slice(0, -suffix.length);
+            return condition(stem) ? stem + replacement : word;
+        }
+    }
+    return word;
+}
+
+const STEP2_RULES = [
+    ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+    ['abli', 'able'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+    ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+    ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble']
+];
+
+const STEP3_RULES = [
+    ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+const STEP4_SUFFIXES = [
+    'ement', 'ance', 'ence', 'able', 'ible', 'ment', 'ant', 'ent', 'ism', 'ate', 'iti', 'ous',
+    'ive', 'ize', 'ion', 'al', 'er', 'ic', 'ou'
+];
+
+/**
+ * Reduce an English word to its stem so "stacks", "stacked" and "stacking" match
+ * Words with non-ASCII letters or shorter than 3 characters are left alone
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+    if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+    // Step 1a: plurals
+    if (word.endsWith('sses')) word = word.slice(0, -2);
+    else if (word.endsWith('ies')) word = word.slice(0, -2);
+    else if (word.endsWith('s') && !word.endsWith('ss')) word = word.slice(0, -1);
+
+    // Step 1b: -eed, -ed, -ing
+    if (word.endsWith('eed')) {
+        if (measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+    } else {
+        const suffix = ['ed', 'ing'].find(ending => word.endsWith(ending) && hasVowel(word.slice(0, -ending.length)));
+        if (suffix) {
+            word = word.slice(0, -suffix.length);
+            if (/(at|bl|iz)$/.test(word)) {
+                word += 'e';
+            } else if (endsWithDoubleConsonant(word) && !/[lsz]$/.test(word)) {
+                word = word.slice(0, -1);
+            } else if (measure(word) === 1 && endsWithCVC(word)) {
+                word += 'e';
+            }
+        }
+    }
+
+    // Step 1c: y -> i
+    if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+        word = word.slice(0, -1) + 'i';
+    }
+
+    // Steps 2-4: derivational suffixes
+    word = replaceSuffix(word, STEP2_RULES, stemPart => measure(stemPart) > 0);
+    word = replaceSuffix(word, STEP3_RULES, stemPart => measure(stemPart) > 0);
+
+    const step4Suffix = STEP4_SUFFIXES.find(suffix => word.endsWith(suffix));
+    if (step4Suffix) {
+        const stemPart = word.slice(0, -step4Suffix.length);
+        const ionAllowed = step4Suffix !== 'ion' || /[st]$/.test(stemPart);
+        if (measure(stemPart) > 1 && ionAllowed) word = stemPart;
+    }
+
+    // Step 5: trailing e and double l
+    if (word.endsWith('e')) {
+        const stemPart = word.slice(0, -1);
+        const m = measure(stemPart);
+        if (m > 1 || (m === 1 && !endsWithCVC(stemPart))) word = stemPart;
+    }
+    if (measure(word) > 1 && word.endsWith('ll')) {
+        word = word.slice(0, -1);
+    }
+
+    return word;
+}
+
+/**
+ * Split text into index terms: lowercase words, minus stop words, stemmed
+ * @param {string} text
+ * @returns {Array<string>} Terms in order (repeats kept for term frequency)
+ */
+function tokenize(text) {
+    const words = (text || '').toLowerCase().match(WORD_PATTERN) || [];
+    return words.filter(word => !STOP_WORDS.has(word)).map(stem);
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ========== INVERTED INDEX ==========
+
+class InvertedIndex {
+    constructor() {
+        this.postings = new Map(); // term -> Map(postId -> term frequency)
+        this.documents = new Map(); // postId -> {terms, length}
+        this.totalLength = 0;
+    }
+
+    /**
+     * Index (or re-index) a post's content
+     * @param {string|number} postId
+     * @param {string} content
+     */
+    addDocument(postId, content) {
+        const id = String(postId);
+        this.removeDocument(id);
+
+        const terms = tokenize(content);
+        const frequencies = new Map();
+        terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+        frequencies.forEach((count, term) => {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            this.postings.get(term).set(id, count);
+        });
+
+        this.documents.set(id, { terms: [...frequencies.keys()], length: terms.length });
+        this.totalLength += terms.length;
+    }
+
+    /**
+     * Drop a post from the index (terms left without posts are removed)
+     */
+    removeDocument(postId) {
+        const id = String(postId);
+        const document = this.documents.get(id);
+        if (!document) return;
+
+        document.terms.forEach(term => {
+            const posting = this.postings.get(term);
+            posting.delete(id);
+            if (posting.size === 0) this.postings.delete(term);
+        });
+
+        this.documents.delete(id);
+        this.totalLength -= document.length;
+    }
+
+    /**
+     * Replace the whole index
+     * @param {Array<Object>} posts - Rows with id and content
+     */
+    rebuild(posts) {
+        this.postings.clear();
+        this.documents.clear();
+        this.totalLength = 0;
+        posts.forEach(post => this.addDocument(post.id, post.content));
+    }
+
+    /**
+     * Rank posts sharing at least one term with the query (BM25)
+     * @param {string} query
+     * @returns {Array<Object>} [{id, score, matched_terms}] best first
+     */
+    search(query) {
+        const queryTerms = [...new Set(tokenize(query))];
+        const documentCount = this.documents.size;
+        if (queryTerms.length === 0 || documentCount === 0) return [];
+
+        const averageLength = this.totalLength / documentCount || 1;
+        const results = new Map();
+
+        queryTerms.forEach(term => {
+            const posting = this.postings.get(term);
+            if (!posting) return;
+
+            const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+
+            posting.forEach((frequency, id) => {
+                const length = this.documents.get(id).length;
+                const score = idf * (frequency * (BM25_K1 + 1)) /
+                    (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+
+                const result = results.get(id) || { id, score: 0, matched_terms: [] };
+                result.score += score;
+                result.matched_terms.push(term);
+                results.set(id, result);
+            });
+        });
+
+        return [...results.values()].sort((a, b) => b.score - a.score || Number(b.id) - Number(a.id));
+    }
+
+    /**
+     * Summary of the index for the inspection endpoint
+     * @param {number} topTermCount - How many of the most widespread terms to list
+     */
+    stats(topTermCount = 20) {
+        const documentCount = this.documents.size;
+        return {
+            documents: documentCount,
+            terms: this.postings.size,
+            average_document_length: documentCount ? this.totalLength / documentCount : 0,
+            top_terms: [...this.postings.entries()]
+                .map(([term, posting]) => ({ term, document_frequency: posting.size }))
+                .sort((a, b) => b.document_frequency - a.document_frequency || a.term.localeCompare(b.term))
+                .slice(0, topTermCount)
+        };
+    }
+
+    /**
+     * Posting list for a word (stemmed the same way as indexed text)
+     * @returns {Object} {term, postings: [{post_id, frequency}]}
+     */
+    inspectTerm(word) {
+        const [term] = tokenize(word);
+        const posting = term ? this.postings.get(term) : null;
+        return {
+            term: term || null,
+            postings: posting
+                ? [...posting.entries()].map(([postId, frequency]) => ({ post_id: postId, frequency }))
+                : []
+        };
+    }
+}
+
+/**
+ * Build an HTML-escaped excerpt around the first match with matched words in <mark>
+ * @param {string} text - Post content
+ * @param {Array<string>} terms - Stemmed query terms
+ * @param {number} length - Approximate excerpt length in characters
+ * @returns {string} HTML snippet
+ */
+function highlightSnippet(text, terms, length = 160) {
+    const termSet = new Set(terms);
+    const matches = [...text.matchAll(WORD_PATTERN)]
+        .filter(match => termSet.has(stem(match[0].toLowerCase())));
+
+    const firstMatch = matches.length > 0 ? matches[0].index : 0;
+    const start = Math.max(0, Math.min(firstMatch - Math.floor(length / 3), text.length - length));
+    const end = Math.min(text.length, start + length);
+
+    let snippet = '';
+    let cursor = start;
+    matches
+        .filter(match => match.index >= start && match.index + match[0].length <= end)
+        .forEach(match => {
+            snippet += escapeHtml(text.slice(cursor, match.index));
+            snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+            cursor = match.index + match[0].length;
+        });
+    snippet += escapeHtml(text.slice(cursor, end));
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+const searchIndex = new InvertedIndex();
+
+module.exports = {
+    searchIndex,
+    InvertedIndex,
+    tokenize,
+    stem,
+    highlightSnippet
+};
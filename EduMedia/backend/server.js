@@ -9,8 +9,20 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
-// Import Supabase client
-const { createClient } = require('@supabase/supabase-js');
+// Import repository layer (Supabase, in-memory or file storage)
+const db = require('./repository');
+
+// Server-Sent Events hub for live updates
+const { realtime } = require('./realtime');
+
+// Inverted index behind full-text post search
+const { searchIndex, highlightSnippet } = require('./searchIndex');
+
+// Prefix trie behind user autocomplete
+const { userTrie } = require('./userTrie');
+
+// Breadth-first traversal of accepted friendships
+const { friendGraph } = require('./friendGraph');
 
 // Initialize Express app
 const app = express();
@@ -21,12 +33,6 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Initialize Supabase
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_ANON_KEY
-);
-
 // JWT Secret (store in .env in production)
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
 const JWT_EXPIRES_IN = '7d'; // Token expires in 7 days
@@ -136,11 +142,7 @@ app.post('/api/auth/signup', async (req, res) => {
         }
 
         // Check if user already exists
-        const { data: existingUser, error: checkError } = await supabase
-            .from('users')
-            .select('id, email')
-            .eq('email', email.toLowerCase())
-            .single();
+        const existingUser = await db.getUserByEmail(email.toLowerCase());
 
         if (existingUser) {
             return res.status(409).json({
@@ -156,19 +158,16 @@ app.post('/api/auth/signup', async (req, res) => {
         const initials = getInitials(name);
 
         // Create user in database
-        const { data: newUser, error: insertError } = await supabase
-            .from('users')
-            .insert([{
+        let newUser;
+        try {
+            newUser = await db.createUser({
                 name: name.trim(),
                 email: email.toLowerCase().trim(),
                 bio: bio ? bio.trim() : '',
                 initials: initials,
                 password_hash: passwordHash
-            }])
-            .select()
-            .single();
-
-        if (insertError) {
+            });
+        } catch (insertError) {
             console.error('Database error:', insertError);
             return res.status(500).json({
                 success: false,
@@ -177,6 +176,8 @@ app.post('/api/auth/signup', async (req, res) => {
             });
         }
 
+        userTrie.insert(db.toPublicUser(newUser));
+
         // Generate JWT token
         const token = generateToken(newUser.id, newUser.email);
 
@@ -224,13 +225,9 @@ app.post('/api/auth/login', async (req, res) => {
         }
 
         // Find user by email
-        const { data: user, error: fetchError } = await supabase
-            .from('users')
-            .select('*')
-            .eq('email', email.toLowerCase())
-            .single();
+        const user = await db.getUserByEmail(email.toLowerCase());
 
-        if (fetchError || !user) {
+        if (!user) {
             return res.status(401).json({
                 success: false,
                 message: 'Invalid email or password'
@@ -294,13 +291,9 @@ app.get('/api/auth/verify', authenticateToken, async (req, res) => {
         const { userId } = req.user;
 
         // Fetch user from database
-        const { data: user, error } = await supabase
-            .from('users')
-            .select('id, name, email, bio, initials, created_at')
-            .eq('id', userId)
-            .single();
+        const user = db.toPublicUser(await db.getUserById(userId));
 
-        if (error || !user) {
+        if (!user) {
             return res.status(404).json({
                 success: false,
                 message: 'User not found'
@@ -350,13 +343,9 @@ app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
         }
 
         // Fetch user with password_hash
-        const { data: user, error: fetchError } = await supabase
-            .from('users')
-            .select('id, password_hash')
-            .eq('id', userId)
-            .single();
+        const user = await db.getUserById(userId);
 
-        if (fetchError || !user) {
+        if (!user) {
             return res.status(404).json({
                 success: false,
                 message: 'User not found'
@@ -377,12 +366,9 @@ app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
         const newPasswordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
 
         // Update password in database
-        const { error: updateError } = await supabase
-            .from('users')
-            .update({ password_hash: newPasswordHash })
-            .eq('id', userId);
-
-        if (updateError) {
+        try {
+            await db.updateUser(userId, { password_hash: newPasswordHash });
+        } catch (updateError) {
             return res.status(500).json({
                 success: false,
                 message: 'Failed to update password',
@@ -415,22 +401,24 @@ app.get('/api/user/profile', authenticateToken, async (req, res) => {
     try {
         const { userId } = req.user;
 
-        const { data: user, error } = await supabase
-            .from('users')
-            .select('id, name, email, bio, initials, created_at')
-            .eq('id', userId)
-            .single();
+        const user = db.toPublicUser(await db.getUserById(userId));
 
-        if (error || !user) {
+        if (!user) {
             return res.status(404).json({
                 success: false,
                 message: 'User not found'
             });
         }
 
+        const counts = await db.getFollowCounts(userId);
+
         res.status(200).json({
             success: true,
-            data: { user }
+            data: {
+                user,
+                followers_count: counts.followers,
+                following_count: counts.following
+            }
         });
 
     } catch (error) {
@@ -443,163 +431,781 @@ app.get('/api/user/profile', authenticateToken, async (req, res) => {
     }
 });
 
-// ========== MY POSTS FEATURE WITH UNDO STACK ==========
+/**
+ * PUT /api/user/profile
+ * Update the authenticated user's name, email and bio
+ */
+app.put('/api/user/profile', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { name, email, bio = '' } = req.body;
+
+        if (typeof name !== 'string' || typeof email !== 'string' || typeof bio !== 'string' ||
+            !name.trim() || !email.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Name and email are required'
+            });
+        }
+
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email.trim())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid email format'
+            });
+        }
+
+        const existingUser = await db.getUserByEmail(email.toLowerCase().trim());
+        if (existingUser && String(existingUser.id) !== String(userId)) {
+            return res.status(409).json({
+                success: false,
+                message: 'An account with this email already exists'
+            });
+        }
+
+        const updated = await db.updateUser(userId, {
+            name: name.trim(),
+            email: email.toLowerCase().trim(),
+            bio: bio.trim()
+        });
+
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // Re-keys the user so suggestions match the new name, not the old one
+        const user = db.toPublicUser(updated);
+        userTrie.insert(user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Profile updated successfully',
+            data: {
+                user
+            }
+        });
+
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// ========== MY POSTS FEATURE WITH UNDO/REDO STACKS ==========
+
+// Undo history limits
+const UNDO_STACK_LIMIT = 10; // Actions kept per user
+const UNDO_TTL_HOURS = parseInt(process.env.UNDO_TTL_HOURS, 10) || 24; // After this, deleted posts stay in the Trash
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30; // After this, deletes become permanent
 
 /**
- * Stack Data Structure for Undo Functionality
- * Stores deleted/edited posts in memory per user session
+ * Stack Data Structure for Undo/Redo Functionality
+ * Stores deleted/edited posts per user in the undo_actions table so
+ * history survives restarts and is shared between server instances.
+ * The top of the stack is the newest entry; entries older than the
+ * TTL are dropped and can no longer be undone.
+ * Two instances form the classic undo/redo pair: undoing moves an
+ * action onto the redo stack, redoing moves it back.
  */
 class UndoStack {
-    constructor() {
-        // Store stacks per user (userId -> array of actions)
-        this.stacks = new Map();
+    constructor(name = 'undo', limit = UNDO_STACK_LIMIT, ttlHours = UNDO_TTL_HOURS) {
+        this.name = name;
+        this.limit = limit;
+        this.ttlMs = ttlHours * 60 * 60 * 1000;
     }
 
-    push(userId, action) {
-        if (!this.stacks.has(userId)) {
-            this.stacks.set(userId, []);
+    cutoff() {
+        return new Date(Date.now() - this.ttlMs).toISOString();
+    }
+
+    /**
+     * Get a user's live entries (oldest first), dropping expired ones
+     */
+    async entries(userId) {
+        const entries = await db.getUndoActions(userId, this.name);
+        const cutoff = this.cutoff();
+        const expired = entries.filter(entry => entry.created_at < cutoff);
+
+        if (expired.length > 0) {
+            await db.deleteUndoActions(expired.map(entry => entry.id));
         }
-        this.stacks.get(userId).push(action);
-        
+
+        return entries.filter(entry => entry.created_at >= cutoff);
+    }
+
+    async push(userId, action) {
+        await db.addUndoAction(userId, action, this.name);
+
         // Limit stack size to 10 actions per user
-        if (this.stacks.get(userId).length > 10) {
-            this.stacks.get(userId).shift();
+        const entries = await this.entries(userId);
+        if (entries.length > this.limit) {
+            const overflow = entries.slice(0, entries.length - this.limit);
+            await db.deleteUndoActions(overflow.map(entry => entry.id));
+        }
+    }
+
+    async pop(userId) {
+        // Another instance may pop the same entry; retry until we win one
+        for (;;) {
+            const entries = await this.entries(userId);
+            if (entries.length === 0) {
+                return null;
+            }
+
+            const top = entries[entries.length - 1];
+            const removed = await db.deleteUndoActions([top.id]);
+            if (removed > 0) {
+                return top.action;
+            }
         }
     }
 
-    pop(userId) {
-        if (!this.stacks.has(userId) || this.stacks.get(userId).length === 0) {
+    /**
+     * Remove a specific entry (not just the top) and return its action
+     * @returns {Promise<Object|null>} The entry's action or null if gone
+     */
+    async take(userId, entryId) {
+        const entries = await this.entries(userId);
+        const entry = entries.find(item => String(item.id) === String(entryId));
+        if (!entry) {
             return null;
         }
-        return this.stacks.get(userId).pop();
+
+        const removed = await db.deleteUndoActions([entry.id]);
+        return removed > 0 ? entry.action : null;
+    }
+
+    /**
+     * Remove every entry whose action matches, e.g. a DELETE whose post
+     * was brought back from the Trash page
+     */
+    async discard(userId, matches) {
+        const entries = (await this.entries(userId)).filter(entry => matches(entry.action));
+        if (entries.length > 0) {
+            await db.deleteUndoActions(entries.map(entry => entry.id));
+        }
     }
 
-    peek(userId) {
-        if (!this.stacks.has(userId) || this.stacks.get(userId).length === 0) {
+    async peek(userId) {
+        const entries = await this.entries(userId);
+        if (entries.length === 0) {
             return null;
         }
-        const stack = this.stacks.get(userId);
-        return stack[stack.length - 1];
+        return entries[entries.length - 1].action;
+    }
+
+    async isEmpty(userId) {
+        return (await this.size(userId)) === 0;
+    }
+
+    async clear(userId) {
+        await db.clearUndoActions(userId, this.name);
+    }
+
+    async size(userId) {
+        return (await this.entries(userId)).length;
+    }
+
+    /**
+     * Drop expired entries for every user (both stacks)
+     */
+    async purgeExpired() {
+        return db.deleteUndoActionsBefore(this.cutoff());
+    }
+}
+
+// Initialize global undo and redo stacks
+const undoStack = new UndoStack('undo');
+const redoStack = new UndoStack('redo');
+
+/**
+ * Cutoff before which trashed posts are purged for good
+ */
+function trashCutoff() {
+    return new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Bring back the post recorded in a DELETE undo action
+ * Posts are normally still in the Trash; entries whose post was already
+ * purged are re-inserted from the snapshot in the action
+ * @returns {Promise<Object|null>} The restored post, or null if it is already live again
+ */
+async function restoreFromTrash(action, userId) {
+    const restored = await db.restoreDeletedPost(action.post.id, userId);
+    if (restored) {
+        searchIndex.addDocument(restored.id, restored.content);
+        await attachMentions([restored]);
+        publishPostCreated(restored);
+        return restored;
+    }
+
+    // Restored some other way (e.g. from the Trash page): nothing to insert
+    if (await db.getPostById(action.post.id)) {
+        return null;
+    }
+
+    // A post whose group has since been deleted comes back private
+    const group = action.post.group_id ? await db.getGroupById(action.post.group_id) : null;
+    const visibility = group
+        ? db.groupPostVisibility(group)
+        : (action.post.group_id ? 'private' : action.post.visibility || 'public');
+
+    const reinserted = await db.restorePost({
+        id: action.post.id,
+        author_id: action.post.author_id,
+        content: action.post.content,
+        likes: action.post.likes,
+        visibility,
+        audience_list_id: action.post.audience_list_id || null,
+        group_id: group ? group.id : null,
+        course_id: action.post.course_id || null,
+        post_type: action.post.post_type || 'post',
+        created_at: action.post.created_at
+    });
+    await db.setPostTags(reinserted.id, parseHashtags(reinserted.content));
+    await updateMentions({ post_id: reinserted.id }, reinserted.content, userId);
+    searchIndex.addDocument(reinserted.id, reinserted.content);
+    await attachMentions([reinserted]);
+    publishPostCreated(reinserted);
+    return reinserted;
+}
+
+/**
+ * Extract unique lowercase #hashtags from post content
+ */
+function parseHashtags(content) {
+    const tags = (content || '').match(/#[\p{L}\p{N}_]{1,50}/gu) || [];
+    return [...new Set(tags.map(tag => tag.substring(1).toLowerCase()))];
+}
+
+// @email or @handle (a name without spaces), not preceded by a word or email character
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_@.])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+|[\p{L}\p{N}_]{1,50})/gu;
+
+/**
+ * Extract unique lowercase @mentions (without the @) from text
+ */
+function parseMentions(text) {
+    const handles = [...(text || '').matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase());
+    return [...new Set(handles)];
+}
+
+/**
+ * Resolve the @mentions in text to users
+ * Handles shared by several people resolve to the author's friend if
+ * exactly one of them is; otherwise the mention stays plain text
+ * @returns {Promise<Array>} [{user_id, handle}] one entry per user
+ */
+async function resolveMentions(text, authorId) {
+    const handles = parseMentions(text);
+    if (handles.length === 0) return [];
+
+    const friendIds = (await db.getFriendIds(authorId)).map(String);
+    const mentions = [];
+
+    for (const handle of handles) {
+        let user;
+        if (handle.includes('@')) {
+            user = await db.getUserByEmail(handle);
+        } else {
+            let candidates = await db.getUsersByHandle(handle);
+            if (candidates.length > 1) {
+                candidates = candidates.filter(candidate => friendIds.includes(String(candidate.id)));
+            }
+            user = candidates.length === 1 ? candidates[0] : null;
+        }
+
+        if (user && !mentions.some(mention => String(mention.user_id) === String(user.id))) {
+            mentions.push({ user_id: user.id, handle });
+        }
+    }
+
+    return mentions;
+}
+
+/**
+ * Re-resolve and store the mentions of a post or comment after it is written
+ * and notify people mentioned for the first time who can see the post
+ * (the post author already hears about comments on their post)
+ * @param {Object} target - {post_id, comment_id}
+ * @returns {Promise<Array>} Newly mentioned users' mention rows
+ */
+async function updateMentions(target, text, authorId) {
+    const added = await db.setMentions(target, authorId, await resolveMentions(text, authorId));
+    if (added.length === 0) return added;
+
+    const post = await db.getPostById(target.post_id);
+    for (const mention of added) {
+        const isPostAuthor = post && String(post.author_id) === String(mention.mentioned_user_id);
+        if (!post || (target.comment_id && isPostAuthor) || !(await db.canViewPost(post, mention.mentioned_user_id))) {
+            continue;
+        }
+        await notify(mention.mentioned_user_id, authorId, 'mention', {
+            post_id: target.post_id,
+            comment_id: target.comment_id
+        });
+    }
+
+    return added;
+}
+
+/**
+ * Record a notification for a user (never for their own actions)
+ * Failures are only logged: the action that triggered it already succeeded
+ * @param {string} userId - Who is notified
+ * @param {string} actorId - Who did it
+ * @param {string} type - like | comment | mention | friend_request | friend_accept | follow |
+ *   group_invite | group_request | group_approved
+ * @param {Object} refs - {post_id, comment_id, friendship_id, group_id}
+ */
+async function notify(userId, actorId, type, refs = {}) {
+    if (String(userId) === String(actorId)) return null;
+
+    try {
+        const notification = await db.createNotification({ user_id: userId, actor_id: actorId, type, ...refs });
+
+        realtime.sendToUser(userId, 'notification', {
+            notification_id: notification.id,
+            type,
+            unread_count: await db.countUnreadNotifications(userId)
+        });
+
+        return notification;
+    } catch (error) {
+        console.error('Notification error:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Attach `course` ({id, code, title, term}) to posts tagged with a course in one query
+ */
+async function attachCourses(posts) {
+    const courseIds = [...new Set(posts.map(post => post.course_id).filter(Boolean))];
+    const courses = await db.getCoursesByIds(courseIds);
+    const coursesById = new Map(courses.map(course => [String(course.id), course]));
+
+    posts.forEach(post => {
+        const course = coursesById.get(String(post.course_id));
+        post.course = course ? { id: course.id, code: course.code, title: course.title, term: course.term } : null;
+    });
+}
+
+/**
+ * Attach `mentions` ([{user_id, name, handle}]) to posts and comments in one query
+ */
+async function attachMentions(posts, comments = []) {
+    const rows = posts.length > 0 ? await db.getMentionsForPosts(posts.map(post => post.id)) : [];
+    const toMention = row => ({
+        user_id: row.mentioned_user_id,
+        name: row.user?.name || 'Unknown',
+        handle: row.handle
+    });
+
+    posts.forEach(post => {
+        post.mentions = rows
+            .filter(row => String(row.post_id) === String(post.id) && !row.comment_id)
+            .map(toMention);
+    });
+    comments.forEach(comment => {
+        comment.mentions = rows
+            .filter(row => String(row.comment_id) === String(comment.id))
+            .map(toMention);
+    });
+}
+
+/**
+ * Replace a post's content and record the new version as a revision
+ * The first edit also stores the original text as revision 1
+ * @param {Object} post - Post row as it is before the change
+ * @param {string} content - New content
+ * @param {string} editorId - User making the change
+ * @returns {Promise<Object|null>} Updated post row or null if not owned
+ */
+async function updatePostContent(post, content, editorId) {
+    const updatedPost = await db.updatePost(post.id, editorId, {
+        content,
+        edited_at: new Date().toISOString()
+    });
+    if (!updatedPost) return null;
+
+    if ((await db.countRevisions(post.id)) === 0) {
+        await db.addPostRevision({
+            post_id: post.id,
+            editor_id: post.author_id,
+            content: post.content,
+            created_at: post.created_at
+        });
+    }
+    await db.addPostRevision({ post_id: post.id, editor_id: editorId, content });
+    await db.setPostTags(post.id, parseHashtags(content));
+    await updateMentions({ post_id: post.id }, content, editorId);
+    searchIndex.addDocument(post.id, content);
+    await attachMentions([updatedPost]);
+    publishPostUpdated(updatedPost);
+
+    return updatedPost;
+}
+
+/**
+ * Re-index every live post; search requests wait for this on startup
+ */
+async function rebuildSearchIndex() {
+    try {
+        // Search results are filtered per viewer, so private group posts are indexed too
+        const posts = await db.getAllPosts({ includeGroupPosts: true });
+        searchIndex.rebuild(posts);
+        console.log(`🔎 Indexed ${posts.length} posts for search`);
+    } catch (error) {
+        console.error('Search index error:', error.message);
+    }
+}
+
+let searchIndexReady = rebuildSearchIndex();
+
+/**
+ * Reload every user into the autocomplete trie
+ */
+async function rebuildUserTrie() {
+    try {
+        userTrie.rebuild(await db.getAllUsers());
+    } catch (error) {
+        console.error('User trie error:', error.message);
+    }
+}
+
+let userTrieReady = rebuildUserTrie();
+
+// Periodically drop stale undo entries and empty old posts from the Trash
+setInterval(() => {
+    undoStack.purgeExpired()
+        .then(count => {
+            if (count > 0) console.log(`🧹 Purged ${count} expired undo entries`);
+        })
+        .catch(error => console.error('Undo purge error:', error.message));
+
+    db.purgeDeletedPosts(trashCutoff())
+        .then(count => {
+            if (count > 0) console.log(`🧹 Purged ${count} posts from the Trash`);
+        })
+        .catch(error => console.error('Trash purge error:', error.message));
+
+    // Catch up on posts and users written by other server instances
+    searchIndexReady = rebuildSearchIndex();
+    userTrieReady = rebuildUserTrie();
+}, 60 * 60 * 1000).unref();
+
+// Page sizes for the feed and My Posts
+const FEED_DEFAULT_LIMIT = 10;
+const FEED_MAX_LIMIT = 50;
+const FEED_PREVIEW_COMMENTS = 3; // Comments sent with each post; the rest load on demand
+const FEED_SORTS = ['newest', 'oldest', 'mostLiked'];
+// following: only authors the caller follows; unanswered: questions without an accepted answer
+const FEED_FILTERS = ['all', 'following', 'unanswered'];
+const MY_POSTS_DEFAULT_LIMIT = 20;
+
+// A question's comments are its answers: they can be upvoted and the
+// author can accept one
+const POST_TYPES = ['post', 'question'];
+
+// Who can see a post: everyone, the author's accepted friends, one of the
+// author's friend lists, or only the author
+const POST_VISIBILITIES = ['public', 'friends', 'list', 'private'];
+const FRIEND_LIST_NAME_MAX = 50;
+
+/**
+ * Encode the last post of a page as an opaque cursor
+ */
+function encodePostCursor(post) {
+    return Buffer.from(JSON.stringify({ id: post.id, likes: post.likes || 0 })).toString('base64url');
+}
+
+/**
+ * Decode a feed cursor, returning null if it is malformed
+ */
+function decodePostCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return decoded && decoded.id !== undefined ? decoded : null;
+    } catch (error) {
+        return null;
     }
+}
+
+/**
+ * Shape a comment row for API responses
+ */
+function formatComment(comment) {
+    return {
+        id: comment.id,
+        text: comment.text,
+        author: comment.author?.name || 'Unknown',
+        author_id: comment.author_id,
+        post_id: comment.post_id,
+        created_at: comment.created_at,
+        mentions: comment.mentions || [],
+        score: comment.score || 0,
+        upvoted: Boolean(comment.upvoted)
+    };
+}
+
+/**
+ * Order a question's answers: the accepted one first, then by score, oldest first on ties
+ */
+function sortAnswers(post, comments) {
+    const accepted = String(post.accepted_comment_id);
+    return [...comments].sort((a, b) =>
+        Number(String(b.id) === accepted) - Number(String(a.id) === accepted) ||
+        (b.score || 0) - (a.score || 0) ||
+        new Date(a.created_at) - new Date(b.created_at));
+}
+
+/**
+ * Mark the answers a user has upvoted with `upvoted: true` in one query
+ */
+async function attachAnswerVotes(comments, userId) {
+    if (!userId || comments.length === 0) return;
+
+    const voted = new Set((await db.getAnswerVoteIds(userId, comments.map(comment => comment.id))).map(String));
+    comments.forEach(comment => {
+        comment.upvoted = voted.has(String(comment.id));
+    });
+}
 
-    isEmpty(userId) {
-        return !this.stacks.has(userId) || this.stacks.get(userId).length === 0;
+/**
+ * Shape a post for the feed and single-post responses
+ * @param {Object} post - Post row with author
+ * @param {Array} likedBy - User IDs that liked the post
+ * @param {Array} comments - Comment rows with authors (oldest first)
+ * @param {string} viewerId - Requesting user's ID
+ * @param {number} [commentLimit] - Only include the latest N comments (top N answers for a question)
+ */
+function toFeedItem(post, likedBy, comments, viewerId, commentLimit = comments.length) {
+    const isQuestion = post.post_type === 'question';
+    let preview = [];
+    if (commentLimit > 0) {
+        preview = isQuestion ? sortAnswers(post, comments).slice(0, commentLimit) : comments.slice(-commentLimit);
     }
 
-    clear(userId) {
-        if (this.stacks.has(userId)) {
-            this.stacks.delete(userId);
+    return {
+        post_id: post.id,
+        content: post.content,
+        timestamp: post.created_at,
+        edited_at: post.edited_at || null,
+        visibility: post.visibility || 'public',
+        audience_list_id: post.audience_list_id || null,
+        group_id: post.group_id || null,
+        course_id: post.course_id || null,
+        course: post.course || null,
+        post_type: post.post_type || 'post',
+        accepted_comment_id: post.accepted_comment_id || null,
+        author_id: post.author_id,
+        author_name: post.author?.name || 'Unknown',
+        author_initials: post.author?.initials || getInitials(post.author?.name || 'U'),
+        likes_count: likedBy.length,
+        liked_by_me: likedBy.some(id => String(id) === String(viewerId)),
+        comments_count: comments.length,
+        comments: preview.map(formatComment),
+        mentions: post.mentions || []
+    };
+}
+
+/**
+ * Fetch likes and comments for a page of posts in two queries
+ * (mentions, courses and the viewer's answer upvotes are attached along the way)
+ * @param {Array} posts - Post rows
+ * @param {string} [viewerId] - Leave out comments by users blocked either way
+ * @returns {Promise<Object>} {likesByPost, commentsByPost} keyed by post id string
+ */
+async function loadPostActivity(posts, viewerId = null) {
+    const postIds = posts.map(post => post.id);
+    const [likes, allComments, blockedIds] = await Promise.all([
+        db.getLikesForPosts(postIds),
+        db.getCommentsForPosts(postIds),
+        viewerId ? db.getBlockedUserIds(viewerId) : []
+    ]);
+    const hiddenAuthors = new Set(blockedIds.map(String));
+    const comments = allComments.filter(comment => !hiddenAuthors.has(String(comment.author_id)));
+    await attachMentions(posts, comments);
+    await attachCourses(posts);
+
+    const questionIds = new Set(posts.filter(post => post.post_type === 'question').map(post => String(post.id)));
+    await attachAnswerVotes(comments.filter(comment => questionIds.has(String(comment.post_id))), viewerId);
+
+    const likesByPost = new Map();
+    likes.forEach(like => {
+        const key = String(like.post_id);
+        if (!likesByPost.has(key)) likesByPost.set(key, []);
+        likesByPost.get(key).push(like.user_id);
+    });
+
+    const commentsByPost = new Map();
+    comments.forEach(comment => {
+        const key = String(comment.post_id);
+        if (!commentsByPost.has(key)) commentsByPost.set(key, []);
+        commentsByPost.get(key).push(comment);
+    });
+
+    return { likesByPost, commentsByPost };
+}
+
+// ========== REALTIME PUBLISHING ==========
+// These helpers never reject and are called without await:
+// a request should not wait on (or fail because of) other people's streams
+
+/**
+ * Push a post event to every connected user who can see the post
+ * With dropIfHidden, users who can no longer see it are told to remove it
+ */
+async function publishPostEvent(post, event, data, dropIfHidden = false) {
+    try {
+        const userIds = realtime.connectedUserIds();
+        if (userIds.length === 0) return;
+
+        // One set of audience queries per event, not one visibility check per stream
+        const viewers = await db.filterPostViewers(post, userIds);
+        for (const userId of userIds) {
+            if (viewers.has(userId)) {
+                realtime.sendToUser(userId, event, data);
+            } else if (dropIfHidden) {
+                realtime.sendToUser(userId, 'post_deleted', { post_id: post.id });
+            }
         }
+    } catch (error) {
+        console.error(`Realtime ${event} error:`, error.message);
     }
+}
 
-    size(userId) {
-        return this.stacks.has(userId) ? this.stacks.get(userId).length : 0;
+/**
+ * Push a new or restored post, with its likes and comment preview
+ */
+async function publishPostCreated(post) {
+    if (realtime.size === 0) return;
+
+    try {
+        const [withAuthor] = await db.attachUsers([post], 'author_id', 'author');
+        const { likesByPost, commentsByPost } = await loadPostActivity([withAuthor]);
+
+        await publishPostEvent(post, 'post_created', {
+            post: toFeedItem(
+                withAuthor,
+                likesByPost.get(String(post.id)) || [],
+                commentsByPost.get(String(post.id)) || [],
+                null,
+                FEED_PREVIEW_COMMENTS
+            )
+        });
+    } catch (error) {
+        console.error('Realtime post_created error:', error.message);
     }
 }
 
-// Initialize global undo stack
-const undoStack = new UndoStack();
+/**
+ * Push a post's new content and visibility
+ */
+function publishPostUpdated(post) {
+    return publishPostEvent(post, 'post_updated', {
+        post_id: post.id,
+        content: post.content,
+        edited_at: post.edited_at || null,
+        visibility: post.visibility || 'public',
+        audience_list_id: post.audience_list_id || null,
+        mentions: post.mentions || []
+    }, true);
+}
+
+/**
+ * Check a requested post visibility
+ * List posts must name one of the author's own friend lists
+ * @returns {Promise<Object>} {error} or {audience_list_id} to store with the post
+ */
+async function resolvePostAudience(userId, visibility, audienceListId) {
+    if (!POST_VISIBILITIES.includes(visibility)) {
+        return { error: `Visibility must be one of: ${POST_VISIBILITIES.join(', ')}` };
+    }
+    if (visibility !== 'list') {
+        return { audience_list_id: null };
+    }
+    if (audienceListId === undefined || audienceListId === null || audienceListId === '') {
+        return { error: 'Choose a friend list to share the post with' };
+    }
+
+    const list = await db.getFriendListById(audienceListId);
+    if (!list || String(list.owner_id) !== String(userId)) {
+        return { error: 'Friend list not found' };
+    }
+    return { audience_list_id: list.id };
+}
 
 /**
- * GET /api/posts/my-posts
- * Fetch all posts by the authenticated user with counts
+ * GET /api/posts/my-posts?cursor=&limit=
+ * Fetch a page of the authenticated user's posts with counts
+ * Likes and comments for the whole page are fetched in two batched queries
  */
 app.get('/api/posts/my-posts', authenticateToken, async (req, res) => {
-    console.log('=== GET /api/posts/my-posts endpoint called ===');
-    console.log('User from token:', req.user);
-    
     try {
         const { userId } = req.user;
-        console.log('Fetching posts for userId:', userId);
-
-        // Fetch user's posts with author info
-        const { data: posts, error: postsError } = await supabase
-            .from('posts')
-            .select(`
-                id,
-                content,
-                created_at,
-                author_id,
-                likes,
-                author:users!posts_author_id_fkey(name, email, initials)
-            `)
-            .eq('author_id', userId)
-            .order('created_at', { ascending: false });
+        const { cursor } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || MY_POSTS_DEFAULT_LIMIT, FEED_MAX_LIMIT);
 
-        console.log('Supabase query result - posts:', posts);
-        console.log('Supabase query error:', postsError);
-
-        if (postsError) {
-            console.error('Error fetching posts:', postsError);
-            return res.status(500).json({
+        const after = cursor ? decodePostCursor(cursor) : null;
+        if (cursor && !after) {
+            return res.status(400).json({
                 success: false,
-                message: 'Failed to fetch posts',
-                error: postsError.message
+                message: 'Invalid cursor'
             });
         }
 
-        console.log(`Found ${posts ? posts.length : 0} posts`);
+        // Fetch one extra post to know whether another page exists
+        const rows = await db.getFeedPosts({ authorId: userId, after, limit: limit + 1 });
+        const hasMore = rows.length > limit;
+        const posts = rows.slice(0, limit);
 
-        // Get likes count, comments, and liked_by for each post
-        const postsWithCounts = await Promise.all(posts.map(async (post) => {
-            // Get likes count
-            const { count: likesCount, error: likesError } = await supabase
-                .from('likes')
-                .select('*', { count: 'exact', head: true })
-                .eq('post_id', post.id);
+        const { likesByPost, commentsByPost } = await loadPostActivity(posts, userId);
 
-            // Get liked_by user IDs
-            const { data: likes, error: likesDataError } = await supabase
-                .from('likes')
-                .select('user_id')
-                .eq('post_id', post.id);
-            
-            const likedBy = likes ? likes.map(like => like.user_id) : [];
-
-            // Get comments with author info
-            const { data: comments, error: commentsError } = await supabase
-                .from('comments')
-                .select(`
-                    id,
-                    text,
-                    created_at,
-                    post_id,
-                    author_id,
-                    author:users!comments_author_id_fkey(name, email)
-                `)
-                .eq('post_id', post.id)
-                .order('created_at', { ascending: true });
-
-            const formattedComments = comments ? comments.map(comment => ({
-                id: comment.id,
-                text: comment.text,
-                author: comment.author?.name || 'Unknown',
-                author_id: comment.author_id,
-                post_id: comment.post_id,
-                created_at: comment.created_at
-            })) : [];
+        const postsWithCounts = posts.map(post => {
+            const likedBy = likesByPost.get(String(post.id)) || [];
+            const rows = commentsByPost.get(String(post.id)) || [];
+            const comments = (post.post_type === 'question' ? sortAnswers(post, rows) : rows).map(formatComment);
 
             return {
                 post_id: post.id,
                 content: post.content,
                 timestamp: post.created_at,
-                likes_count: likesCount || 0,
-                comments_count: formattedComments.length,
+                likes_count: likedBy.length,
+                comments_count: comments.length,
                 liked_by: likedBy,
-                comments: formattedComments,
+                comments,
+                edited_at: post.edited_at || null,
+                visibility: post.visibility || 'public',
+                audience_list_id: post.audience_list_id || null,
+                group_id: post.group_id || null,
+                course_id: post.course_id || null,
+                course: post.course || null,
+                post_type: post.post_type || 'post',
+                accepted_comment_id: post.accepted_comment_id || null,
+                mentions: post.mentions || [],
                 author: post.author,
                 author_name: post.author?.name || 'Unknown'
             };
-        }));
-
-        console.log('Posts with counts:', postsWithCounts);
+        });
 
         res.status(200).json({
             success: true,
             message: `Found ${postsWithCounts.length} posts`,
             data: {
                 posts: postsWithCounts,
-                total: postsWithCounts.length
+                total: await db.countPostsByUser(userId),
+                next_cursor: hasMore ? encodePostCursor(posts[posts.length - 1]) : null,
+                has_more: hasMore
             }
         });
 
@@ -614,22 +1220,125 @@ app.get('/api/posts/my-posts', authenticateToken, async (req, res) => {
 });
 
 /**
- * PUT /api/posts/edit
- * Update a post's content and push original to undo stack
+ * POST /api/posts/create
+ * Create a post with a visibility (public, friends, list or private)
+ * List posts also send audience_list_id; group posts send group_id
+ * instead and take their visibility from the group
+ * course_id tags the post with one of the author's enrolled courses
+ * post_type is post (default) or question
  */
-app.put('/api/posts/edit', authenticateToken, async (req, res) => {
+app.post('/api/posts/create', authenticateToken, async (req, res) => {
     try {
         const { userId } = req.user;
-        const { post_id, content } = req.body;
+        const { content, audience_list_id, group_id, course_id, post_type = 'post' } = req.body;
+        let { visibility = 'public' } = req.body;
 
-        // Validation
-        if (!post_id || !content) {
+        if (!content || content.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Post content cannot be empty'
+            });
+        }
+
+        if (!POST_TYPES.includes(post_type)) {
+            return res.status(400).json({
+                success: false,
+                message: `Post type must be one of: ${POST_TYPES.join(', ')}`
+            });
+        }
+
+        let group = null;
+        if (group_id !== undefined && group_id !== null && group_id !== '') {
+            group = await db.getGroupById(group_id);
+            if (!group || !(await db.isGroupMember(group.id, userId))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only group members can post in a group'
+                });
+            }
+            visibility = db.groupPostVisibility(group);
+        }
+
+        const hasCourse = course_id !== undefined && course_id !== null && course_id !== '';
+        if (hasCourse && !(await db.isEnrolled(course_id, userId))) {
+            return res.status(400).json({
+                success: false,
+                message: 'You can only tag posts with courses you are enrolled in'
+            });
+        }
+
+        const audience = group
+            ? { audience_list_id: null }
+            : await resolvePostAudience(userId, visibility, audience_list_id);
+        if (audience.error) {
+            return res.status(400).json({
+                success: false,
+                message: audience.error
+            });
+        }
+
+        const post = await db.createPost({
+            author_id: userId,
+            content: content.trim(),
+            visibility,
+            audience_list_id: audience.audience_list_id,
+            group_id: group ? group.id : null,
+            course_id: hasCourse ? course_id : null,
+            post_type
+        });
+        await db.setPostTags(post.id, parseHashtags(post.content));
+        await updateMentions({ post_id: post.id }, post.content, userId);
+        searchIndex.addDocument(post.id, post.content);
+        const [withAuthor] = await db.attachUsers([post], 'author_id', 'author');
+        await attachMentions([withAuthor]);
+        await attachCourses([withAuthor]);
+        publishPostCreated(post);
+
+        res.status(201).json({
+            success: true,
+            message: 'Post created successfully',
+            data: {
+                post: toFeedItem(withAuthor, [], [], userId)
+            }
+        });
+
+    } catch (error) {
+        console.error('Create post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/posts/edit
+ * Update a post's content (and optionally visibility) and push original to undo stack
+ */
+app.put('/api/posts/edit', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { post_id, content, visibility, audience_list_id } = req.body;
+
+        // Validation
+        if (!post_id || !content) {
             return res.status(400).json({
                 success: false,
                 message: 'Post ID and content are required'
             });
         }
 
+        const audience = visibility !== undefined
+            ? await resolvePostAudience(userId, visibility, audience_list_id)
+            : {};
+        if (audience.error) {
+            return res.status(400).json({
+                success: false,
+                message: audience.error
+            });
+        }
+
         if (content.trim().length === 0) {
             return res.status(400).json({
                 success: false,
@@ -638,39 +1347,55 @@ app.put('/api/posts/edit', authenticateToken, async (req, res) => {
         }
 
         // Fetch the original post
-        const { data: originalPost, error: fetchError } = await supabase
-            .from('posts')
-            .select('*')
-            .eq('id', post_id)
-            .eq('author_id', userId)
-            .single();
-
-        if (fetchError || !originalPost) {
+        const originalPost = await db.getPostById(post_id);
+
+        if (!originalPost || String(originalPost.author_id) !== String(userId)) {
             return res.status(404).json({
                 success: false,
                 message: 'Post not found or you do not have permission to edit it'
             });
         }
 
-        // Store original post in undo stack
-        undoStack.push(userId, {
-            type: 'EDIT',
-            post_id: originalPost.id,
-            original_content: originalPost.content,
-            new_content: content.trim(),
-            timestamp: new Date().toISOString()
-        });
+        const newContent = content.trim();
+        const contentChanged = newContent !== originalPost.content;
+        const visibilityChanged = visibility !== undefined &&
+            (visibility !== (originalPost.visibility || 'public') ||
+                String(audience.audience_list_id) !== String(originalPost.audience_list_id || null));
+
+        if (visibilityChanged && originalPost.group_id) {
+            return res.status(400).json({
+                success: false,
+                message: 'Group posts follow the visibility of their group'
+            });
+        }
 
-        // Update the post
-        const { data: updatedPost, error: updateError } = await supabase
-            .from('posts')
-            .update({ content: content.trim() })
-            .eq('id', post_id)
-            .eq('author_id', userId)
-            .select()
-            .single();
+        let updatedPost = originalPost;
+        try {
+            if (contentChanged) {
+                updatedPost = await updatePostContent(originalPost, newContent, userId);
+
+                // Only an edit that was saved goes on the undo stack
+                if (updatedPost) {
+                    await undoStack.push(userId, {
+                        type: 'EDIT',
+                        post_id: originalPost.id,
+                        original_content: originalPost.content,
+                        new_content: newContent,
+                        timestamp: new Date().toISOString()
+                    });
+
+                    // A new action invalidates anything that was undone before it
+                    await redoStack.clear(userId);
+                }
+            }
 
-        if (updateError) {
+            if (visibilityChanged && updatedPost) {
+                updatedPost = await db.updatePost(post_id, userId, {
+                    visibility,
+                    audience_list_id: audience.audience_list_id
+                });
+            }
+        } catch (updateError) {
             console.error('Update error:', updateError);
             return res.status(500).json({
                 success: false,
@@ -679,12 +1404,25 @@ app.put('/api/posts/edit', authenticateToken, async (req, res) => {
             });
         }
 
+        // Deleted while we were editing it
+        if (!updatedPost) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found or you do not have permission to edit it'
+            });
+        }
+
+        await attachMentions([updatedPost]);
+        if (visibilityChanged) {
+            publishPostUpdated(updatedPost);
+        }
+
         res.status(200).json({
             success: true,
             message: 'Post updated successfully',
             data: {
                 post: updatedPost,
-                undo_available: true
+                undo_available: contentChanged
             }
         });
 
@@ -700,7 +1438,7 @@ app.put('/api/posts/edit', authenticateToken, async (req, res) => {
 
 /**
  * DELETE /api/posts/delete
- * Delete a post and push to undo stack
+ * Move a post to the Trash and push to undo stack
  */
 app.delete('/api/posts/delete', authenticateToken, async (req, res) => {
     try {
@@ -716,14 +1454,9 @@ app.delete('/api/posts/delete', authenticateToken, async (req, res) => {
         }
 
         // Fetch the post before deleting
-        const { data: postToDelete, error: fetchError } = await supabase
-            .from('posts')
-            .select('*')
-            .eq('id', post_id)
-            .eq('author_id', userId)
-            .single();
-
-        if (fetchError || !postToDelete) {
+        const postToDelete = await db.getPostById(post_id);
+
+        if (!postToDelete || String(postToDelete.author_id) !== String(userId)) {
             return res.status(404).json({
                 success: false,
                 message: 'Post not found or you do not have permission to delete it'
@@ -731,46 +1464,30 @@ app.delete('/api/posts/delete', authenticateToken, async (req, res) => {
         }
 
         // Store the entire post in undo stack
-        undoStack.push(userId, {
+        await undoStack.push(userId, {
             type: 'DELETE',
             post: {
                 id: postToDelete.id,
                 author_id: postToDelete.author_id,
                 content: postToDelete.content,
                 likes: postToDelete.likes,
+                visibility: postToDelete.visibility,
+                audience_list_id: postToDelete.audience_list_id,
+                group_id: postToDelete.group_id,
+                course_id: postToDelete.course_id,
+                post_type: postToDelete.post_type,
                 created_at: postToDelete.created_at
             },
             timestamp: new Date().toISOString()
         });
 
-        // Delete associated likes first (foreign key constraint)
-        const { error: likesDeleteError } = await supabase
-            .from('likes')
-            .delete()
-            .eq('post_id', post_id);
-
-        if (likesDeleteError) {
-            console.error('Error deleting likes:', likesDeleteError);
-        }
-
-        // Delete associated comments (foreign key constraint)
-        const { error: commentsDeleteError } = await supabase
-            .from('comments')
-            .delete()
-            .eq('post_id', post_id);
-
-        if (commentsDeleteError) {
-            console.error('Error deleting comments:', commentsDeleteError);
-        }
+        // A new action invalidates anything that was undone before it
+        await redoStack.clear(userId);
 
-        // Delete the post
-        const { error: deleteError } = await supabase
-            .from('posts')
-            .delete()
-            .eq('id', post_id)
-            .eq('author_id', userId);
-
-        if (deleteError) {
+        // Soft delete: likes and comments stay until the post is purged from the Trash
+        try {
+            await db.deletePost(post_id, userId);
+        } catch (deleteError) {
             console.error('Delete error:', deleteError);
             return res.status(500).json({
                 success: false,
@@ -779,6 +1496,9 @@ app.delete('/api/posts/delete', authenticateToken, async (req, res) => {
             });
         }
 
+        searchIndex.removeDocument(postToDelete.id);
+        realtime.broadcast('post_deleted', { post_id: postToDelete.id });
+
         res.status(200).json({
             success: true,
             message: 'Post deleted successfully',
@@ -806,30 +1526,30 @@ app.post('/api/posts/undo', authenticateToken, async (req, res) => {
     try {
         const { userId } = req.user;
 
-        // Check if undo stack is empty
-        if (undoStack.isEmpty(userId)) {
+        // Pop the last action (another tab may have emptied the stack, so check the result)
+        const lastAction = await undoStack.pop(userId);
+
+        if (!lastAction) {
             return res.status(400).json({
                 success: false,
                 message: 'No actions to undo'
             });
         }
 
-        // Pop the last action
-        const lastAction = undoStack.pop(userId);
-
         if (lastAction.type === 'EDIT') {
             // Restore original content
-            const { data: restoredPost, error: restoreError } = await supabase
-                .from('posts')
-                .update({ content: lastAction.original_content })
-                .eq('id', lastAction.post_id)
-                .eq('author_id', userId)
-                .select()
-                .single();
+            let restoredPost = null;
+            let restoreError = null;
+            try {
+                const currentPost = await db.getPostById(lastAction.post_id);
+                restoredPost = currentPost && await updatePostContent(currentPost, lastAction.original_content, userId);
+            } catch (error) {
+                restoreError = error;
+            }
 
             if (restoreError) {
                 // Push action back to stack if restoration fails
-                undoStack.push(userId, lastAction);
+                await undoStack.push(userId, lastAction);
                 
                 console.error('Undo edit error:', restoreError);
                 return res.status(500).json({
@@ -839,16 +1559,24 @@ app.post('/api/posts/undo', authenticateToken, async (req, res) => {
                 });
             }
 
-            // Get likes and comments count for the restored post
-            const { count: likesCount } = await supabase
-                .from('likes')
-                .select('*', { count: 'exact', head: true })
-                .eq('post_id', restoredPost.id);
+            // The post was deleted since, so the entry is spent rather than retried
+            if (!restoredPost) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Post no longer exists',
+                    data: {
+                        conflict: true,
+                        remaining_undos: await undoStack.size(userId)
+                    }
+                });
+            }
+
+            // Make the undone action available to redo
+            await redoStack.push(userId, lastAction);
 
-            const { count: commentsCount } = await supabase
-                .from('comments')
-                .select('*', { count: 'exact', head: true })
-                .eq('post_id', restoredPost.id);
+            // Get likes and comments count for the restored post
+            const likesCount = await db.countLikes(restoredPost.id);
+            const commentsCount = await db.countComments(restoredPost.id);
 
             return res.status(200).json({
                 success: true,
@@ -860,29 +1588,27 @@ app.post('/api/posts/undo', authenticateToken, async (req, res) => {
                         content: restoredPost.content,
                         timestamp: restoredPost.created_at,
                         likes_count: likesCount || 0,
-                        comments_count: commentsCount || 0
+                        comments_count: commentsCount || 0,
+                        mentions: restoredPost.mentions || []
                     },
-                    remaining_undos: undoStack.size(userId)
+                    remaining_undos: await undoStack.size(userId),
+                    remaining_redos: await redoStack.size(userId)
                 }
             });
 
         } else if (lastAction.type === 'DELETE') {
             // Restore deleted post
-            const { data: restoredPost, error: restoreError } = await supabase
-                .from('posts')
-                .insert([{
-                    id: lastAction.post.id,
-                    author_id: lastAction.post.author_id,
-                    content: lastAction.post.content,
-                    likes: lastAction.post.likes,
-                    created_at: lastAction.post.created_at
-                }])
-                .select()
-                .single();
+            let restoredPost = null;
+            let restoreError = null;
+            try {
+                restoredPost = await restoreFromTrash(lastAction, userId);
+            } catch (error) {
+                restoreError = error;
+            }
 
             if (restoreError) {
                 // Push action back to stack if restoration fails
-                undoStack.push(userId, lastAction);
+                await undoStack.push(userId, lastAction);
                 
                 console.error('Undo delete error:', restoreError);
                 return res.status(500).json({
@@ -892,16 +1618,24 @@ app.post('/api/posts/undo', authenticateToken, async (req, res) => {
                 });
             }
 
-            // Get likes and comments count for the restored post
-            const { count: likesCount } = await supabase
-                .from('likes')
-                .select('*', { count: 'exact', head: true })
-                .eq('post_id', restoredPost.id);
+            // The post is already back, so the entry is spent rather than retried
+            if (!restoredPost) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Post has already been restored',
+                    data: {
+                        conflict: true,
+                        remaining_undos: await undoStack.size(userId)
+                    }
+                });
+            }
 
-            const { count: commentsCount } = await supabase
-                .from('comments')
-                .select('*', { count: 'exact', head: true })
-                .eq('post_id', restoredPost.id);
+            // Make the undone action available to redo
+            await redoStack.push(userId, lastAction);
+
+            // Get likes and comments count for the restored post
+            const likesCount = await db.countLikes(restoredPost.id);
+            const commentsCount = await db.countComments(restoredPost.id);
 
             return res.status(200).json({
                 success: true,
@@ -913,9 +1647,11 @@ app.post('/api/posts/undo', authenticateToken, async (req, res) => {
                         content: restoredPost.content,
                         timestamp: restoredPost.created_at,
                         likes_count: likesCount || 0,
-                        comments_count: commentsCount || 0
+                        comments_count: commentsCount || 0,
+                        mentions: restoredPost.mentions || []
                     },
-                    remaining_undos: undoStack.size(userId)
+                    remaining_undos: await undoStack.size(userId),
+                    remaining_redos: await redoStack.size(userId)
                 }
             });
 
@@ -936,17 +1672,170 @@ app.post('/api/posts/undo', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/posts/redo
+ * Re-apply the last undone edit or delete action
+ */
+app.post('/api/posts/redo', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+
+        // Pop the last undone action (another tab may have emptied the stack, so check the result)
+        const lastAction = await redoStack.pop(userId);
+
+        if (!lastAction) {
+            return res.status(400).json({
+                success: false,
+                message: 'No actions to redo'
+            });
+        }
+
+        if (lastAction.type === 'EDIT') {
+            // Re-apply the edited content
+            let updatedPost = null;
+            let redoError = null;
+            try {
+                const currentPost = await db.getPostById(lastAction.post_id);
+                updatedPost = currentPost && await updatePostContent(currentPost, lastAction.new_content, userId);
+            } catch (error) {
+                redoError = error;
+            }
+
+            if (redoError) {
+                // Push action back to stack if redo fails
+                await redoStack.push(userId, lastAction);
+
+                console.error('Redo edit error:', redoError);
+                return res.status(500).json({
+                    success: false,
+                    message: 'Failed to redo edit',
+                    error: redoError.message
+                });
+            }
+
+            // The post was deleted since, so the entry is spent rather than retried
+            if (!updatedPost) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Post no longer exists',
+                    data: {
+                        conflict: true,
+                        remaining_redos: await redoStack.size(userId)
+                    }
+                });
+            }
+
+            // The edit can be undone again
+            await undoStack.push(userId, { ...lastAction, timestamp: new Date().toISOString() });
+
+            const likesCount = await db.countLikes(updatedPost.id);
+            const commentsCount = await db.countComments(updatedPost.id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Edit redone successfully',
+                data: {
+                    action: 'REDO_EDIT',
+                    post: {
+                        post_id: updatedPost.id,
+                        content: updatedPost.content,
+                        timestamp: updatedPost.created_at,
+                        likes_count: likesCount || 0,
+                        comments_count: commentsCount || 0,
+                        mentions: updatedPost.mentions || []
+                    },
+                    remaining_undos: await undoStack.size(userId),
+                    remaining_redos: await redoStack.size(userId)
+                }
+            });
+
+        } else if (lastAction.type === 'DELETE') {
+            // Delete the restored post again
+            const postToDelete = await db.getPostById(lastAction.post.id);
+
+            if (!postToDelete || String(postToDelete.author_id) !== String(userId)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Post not found or you do not have permission to delete it'
+                });
+            }
+
+            try {
+                await db.deletePost(postToDelete.id, userId);
+                searchIndex.removeDocument(postToDelete.id);
+                realtime.broadcast('post_deleted', { post_id: postToDelete.id });
+            } catch (redoError) {
+                // Push action back to stack if redo fails
+                await redoStack.push(userId, lastAction);
+
+                console.error('Redo delete error:', redoError);
+                return res.status(500).json({
+                    success: false,
+                    message: 'Failed to redo delete',
+                    error: redoError.message
+                });
+            }
+
+            // The delete can be undone again
+            await undoStack.push(userId, {
+                type: 'DELETE',
+                post: {
+                    id: postToDelete.id,
+                    author_id: postToDelete.author_id,
+                    content: postToDelete.content,
+                    likes: postToDelete.likes,
+                    visibility: postToDelete.visibility,
+                    audience_list_id: postToDelete.audience_list_id,
+                    group_id: postToDelete.group_id,
+                    course_id: postToDelete.course_id,
+                    post_type: postToDelete.post_type,
+                    created_at: postToDelete.created_at
+                },
+                timestamp: new Date().toISOString()
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: 'Delete redone successfully',
+                data: {
+                    action: 'REDO_DELETE',
+                    deleted_post_id: postToDelete.id,
+                    remaining_undos: await undoStack.size(userId),
+                    remaining_redos: await redoStack.size(userId)
+                }
+            });
+
+        } else {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown action type'
+            });
+        }
+
+    } catch (error) {
+        console.error('Redo error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/posts/undo-status
- * Check if undo is available for current user
+ * Check if undo/redo is available for current user
  */
 app.get('/api/posts/undo-status', authenticateToken, async (req, res) => {
     try {
         const { userId } = req.user;
 
-        const isEmpty = undoStack.isEmpty(userId);
-        const size = undoStack.size(userId);
-        const lastAction = undoStack.peek(userId);
+        const size = await undoStack.size(userId);
+        const isEmpty = size === 0;
+        const lastAction = await undoStack.peek(userId);
+
+        const redoSize = await redoStack.size(userId);
+        const lastRedoAction = await redoStack.peek(userId);
 
         res.status(200).json({
             success: true,
@@ -956,6 +1845,12 @@ app.get('/api/posts/undo-status', authenticateToken, async (req, res) => {
                 last_action: lastAction ? {
                     type: lastAction.type,
                     timestamp: lastAction.timestamp
+                } : null,
+                redo_available: redoSize > 0,
+                redo_count: redoSize,
+                last_redo_action: lastRedoAction ? {
+                    type: lastRedoAction.type,
+                    timestamp: lastRedoAction.timestamp
                 } : null
             }
         });
@@ -970,73 +1865,84 @@ app.get('/api/posts/undo-status', authenticateToken, async (req, res) => {
     }
 });
 
-// ========== LIKE/UNLIKE ENDPOINTS ==========
-
 /**
- * POST /api/posts/like
- * Like a post
+ * Shorten post content for history previews
  */
-app.post('/api/posts/like', authenticateToken, async (req, res) => {
-    try {
-        const { userId } = req.user;
-        const { post_id } = req.body;
+function previewText(text, maxLength = 100) {
+    if (!text) return '';
+    return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+}
 
-        if (!post_id) {
-            return res.status(400).json({
-                success: false,
-                message: 'Post ID is required'
-            });
+/**
+ * Check whether an undo action can still be applied to the post as it is now
+ * EDIT conflicts if the post was edited again after the entry (overridable)
+ * or no longer exists; DELETE conflicts if the post is already back
+ * @param {Object} action - Undo action payload
+ * @param {Object|null} currentPost - Current post row
+ * @returns {Object|null} {reason, overridable} or null when there is no conflict
+ */
+function getUndoConflict(action, currentPost) {
+    if (action.type === 'EDIT') {
+        if (!currentPost) {
+            return { reason: 'Post no longer exists', overridable: false };
+        }
+        if (currentPost.content !== action.new_content) {
+            return { reason: 'Post was edited again after this change', overridable: true };
         }
+        return null;
+    }
 
-        // Check if already liked
-        const { data: existingLike } = await supabase
-            .from('likes')
-            .select('id')
-            .eq('post_id', post_id)
-            .eq('user_id', userId)
-            .single();
+    if (action.type === 'DELETE') {
+        return currentPost ? { reason: 'Post has already been restored', overridable: false } : null;
+    }
 
-        if (existingLike) {
-            return res.status(400).json({
-                success: false,
-                message: 'Post already liked'
-            });
-        }
+    return { reason: 'Unknown action type', overridable: false };
+}
 
-        // Add like
-        const { data: newLike, error: likeError } = await supabase
-            .from('likes')
-            .insert([{ post_id, user_id: userId }])
-            .select()
-            .single();
+/**
+ * GET /api/posts/undo-history
+ * List every entry in the current user's undo stack (newest first)
+ */
+app.get('/api/posts/undo-history', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
 
-        if (likeError) {
-            console.error('Like error:', likeError);
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to like post',
-                error: likeError.message
-            });
-        }
+        const entries = (await undoStack.entries(userId)).reverse();
 
-        // Get updated like count
-        const { count: likesCount } = await supabase
-            .from('likes')
-            .select('*', { count: 'exact', head: true })
-            .eq('post_id', post_id);
+        // Look up the current state of every referenced post in one query
+        const postIds = entries.map(entry => entry.action.type === 'DELETE' ? entry.action.post.id : entry.action.post_id);
+        const posts = await db.getPostsByIds([...new Set(postIds)]);
+        const postsById = new Map(posts.map(post => [String(post.id), post]));
+
+        const history = entries.map((entry, index) => {
+            const action = entry.action;
+            const postId = postIds[index];
+            const conflict = getUndoConflict(action, postsById.get(String(postId)) || null);
+
+            return {
+                entry_id: entry.id,
+                type: action.type,
+                post_id: postId,
+                preview: previewText(action.type === 'DELETE' ? action.post.content : action.original_content),
+                new_preview: action.type === 'EDIT' ? previewText(action.new_content) : null,
+                timestamp: action.timestamp,
+                expires_at: new Date(new Date(entry.created_at).getTime() + undoStack.ttlMs).toISOString(),
+                conflict: conflict ? conflict.reason : null,
+                can_force: conflict ? conflict.overridable : false
+            };
+        });
 
         res.status(200).json({
             success: true,
-            message: 'Post liked successfully',
             data: {
-                like_id: newLike.id,
-                post_id,
-                likes_count: likesCount || 0
+                entries: history,
+                count: history.length,
+                redo_count: await redoStack.size(userId)
             }
         });
 
     } catch (error) {
-        console.error('Like post error:', error);
+        console.error('Undo history error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error',
@@ -1046,131 +1952,112 @@ app.post('/api/posts/like', authenticateToken, async (req, res) => {
 });
 
 /**
- * DELETE /api/posts/unlike
- * Unlike a post
+ * POST /api/posts/undo/:entryId
+ * Revert a specific entry from the undo stack (not only the latest)
+ * Body: { force } - revert an EDIT even if the post was edited again since
  */
-app.delete('/api/posts/unlike', authenticateToken, async (req, res) => {
+app.post('/api/posts/undo/:entryId', authenticateToken, async (req, res) => {
     try {
         const { userId } = req.user;
-        const { post_id } = req.body;
+        const { entryId } = req.params;
+        const force = req.body && req.body.force === true;
 
-        if (!post_id) {
-            return res.status(400).json({
+        const entry = (await undoStack.entries(userId)).find(item => String(item.id) === String(entryId));
+
+        if (!entry) {
+            return res.status(404).json({
                 success: false,
-                message: 'Post ID is required'
+                message: 'Undo entry not found or expired'
             });
         }
 
-        // Remove like
-        const { error: unlikeError } = await supabase
-            .from('likes')
-            .delete()
-            .eq('post_id', post_id)
-            .eq('user_id', userId);
+        const action = entry.action;
+        const postId = action.type === 'DELETE' ? action.post.id : action.post_id;
+        const currentPost = await db.getPostById(postId);
+        const conflict = getUndoConflict(action, currentPost);
 
-        if (unlikeError) {
-            console.error('Unlike error:', unlikeError);
-            return res.status(500).json({
+        if (conflict && (!conflict.overridable || !force)) {
+            return res.status(409).json({
                 success: false,
-                message: 'Failed to unlike post',
-                error: unlikeError.message
+                message: conflict.reason,
+                data: {
+                    conflict: true,
+                    can_force: conflict.overridable,
+                    current_content: currentPost ? currentPost.content : null
+                }
             });
         }
 
-        // Get updated like count
-        const { count: likesCount } = await supabase
-            .from('likes')
-            .select('*', { count: 'exact', head: true })
-            .eq('post_id', post_id);
+        // Remove the entry before applying it so two clicks cannot revert twice
+        const takenAction = await undoStack.take(userId, entry.id);
+        if (!takenAction) {
+            return res.status(404).json({
+                success: false,
+                message: 'Undo entry not found or expired'
+            });
+        }
 
-        res.status(200).json({
-            success: true,
-            message: 'Post unliked successfully',
-            data: {
-                post_id,
-                likes_count: likesCount || 0
+        let restoredPost;
+        try {
+            if (action.type === 'EDIT') {
+                restoredPost = currentPost && await updatePostContent(currentPost, action.original_content, userId);
+                if (!restoredPost) throw new Error('Post no longer exists');
+            } else {
+                restoredPost = await restoreFromTrash(action, userId);
             }
-        });
+        } catch (restoreError) {
+            // Put the entry back if restoration fails
+            await undoStack.push(userId, action);
 
-    } catch (error) {
-        console.error('Unlike post error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Internal server error',
-            error: error.message
-        });
-    }
-});
-
-// ========== COMMENT ENDPOINTS ==========
-
-/**
- * POST /api/comments/add
- * Add a comment to a post
- */
-app.post('/api/comments/add', authenticateToken, async (req, res) => {
-    try {
-        const { userId } = req.user;
-        const { post_id, text } = req.body;
-
-        if (!post_id || !text) {
-            return res.status(400).json({
+            console.error('Revert entry error:', restoreError);
+            return res.status(500).json({
                 success: false,
-                message: 'Post ID and comment text are required'
+                message: 'Failed to revert change',
+                error: restoreError.message
             });
         }
 
-        if (text.trim().length === 0) {
-            return res.status(400).json({
+        // Restored from the Trash page since the conflict check: the entry is spent
+        if (!restoredPost) {
+            return res.status(409).json({
                 success: false,
-                message: 'Comment text cannot be empty'
+                message: 'Post has already been restored',
+                data: {
+                    conflict: true,
+                    can_force: false,
+                    current_content: null
+                }
             });
         }
 
-        // Add comment
-        const { data: newComment, error: commentError } = await supabase
-            .from('comments')
-            .insert([{ 
-                post_id, 
-                author_id: userId, 
-                text: text.trim() 
-            }])
-            .select(`
-                id,
-                post_id,
-                author_id,
-                text,
-                created_at,
-                author:users!comments_author_id_fkey(name, initials)
-            `)
-            .single();
-
-        if (commentError) {
-            console.error('Add comment error:', commentError);
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to add comment',
-                error: commentError.message
-            });
+        // A forced revert replaces content the entry never saw, so redo would be wrong
+        if (!conflict) {
+            await redoStack.push(userId, action);
         }
 
-        // Get updated comment count
-        const { count: commentsCount } = await supabase
-            .from('comments')
-            .select('*', { count: 'exact', head: true })
-            .eq('post_id', post_id);
+        const likesCount = await db.countLikes(restoredPost.id);
+        const commentsCount = await db.countComments(restoredPost.id);
 
-        res.status(201).json({
+        res.status(200).json({
             success: true,
-            message: 'Comment added successfully',
+            message: action.type === 'EDIT' ? 'Edit reverted successfully' : 'Post restored successfully',
             data: {
-                comment: newComment,
-                comments_count: commentsCount || 0
+                action: action.type === 'EDIT' ? 'UNDO_EDIT' : 'UNDO_DELETE',
+                post: {
+                    post_id: restoredPost.id,
+                    content: restoredPost.content,
+                    timestamp: restoredPost.created_at,
+                    likes_count: likesCount || 0,
+                    comments_count: commentsCount || 0,
+                    mentions: restoredPost.mentions || []
+                },
+                remaining_undos: await undoStack.size(userId),
+                remaining_redos: await redoStack.size(userId)
             }
         });
 
     } catch (error) {
-        console.error('Add comment error:', error);
+        console.error('Revert entry error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error',
@@ -1180,78 +2067,41 @@ app.post('/api/comments/add', authenticateToken, async (req, res) => {
 });
 
 /**
- * PUT /api/comments/:id
- * Edit a comment
+ * GET /api/posts/trash
+ * List the current user's deleted posts that can still be restored
  */
-app.put('/api/comments/:id', authenticateToken, async (req, res) => {
+app.get('/api/posts/trash', authenticateToken, async (req, res) => {
     try {
         const { userId } = req.user;
-        const commentId = req.params.id;
-        const { text } = req.body;
-
-        if (!text || text.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Comment text cannot be empty'
-            });
-        }
-
-        // Verify ownership
-        const { data: comment } = await supabase
-            .from('comments')
-            .select('author_id, text')
-            .eq('id', commentId)
-            .single();
 
-        if (!comment) {
-            return res.status(404).json({
-                success: false,
-                message: 'Comment not found'
-            });
-        }
+        const posts = await db.getDeletedPostsByUser(userId);
+        const retentionMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
 
-        if (comment.author_id !== userId) {
-            return res.status(403).json({
-                success: false,
-                message: 'You can only edit your own comments'
-            });
-        }
+        // Likes and comments for every trashed post in two queries
+        const { likesByPost, commentsByPost } = await loadPostActivity(posts);
 
-        // Update comment
-        const { data: updatedComment, error: updateError } = await supabase
-            .from('comments')
-            .update({ text: text.trim() })
-            .eq('id', commentId)
-            .select(`
-                id,
-                post_id,
-                author_id,
-                text,
-                created_at,
-                author:users!comments_author_id_fkey(name, initials)
-            `)
-            .single();
-
-        if (updateError) {
-            console.error('Edit comment error:', updateError);
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to edit comment',
-                error: updateError.message
-            });
-        }
+        const trash = posts.map(post => ({
+            post_id: post.id,
+            content: post.content,
+            timestamp: post.created_at,
+            deleted_at: post.deleted_at,
+            purge_at: new Date(new Date(post.deleted_at).getTime() + retentionMs).toISOString(),
+            likes_count: (likesByPost.get(String(post.id)) || []).length,
+            comments_count: (commentsByPost.get(String(post.id)) || []).length
+        }));
 
         res.status(200).json({
             success: true,
-            message: 'Comment updated successfully',
+            message: `Found ${trash.length} posts in the Trash`,
             data: {
-                comment: updatedComment,
-                old_text: comment.text
+                posts: trash,
+                total: trash.length,
+                retention_days: TRASH_RETENTION_DAYS
             }
         });
 
     } catch (error) {
-        console.error('Edit comment error:', error);
+        console.error('Trash error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error',
@@ -1261,74 +2111,51 @@ app.put('/api/comments/:id', authenticateToken, async (req, res) => {
 });
 
 /**
- * DELETE /api/comments/:id
- * Delete a comment
+ * POST /api/posts/trash/:postId/restore
+ * Restore a deleted post from the Trash with its likes and comments
  */
-app.delete('/api/comments/:id', authenticateToken, async (req, res) => {
+app.post('/api/posts/trash/:postId/restore', authenticateToken, async (req, res) => {
     try {
         const { userId } = req.user;
-        const commentId = req.params.id;
+        const { postId } = req.params;
 
-        // Get comment data before deleting
-        const { data: comment } = await supabase
-            .from('comments')
-            .select(`
-                id,
-                post_id,
-                author_id,
-                text,
-                created_at,
-                author:users!comments_author_id_fkey(name, initials)
-            `)
-            .eq('id', commentId)
-            .single();
+        const restoredPost = await db.restoreDeletedPost(postId, userId);
 
-        if (!comment) {
+        if (!restoredPost) {
             return res.status(404).json({
                 success: false,
-                message: 'Comment not found'
-            });
-        }
-
-        if (comment.author_id !== userId) {
-            return res.status(403).json({
-                success: false,
-                message: 'You can only delete your own comments'
+                message: 'Post not found in your Trash'
             });
         }
 
-        // Delete comment
-        const { error: deleteError } = await supabase
-            .from('comments')
-            .delete()
-            .eq('id', commentId);
+        // Undoing the delete later would try to restore the post a second time
+        await undoStack.discard(userId, action =>
+            action.type === 'DELETE' && String(action.post.id) === String(restoredPost.id));
 
-        if (deleteError) {
-            console.error('Delete comment error:', deleteError);
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to delete comment',
-                error: deleteError.message
-            });
-        }
+        searchIndex.addDocument(restoredPost.id, restoredPost.content);
+        await attachMentions([restoredPost]);
+        publishPostCreated(restoredPost);
 
-        // Get updated comment count
-        const { count: commentsCount } = await supabase
-            .from('comments')
-            .select('*', { count: 'exact', head: true })
-            .eq('post_id', comment.post_id);
+        const likesCount = await db.countLikes(restoredPost.id);
+        const commentsCount = await db.countComments(restoredPost.id);
 
         res.status(200).json({
             success: true,
-            message: 'Comment deleted successfully',
+            message: 'Post restored successfully',
             data: {
-                deleted_comment: comment,
-                comments_count: commentsCount || 0
+                post: {
+                    post_id: restoredPost.id,
+                    content: restoredPost.content,
+                    timestamp: restoredPost.created_at,
+                    likes_count: likesCount || 0,
+                    comments_count: commentsCount || 0,
+                    mentions: restoredPost.mentions || []
+                }
             }
         });
 
     } catch (error) {
-        console.error('Delete comment error:', error);
+        console.error('Restore post error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error',
@@ -1337,183 +2164,98 @@ app.delete('/api/comments/:id', authenticateToken, async (req, res) => {
     }
 });
 
-// ========== FRIEND REQUEST ENDPOINTS ==========
-
-// Send Friend Request (Updated to use email instead of username)
-app.post('/api/friend-request/send', authenticateToken, async (req, res) => {
+/**
+ * GET /api/posts/:id/revisions
+ * List every saved version of a post (oldest first)
+ */
+app.get('/api/posts/:id/revisions', authenticateToken, async (req, res) => {
     try {
-        const senderId = req.user.userId;
-        const { friendEmail } = req.body; // Changed from username to friendEmail
-
-        console.log(`\n🔵 Friend request - Sender: ${senderId}, Looking for: ${friendEmail}`);
-
-        // Validate input
-        if (!friendEmail || !friendEmail.trim()) {
-            return res.status(400).json({
-                success: false,
-                message: 'Email is required'
-            });
-        }
-
-        const trimmedEmail = friendEmail.trim().toLowerCase();
-
-        // 1. Check if trying to add self
-        const { data: senderData } = await supabase
-            .from('users')
-            .select('email')
-            .eq('id', senderId)
-            .single();
-
-        if (senderData && senderData.email.toLowerCase() === trimmedEmail) {
-            return res.status(400).json({
-                success: false,
-                message: 'You cannot send a friend request to yourself'
-            });
-        }
+        const { userId } = req.user;
+        const { id } = req.params;
 
-        // 2. Find the user by email (case-insensitive)
-        const { data: receiverData, error: userError } = await supabase
-            .from('users')
-            .select('id, name, email, initials')
-            .ilike('email', trimmedEmail) // Case-insensitive search
-            .single();
+        const post = await db.getPostById(id);
 
-        if (userError || !receiverData) {
-            console.log('❌ User not found:', trimmedEmail);
+        if (!post || !(await db.canViewPost(post, userId))) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found. Please check the email and try again.'
-            });
-        }
-
-        const receiverId = receiverData.id;
-        console.log(`✅ Found user: ${receiverData.name} (${receiverId})`);
-
-        // 3. Check for existing requests (both directions) or accepted friendship
-        const { data: existingRequests, error: checkError } = await supabase
-            .from('friends')
-            .select('*')
-            .or(`and(user_id.eq.${senderId},friend_id.eq.${receiverId}),and(user_id.eq.${receiverId},friend_id.eq.${senderId})`);
-
-        if (checkError) {
-            console.error('Database error checking duplicates:', checkError);
-            return res.status(500).json({
-                success: false,
-                message: 'Error checking existing requests'
+                message: 'Post not found'
             });
         }
 
-        if (existingRequests && existingRequests.length > 0) {
-            const existingRequest = existingRequests[0];
-            
-            // Note: Check lowercase 'isaccepted' to match Supabase schema
-            if (existingRequest.isaccepted) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'You are already friends with this user'
-                });
-            } else {
-                return res.status(400).json({
-                    success: false,
-                    message: 'A friend request already exists between you and this user'
-                });
-            }
-        }
+        let revisions = await db.getRevisionsByPost(post.id);
 
-        // 4. Create the friend request
-        const { data: newRequest, error: insertError } = await supabase
-            .from('friends')
-            .insert([{
-                user_id: senderId,
-                friend_id: receiverId
-                // Note: isaccepted defaults to false in database
-                // Note: accepted_at column doesn't exist in schema
-            }])
-            .select()
-            .single();
-
-        if (insertError) {
-            console.error('Error creating friend request:', insertError);
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to send friend request'
-            });
+        // Posts that were never edited have a single implicit revision
+        if (revisions.length === 0) {
+            const [author] = await db.attachUsers([post], 'author_id', 'author');
+            revisions = [{
+                editor_id: post.author_id,
+                editor: author.author,
+                content: post.content,
+                created_at: post.created_at
+            }];
         }
 
-        console.log('✅ Friend request created successfully');
-
-        res.status(201).json({
+        res.status(200).json({
             success: true,
-            message: `Friend request sent to ${receiverData.name}`,
             data: {
-                request: {
-                    id: newRequest.id,
-                    sender_id: senderId,
-                    receiver_id: receiverId,
-                    receiver_name: receiverData.name,
-                    receiver_email: receiverData.email,
-                    isAccepted: false
-                }
+                post_id: post.id,
+                edited: revisions.length > 1,
+                revisions: revisions.map((revision, index) => ({
+                    revision: index + 1,
+                    content: revision.content,
+                    editor_id: revision.editor_id,
+                    editor_name: revision.editor?.name || 'Unknown',
+                    created_at: revision.created_at
+                })),
+                count: revisions.length
             }
         });
 
     } catch (error) {
-        console.error('Error in send friend request:', error);
+        console.error('Revisions error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error'
+            message: 'Internal server error',
+            error: error.message
         });
     }
 });
 
 /**
- * GET /api/friend-request/pending
- * Get all pending friend requests for current user (received requests)
+ * GET /api/posts/:id
+ * Single post permalink with all comments (respects visibility)
  */
-app.get('/api/friend-request/pending', authenticateToken, async (req, res) => {
+app.get('/api/posts/:id', authenticateToken, async (req, res) => {
     try {
         const { userId } = req.user;
 
-        // Get pending requests where current user is the receiver
-        const { data: pendingRequests, error } = await supabase
-            .from('friends')
-            .select(`
-                *,
-                sender:users!friends_user_id_fkey(id, name, email, initials)
-            `)
-            .eq('friend_id', userId)
-            .eq('isaccepted', false)
-            .order('added_at', { ascending: false });
-
-        if (error) {
-            console.error('Fetch pending requests error:', error);
-            return res.status(500).json({
+        const post = await db.getPostById(req.params.id);
+
+        // Hidden posts look the same as missing ones
+        if (!post || !(await db.canViewPost(post, userId))) {
+            return res.status(404).json({
                 success: false,
-                message: 'Failed to fetch pending requests',
-                error: error.message
+                message: 'Post not found'
             });
         }
 
-        // Transform data
-        const formattedRequests = pendingRequests.map(req => ({
-            id: req.id,
-            sender_id: req.user_id,
-            sender_name: req.sender.name,
-            sender_email: req.sender.email,
-            sender_initials: req.sender.initials,
-            received_at: req.added_at
-        }));
+        const [withAuthor] = await db.attachUsers([post], 'author_id', 'author');
+        const { likesByPost, commentsByPost } = await loadPostActivity([withAuthor], userId);
 
         res.status(200).json({
             success: true,
             data: {
-                requests: formattedRequests,
-                count: formattedRequests.length
+                post: toFeedItem(
+                    withAuthor,
+                    likesByPost.get(String(post.id)) || [],
+                    commentsByPost.get(String(post.id)) || [],
+                    userId
+                )
             }
         });
 
     } catch (error) {
-        console.error('Get pending requests error:', error);
+        console.error('Get post error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error',
@@ -1522,104 +2264,77 @@ app.get('/api/friend-request/pending', authenticateToken, async (req, res) => {
     }
 });
 
+// ========== FEED ENDPOINT ==========
+
 /**
- * POST /api/friend-request/accept
- * Accept a friend request
+ * GET /api/feed?cursor=&limit=&search=&sort=&filter=
+ * One page of the feed with like/comment counts and a comment preview
  */
-app.post('/api/friend-request/accept', authenticateToken, async (req, res) => {
+app.get('/api/feed', authenticateToken, async (req, res) => {
     try {
         const { userId } = req.user;
-        const { request_id } = req.body;
+        const { cursor, search = '', sort = 'newest', filter = 'all' } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || FEED_DEFAULT_LIMIT, FEED_MAX_LIMIT);
 
-        if (!request_id) {
+        if (!FEED_SORTS.includes(sort)) {
             return res.status(400).json({
                 success: false,
-                message: 'Request ID is required'
+                message: `Sort must be one of: ${FEED_SORTS.join(', ')}`
             });
         }
 
-        // Verify the request exists and is for this user
-        const { data: request, error: fetchError } = await supabase
-            .from('friends')
-            .select(`
-                *,
-                sender:users!friends_user_id_fkey(id, name, email, initials)
-            `)
-            .eq('id', request_id)
-            .eq('friend_id', userId)
-            .single();
-
-        if (fetchError || !request) {
-            return res.status(404).json({
+        if (!FEED_FILTERS.includes(filter)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Friend request not found'
+                message: `Filter must be one of: ${FEED_FILTERS.join(', ')}`
             });
         }
 
-        if (request.isaccepted) {
+        const after = cursor ? decodePostCursor(cursor) : null;
+        if (cursor && !after) {
             return res.status(400).json({
                 success: false,
-                message: 'This request has already been accepted'
+                message: 'Invalid cursor'
             });
         }
 
-        // Accept the request (update original row)
-        const { data: acceptedRequest, error: updateError } = await supabase
-            .from('friends')
-            .update({
-                isaccepted: true
-                // Note: accepted_at column doesn't exist in schema
-            })
-            .eq('id', request_id)
-            .select(`
-                *,
-                friend:users!friends_user_id_fkey(id, name, email, initials)
-            `)
-            .single();
-
-        if (updateError) {
-            console.error('Accept request error:', updateError);
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to accept friend request',
-                error: updateError.message
-            });
-        }
+        // Fetch one extra post to know whether another page exists
+        const authorIds = filter === 'following' ? await db.getFollowingIds(userId) : null;
+        const rows = await db.getFeedPosts({
+            sort,
+            search: search.trim(),
+            authorIds,
+            unanswered: filter === 'unanswered',
+            viewerId: userId,
+            hideMuted: true,
+            after,
+            limit: limit + 1
+        });
+        const hasMore = rows.length > limit;
+        const posts = rows.slice(0, limit);
 
-        // Create reciprocal friendship row so both users see each other as friends
-        // Original: user_id=sender, friend_id=receiver
-        // Reciprocal: user_id=receiver, friend_id=sender
-        const { error: reciprocalError } = await supabase
-            .from('friends')
-            .insert([{
-                user_id: userId, // The accepter becomes user_id
-                friend_id: request.user_id, // The sender becomes friend_id
-                isaccepted: true // Already accepted
-            }]);
+        // Likes and comments for the whole page in two queries
+        const { likesByPost, commentsByPost } = await loadPostActivity(posts, userId);
 
-        if (reciprocalError) {
-            console.error('Reciprocal friendship error:', reciprocalError);
-            // Don't fail the request, but log the error
-            // The original friendship is still valid
-        }
+        const feed = posts.map(post => toFeedItem(
+            post,
+            likesByPost.get(String(post.id)) || [],
+            commentsByPost.get(String(post.id)) || [],
+            userId,
+            FEED_PREVIEW_COMMENTS
+        ));
 
         res.status(200).json({
             success: true,
-            message: `You are now friends with ${request.sender.name}`,
             data: {
-                friendship: {
-                    id: acceptedRequest.id,
-                    friend_id: acceptedRequest.user_id,
-                    friend_name: request.sender.name,
-                    friend_email: request.sender.email,
-                    friend_initials: request.sender.initials
-                    // Note: accepted_at removed as column doesn't exist
-                }
+                posts: feed,
+                next_cursor: hasMore ? encodePostCursor(posts[posts.length - 1]) : null,
+                has_more: hasMore
             }
         });
 
     } catch (error) {
-        console.error('Accept friend request error:', error);
+        console.error('Feed error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error',
@@ -1628,59 +2343,3602 @@ app.post('/api/friend-request/accept', authenticateToken, async (req, res) => {
     }
 });
 
+// ========== SEARCH ENDPOINTS ==========
+
+const SEARCH_QUERY_MAX_LENGTH = 200;
+const SEARCH_VISIBILITY_CHUNK = 100; // Ranked posts checked for visibility per query
+
 /**
- * DELETE /api/friend-request/reject/:requestId
- * Reject/delete a friend request
+ * Walk ranked search results in chunks, keeping posts the viewer can see
+ * (in rank order) until `wanted` are found, so a common term does not load
+ * every matching post
+ * @returns {Promise<Object>} {visible, total} - total is only known once every result was checked
  */
-app.delete('/api/friend-request/reject/:requestId', authenticateToken, async (req, res) => {
-    try {
-        const { userId } = req.user;
-        const { requestId } = req.params;
+async function collectVisibleResults(ranked, userId, wanted) {
+    const visible = [];
+    let checked = 0;
 
-        if (!requestId) {
-            return res.status(400).json({
+    while (checked < ranked.length && visible.length < wanted) {
+        const ids = ranked.slice(checked, checked + SEARCH_VISIBILITY_CHUNK).map(result => result.id);
+        checked += ids.length;
+
+        const rows = await db.getPostsByIds(ids);
+        const rowsById = new Map(rows.map(post => [String(post.id), post]));
+        visible.push(...await db.filterVisiblePosts(ids.map(id => rowsById.get(id)).filter(Boolean), userId));
+    }
+
+    return {
+        visible,
+        total: checked >= ranked.length ? visible.length : null
+    };
+}
+
+/**
+ * GET /api/search?q=&limit=&offset=
+ * Posts matching the query ranked by relevance, with highlighted snippets
+ * (total is null while there may be more results than the pages loaded so far)
+ */
+app.get('/api/search', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const query = String(req.query.q || '').trim();
+        const limit = Math.min(parseInt(req.query.limit, 10) || FEED_DEFAULT_LIMIT, FEED_MAX_LIMIT);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        if (!query) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search query is required'
+            });
+        }
+
+        if (query.length > SEARCH_QUERY_MAX_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Search query cannot exceed ${SEARCH_QUERY_MAX_LENGTH} characters`
+            });
+        }
+
+        await searchIndexReady;
+        const ranked = searchIndex.search(query);
+
+        // Drop posts the caller cannot see, keeping rank order; one extra tells us if there is more
+        const { visible, total } = await collectVisibleResults(ranked, userId, offset + limit + 1);
+
+        const page = await db.attachUsers(visible.slice(offset, offset + limit), 'author_id', 'author');
+        const { likesByPost, commentsByPost } = await loadPostActivity(page, userId);
+        const scores = new Map(ranked.map(result => [result.id, result]));
+
+        const results = page.map(post => {
+            const { score, matched_terms } = scores.get(String(post.id));
+            return {
+                ...toFeedItem(
+                    post,
+                    likesByPost.get(String(post.id)) || [],
+                    commentsByPost.get(String(post.id)) || [],
+                    userId,
+                    FEED_PREVIEW_COMMENTS
+                ),
+                score: Math.round(score * 1000) / 1000,
+                snippet: highlightSnippet(post.content, matched_terms)
+            };
+        });
+
+        const hasMore = offset + limit < visible.length;
+
+        res.status(200).json({
+            success: true,
+            data: {
+                results,
+                total,
+                next_offset: hasMore ? offset + limit : null,
+                has_more: hasMore
+            }
+        });
+
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/search/index?term=
+ * Inspect the search index: overall size, or one term's posting list
+ * (postings are limited to posts the caller can see; top terms are left
+ * out because they would reveal words from posts the caller cannot see)
+ */
+app.get('/api/search/index', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { term } = req.query;
+
+        await searchIndexReady;
+
+        if (!term) {
+            const { top_terms, ...stats } = searchIndex.stats();
+            return res.status(200).json({
+                success: true,
+                data: stats
+            });
+        }
+
+        const { term: indexedTerm, postings } = searchIndex.inspectTerm(String(term));
+        const rows = postings.length > 0 ? await db.getPostsByIds(postings.map(posting => posting.post_id)) : [];
+        const visibleIds = new Set((await db.filterVisiblePosts(rows, userId)).map(post => String(post.id)));
+        const visiblePostings = postings.filter(posting => visibleIds.has(posting.post_id));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                term: indexedTerm,
+                document_frequency: visiblePostings.length,
+                postings: visiblePostings
+            }
+        });
+
+    } catch (error) {
+        console.error('Search index error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// ========== HASHTAG ENDPOINTS ==========
+
+const POPULAR_TAGS_DAYS = 7;
+const POPULAR_TAGS_LIMIT = 10;
+
+/**
+ * GET /api/tags/popular
+ * Most used hashtags on public posts in the last week
+ */
+app.get('/api/tags/popular', authenticateToken, async (req, res) => {
+    try {
+        const since = new Date(Date.now() - POPULAR_TAGS_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const tags = await db.getPopularTags(since, POPULAR_TAGS_LIMIT);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                tags,
+                days: POPULAR_TAGS_DAYS
+            }
+        });
+
+    } catch (error) {
+        console.error('Popular tags error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/tags/:tag/posts?cursor=&limit=
+ * Posts carrying a hashtag (newest first, respects visibility)
+ */
+app.get('/api/tags/:tag/posts', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { cursor } = req.query;
+        const tag = req.params.tag.replace(/^#/, '').toLowerCase();
+        const limit = Math.min(parseInt(req.query.limit, 10) || FEED_DEFAULT_LIMIT, FEED_MAX_LIMIT);
+
+        const after = cursor ? decodePostCursor(cursor) : null;
+        if (cursor && !after) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+
+        // Fetch one extra post to know whether another page exists
+        const rows = await db.getFeedPosts({ tag, viewerId: userId, after, limit: limit + 1 });
+        const hasMore = rows.length > limit;
+        const posts = rows.slice(0, limit);
+
+        const { likesByPost, commentsByPost } = await loadPostActivity(posts, userId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                tag,
+                posts: posts.map(post => toFeedItem(
+                    post,
+                    likesByPost.get(String(post.id)) || [],
+                    commentsByPost.get(String(post.id)) || [],
+                    userId,
+                    FEED_PREVIEW_COMMENTS
+                )),
+                next_cursor: hasMore ? encodePostCursor(posts[posts.length - 1]) : null,
+                has_more: hasMore
+            }
+        });
+
+    } catch (error) {
+        console.error('Tag posts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// ========== MENTION ENDPOINTS ==========
+
+const MENTION_SUGGEST_LIMIT = 8;
+
+/**
+ * GET /api/mentions/suggest?q=
+ * People to @mention whose handle or email starts with q (friends first)
+ */
+app.get('/api/mentions/suggest', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const query = String(req.query.q || '').replace(/^@/, '').trim();
+
+        const [friendIds, followingIds, blockedIds] = await Promise.all([
+            db.getFriendIds(userId).then(ids => ids.map(String)),
+            db.getFollowingIds(userId).then(ids => ids.map(String)),
+            db.getBlockedUserIds(userId).then(ids => ids.map(String))
+        ]);
+        let users;
+        if (query) {
+            const [byHandle, byEmail] = await Promise.all([
+                db.getUsersByHandlePrefix(query),
+                query.includes('@') ? db.getUserByEmail(query).then(user => (user ? [user] : [])) : []
+            ]);
+            users = [...byEmail, ...byHandle];
+        } else {
+            // Nothing typed yet: offer friends, then people the caller follows
+            const friends = (await db.getFriendsByUser(userId)).map(friendship => friendship.friend).filter(Boolean);
+            const followed = followingIds.length > 0
+                ? (await db.attachUsers(followingIds.map(id => ({ id })), 'id', 'user')).map(({ user }) => user).filter(Boolean)
+                : [];
+            users = [...friends, ...followed];
+        }
+
+        // Drop the caller, blocked users and duplicates (an email match can also match by handle)
+        const uniqueUsers = [...new Map(users.map(user => [String(user.id), user])).values()]
+            .filter(user => String(user.id) !== String(userId) && !blockedIds.includes(String(user.id)));
+
+        const suggestions = uniqueUsers
+            .map(user => ({
+                id: user.id,
+                name: user.name,
+                initials: user.initials || getInitials(user.name),
+                handle: db.getMentionHandle(user.name),
+                is_friend: friendIds.includes(String(user.id)),
+                is_following: followingIds.includes(String(user.id))
+            }))
+            .sort((a, b) => b.is_friend - a.is_friend || b.is_following - a.is_following)
+            .slice(0, MENTION_SUGGEST_LIMIT);
+
+        res.status(200).json({
+            success: true,
+            data: { users: suggestions }
+        });
+
+    } catch (error) {
+        console.error('Mention suggest error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// ========== NOTIFICATION ENDPOINTS ==========
+
+const NOTIFICATIONS_DEFAULT_LIMIT = 20;
+const NOTIFICATION_PREVIEW_LENGTH = 80;
+
+/**
+ * Human-readable text for a notification
+ * @param {Object} notification - Notification row with actor
+ * @param {Object} [group] - The study group it is about, if any
+ */
+function describeNotification(notification, group = null) {
+    const actor = notification.actor?.name || 'Someone';
+    const groupName = group?.name || 'a group';
+
+    switch (notification.type) {
+        case 'like':
+            return `${actor} liked your post`;
+        case 'comment':
+            return `${actor} commented on your post`;
+        case 'mention':
+            return notification.comment_id
+                ? `${actor} mentioned you in a comment`
+                : `${actor} mentioned you in a post`;
+        case 'friend_request':
+            return `${actor} sent you a friend request`;
+        case 'friend_accept':
+            return `${actor} accepted your friend request`;
+        case 'follow':
+            return `${actor} started following you`;
+        case 'group_invite':
+            return `${actor} invited you to join ${groupName}`;
+        case 'group_request':
+            return `${actor} asked to join ${groupName}`;
+        case 'group_approved':
+            return `${actor} let you into ${groupName}`;
+        case 'answer_accepted':
+            return `${actor} accepted your answer`;
+        default:
+            return `${actor} interacted with you`;
+    }
+}
+
+/**
+ * GET /api/notifications?before=&limit=
+ * A page of the user's notifications (newest first) with the unread count
+ */
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { before } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || NOTIFICATIONS_DEFAULT_LIMIT, FEED_MAX_LIMIT);
+
+        // Fetch one extra notification to know whether another page exists
+        const rows = await db.getNotifications(userId, { before, limit: limit + 1 });
+        const hasMore = rows.length > limit;
+        const notifications = rows.slice(0, limit);
+
+        // Short preview of the post each notification is about, if the user can still see it
+        const postIds = [...new Set(notifications.map(item => item.post_id).filter(Boolean))];
+        const posts = postIds.length > 0 ? await db.filterVisiblePosts(await db.getPostsByIds(postIds), userId) : [];
+        const postsById = new Map(posts.map(post => [String(post.id), post]));
+
+        const groupIds = [...new Set(notifications.map(item => item.group_id).filter(Boolean))];
+        const groups = await db.getGroupsByIds(groupIds);
+        const groupsById = new Map(groups.map(group => [String(group.id), group]));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                notifications: notifications.map(notification => ({
+                    id: notification.id,
+                    type: notification.type,
+                    message: describeNotification(notification, groupsById.get(String(notification.group_id))),
+                    actor_id: notification.actor_id,
+                    actor_name: notification.actor?.name || 'Unknown',
+                    actor_initials: notification.actor?.initials || getInitials(notification.actor?.name || 'U'),
+                    post_id: notification.post_id,
+                    comment_id: notification.comment_id,
+                    friendship_id: notification.friendship_id,
+                    group_id: notification.group_id || null,
+                    post_preview: postsById.get(String(notification.post_id))?.content.substring(0, NOTIFICATION_PREVIEW_LENGTH) || null,
+                    read: Boolean(notification.read_at),
+                    created_at: notification.created_at
+                })),
+                unread_count: await db.countUnreadNotifications(userId),
+                next_cursor: hasMore ? notifications[notifications.length - 1].id : null,
+                has_more: hasMore
+            }
+        });
+
+    } catch (error) {
+        console.error('Notifications error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/notifications/read-all
+ * Mark every notification as read
+ */
+app.post('/api/notifications/read-all', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+
+        const marked = await db.markNotificationsRead(userId);
+
+        res.status(200).json({
+            success: true,
+            message: `Marked ${marked} notifications as read`,
+            data: {
+                marked,
+                unread_count: 0
+            }
+        });
+
+    } catch (error) {
+        console.error('Mark all notifications error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/notifications/:id/read
+ * Mark one notification as read
+ */
+app.post('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+
+        await db.markNotificationsRead(userId, { id: req.params.id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification marked as read',
+            data: {
+                unread_count: await db.countUnreadNotifications(userId)
+            }
+        });
+
+    } catch (error) {
+        console.error('Mark notification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// ========== USER PROFILE ENDPOINTS ==========
+
+const USER_SUGGEST_LIMIT = 8;
+
+/**
+ * GET /api/users/suggest?prefix=
+ * People to send a friend request to, matched by name prefix, full email
+ * or full "@domain" (the caller, existing friends and blocked users are left out)
+ */
+app.get('/api/users/suggest', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const prefix = String(req.query.prefix || '').trim();
+
+        if (!prefix) {
+            return res.status(200).json({
+                success: true,
+                data: { users: [] }
+            });
+        }
+
+        const [friendIds, blockedIds] = await Promise.all([
+            db.getFriendIds(userId),
+            db.getBlockedUserIds(userId)
+        ]);
+        const exclude = new Set([String(userId), ...friendIds, ...blockedIds].map(String));
+
+        await userTrieReady;
+        const users = userTrie.search(prefix, { limit: USER_SUGGEST_LIMIT, exclude });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                users: users.map(user => ({
+                    id: user.id,
+                    name: user.name,
+                    initials: user.initials || getInitials(user.name)
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('User suggest error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:id
+ * Another user's public profile (linked from @mentions)
+ */
+app.get('/api/users/:id', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+
+        const user = db.toPublicUser(await db.getUserById(req.params.id));
+
+        // People who blocked the caller are invisible to them
+        const [myRelations, theirRelations] = user
+            ? await Promise.all([db.getRelationsBetween(userId, user.id), db.getRelationsBetween(user.id, userId)])
+            : [[], []];
+
+        if (!user || theirRelations.some(relation => relation.type === 'block')) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const [isFriend, isFollowing, followsMe, counts, courses] = await Promise.all([
+            db.areFriends(userId, user.id),
+            db.isFollowing(userId, user.id),
+            db.isFollowing(user.id, userId),
+            db.getFollowCounts(user.id),
+            db.getCoursesForUser(user.id)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                user,
+                is_self: String(user.id) === String(userId),
+                is_friend: isFriend,
+                is_following: isFollowing,
+                follows_me: followsMe,
+                followers_count: counts.followers,
+                following_count: counts.following,
+                courses: courses.map(course => formatCourse(course)),
+                is_blocked: myRelations.some(relation => relation.type === 'block'),
+                is_muted: myRelations.some(relation => relation.type === 'mute')
+            }
+        });
+
+    } catch (error) {
+        console.error('User profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Six degrees of separation: stop walking the friend graph after this many hops
+const CONNECTION_MAX_DEPTH = 6;
+
+/**
+ * GET /api/users/:id/path?max_depth=
+ * Shortest chain of friends connecting the caller to another user
+ */
+app.get('/api/users/:id/path', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const maxDepth = Math.min(
+            Math.max(parseInt(req.query.max_depth, 10) || CONNECTION_MAX_DEPTH, 1),
+            CONNECTION_MAX_DEPTH
+        );
+
+        const target = await db.getUserById(req.params.id);
+
+        // People who blocked the caller are invisible to them, as in GET /api/users/:id
+        const theirRelations = target ? await db.getRelationsBetween(target.id, userId) : [];
+
+        if (!target || theirRelations.some(relation => relation.type === 'block')) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // Never route through (or to) someone on either side of a block
+        const blockedIds = await db.getBlockedUserIds(userId);
+        const pathIds = await friendGraph.shortestPath(userId, target.id, maxDepth, new Set(blockedIds.map(String)));
+
+        if (!pathIds) {
+            return res.status(200).json({
+                success: true,
+                data: {
+                    connected: false,
+                    degree: null,
+                    path: [],
+                    max_depth: maxDepth
+                }
+            });
+        }
+
+        const users = await db.attachUsers(pathIds.map(id => ({ id })), 'id', 'user');
+
+        res.status(200).json({
+            success: true,
+            data: {
+                connected: true,
+                degree: pathIds.length - 1,
+                path: users.map(({ user }) => ({
+                    id: user.id,
+                    name: user.name,
+                    initials: user.initials || getInitials(user.name)
+                })),
+                max_depth: maxDepth
+            }
+        });
+
+    } catch (error) {
+        console.error('Connection path error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:id/posts?cursor=&limit=
+ * A user's posts the caller may see (newest first)
+ */
+app.get('/api/users/:id/posts', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { cursor } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || FEED_DEFAULT_LIMIT, FEED_MAX_LIMIT);
+
+        const after = cursor ? decodePostCursor(cursor) : null;
+        if (cursor && !after) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+
+        // Fetch one extra post to know whether another page exists
+        const rows = await db.getFeedPosts({ authorId: req.params.id, viewerId: userId, after, limit: limit + 1 });
+        const hasMore = rows.length > limit;
+        const posts = rows.slice(0, limit);
+
+        const { likesByPost, commentsByPost } = await loadPostActivity(posts, userId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                posts: posts.map(post => toFeedItem(
+                    post,
+                    likesByPost.get(String(post.id)) || [],
+                    commentsByPost.get(String(post.id)) || [],
+                    userId,
+                    FEED_PREVIEW_COMMENTS
+                )),
+                next_cursor: hasMore ? encodePostCursor(posts[posts.length - 1]) : null,
+                has_more: hasMore
+            }
+        });
+
+    } catch (error) {
+        console.error('User posts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// ========== LIKE/UNLIKE ENDPOINTS ==========
+
+/**
+ * POST /api/posts/like
+ * Like a post
+ */
+app.post('/api/posts/like', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { post_id } = req.body;
+
+        if (!post_id) {
+            return res.status(400).json({
+                success: false,
+                message: 'Post ID is required'
+            });
+        }
+
+        const post = await db.getPostById(post_id);
+        if (!post || !(await db.canViewPost(post, userId))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+
+        // Check if already liked
+        const existingLike = await db.hasUserLikedPost(post_id, userId);
+
+        if (existingLike) {
+            return res.status(400).json({
+                success: false,
+                message: 'Post already liked'
+            });
+        }
+
+        // Add like
+        let newLike;
+        try {
+            newLike = await db.addLike(post_id, userId);
+        } catch (likeError) {
+            console.error('Like error:', likeError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to like post',
+                error: likeError.message
+            });
+        }
+
+        await notify(post.author_id, userId, 'like', { post_id: post.id });
+
+        // Get updated like count
+        const likesCount = await db.countLikes(post_id);
+
+        publishPostEvent(post, 'like_changed', {
+            post_id: post.id,
+            likes_count: likesCount || 0,
+            user_id: userId,
+            liked: true
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Post liked successfully',
+            data: {
+                like_id: newLike.id,
+                post_id,
+                likes_count: likesCount || 0
+            }
+        });
+
+    } catch (error) {
+        console.error('Like post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/posts/unlike
+ * Unlike a post
+ */
+app.delete('/api/posts/unlike', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { post_id } = req.body;
+
+        if (!post_id) {
+            return res.status(400).json({
+                success: false,
+                message: 'Post ID is required'
+            });
+        }
+
+        // Remove like (and the notification it caused)
+        try {
+            await db.removeLike(post_id, userId);
+            await db.deleteNotifications({ type: 'like', actor_id: userId, post_id });
+        } catch (unlikeError) {
+            console.error('Unlike error:', unlikeError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to unlike post',
+                error: unlikeError.message
+            });
+        }
+
+        // Get updated like count
+        const likesCount = await db.countLikes(post_id);
+
+        const post = await db.getPostById(post_id);
+        if (post) {
+            publishPostEvent(post, 'like_changed', {
+                post_id: post.id,
+                likes_count: likesCount || 0,
+                user_id: userId,
+                liked: false
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Post unliked successfully',
+            data: {
+                post_id,
+                likes_count: likesCount || 0
+            }
+        });
+
+    } catch (error) {
+        console.error('Unlike post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// ========== COMMENT ENDPOINTS ==========
+
+/**
+ * GET /api/posts/:id/comments
+ * Get every comment on a post (oldest first; a question's answers come
+ * accepted first, then by score)
+ */
+app.get('/api/posts/:id/comments', authenticateToken, async (req, res) => {
+    try {
+        const post = await db.getPostById(req.params.id);
+
+        if (!post || !(await db.canViewPost(post, req.user.userId))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+
+        const isQuestion = post.post_type === 'question';
+        const blockedIds = new Set((await db.getBlockedUserIds(req.user.userId)).map(String));
+        let comments = (await db.getCommentsByPost(post.id, { byScore: isQuestion }))
+            .filter(comment => !blockedIds.has(String(comment.author_id)));
+        await attachMentions([post], comments);
+        if (isQuestion) {
+            await attachAnswerVotes(comments, req.user.userId);
+            comments = sortAnswers(post, comments);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                comments: comments.map(formatComment),
+                total: comments.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get comments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/comments/add
+ * Add a comment to a post
+ */
+app.post('/api/comments/add', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { post_id, text } = req.body;
+
+        if (!post_id || !text) {
+            return res.status(400).json({
+                success: false,
+                message: 'Post ID and comment text are required'
+            });
+        }
+
+        if (text.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Comment text cannot be empty'
+            });
+        }
+
+        // Also refuses comments across a block: neither side can see the other's posts
+        const post = await db.getPostById(post_id);
+        if (!post || !(await db.canViewPost(post, userId))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+
+        // Add comment
+        let newComment;
+        try {
+            newComment = await db.addComment({
+                post_id,
+                author_id: userId,
+                text: text.trim()
+            });
+        } catch (commentError) {
+            console.error('Add comment error:', commentError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to add comment',
+                error: commentError.message
+            });
+        }
+
+        await notify(post.author_id, userId, 'comment', { post_id: post.id, comment_id: newComment.id });
+        await updateMentions({ post_id: post.id, comment_id: newComment.id }, newComment.text, userId);
+        await attachMentions([post], [newComment]);
+
+        // Get updated comment count
+        const commentsCount = await db.countComments(post_id);
+
+        publishPostEvent(post, 'comment_added', {
+            post_id: post.id,
+            comment: formatComment(newComment),
+            comments_count: commentsCount || 0
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Comment added successfully',
+            data: {
+                comment: newComment,
+                comments_count: commentsCount || 0
+            }
+        });
+
+    } catch (error) {
+        console.error('Add comment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/comments/:id
+ * Edit a comment
+ */
+app.put('/api/comments/:id', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const commentId = req.params.id;
+        const { text } = req.body;
+
+        if (!text || text.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Comment text cannot be empty'
+            });
+        }
+
+        // Verify ownership
+        const comment = await db.getCommentById(commentId);
+
+        if (!comment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+
+        if (String(comment.author_id) !== String(userId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit your own comments'
+            });
+        }
+
+        // Update comment
+        let updatedComment;
+        try {
+            updatedComment = await db.updateComment(commentId, text.trim());
+        } catch (updateError) {
+            console.error('Edit comment error:', updateError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to edit comment',
+                error: updateError.message
+            });
+        }
+
+        await updateMentions({ post_id: comment.post_id, comment_id: commentId }, updatedComment.text, userId);
+        await attachMentions([{ id: comment.post_id }], [updatedComment]);
+
+        const post = await db.getPostById(comment.post_id);
+        if (post) {
+            publishPostEvent(post, 'comment_updated', {
+                post_id: post.id,
+                comment: formatComment(updatedComment)
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Comment updated successfully',
+            data: {
+                comment: updatedComment,
+                old_text: comment.text
+            }
+        });
+
+    } catch (error) {
+        console.error('Edit comment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/comments/:id
+ * Delete a comment
+ */
+app.delete('/api/comments/:id', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const commentId = req.params.id;
+
+        // Get comment data before deleting
+        const comment = await db.getCommentById(commentId);
+
+        if (!comment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+
+        if (String(comment.author_id) !== String(userId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only delete your own comments'
+            });
+        }
+
+        // Delete comment
+        try {
+            await db.deleteComment(commentId);
+        } catch (deleteError) {
+            console.error('Delete comment error:', deleteError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to delete comment',
+                error: deleteError.message
+            });
+        }
+
+        // Get updated comment count
+        const commentsCount = await db.countComments(comment.post_id);
+
+        const post = await db.getPostById(comment.post_id);
+        if (post) {
+            publishPostEvent(post, 'comment_deleted', {
+                post_id: post.id,
+                comment_id: comment.id,
+                comments_count: commentsCount || 0
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Comment deleted successfully',
+            data: {
+                deleted_comment: comment,
+                comments_count: commentsCount || 0
+            }
+        });
+
+    } catch (error) {
+        console.error('Delete comment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// ========== ANSWER ENDPOINTS ==========
+// Comments on a question post are its answers. Anyone who can see the
+// question can upvote other people's answers; the asker accepts one.
+
+/**
+ * Load an answer and its question for the answer routes
+ * @returns {Promise<Object>} {comment, post} or {status, message} to send back
+ */
+async function loadAnswer(commentId, userId) {
+    const comment = await db.getCommentById(commentId);
+    const post = comment ? await db.getPostById(comment.post_id) : null;
+
+    if (!post || !(await db.canViewPost(post, userId))) {
+        return { status: 404, message: 'Answer not found' };
+    }
+    if (post.post_type !== 'question') {
+        return { status: 400, message: 'Only answers to a question can be upvoted' };
+    }
+    return { comment, post };
+}
+
+/**
+ * Shared handler for POST/DELETE /api/comments/:id/upvote
+ * @param {boolean} enable - true to upvote, false to take the upvote back
+ */
+function setAnswerVote(enable) {
+    return async (req, res) => {
+        try {
+            const { userId } = req.user;
+            const { comment, post, status, message } = await loadAnswer(req.params.id, userId);
+
+            if (status) {
+                return res.status(status).json({
+                    success: false,
+                    message
+                });
+            }
+
+            if (enable && String(comment.author_id) === String(userId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot upvote your own answer'
+                });
+            }
+
+            const score = enable
+                ? await db.addAnswerVote(comment.id, userId)
+                : await db.removeAnswerVote(comment.id, userId);
+
+            publishPostEvent(post, 'answer_voted', {
+                post_id: post.id,
+                comment_id: comment.id,
+                score
+            });
+
+            res.status(200).json({
+                success: true,
+                message: enable ? 'Answer upvoted' : 'Upvote removed',
+                data: {
+                    comment_id: comment.id,
+                    score,
+                    upvoted: enable
+                }
+            });
+
+        } catch (error) {
+            console.error(`${enable ? 'Upvote' : 'Remove upvote'} error:`, error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                error: error.message
+            });
+        }
+    };
+}
+
+/**
+ * POST /api/comments/:id/upvote, DELETE /api/comments/:id/upvote
+ */
+app.post('/api/comments/:id/upvote', authenticateToken, setAnswerVote(true));
+app.delete('/api/comments/:id/upvote', authenticateToken, setAnswerVote(false));
+
+/**
+ * Shared handler for POST/DELETE /api/posts/:id/accept
+ * POST takes {comment_id}; DELETE leaves the question unanswered again
+ * @param {boolean} accept - true to accept an answer, false to clear it
+ */
+function setAcceptedAnswer(accept) {
+    return async (req, res) => {
+        try {
+            const { userId } = req.user;
+            const post = await db.getPostById(req.params.id);
+
+            if (!post || !(await db.canViewPost(post, userId))) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Post not found'
+                });
+            }
+
+            if (String(post.author_id) !== String(userId)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only the person who asked can accept an answer'
+                });
+            }
+
+            if (post.post_type !== 'question') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Only questions have accepted answers'
+                });
+            }
+
+            let comment = null;
+            if (accept) {
+                const { comment_id } = req.body || {};
+                comment = comment_id ? await db.getCommentById(comment_id) : null;
+                if (!comment || String(comment.post_id) !== String(post.id)) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Answer not found'
+                    });
+                }
+            }
+
+            const updated = await db.setAcceptedAnswer(post.id, comment ? comment.id : null);
+            if (comment && String(comment.id) !== String(post.accepted_comment_id)) {
+                await notify(comment.author_id, userId, 'answer_accepted', { post_id: post.id, comment_id: comment.id });
+            }
+
+            publishPostEvent(post, 'answer_accepted', {
+                post_id: post.id,
+                accepted_comment_id: updated.accepted_comment_id || null
+            });
+
+            res.status(200).json({
+                success: true,
+                message: accept ? 'Answer accepted' : 'Question marked as unanswered',
+                data: {
+                    post_id: post.id,
+                    accepted_comment_id: updated.accepted_comment_id || null
+                }
+            });
+
+        } catch (error) {
+            console.error(`${accept ? 'Accept' : 'Unaccept'} answer error:`, error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                error: error.message
+            });
+        }
+    };
+}
+
+/**
+ * POST /api/posts/:id/accept, DELETE /api/posts/:id/accept
+ */
+app.post('/api/posts/:id/accept', authenticateToken, setAcceptedAnswer(true));
+app.delete('/api/posts/:id/accept', authenticateToken, setAcceptedAnswer(false));
+
+// ========== FRIEND REQUEST ENDPOINTS ==========
+
+// Send Friend Request (Updated to use email instead of username)
+app.post('/api/friend-request/send', authenticateToken, async (req, res) => {
+    try {
+        const senderId = req.user.userId;
+        // People picked from /api/users/suggest are sent by id, typed ones by email
+        const { friendEmail, friendId } = req.body || {};
+
+        console.log(`\n🔵 Friend request - Sender: ${senderId}, Looking for: ${friendId || friendEmail}`);
+
+        // Validate input
+        if (!friendId && (!friendEmail || !friendEmail.trim())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is required'
+            });
+        }
+
+        const trimmedEmail = friendId ? null : friendEmail.trim().toLowerCase();
+
+        // 1. Check if trying to add self
+        const senderData = await db.getUserById(senderId);
+
+        if (friendId ? String(friendId) === String(senderId) : senderData && senderData.email.toLowerCase() === trimmedEmail) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot send a friend request to yourself'
+            });
+        }
+
+        // 2. Find the user by id, or by email (case-insensitive)
+        const receiverData = friendId
+            ? await db.getUserById(friendId)
+            : await db.getUserByEmail(trimmedEmail);
+
+        if (!receiverData) {
+            console.log('❌ User not found:', friendId || trimmedEmail);
+            return res.status(404).json({
+                success: false,
+                message: friendId ? 'User not found' : 'User not found. Please check the email and try again.'
+            });
+        }
+
+        const receiverId = receiverData.id;
+        console.log(`✅ Found user: ${receiverData.name} (${receiverId})`);
+
+        // Blocks work both ways and do not say who blocked whom
+        if (await db.isBlockedBetween(senderId, receiverId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot send a friend request to this user'
+            });
+        }
+
+        // 3. Check for existing requests (both directions) or accepted friendship
+        let existingRequests;
+        try {
+            existingRequests = await db.getFriendshipsBetween(senderId, receiverId);
+        } catch (checkError) {
+            console.error('Database error checking duplicates:', checkError);
+            return res.status(500).json({
+                success: false,
+                message: 'Error checking existing requests'
+            });
+        }
+
+        if (existingRequests && existingRequests.length > 0) {
+            const existingRequest = existingRequests[0];
+            
+            // Note: Check lowercase 'isaccepted' to match Supabase schema
+            if (existingRequest.isaccepted) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You are already friends with this user'
+                });
+            } else {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A friend request already exists between you and this user'
+                });
+            }
+        }
+
+        // 4. Create the friend request
+        // Note: isaccepted defaults to false in database
+        // Note: accepted_at column doesn't exist in schema
+        let newRequest;
+        try {
+            newRequest = await db.createFriendRequest(senderId, receiverId);
+        } catch (insertError) {
+            console.error('Error creating friend request:', insertError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to send friend request'
+            });
+        }
+
+        console.log('✅ Friend request created successfully');
+
+        await notify(receiverId, senderId, 'friend_request', { friendship_id: newRequest.id });
+        realtime.sendToUser(receiverId, 'friend_request', { request_id: newRequest.id, sender_id: senderId });
+
+        res.status(201).json({
+            success: true,
+            message: `Friend request sent to ${receiverData.name}`,
+            data: {
+                request: {
+                    id: newRequest.id,
+                    sender_id: senderId,
+                    receiver_id: receiverId,
+                    receiver_name: receiverData.name,
+                    isAccepted: false
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Error in send friend request:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET /api/friend-request/pending
+ * Get all pending friend requests for current user (received requests)
+ */
+app.get('/api/friend-request/pending', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+
+        // Get pending requests where current user is the receiver
+        let pendingRequests;
+        try {
+            pendingRequests = await db.getPendingRequests(userId);
+        } catch (error) {
+            console.error('Fetch pending requests error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch pending requests',
+                error: error.message
+            });
+        }
+
+        // Transform data
+        const formattedRequests = pendingRequests.filter(req => req.sender).map(req => ({
+            id: req.id,
+            sender_id: req.user_id,
+            sender_name: req.sender.name,
+            sender_email: req.sender.email,
+            sender_initials: req.sender.initials,
+            received_at: req.added_at
+        }));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                requests: formattedRequests,
+                count: formattedRequests.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get pending requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/friend-request/accept
+ * Accept a friend request
+ */
+app.post('/api/friend-request/accept', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { request_id } = req.body;
+
+        if (!request_id) {
+            return res.status(400).json({
+                success: false,
+                message: 'Request ID is required'
+            });
+        }
+
+        // Verify the request exists and is for this user
+        const friendship = await db.getFriendshipById(request_id);
+        const request = friendship && String(friendship.friend_id) === String(userId)
+            ? (await db.attachUsers([friendship], 'user_id', 'sender'))[0]
+            : null;
+
+        if (!request || !request.sender) {
+            return res.status(404).json({
+                success: false,
+                message: 'Friend request not found'
+            });
+        }
+
+        if (request.isaccepted) {
+            return res.status(400).json({
+                success: false,
+                message: 'This request has already been accepted'
+            });
+        }
+
+        // Accept the request (update original row) and create the reciprocal
+        // friendship row so both users see each other as friends
+        // Original: user_id=sender, friend_id=receiver
+        // Reciprocal: user_id=receiver, friend_id=sender
+        let acceptedRequest;
+        try {
+            acceptedRequest = await db.acceptFriendRequest(request);
+        } catch (updateError) {
+            console.error('Accept request error:', updateError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to accept friend request',
+                error: updateError.message
+            });
+        }
+
+        // The request is dealt with; tell the sender
+        await db.markNotificationsRead(userId, { type: 'friend_request', friendship_id: request.id });
+        await notify(request.user_id, userId, 'friend_accept', { friendship_id: request.id });
+        realtime.sendToUser(request.user_id, 'friend_request_accepted', { request_id: request.id, friend_id: userId });
+
+        res.status(200).json({
+            success: true,
+            message: `You are now friends with ${request.sender.name}`,
+            data: {
+                friendship: {
+                    id: acceptedRequest.id,
+                    friend_id: acceptedRequest.user_id,
+                    friend_name: request.sender.name,
+                    friend_email: request.sender.email,
+                    friend_initials: request.sender.initials
+                    // Note: accepted_at removed as column doesn't exist
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('Accept friend request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/friend-request/sent
+ * Get the caller's outgoing friend requests that are still pending
+ */
+app.get('/api/friend-request/sent', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+
+        const sentRequests = await db.getSentRequests(userId);
+
+        const formattedRequests = sentRequests.filter(request => request.receiver).map(request => ({
+            id: request.id,
+            receiver_id: request.friend_id,
+            receiver_name: request.receiver.name,
+            receiver_initials: request.receiver.initials,
+            sent_at: request.added_at
+        }));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                requests: formattedRequests,
+                count: formattedRequests.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Get sent requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/friend-request/cancel/:requestId
+ * Withdraw a friend request the caller sent (only while it is pending)
+ */
+app.delete('/api/friend-request/cancel/:requestId', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { requestId } = req.params;
+
+        const request = await db.getFriendshipById(requestId);
+
+        if (!request || request.isaccepted || String(request.user_id) !== String(userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Friend request not found'
+            });
+        }
+
+        try {
+            await db.removeFriend(request.id);
+            await db.deleteNotifications({ type: 'friend_request', friendship_id: request.id });
+        } catch (deleteError) {
+            console.error('Cancel request error:', deleteError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to cancel friend request',
+                error: deleteError.message
+            });
+        }
+
+        // Take it off the receiver's pending list
+        realtime.sendToUser(request.friend_id, 'friend_request_cancelled', { request_id: request.id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Friend request cancelled'
+        });
+
+    } catch (error) {
+        console.error('Cancel friend request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/friend-request/reject/:requestId
+ * Reject/delete a friend request
+ */
+app.delete('/api/friend-request/reject/:requestId', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { requestId } = req.params;
+
+        if (!requestId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Request ID is required'
+            });
+        }
+
+        // Verify the request exists and is for this user
+        const request = await db.getFriendshipById(requestId);
+
+        if (!request || String(request.friend_id) !== String(userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Friend request not found'
+            });
+        }
+
+        // Delete the request and its notification
+        try {
+            await db.removeFriend(requestId);
+            await db.deleteNotifications({ type: 'friend_request', friendship_id: request.id });
+        } catch (deleteError) {
+            console.error('Delete request error:', deleteError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to reject friend request',
+                error: deleteError.message
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Friend request rejected successfully'
+        });
+
+    } catch (error) {
+        console.error('Reject friend request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+const FRIEND_SUGGESTIONS_DEFAULT_LIMIT = 10;
+const FRIEND_SUGGESTIONS_MAX_LIMIT = 50;
+
+/**
+ * GET /api/friends/suggestions?limit=
+ * People you may know: friends of friends ranked by mutual friend count
+ * (users with a pending request or a block either way are left out)
+ */
+app.get('/api/friends/suggestions', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const limit = Math.min(
+            parseInt(req.query.limit, 10) || FRIEND_SUGGESTIONS_DEFAULT_LIMIT,
+            FRIEND_SUGGESTIONS_MAX_LIMIT
+        );
+
+        const [pendingIds, blockedIds] = await Promise.all([
+            db.getPendingRequestUserIds(userId),
+            db.getBlockedUserIds(userId)
+        ]);
+        const suggestions = await friendGraph.suggestions(userId, {
+            limit,
+            exclude: new Set([...pendingIds, ...blockedIds].map(String))
+        });
+
+        // Suggested people and their mutual friends in one lookup
+        const userIds = new Set(suggestions.flatMap(suggestion => [suggestion.id, ...suggestion.mutual_friend_ids]));
+        const users = await db.attachUsers([...userIds].map(id => ({ id })), 'id', 'user');
+        const usersById = new Map(users.map(row => [String(row.id), row.user]));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                suggestions: suggestions
+                    .filter(suggestion => usersById.get(suggestion.id))
+                    .map(suggestion => {
+                        const user = usersById.get(suggestion.id);
+                        return {
+                            id: user.id,
+                            name: user.name,
+                            initials: user.initials || getInitials(user.name),
+                            mutual_count: suggestion.mutual_friend_ids.length,
+                            mutual_friends: suggestion.mutual_friend_ids
+                                .map(id => usersById.get(id))
+                                .filter(Boolean)
+                                .map(friend => ({ id: friend.id, name: friend.name }))
+                        };
+                    })
+            }
+        });
+
+    } catch (error) {
+        console.error('Friend suggestions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/friends/remove/:friendshipId
+ * Remove a friendship (deletes both reciprocal rows)
+ */
+app.delete('/api/friends/remove/:friendshipId', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const friendshipId = req.params.friendshipId;
+
+        // Get the friendship details first
+        const friendship = await db.getFriendshipById(friendshipId);
+
+        if (!friendship) {
+            return res.status(404).json({
+                success: false,
+                message: 'Friendship not found'
+            });
+        }
+
+        // Verify user owns this friendship (can be either user_id or friend_id due to reciprocal friendships)
+        if (String(friendship.user_id) !== String(userId) && String(friendship.friend_id) !== String(userId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to remove this friendship'
+            });
+        }
+
+        // Determine the other user's ID
+        const otherUserId = String(friendship.user_id) === String(userId) ? friendship.friend_id : friendship.user_id;
+
+        // Delete the original friendship row
+        try {
+            await db.removeFriend(friendshipId);
+        } catch (deleteError1) {
+            console.error('Delete friendship error:', deleteError1);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to remove friendship',
+                error: deleteError1.message
+            });
+        }
+
+        // Delete the reciprocal friendship row (swap user_id and friend_id)
+        try {
+            await db.removeFriendshipRow(otherUserId, userId);
+        } catch (deleteError2) {
+            console.error('Delete reciprocal friendship error:', deleteError2);
+            // Don't fail the request if reciprocal delete fails
+        }
+
+        // Former friends come off each other's lists (and lose list-only posts)
+        await db.removeFromFriendLists(userId, otherUserId);
+        await db.removeFromFriendLists(otherUserId, userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Friendship removed successfully'
+        });
+
+    } catch (error) {
+        console.error('Remove friendship error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// ========== FRIEND LIST ENDPOINTS ==========
+// Lists are private to their owner: friends never see which lists they are on,
+// only the posts shared with them.
+
+/**
+ * Shape a friend list row for API responses
+ */
+function formatFriendList(list) {
+    const memberIds = list.member_ids || [];
+    return {
+        id: list.id,
+        name: list.name,
+        member_ids: memberIds,
+        member_count: memberIds.length,
+        created_at: list.created_at
+    };
+}
+
+/**
+ * Check a list name against the owner's other lists
+ * @returns {string|null} Error message, or null if the name is fine
+ */
+function validateFriendListName(name, lists, exceptId = null) {
+    if (!name) {
+        return 'List name is required';
+    }
+    if (name.length > FRIEND_LIST_NAME_MAX) {
+        return `List name must be ${FRIEND_LIST_NAME_MAX} characters or fewer`;
+    }
+    const taken = lists.some(list =>
+        String(list.id) !== String(exceptId) && list.name.toLowerCase() === name.toLowerCase());
+    return taken ? `You already have a list called "${name}"` : null;
+}
+
+/**
+ * Fetch a list only if it belongs to the user
+ */
+async function getOwnedFriendList(listId, userId) {
+    const list = await db.getFriendListById(listId);
+    return list && String(list.owner_id) === String(userId) ? list : null;
+}
+
+/**
+ * GET /api/friend-lists
+ * The caller's friend lists with their member IDs
+ */
+app.get('/api/friend-lists', authenticateToken, async (req, res) => {
+    try {
+        const lists = await db.getFriendListsByOwner(req.user.userId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                lists: lists.map(formatFriendList)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get friend lists error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/friend-lists
+ * Create an empty friend list
+ */
+app.post('/api/friend-lists', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const body = req.body || {};
+        const name = (body.name || '').trim();
+
+        const validationError = validateFriendListName(name, await db.getFriendListsByOwner(userId));
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const list = await db.createFriendList(userId, name);
+
+        res.status(201).json({
+            success: true,
+            message: `List "${name}" created`,
+            data: {
+                list: formatFriendList(list)
+            }
+        });
+
+    } catch (error) {
+        console.error('Create friend list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/friend-lists/:id
+ * Rename a friend list
+ */
+app.put('/api/friend-lists/:id', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const body = req.body || {};
+        const name = (body.name || '').trim();
+
+        const lists = await db.getFriendListsByOwner(userId);
+        const list = lists.find(owned => String(owned.id) === String(req.params.id));
+        if (!list) {
+            return res.status(404).json({
+                success: false,
+                message: 'Friend list not found'
+            });
+        }
+
+        const validationError = validateFriendListName(name, lists, list.id);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const renamed = await db.renameFriendList(list.id, name);
+
+        res.status(200).json({
+            success: true,
+            message: 'List renamed',
+            data: {
+                list: formatFriendList({ ...renamed, member_ids: list.member_ids })
+            }
+        });
+
+    } catch (error) {
+        console.error('Rename friend list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/friend-lists/:id
+ * Delete a friend list; posts shared with it become private
+ */
+app.delete('/api/friend-lists/:id', authenticateToken, async (req, res) => {
+    try {
+        const list = await getOwnedFriendList(req.params.id, req.user.userId);
+        if (!list) {
+            return res.status(404).json({
+                success: false,
+                message: 'Friend list not found'
+            });
+        }
+
+        await db.deleteFriendList(list.id);
+
+        res.status(200).json({
+            success: true,
+            message: `List "${list.name}" deleted`
+        });
+
+    } catch (error) {
+        console.error('Delete friend list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/friend-lists/:id/members
+ * Add one of the caller's friends to a list (body: friend_id)
+ * A friend can be on any number of lists
+ */
+app.post('/api/friend-lists/:id/members', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { friend_id } = req.body || {};
+
+        const list = await getOwnedFriendList(req.params.id, userId);
+        if (!list) {
+            return res.status(404).json({
+                success: false,
+                message: 'Friend list not found'
+            });
+        }
+
+        if (!friend_id || !(await db.areFriends(userId, friend_id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only friends can be added to a list'
+            });
+        }
+
+        await db.addFriendListMember(list.id, friend_id);
+
+        res.status(200).json({
+            success: true,
+            message: `Added to "${list.name}"`,
+            data: {
+                list_id: list.id,
+                friend_id
+            }
+        });
+
+    } catch (error) {
+        console.error('Add list member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/friend-lists/:id/members/:friendId
+ * Take a friend off a list
+ */
+app.delete('/api/friend-lists/:id/members/:friendId', authenticateToken, async (req, res) => {
+    try {
+        const list = await getOwnedFriendList(req.params.id, req.user.userId);
+        if (!list) {
+            return res.status(404).json({
+                success: false,
+                message: 'Friend list not found'
+            });
+        }
+
+        const removed = await db.removeFriendListMember(list.id, req.params.friendId);
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'That friend is not on this list'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Removed from "${list.name}"`
+        });
+
+    } catch (error) {
+        console.error('Remove list member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// ========== FOLLOW ENDPOINTS ==========
+// Following is one-way and needs no approval. Followers get the author's public
+// posts in their Following feed; friends-only and list posts still need a friendship.
+
+/**
+ * Shared handler for POST/DELETE /api/users/:id/follow
+ * @param {boolean} enable - true to follow, false to unfollow
+ */
+function setFollow(enable) {
+    return async (req, res) => {
+        try {
+            const { userId } = req.user;
+            const target = await db.getUserById(req.params.id);
+
+            if (!target) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            if (String(target.id) === String(userId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot follow yourself'
+                });
+            }
+
+            if (enable) {
+                // Blocks work both ways and do not say who blocked whom
+                if (await db.isBlockedBetween(userId, target.id)) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'You cannot follow this user'
+                    });
+                }
+
+                const alreadyFollowing = await db.isFollowing(userId, target.id);
+                await db.followUser(userId, target.id);
+                if (!alreadyFollowing) {
+                    await notify(target.id, userId, 'follow');
+                }
+            } else if (await db.unfollowUser(userId, target.id)) {
+                await db.deleteNotifications({ type: 'follow', user_id: target.id, actor_id: userId });
+            }
+
+            const counts = await db.getFollowCounts(target.id);
+
+            res.status(200).json({
+                success: true,
+                message: enable ? `You are now following ${target.name}` : `You unfollowed ${target.name}`,
+                data: {
+                    user_id: target.id,
+                    is_following: enable,
+                    followers_count: counts.followers,
+                    following_count: counts.following
+                }
+            });
+
+        } catch (error) {
+            console.error(`${enable ? 'Follow' : 'Unfollow'} error:`, error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                error: error.message
+            });
+        }
+    };
+}
+
+/**
+ * POST /api/users/:id/follow, DELETE /api/users/:id/follow
+ */
+app.post('/api/users/:id/follow', authenticateToken, setFollow(true));
+app.delete('/api/users/:id/follow', authenticateToken, setFollow(false));
+
+// ========== DIRECT MESSAGE ENDPOINTS ==========
+// One-to-one conversations between accepted friends. Old threads stay readable
+// after a friendship ends, but new messages need the friendship back.
+
+const MESSAGE_MAX_LENGTH = 2000;
+const MESSAGES_DEFAULT_LIMIT = 30;
+
+/**
+ * Shape a message row for API responses
+ */
+function formatMessage(message) {
+    return {
+        id: message.id,
+        conversation_id: message.conversation_id,
+        sender_id: message.sender_id,
+        body: message.body,
+        created_at: message.created_at,
+        read_at: message.read_at || null
+    };
+}
+
+/**
+ * The other person in a conversation
+ */
+function otherParticipantId(conversation, userId) {
+    return String(conversation.user_a_id) === String(userId) ? conversation.user_b_id : conversation.user_a_id;
+}
+
+/**
+ * Shape a conversation for the thread list and thread header
+ * @param {Object} conversation - Conversation row
+ * @param {Object} otherUser - The other participant's user row
+ * @param {Object} extra - {unread_count, can_message}
+ */
+function formatConversation(conversation, otherUser, { unread_count = 0, can_message = false } = {}) {
+    return {
+        id: conversation.id,
+        other_user: {
+            id: otherUser?.id ?? null,
+            name: otherUser?.name || 'Unknown',
+            initials: otherUser?.initials || getInitials(otherUser?.name || 'U')
+        },
+        last_message: conversation.last_message_at ? {
+            body: conversation.last_message_body,
+            sender_id: conversation.last_message_sender_id,
+            sent_at: conversation.last_message_at
+        } : null,
+        unread_count,
+        can_message
+    };
+}
+
+/**
+ * Fetch a conversation only if the user is in it and not blocked by (or blocking) the other person
+ * @returns {Promise<Object|null>} {conversation, otherUserId} or null
+ */
+async function getConversationForUser(conversationId, userId) {
+    const conversation = await db.getConversationById(conversationId);
+    if (!conversation ||
+        (String(conversation.user_a_id) !== String(userId) && String(conversation.user_b_id) !== String(userId))) {
+        return null;
+    }
+
+    const otherUserId = otherParticipantId(conversation, userId);
+    if (await db.isBlockedBetween(userId, otherUserId)) return null;
+
+    return { conversation, otherUserId };
+}
+
+/**
+ * Total unread messages for the nav badge (messages from blocked users do not count)
+ */
+async function countUnreadMessages(userId) {
+    const counts = await db.getUnreadMessageCounts(userId, await db.getBlockedUserIds(userId));
+    return [...counts.values()].reduce((total, count) => total + count, 0);
+}
+
+/**
+ * GET /api/conversations
+ * The caller's conversations (most recent first) with unread counts
+ */
+app.get('/api/conversations', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+
+        const [conversations, friendIds, blockedIds] = await Promise.all([
+            db.getConversationsForUser(userId),
+            db.getFriendIds(userId).then(ids => ids.map(String)),
+            db.getBlockedUserIds(userId).then(ids => ids.map(String))
+        ]);
+        const unreadCounts = await db.getUnreadMessageCounts(userId, blockedIds);
+
+        const items = conversations
+            .filter(conversation => !blockedIds.includes(String(otherParticipantId(conversation, userId))))
+            .map(conversation => {
+                const isUserA = String(conversation.user_a_id) === String(userId);
+                const otherId = String(otherParticipantId(conversation, userId));
+                return formatConversation(conversation, isUserA ? conversation.user_b : conversation.user_a, {
+                    unread_count: unreadCounts.get(String(conversation.id)) || 0,
+                    can_message: friendIds.includes(otherId)
+                });
+            });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                conversations: items,
+                unread_count: items.reduce((total, item) => total + item.unread_count, 0)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get conversations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/conversations
+ * Open (or create) the conversation with a friend (body: friend_id)
+ */
+app.post('/api/conversations', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { friend_id } = req.body || {};
+
+        const friend = friend_id ? await db.getUserById(friend_id) : null;
+        if (!friend || String(friend.id) === String(userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (!(await db.areFriends(userId, friend.id))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only message your friends'
+            });
+        }
+
+        const conversation = await db.getOrCreateConversation(userId, friend.id);
+        const unreadCounts = await db.getUnreadMessageCounts(userId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                conversation: formatConversation(conversation, friend, {
+                    unread_count: unreadCounts.get(String(conversation.id)) || 0,
+                    can_message: true
+                })
+            }
+        });
+
+    } catch (error) {
+        console.error('Open conversation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/messages/unread-count
+ * Unread messages across all conversations (for the nav badge)
+ */
+app.get('/api/messages/unread-count', authenticateToken, async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: {
+                unread_count: await countUnreadMessages(req.user.userId)
+            }
+        });
+
+    } catch (error) {
+        console.error('Unread messages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/conversations/:id/messages?before=&limit=
+ * A page of messages (oldest first within the page); `before` pages back in time
+ */
+app.get('/api/conversations/:id/messages', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { before } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || MESSAGES_DEFAULT_LIMIT, FEED_MAX_LIMIT);
+
+        const found = await getConversationForUser(req.params.id, userId);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+        const { conversation, otherUserId } = found;
+
+        // Fetch one extra message to know whether older ones exist
+        const [rows, otherUser, isFriend, unreadCounts] = await Promise.all([
+            db.getMessages(conversation.id, { before, limit: limit + 1 }),
+            db.getUserById(otherUserId),
+            db.areFriends(userId, otherUserId),
+            db.getUnreadMessageCounts(userId)
+        ]);
+        const hasMore = rows.length > limit;
+        const messages = rows.slice(0, limit);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                conversation: formatConversation(conversation, db.toPublicUser(otherUser), {
+                    unread_count: unreadCounts.get(String(conversation.id)) || 0,
+                    can_message: isFriend
+                }),
+                messages: messages.reverse().map(formatMessage),
+                next_cursor: hasMore ? messages[0].id : null,
+                has_more: hasMore
+            }
+        });
+
+    } catch (error) {
+        console.error('Get messages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/conversations/:id/messages
+ * Send a message (body: body); only while the two users are still friends
+ */
+app.post('/api/conversations/:id/messages', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+
+        const { body: text } = req.body || {};
+        if (text !== undefined && typeof text !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Message must be text'
+            });
+        }
+        const body = (text || '').trim();
+
+        const found = await getConversationForUser(req.params.id, userId);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+        const { conversation, otherUserId } = found;
+
+        if (!body) {
+            return res.status(400).json({
+                success: false,
+                message: 'Message cannot be empty'
+            });
+        }
+
+        if (body.length > MESSAGE_MAX_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Message cannot exceed ${MESSAGE_MAX_LENGTH} characters`
+            });
+        }
+
+        if (!(await db.areFriends(userId, otherUserId))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only message your friends'
+            });
+        }
+
+        const message = formatMessage(await db.addMessage(conversation.id, userId, body));
+
+        realtime.sendToUser(otherUserId, 'message_received', {
+            message,
+            unread_count: await countUnreadMessages(otherUserId)
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Message sent',
+            data: { message }
+        });
+
+    } catch (error) {
+        console.error('Send message error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/conversations/:id/read
+ * Mark every message the caller received in a conversation as read
+ */
+app.post('/api/conversations/:id/read', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+
+        const found = await getConversationForUser(req.params.id, userId);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        const marked = await db.markConversationRead(found.conversation.id, userId);
+
+        // Read receipts for the sender
+        if (marked > 0) {
+            realtime.sendToUser(found.otherUserId, 'messages_read', {
+                conversation_id: found.conversation.id,
+                read_at: new Date().toISOString()
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                marked,
+                unread_count: await countUnreadMessages(userId)
+            }
+        });
+
+    } catch (error) {
+        console.error('Mark conversation read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// ========== STUDY GROUP ENDPOINTS ==========
+// Groups have an owner, moderators and members. Anyone may join a public group;
+// private groups are joined by invite (from a member, to their friends) or by a
+// request a moderator approves. Group posts go through the normal post, like and
+// comment endpoints with a group_id, and private group posts only show inside the group.
+
+const GROUP_NAME_MAX = 60;
+const GROUP_DESCRIPTION_MAX = 500;
+const GROUP_ROLES = ['owner', 'moderator', 'member'];
+const GROUP_ROLE_RANK = { member: 1, moderator: 2, owner: 3 };
+
+/**
+ * Whether a membership has at least the given role
+ */
+function hasGroupRole(membership, role) {
+    return Boolean(membership) && GROUP_ROLE_RANK[membership.role] >= GROUP_ROLE_RANK[role];
+}
+
+/**
+ * Shape a group for API responses
+ * @param {Object} group - Group row
+ * @param {Object} extra - {member_count, my_role, pending (invite | request | null)}
+ */
+function formatGroup(group, { member_count = 0, my_role = null, pending = null } = {}) {
+    return {
+        id: group.id,
+        name: group.name,
+        description: group.description || '',
+        is_public: Boolean(group.is_public),
+        owner_id: group.owner_id,
+        member_count,
+        my_role,
+        pending,
+        created_at: group.created_at
+    };
+}
+
+/**
+ * Shape a membership, invite or join request row with its user
+ */
+function formatGroupPerson(row) {
+    return {
+        user_id: row.user_id,
+        name: row.user?.name || 'Unknown',
+        initials: row.user?.initials || getInitials(row.user?.name || 'U'),
+        role: row.role || null,
+        since: row.created_at
+    };
+}
+
+/**
+ * Check a group's name and description
+ * @returns {string|null} Error message, or null if both are fine
+ */
+function validateGroupFields(name, description) {
+    if (!name) {
+        return 'Group name is required';
+    }
+    if (name.length > GROUP_NAME_MAX) {
+        return `Group name must be ${GROUP_NAME_MAX} characters or fewer`;
+    }
+    if (description.length > GROUP_DESCRIPTION_MAX) {
+        return `Description must be ${GROUP_DESCRIPTION_MAX} characters or fewer`;
+    }
+    return null;
+}
+
+/**
+ * Fetch a group with the user's membership and any pending invite or request
+ * @returns {Promise<Object|null>} {group, membership, request} or null if the group does not exist
+ */
+async function loadGroupForUser(groupId, userId) {
+    const group = await db.getGroupById(groupId);
+    if (!group) return null;
+
+    const [membership, request] = await Promise.all([
+        db.getGroupMembership(group.id, userId),
+        db.getGroupRequest(group.id, userId)
+    ]);
+    return { group, membership, request };
+}
+
+/**
+ * A group as one user sees it, with their role and the member count
+ */
+async function describeGroupFor(group, userId) {
+    const [membership, request, counts] = await Promise.all([
+        db.getGroupMembership(group.id, userId),
+        db.getGroupRequest(group.id, userId),
+        db.countGroupMembers([group.id])
+    ]);
+    return formatGroup(group, {
+        member_count: counts.get(String(group.id)) || 0,
+        my_role: membership?.role || null,
+        pending: membership ? null : request?.type || null
+    });
+}
+
+/**
+ * Tell a group's owner and moderators about a new join request
+ */
+async function notifyGroupModerators(group, actorId) {
+    const members = await db.getGroupMembers(group.id);
+    await Promise.all(members
+        .filter(member => hasGroupRole(member, 'moderator'))
+        .map(member => notify(member.user_id, actorId, 'group_request', { group_id: group.id })));
+}
+
+/**
+ * 404 for a missing group, shared by every group route
+ */
+function groupNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+    });
+}
+
+/**
+ * GET /api/groups
+ * The caller's groups, their pending invites and public groups they could join
+ */
+app.get('/api/groups', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+
+        const [memberships, invites, publicGroups] = await Promise.all([
+            db.getGroupMemberships(userId),
+            db.getGroupInvitesForUser(userId),
+            db.getPublicGroups()
+        ]);
+        const roleByGroup = new Map(memberships.map(member => [String(member.group_id), member.role]));
+
+        const myGroups = await db.getGroupsByIds(memberships.map(member => member.group_id));
+        const invitedGroups = await db.getGroupsByIds(invites.map(invite => invite.group_id));
+        const discover = publicGroups.filter(group => !roleByGroup.has(String(group.id)));
+
+        const counts = await db.countGroupMembers([...myGroups, ...invitedGroups, ...discover].map(group => group.id));
+        const withCount = (group, extra = {}) =>
+            formatGroup(group, { member_count: counts.get(String(group.id)) || 0, ...extra });
+        const invitedById = new Map(invitedGroups.map(group => [String(group.id), group]));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                my_groups: myGroups
+                    .sort((a, b) => a.name.localeCompare(b.name))
+                    .map(group => withCount(group, { my_role: roleByGroup.get(String(group.id)) })),
+                invitations: invites
+                    .filter(invite => invitedById.has(String(invite.group_id)))
+                    .map(invite => ({
+                        group: withCount(invitedById.get(String(invite.group_id)), { pending: 'invite' }),
+                        invited_by: invite.invited_by,
+                        inviter_name: invite.inviter?.name || 'Someone',
+                        invited_at: invite.created_at
+                    })),
+                discover: discover.map(group => withCount(group))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get groups error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/groups
+ * Create a group; the creator becomes its owner
+ */
+app.post('/api/groups', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const body = req.body || {};
+        const name = String(body.name || '').trim();
+        const description = String(body.description || '').trim();
+
+        const invalid = validateGroupFields(name, description);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: invalid
+            });
+        }
+
+        const group = await db.createGroup({
+            name,
+            description,
+            is_public: Boolean(body.is_public),
+            owner_id: userId
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Group "${group.name}" created`,
+            data: {
+                group: formatGroup(group, { member_count: 1, my_role: 'owner' })
+            }
+        });
+
+    } catch (error) {
+        console.error('Create group error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/groups/:id
+ * A group's details with the caller's role or pending invite/request
+ */
+app.get('/api/groups/:id', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const group = await db.getGroupById(req.params.id);
+
+        if (!group) {
+            return groupNotFound(res);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                group: await describeGroupFor(group, userId)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get group error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/groups/:id
+ * Change a group's name, description or privacy (owner only)
+ * Making a group public or private changes who can see its posts
+ */
+app.put('/api/groups/:id', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const loaded = await loadGroupForUser(req.params.id, userId);
+
+        if (!loaded) {
+            return groupNotFound(res);
+        }
+        if (!hasGroupRole(loaded.membership, 'owner')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group owner can change the group'
+            });
+        }
+
+        const { group } = loaded;
+        const body = req.body || {};
+        const name = body.name !== undefined ? String(body.name).trim() : group.name;
+        const description = body.description !== undefined
+            ? String(body.description).trim()
+            : group.description || '';
+
+        const invalid = validateGroupFields(name, description);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: invalid
+            });
+        }
+
+        const changes = { name, description };
+        if (body.is_public !== undefined && Boolean(body.is_public) !== Boolean(group.is_public)) {
+            changes.is_public = Boolean(body.is_public);
+        }
+        const updated = await db.updateGroup(group.id, changes);
+
+        res.status(200).json({
+            success: true,
+            message: 'Group updated',
+            data: {
+                group: await describeGroupFor(updated, userId)
+            }
+        });
+
+    } catch (error) {
+        console.error('Update group error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/groups/:id
+ * Delete a group (owner only); its posts become private posts of their authors
+ */
+app.delete('/api/groups/:id', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const loaded = await loadGroupForUser(req.params.id, userId);
+
+        if (!loaded) {
+            return groupNotFound(res);
+        }
+        if (!hasGroupRole(loaded.membership, 'owner')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group owner can delete the group'
+            });
+        }
+
+        await db.deleteGroup(loaded.group.id);
+        await db.deleteNotifications({ group_id: loaded.group.id });
+
+        res.status(200).json({
+            success: true,
+            message: `Group "${loaded.group.name}" deleted`,
+            data: {
+                group_id: loaded.group.id
+            }
+        });
+
+    } catch (error) {
+        console.error('Delete group error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/groups/:id/members
+ * A group's members and roles (members only, unless the group is public)
+ */
+app.get('/api/groups/:id/members', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const loaded = await loadGroupForUser(req.params.id, userId);
+
+        if (!loaded) {
+            return groupNotFound(res);
+        }
+        if (!loaded.membership && !loaded.group.is_public) {
+            return res.status(403).json({
+                success: false,
+                message: 'Join this group to see its members'
+            });
+        }
+
+        const members = await db.getGroupMembers(loaded.group.id);
+        members.sort((a, b) => GROUP_ROLE_RANK[b.role] - GROUP_ROLE_RANK[a.role]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                members: members.map(formatGroupPerson)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get group members error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/groups/:id/join
+ * Join a public group or accept an invite; otherwise ask the moderators to let you in
+ */
+app.post('/api/groups/:id/join', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const loaded = await loadGroupForUser(req.params.id, userId);
+
+        if (!loaded) {
+            return groupNotFound(res);
+        }
+
+        const { group, membership, request } = loaded;
+        if (membership) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are already a member of this group'
+            });
+        }
+
+        let message;
+        if (group.is_public || request?.type === 'invite') {
+            await db.addGroupMember(group.id, userId);
+            await db.removeGroupRequest(group.id, userId);
+            await db.deleteNotifications({ type: 'group_invite', user_id: userId, group_id: group.id });
+            message = `You joined ${group.name}`;
+        } else if (request?.type === 'request') {
+            message = 'Your request to join is already waiting for approval';
+        } else {
+            await db.createGroupRequest({ group_id: group.id, user_id: userId, type: 'request' });
+            await notifyGroupModerators(group, userId);
+            message = 'Request sent to the group moderators';
+        }
+
+        res.status(200).json({
+            success: true,
+            message,
+            data: {
+                group: await describeGroupFor(group, userId)
+            }
+        });
+
+    } catch (error) {
+        console.error('Join group error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/groups/:id/join
+ * Withdraw a join request or decline an invite
+ */
+app.delete('/api/groups/:id/join', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const loaded = await loadGroupForUser(req.params.id, userId);
+
+        if (!loaded) {
+            return groupNotFound(res);
+        }
+        if (!loaded.request) {
+            return res.status(404).json({
+                success: false,
+                message: 'No pending invite or request for this group'
+            });
+        }
+
+        const { group, request } = loaded;
+        await db.removeGroupRequest(group.id, userId);
+        if (request.type === 'invite') {
+            await db.deleteNotifications({ type: 'group_invite', user_id: userId, group_id: group.id });
+        } else {
+            await db.deleteNotifications({ type: 'group_request', actor_id: userId, group_id: group.id });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: request.type === 'invite' ? 'Invite declined' : 'Join request withdrawn',
+            data: {
+                group: await describeGroupFor(group, userId)
+            }
+        });
+
+    } catch (error) {
+        console.error('Cancel group request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/groups/:id/leave
+ * Leave a group; the owner must hand the group over first
+ */
+app.post('/api/groups/:id/leave', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const loaded = await loadGroupForUser(req.params.id, userId);
+
+        if (!loaded) {
+            return groupNotFound(res);
+        }
+        if (!loaded.membership) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are not a member of this group'
+            });
+        }
+        if (loaded.membership.role === 'owner') {
+            return res.status(400).json({
+                success: false,
+                message: 'Make another member the owner before leaving, or delete the group'
+            });
+        }
+
+        await db.removeGroupMember(loaded.group.id, userId);
+
+        res.status(200).json({
+            success: true,
+            message: `You left ${loaded.group.name}`,
+            data: {
+                group: await describeGroupFor(loaded.group, userId)
+            }
+        });
+
+    } catch (error) {
+        console.error('Leave group error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/groups/:id/invite
+ * Invite a friend to a group (any member may invite)
+ */
+app.post('/api/groups/:id/invite', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { friend_id } = req.body || {};
+        const loaded = await loadGroupForUser(req.params.id, userId);
+
+        if (!loaded) {
+            return groupNotFound(res);
+        }
+        if (!loaded.membership) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group members can invite people'
+            });
+        }
+        if (!friend_id || !(await db.areFriends(userId, friend_id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'You can only invite your friends'
+            });
+        }
+
+        const { group } = loaded;
+        if (await db.isGroupMember(group.id, friend_id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'They are already a member of this group'
+            });
+        }
+
+        // Someone who already asked to join is let straight in
+        const existing = await db.getGroupRequest(group.id, friend_id);
+        if (existing?.type === 'request' && hasGroupRole(loaded.membership, 'moderator')) {
+            await db.addGroupMember(group.id, friend_id);
+            await db.removeGroupRequest(group.id, friend_id);
+            await db.deleteNotifications({ type: 'group_request', actor_id: friend_id, group_id: group.id });
+            await notify(friend_id, userId, 'group_approved', { group_id: group.id });
+
+            return res.status(200).json({
+                success: true,
+                message: 'They had asked to join and are now a member',
+                data: { user_id: friend_id, status: 'member' }
+            });
+        }
+
+        if (existing?.type !== 'invite') {
+            await db.createGroupRequest({ group_id: group.id, user_id: friend_id, type: 'invite', invited_by: userId });
+            await notify(friend_id, userId, 'group_invite', { group_id: group.id });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Invite sent',
+            data: { user_id: friend_id, status: 'invited' }
+        });
+
+    } catch (error) {
+        console.error('Group invite error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/groups/:id/requests
+ * Pending join requests and outstanding invites (moderators and owner)
+ */
+app.get('/api/groups/:id/requests', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const loaded = await loadGroupForUser(req.params.id, userId);
+
+        if (!loaded) {
+            return groupNotFound(res);
+        }
+        if (!hasGroupRole(loaded.membership, 'moderator')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only moderators can see join requests'
+            });
+        }
+
+        const [requests, invites] = await Promise.all([
+            db.getGroupRequests(loaded.group.id, 'request'),
+            db.getGroupRequests(loaded.group.id, 'invite')
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                requests: requests.map(formatGroupPerson),
+                invites: invites.map(formatGroupPerson)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get group requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/groups/:id/requests/:userId/approve
+ * Let someone who asked to join into the group (moderators and owner)
+ */
+app.post('/api/groups/:id/requests/:userId/approve', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const loaded = await loadGroupForUser(req.params.id, userId);
+
+        if (!loaded) {
+            return groupNotFound(res);
+        }
+        if (!hasGroupRole(loaded.membership, 'moderator')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only moderators can approve join requests'
+            });
+        }
+
+        const { group } = loaded;
+        const request = await db.getGroupRequest(group.id, req.params.userId);
+        if (!request || request.type !== 'request') {
+            return res.status(404).json({
+                success: false,
+                message: 'Join request not found'
+            });
+        }
+
+        await db.addGroupMember(group.id, request.user_id);
+        await db.removeGroupRequest(group.id, request.user_id);
+        await db.deleteNotifications({ type: 'group_request', actor_id: request.user_id, group_id: group.id });
+        await notify(request.user_id, userId, 'group_approved', { group_id: group.id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Join request approved',
+            data: { user_id: request.user_id }
+        });
+
+    } catch (error) {
+        console.error('Approve group request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/groups/:id/requests/:userId
+ * Turn down a join request or cancel an invite (moderators and owner)
+ */
+app.delete('/api/groups/:id/requests/:userId', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const loaded = await loadGroupForUser(req.params.id, userId);
+
+        if (!loaded) {
+            return groupNotFound(res);
+        }
+        if (!hasGroupRole(loaded.membership, 'moderator')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only moderators can manage join requests'
+            });
+        }
+
+        const { group } = loaded;
+        const request = await db.getGroupRequest(group.id, req.params.userId);
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'No pending invite or request for this user'
+            });
+        }
+
+        await db.removeGroupRequest(group.id, request.user_id);
+        if (request.type === 'invite') {
+            await db.deleteNotifications({ type: 'group_invite', user_id: request.user_id, group_id: group.id });
+        } else {
+            await db.deleteNotifications({ type: 'group_request', actor_id: request.user_id, group_id: group.id });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: request.type === 'invite' ? 'Invite cancelled' : 'Join request declined',
+            data: { user_id: request.user_id }
+        });
+
+    } catch (error) {
+        console.error('Decline group request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/groups/:id/members/:userId
+ * Change a member's role (owner only); making someone owner hands the group
+ * over and the previous owner becomes a moderator
+ */
+app.put('/api/groups/:id/members/:userId', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { role } = req.body || {};
+        const loaded = await loadGroupForUser(req.params.id, userId);
+
+        if (!loaded) {
+            return groupNotFound(res);
+        }
+        if (!hasGroupRole(loaded.membership, 'owner')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group owner can change roles'
+            });
+        }
+        if (!GROUP_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of: ${GROUP_ROLES.join(', ')}`
+            });
+        }
+
+        const { group } = loaded;
+        const target = await db.getGroupMembership(group.id, req.params.userId);
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+        if (String(target.user_id) === String(userId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Make another member the owner to change your own role'
+            });
+        }
+
+        await db.setGroupMemberRole(group.id, target.user_id, role);
+        if (role === 'owner') {
+            await db.setGroupMemberRole(group.id, userId, 'moderator');
+            await db.updateGroup(group.id, { owner_id: target.user_id });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: role === 'owner' ? 'Group ownership transferred' : `Role changed to ${role}`,
+            data: { user_id: target.user_id, role }
+        });
+
+    } catch (error) {
+        console.error('Change group role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/groups/:id/members/:userId
+ * Remove someone from a group: moderators can remove members, the owner anyone
+ */
+app.delete('/api/groups/:id/members/:userId', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const loaded = await loadGroupForUser(req.params.id, userId);
+
+        if (!loaded) {
+            return groupNotFound(res);
+        }
+
+        const target = await db.getGroupMembership(loaded.group.id, req.params.userId);
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+        if (String(target.user_id) === String(userId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use leave to remove yourself from a group'
+            });
+        }
+        if (!hasGroupRole(loaded.membership, 'moderator') ||
+            GROUP_ROLE_RANK[target.role] >= GROUP_ROLE_RANK[loaded.membership.role]) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot remove this member'
+            });
+        }
+
+        await db.removeGroupMember(loaded.group.id, target.user_id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Member removed',
+            data: { user_id: target.user_id }
+        });
+
+    } catch (error) {
+        console.error('Remove group member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/groups/:id/posts?cursor=&limit=
+ * A page of the group's feed, newest first (members only, unless the group is public)
+ * Posts are created, liked and commented on through the normal post endpoints
+ */
+app.get('/api/groups/:id/posts', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { cursor } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || FEED_DEFAULT_LIMIT, FEED_MAX_LIMIT);
+        const loaded = await loadGroupForUser(req.params.id, userId);
+
+        if (!loaded) {
+            return groupNotFound(res);
+        }
+        if (!loaded.membership && !loaded.group.is_public) {
+            return res.status(403).json({
+                success: false,
+                message: 'Join this group to see its posts'
+            });
+        }
+
+        const after = cursor ? decodePostCursor(cursor) : null;
+        if (cursor && !after) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+
+        // Fetch one extra post to know whether another page exists
+        const rows = await db.getFeedPosts({ groupId: loaded.group.id, viewerId: userId, after, limit: limit + 1 });
+        const hasMore = rows.length > limit;
+        const posts = rows.slice(0, limit);
+
+        const { likesByPost, commentsByPost } = await loadPostActivity(posts, userId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                posts: posts.map(post => toFeedItem(
+                    post,
+                    likesByPost.get(String(post.id)) || [],
+                    commentsByPost.get(String(post.id)) || [],
+                    userId,
+                    FEED_PREVIEW_COMMENTS
+                )),
+                next_cursor: hasMore ? encodePostCursor(posts[posts.length - 1]) : null,
+                has_more: hasMore
+            }
+        });
+
+    } catch (error) {
+        console.error('Group posts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// ========== COURSE ENDPOINTS ==========
+// The catalog is built by its users: declaring a course that is not listed yet
+// adds it. Each code + term pair is one offering with its own classmates and page.
+
+const COURSE_CODE_MAX = 20;
+const COURSE_TITLE_MAX = 100;
+const COURSE_TERM_MAX = 30;
+const COURSE_CODE_PATTERN = /^[A-Z0-9][A-Z0-9.-]*$/;
+const COURSE_SEARCH_LIMIT = 20;
+
+/**
+ * "cs 201" and "CS201" both become "CS201"
+ */
+function normalizeCourseCode(code) {
+    return String(code || '').toUpperCase().replace(/\s+/g, '');
+}
+
+/**
+ * Check a course declaration
+ * @returns {string|null} Error message, or null if the fields are fine
+ */
+function validateCourseFields(code, title, term) {
+    if (!code || !term) {
+        return 'Course code and term are required';
+    }
+    if (code.length > COURSE_CODE_MAX || !COURSE_CODE_PATTERN.test(code)) {
+        return `Course code must be up to ${COURSE_CODE_MAX} letters and digits (e.g. CS201)`;
+    }
+    if (title.length > COURSE_TITLE_MAX) {
+        return `Course title must be ${COURSE_TITLE_MAX} characters or fewer`;
+    }
+    if (term.length > COURSE_TERM_MAX) {
+        return `Term must be ${COURSE_TERM_MAX} characters or fewer`;
+    }
+    return null;
+}
+
+/**
+ * Shape a course for API responses
+ * @param {Object} course - Course row
+ * @param {Object} extra - {enrolled_count, is_enrolled}
+ */
+function formatCourse(course, { enrolled_count = null, is_enrolled = null } = {}) {
+    return {
+        id: course.id,
+        code: course.code,
+        title: course.title || '',
+        term: course.term,
+        enrolled_count,
+        is_enrolled
+    };
+}
+
+/**
+ * Shape several courses with their enrollment counts and whether the user takes them
+ */
+async function formatCoursesFor(courses, userId) {
+    const [counts, mine] = await Promise.all([
+        db.countEnrollments(courses.map(course => course.id)),
+        db.getCoursesForUser(userId)
+    ]);
+    const myIds = new Set(mine.map(course => String(course.id)));
+
+    return courses.map(course => formatCourse(course, {
+        enrolled_count: counts.get(String(course.id)) || 0,
+        is_enrolled: myIds.has(String(course.id))
+    }));
+}
+
+/**
+ * GET /api/courses?q=
+ * Search the course catalog by code or title
+ */
+app.get('/api/courses', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const query = String(req.query.q || '').trim();
+
+        const courses = await db.searchCourses(query, COURSE_SEARCH_LIMIT);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                courses: await formatCoursesFor(courses, userId)
+            }
+        });
+
+    } catch (error) {
+        console.error('Search courses error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/courses/mine
+ * The courses the caller is taking (used by the post composer)
+ */
+app.get('/api/courses/mine', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+
+        const courses = await db.getCoursesForUser(userId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                courses: await formatCoursesFor(courses, userId)
+            }
+        });
+
+    } catch (error) {
+        console.error('My courses error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/courses
+ * Declare a course the caller is taking: enrolls them in the matching
+ * code + term offering, adding it to the catalog if it is new
+ */
+app.post('/api/courses', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const body = req.body || {};
+        const code = normalizeCourseCode(body.code);
+        const title = String(body.title || '').trim();
+        const term = String(body.term || '').trim().replace(/\s+/g, ' ');
+
+        const invalid = validateCourseFields(code, title, term);
+        if (invalid) {
+            return res.status(400).json({
                 success: false,
-                message: 'Request ID is required'
+                message: invalid
             });
         }
 
-        // Verify the request exists and is for this user
-        const { data: request, error: fetchError } = await supabase
-            .from('friends')
-            .select('*')
-            .eq('id', requestId)
-            .eq('friend_id', userId)
-            .single();
-
-        if (fetchError || !request) {
-            return res.status(404).json({
-                success: false,
-                message: 'Friend request not found'
-            });
+        let course = await db.findCourse(code, term);
+        const created = !course;
+        if (created) {
+            course = await db.createCourse({ code, title, term, created_by: userId });
         }
+        await db.enrollInCourse(course.id, userId);
 
-        // Delete the request
-        const { error: deleteError } = await supabase
-            .from('friends')
-            .delete()
-            .eq('id', requestId);
+        const [formatted] = await formatCoursesFor([course], userId);
 
-        if (deleteError) {
-            console.error('Delete request error:', deleteError);
-            return res.status(500).json({
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: `You are enrolled in ${course.code} (${course.term})`,
+            data: {
+                course: formatted,
+                created
+            }
+        });
+
+    } catch (error) {
+        console.error('Declare course error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/courses/:id
+ * A course with its enrollment count and whether the caller takes it
+ */
+app.get('/api/courses/:id', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const course = await db.getCourseById(req.params.id);
+
+        if (!course) {
+            return res.status(404).json({
                 success: false,
-                message: 'Failed to reject friend request',
-                error: deleteError.message
+                message: 'Course not found'
             });
         }
 
+        const [formatted] = await formatCoursesFor([course], userId);
+
         res.status(200).json({
             success: true,
-            message: 'Friend request rejected successfully'
+            data: {
+                course: formatted
+            }
         });
 
     } catch (error) {
-        console.error('Reject friend request error:', error);
+        console.error('Get course error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error',
@@ -1690,73 +5948,202 @@ app.delete('/api/friend-request/reject/:requestId', authenticateToken, async (re
 });
 
 /**
- * DELETE /api/friends/remove/:friendshipId
- * Remove a friendship (deletes both reciprocal rows)
+ * Shared handler for POST/DELETE /api/courses/:id/enroll
+ * @param {boolean} enable - true to enroll, false to drop the course
  */
-app.delete('/api/friends/remove/:friendshipId', authenticateToken, async (req, res) => {
+function setEnrollment(enable) {
+    return async (req, res) => {
+        try {
+            const { userId } = req.user;
+            const course = await db.getCourseById(req.params.id);
+
+            if (!course) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+
+            if (enable) {
+                await db.enrollInCourse(course.id, userId);
+            } else {
+                await db.unenrollFromCourse(course.id, userId);
+            }
+
+            const [formatted] = await formatCoursesFor([course], userId);
+
+            res.status(200).json({
+                success: true,
+                message: enable ? `You are enrolled in ${course.code}` : `You dropped ${course.code}`,
+                data: {
+                    course: formatted
+                }
+            });
+
+        } catch (error) {
+            console.error(`${enable ? 'Enroll' : 'Unenroll'} error:`, error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                error: error.message
+            });
+        }
+    };
+}
+
+/**
+ * POST /api/courses/:id/enroll, DELETE /api/courses/:id/enroll
+ */
+app.post('/api/courses/:id/enroll', authenticateToken, setEnrollment(true));
+app.delete('/api/courses/:id/enroll', authenticateToken, setEnrollment(false));
+
+/**
+ * GET /api/courses/:id/classmates
+ * Other people enrolled in a course, friends first (enrolled users only)
+ */
+app.get('/api/courses/:id/classmates', authenticateToken, async (req, res) => {
     try {
         const { userId } = req.user;
-        const friendshipId = req.params.friendshipId;
+        const course = await db.getCourseById(req.params.id);
 
-        // Get the friendship details first
-        const { data: friendship, error: fetchError } = await supabase
-            .from('friends')
-            .select('user_id, friend_id')
-            .eq('id', friendshipId)
-            .single();
-
-        if (fetchError || !friendship) {
+        if (!course) {
             return res.status(404).json({
                 success: false,
-                message: 'Friendship not found'
+                message: 'Course not found'
             });
         }
-
-        // Verify user owns this friendship (can be either user_id or friend_id due to reciprocal friendships)
-        if (friendship.user_id !== userId && friendship.friend_id !== userId) {
+        if (!(await db.isEnrolled(course.id, userId))) {
             return res.status(403).json({
                 success: false,
-                message: 'Not authorized to remove this friendship'
+                message: 'Enroll in this course to see your classmates'
             });
         }
 
-        // Determine the other user's ID
-        const otherUserId = friendship.user_id === userId ? friendship.friend_id : friendship.user_id;
+        const [enrollments, friendIds, blockedIds] = await Promise.all([
+            db.getCourseEnrollments(course.id),
+            db.getFriendIds(userId),
+            db.getBlockedUserIds(userId)
+        ]);
+        const friends = new Set(friendIds.map(String));
+        const hidden = new Set([String(userId), ...blockedIds.map(String)]);
+
+        const classmates = enrollments
+            .filter(enrollment => !hidden.has(String(enrollment.user_id)))
+            .map(enrollment => ({
+                user_id: enrollment.user_id,
+                name: enrollment.user?.name || 'Unknown',
+                initials: enrollment.user?.initials || getInitials(enrollment.user?.name || 'U'),
+                is_friend: friends.has(String(enrollment.user_id))
+            }))
+            .sort((a, b) => Number(b.is_friend) - Number(a.is_friend) || a.name.localeCompare(b.name));
 
-        // Delete the original friendship row
-        const { error: deleteError1 } = await supabase
-            .from('friends')
-            .delete()
-            .eq('id', friendshipId);
+        res.status(200).json({
+            success: true,
+            data: {
+                classmates
+            }
+        });
 
-        if (deleteError1) {
-            console.error('Delete friendship error:', deleteError1);
-            return res.status(500).json({
+    } catch (error) {
+        console.error('Course classmates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/courses/:id/posts?cursor=&limit=
+ * A page of the posts tagged with a course that the caller may see, newest first
+ */
+app.get('/api/courses/:id/posts', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { cursor } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || FEED_DEFAULT_LIMIT, FEED_MAX_LIMIT);
+
+        const course = await db.getCourseById(req.params.id);
+        if (!course) {
+            return res.status(404).json({
                 success: false,
-                message: 'Failed to remove friendship',
-                error: deleteError1.message
+                message: 'Course not found'
             });
         }
 
-        // Delete the reciprocal friendship row (swap user_id and friend_id)
-        const { error: deleteError2 } = await supabase
-            .from('friends')
-            .delete()
-            .eq('user_id', otherUserId)
-            .eq('friend_id', userId);
-
-        if (deleteError2) {
-            console.error('Delete reciprocal friendship error:', deleteError2);
-            // Don't fail the request if reciprocal delete fails
+        const after = cursor ? decodePostCursor(cursor) : null;
+        if (cursor && !after) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
         }
 
+        // Fetch one extra post to know whether another page exists
+        const rows = await db.getFeedPosts({ courseId: course.id, viewerId: userId, after, limit: limit + 1 });
+        const hasMore = rows.length > limit;
+        const posts = rows.slice(0, limit);
+
+        const { likesByPost, commentsByPost } = await loadPostActivity(posts, userId);
+
         res.status(200).json({
             success: true,
-            message: 'Friendship removed successfully'
+            data: {
+                posts: posts.map(post => toFeedItem(
+                    post,
+                    likesByPost.get(String(post.id)) || [],
+                    commentsByPost.get(String(post.id)) || [],
+                    userId,
+                    FEED_PREVIEW_COMMENTS
+                )),
+                next_cursor: hasMore ? encodePostCursor(posts[posts.length - 1]) : null,
+                has_more: hasMore
+            }
         });
 
     } catch (error) {
-        console.error('Remove friendship error:', error);
+        console.error('Course posts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// ========== BLOCK & MUTE ENDPOINTS ==========
+// Block: no friend requests or comments either way, and neither user sees the other.
+// Mute: the muted user's posts just leave the muter's feed.
+
+const USER_RELATION_TYPES = ['block', 'mute'];
+const USER_RELATION_VERBS = { block: ['blocked', 'unblocked'], mute: ['muted', 'unmuted'] };
+
+/**
+ * GET /api/user/relations
+ * Users the caller has blocked or muted
+ */
+app.get('/api/user/relations', authenticateToken, async (req, res) => {
+    try {
+        const relations = await db.getUserRelations(req.user.userId);
+
+        const toListItem = relation => ({
+            id: relation.target_id,
+            name: relation.target?.name || 'Unknown',
+            initials: relation.target?.initials || getInitials(relation.target?.name || 'U'),
+            since: relation.created_at
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                blocked: relations.filter(relation => relation.type === 'block').map(toListItem),
+                muted: relations.filter(relation => relation.type === 'mute').map(toListItem)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get relations error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error',
@@ -1765,6 +6152,102 @@ app.delete('/api/friends/remove/:friendshipId', authenticateToken, async (req, r
     }
 });
 
+/**
+ * Shared handler for POST/DELETE /api/users/:id/block and /api/users/:id/mute
+ * @param {string} type - block | mute
+ * @param {boolean} enable - true to set the relation, false to lift it
+ */
+function setUserRelation(type, enable) {
+    return async (req, res) => {
+        try {
+            const { userId } = req.user;
+            const target = await db.getUserById(req.params.id);
+
+            if (!target) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            if (String(target.id) === String(userId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `You cannot ${type} yourself`
+                });
+            }
+
+            if (enable) {
+                await db.addUserRelation(userId, target.id, type);
+
+                if (type === 'block') {
+                    // Blocking ends the friendship and any pending request either way
+                    await db.removeFriendshipRow(userId, target.id);
+                    await db.removeFriendshipRow(target.id, userId);
+                    await db.removeFromFriendLists(userId, target.id);
+                    await db.removeFromFriendLists(target.id, userId);
+                    await db.removeFollowsBetween(userId, target.id);
+                    await db.deleteNotifications({ user_id: userId, actor_id: target.id });
+                    await db.deleteNotifications({ user_id: target.id, actor_id: userId });
+                }
+            } else {
+                await db.removeUserRelation(userId, target.id, type);
+            }
+
+            const relations = await db.getRelationsBetween(userId, target.id);
+            const [setVerb, liftVerb] = USER_RELATION_VERBS[type];
+
+            res.status(200).json({
+                success: true,
+                message: `${target.name} ${enable ? setVerb : liftVerb}`,
+                data: {
+                    user_id: target.id,
+                    is_blocked: relations.some(relation => relation.type === 'block'),
+                    is_muted: relations.some(relation => relation.type === 'mute')
+                }
+            });
+
+        } catch (error) {
+            console.error(`Set ${type} error:`, error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                error: error.message
+            });
+        }
+    };
+}
+
+/**
+ * POST /api/users/:id/block, DELETE /api/users/:id/block
+ * POST /api/users/:id/mute, DELETE /api/users/:id/mute
+ */
+USER_RELATION_TYPES.forEach(type => {
+    app.post(`/api/users/:id/${type}`, authenticateToken, setUserRelation(type, true));
+    app.delete(`/api/users/:id/${type}`, authenticateToken, setUserRelation(type, false));
+});
+
+// ========== REALTIME ==========
+
+/**
+ * GET /api/realtime?token=
+ * Server-Sent Events stream of post, like, comment, friend request and
+ * notification events for the user. EventSource cannot send headers,
+ * so the JWT comes in the query string.
+ */
+app.get('/api/realtime', (req, res) => {
+    const decoded = req.query.token ? verifyToken(req.query.token) : null;
+
+    if (!decoded) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid or expired token'
+        });
+    }
+
+    realtime.connect(decoded.userId, req, res);
+});
+
 // ========== HEALTH CHECK ==========
 
 app.get('/health', (req, res) => {
@@ -1806,25 +6289,112 @@ app.listen(PORT, () => {
     console.log(`   POST   /api/auth/change-password`);
     console.log(`\n📝 User Endpoints:`);
     console.log(`   GET    /api/user/profile`);
-    console.log(`\n📝 Posts Endpoints (with Undo Stack):`);
+    console.log(`   PUT    /api/user/profile`);
+    console.log(`\n📝 Posts Endpoints (with Undo/Redo Stacks):`);
     console.log(`   GET    /api/posts/my-posts`);
+    console.log(`   POST   /api/posts/create`);
     console.log(`   PUT    /api/posts/edit`);
     console.log(`   DELETE /api/posts/delete`);
     console.log(`   POST   /api/posts/undo`);
+    console.log(`   POST   /api/posts/redo`);
     console.log(`   GET    /api/posts/undo-status`);
+    console.log(`   GET    /api/posts/undo-history`);
+    console.log(`   POST   /api/posts/undo/:entryId`);
+    console.log(`   GET    /api/posts/trash`);
+    console.log(`   POST   /api/posts/trash/:postId/restore`);
+    console.log(`   GET    /api/posts/:id/revisions`);
+    console.log(`   GET    /api/posts/:id`);
+    console.log(`\n📰 Feed Endpoints:`);
+    console.log(`   GET    /api/feed`);
+    console.log(`\n🔎 Search Endpoints:`);
+    console.log(`   GET    /api/search`);
+    console.log(`   GET    /api/search/index`);
+    console.log(`\n#️⃣  Hashtag Endpoints:`);
+    console.log(`   GET    /api/tags/popular`);
+    console.log(`   GET    /api/tags/:tag/posts`);
+    console.log(`\n🔔 Notification Endpoints:`);
+    console.log(`   GET    /api/notifications`);
+    console.log(`   POST   /api/notifications/read-all`);
+    console.log(`   POST   /api/notifications/:id/read`);
+    console.log(`\n👤 Mention & User Profile Endpoints:`);
+    console.log(`   GET    /api/mentions/suggest`);
+    console.log(`   GET    /api/users/suggest`);
+    console.log(`   GET    /api/users/:id`);
+    console.log(`   GET    /api/users/:id/path`);
+    console.log(`   GET    /api/users/:id/posts`);
     console.log(`\n💙 Like/Unlike Endpoints:`);
     console.log(`   POST   /api/posts/like`);
     console.log(`   DELETE /api/posts/unlike`);
     console.log(`\n💬 Comment Endpoints:`);
+    console.log(`   GET    /api/posts/:id/comments`);
     console.log(`   POST   /api/comments/add`);
     console.log(`   PUT    /api/comments/:id`);
     console.log(`   DELETE /api/comments/:id`);
+    console.log(`\n❓ Answer Endpoints:`);
+    console.log(`   POST   /api/comments/:id/upvote`);
+    console.log(`   DELETE /api/comments/:id/upvote`);
+    console.log(`   POST   /api/posts/:id/accept`);
+    console.log(`   DELETE /api/posts/:id/accept`);
     console.log(`\n👥 Friend Request Endpoints:`);
     console.log(`   POST   /api/friend-request/send`);
     console.log(`   GET    /api/friend-request/pending`);
+    console.log(`   GET    /api/friend-request/sent`);
     console.log(`   POST   /api/friend-request/accept`);
+    console.log(`   DELETE /api/friend-request/cancel/:requestId`);
     console.log(`   DELETE /api/friend-request/reject/:requestId`);
+    console.log(`   GET    /api/friends/suggestions`);
     console.log(`   DELETE /api/friends/remove/:friendshipId`);
+    console.log(`\n🏷️  Friend List Endpoints:`);
+    console.log(`   GET    /api/friend-lists`);
+    console.log(`   POST   /api/friend-lists`);
+    console.log(`   PUT    /api/friend-lists/:id`);
+    console.log(`   DELETE /api/friend-lists/:id`);
+    console.log(`   POST   /api/friend-lists/:id/members`);
+    console.log(`   DELETE /api/friend-lists/:id/members/:friendId`);
+    console.log(`\n➕ Follow Endpoints:`);
+    console.log(`   POST   /api/users/:id/follow`);
+    console.log(`   DELETE /api/users/:id/follow`);
+    console.log(`\n✉️  Direct Message Endpoints:`);
+    console.log(`   GET    /api/conversations`);
+    console.log(`   POST   /api/conversations`);
+    console.log(`   GET    /api/messages/unread-count`);
+    console.log(`   GET    /api/conversations/:id/messages`);
+    console.log(`   POST   /api/conversations/:id/messages`);
+    console.log(`   POST   /api/conversations/:id/read`);
+    console.log(`\n👥 Study Group Endpoints:`);
+    console.log(`   GET    /api/groups`);
+    console.log(`   POST   /api/groups`);
+    console.log(`   GET    /api/groups/:id`);
+    console.log(`   PUT    /api/groups/:id`);
+    console.log(`   DELETE /api/groups/:id`);
+    console.log(`   GET    /api/groups/:id/members`);
+    console.log(`   POST   /api/groups/:id/join`);
+    console.log(`   DELETE /api/groups/:id/join`);
+    console.log(`   POST   /api/groups/:id/leave`);
+    console.log(`   POST   /api/groups/:id/invite`);
+    console.log(`   GET    /api/groups/:id/requests`);
+    console.log(`   POST   /api/groups/:id/requests/:userId/approve`);
+    console.log(`   DELETE /api/groups/:id/requests/:userId`);
+    console.log(`   PUT    /api/groups/:id/members/:userId`);
+    console.log(`   DELETE /api/groups/:id/members/:userId`);
+    console.log(`   GET    /api/groups/:id/posts`);
+    console.log(`\n📚 Course Endpoints:`);
+    console.log(`   GET    /api/courses?q=`);
+    console.log(`   GET    /api/courses/mine`);
+    console.log(`   POST   /api/courses`);
+    console.log(`   GET    /api/courses/:id`);
+    console.log(`   POST   /api/courses/:id/enroll`);
+    console.log(`   DELETE /api/courses/:id/enroll`);
+    console.log(`   GET    /api/courses/:id/classmates`);
+    console.log(`   GET    /api/courses/:id/posts`);
+    console.log(`\n🚫 Block & Mute Endpoints:`);
+    console.log(`   GET    /api/user/relations`);
+    console.log(`   POST   /api/users/:id/block`);
+    console.log(`   DELETE /api/users/:id/block`);
+    console.log(`   POST   /api/users/:id/mute`);
+    console.log(`   DELETE /api/users/:id/mute`);
+    console.log(`\n⚡ Realtime (Server-Sent Events):`);
+    console.log(`   GET    /api/realtime?token=`);
     console.log(`\n📝 Health:`);
     console.log(`   GET    /health\n`);
 });
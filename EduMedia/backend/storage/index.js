@@ -0,0 +1,48 @@
+// ==========================================
+// EduMedia - Storage Driver Selection
+// Picks the storage driver from STORAGE_DRIVER at startup:
+//   supabase (default) - live Supabase project
+//   memory             - in-process tables, wiped on restart
+//   file               - in-process tables saved to STORAGE_FILE
+// ==========================================
+
+require('dotenv').config();
+const path = require('path');
+
+const MemoryStore = require('./memoryStore');
+const SupabaseStore = require('./supabaseStore');
+
+const DEFAULT_STORAGE_FILE = path.join(__dirname, '..', 'data', 'edumedia.json');
+
+/**
+ * Create the storage driver configured in the environment
+ * @returns {MemoryStore|SupabaseStore} Storage driver
+ */
+function createStore() {
+    const driver = (process.env.STORAGE_DRIVER || 'supabase').toLowerCase();
+
+    switch (driver) {
+        case 'memory':
+            return new MemoryStore();
+        case 'file':
+            return new MemoryStore({ file: process.env.STORAGE_FILE || DEFAULT_STORAGE_FILE });
+        case 'supabase':
+            if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
+                throw new Error('SUPABASE_URL and SUPABASE_ANON_KEY are required when STORAGE_DRIVER=supabase');
+            }
+            return new SupabaseStore(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected supabase, memory or file)`);
+    }
+}
+
+const store = createStore();
+
+console.log(`✅ Storage driver: ${store.name}`);
+
+module.exports = {
+    store,
+    createStore,
+    MemoryStore,
+    SupabaseStore
+};
@@ -0,0 +1,256 @@
+// ==========================================
+// EduMedia - In-Memory Storage Driver
+// Keeps every table in a plain array so the API can run
+// locally, in CI, or in a classroom lab without Supabase.
+// Optionally persisted to a JSON file between restarts.
+// ==========================================
+
+const fs = require('fs');
+const path = require('path');
+
+// Column defaults the Supabase schema fills in for us
+const TABLE_DEFAULTS = {
+    posts: () => ({ likes: 0, deleted_at: null, edited_at: null, visibility: 'public', audience_list_id: null, group_id: null, course_id: null, post_type: 'post', accepted_comment_id: null }),
+    comments: () => ({ score: 0 }),
+    friends: () => ({ isaccepted: false, added_at: new Date().toISOString() }),
+    undo_actions: () => ({ stack: 'undo' }),
+    notifications: () => ({ post_id: null, comment_id: null, friendship_id: null, group_id: null, read_at: null })
+};
+
+/**
+ * Compare two column values the way Postgres would for ids coming
+ * from URLs ("5") and ids stored as numbers (5)
+ */
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (a === null || a === undefined || b === null || b === undefined) return false;
+    return String(a) === String(b);
+}
+
+/**
+ * Convert an SQL ILIKE pattern into a case-insensitive RegExp
+ * Supports % and _ wildcards and backslash escapes
+ */
+function ilikeToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\' && i + 1 < pattern.length) {
+            source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        } else if (char === '%') {
+            source += '.*';
+        } else if (char === '_') {
+            source += '.';
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check a single column condition against a value
+ */
+function matchesCondition(value, condition) {
+    if (condition === null) {
+        return value === null || value === undefined;
+    }
+
+    if (typeof condition !== 'object' || Array.isArray(condition)) {
+        return sameValue(value, condition);
+    }
+
+    return Object.entries(condition).every(([op, expected]) => {
+        switch (op) {
+            case 'eq':
+                return sameValue(value, expected);
+            case 'neq':
+                return !sameValue(value, expected);
+            case 'in':
+                return expected.some(item => sameValue(value, item));
+            case 'notIn':
+                return !expected.some(item => sameValue(value, item));
+            case 'is':
+                return expected === null ? (value === null || value === undefined) : value === expected;
+            case 'not':
+                return expected === null ? (value !== null && value !== undefined) : value !== expected;
+            case 'lt':
+                return value !== null && value !== undefined && value < expected;
+            case 'lte':
+                return value !== null && value !== undefined && value <= expected;
+            case 'gt':
+                return value !== null && value !== undefined && value > expected;
+            case 'gte':
+                return value !== null && value !== undefined && value >= expected;
+            case 'ilike':
+                return typeof value === 'string' && ilikeToRegExp(expected).test(value);
+            default:
+                throw new Error(`Unsupported filter operator "${op}"`);
+        }
+    });
+}
+
+/**
+ * Check a row against a where object
+ * `or` and `and` keys hold arrays of nested where objects
+ */
+function matchesWhere(row, where = {}) {
+    return Object.entries(where).every(([column, condition]) => {
+        if (column === 'or') return condition.some(branch => matchesWhere(row, branch));
+        if (column === 'and') return condition.every(branch => matchesWhere(row, branch));
+        return matchesCondition(row[column], condition);
+    });
+}
+
+function compareRows(a, b, orderBy) {
+    const orders = Array.isArray(orderBy) ? orderBy : [orderBy];
+    for (const { column, ascending = true } of orders) {
+        const left = a[column];
+        const right = b[column];
+        if (left === right) continue;
+        if (left === null || left === undefined) return 1;
+        if (right === null || right === undefined) return -1;
+        const result = left < right ? -1 : 1;
+        return ascending ? result : -result;
+    }
+    return 0;
+}
+
+class MemoryStore {
+    /**
+     * @param {Object} options
+     * @param {string} [options.file] - JSON file to persist tables to
+     */
+    constructor(options = {}) {
+        this.name = options.file ? 'file' : 'memory';
+        this.file = options.file || null;
+        this.tables = {};
+        this.sequences = {};
+
+        if (this.file) {
+            this.load();
+        }
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) return;
+
+        const snapshot = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        this.tables = snapshot.tables || {};
+        this.sequences = snapshot.sequences || {};
+        console.log(`✅ Loaded local data from ${this.file}`);
+    }
+
+    persist() {
+        if (!this.file) return;
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify({
+            sequences: this.sequences,
+            tables: this.tables
+        }, null, 2));
+    }
+
+    table(name) {
+        if (!this.tables[name]) {
+            this.tables[name] = [];
+        }
+        return this.tables[name];
+    }
+
+    nextId(table) {
+        this.sequences[table] = (this.sequences[table] || 0) + 1;
+        return this.sequences[table];
+    }
+
+    /**
+     * Select rows from a table
+     * @param {string} table - Table name
+     * @param {Object} query - {where, orderBy, limit, offset}
+     * @returns {Promise<Array>} Matching rows (copies)
+     */
+    async select(table, query = {}) {
+        const { where, orderBy, limit, offset = 0 } = query;
+        let rows = this.table(table).filter(row => matchesWhere(row, where));
+
+        if (orderBy) {
+            rows.sort((a, b) => compareRows(a, b, orderBy));
+        }
+
+        if (offset || limit !== undefined) {
+            rows = rows.slice(offset, limit !== undefined ? offset + limit : undefined);
+        }
+
+        return rows.map(row => ({ ...row }));
+    }
+
+    /**
+     * Insert one or more rows, filling in id, created_at and table defaults
+     * @returns {Promise<Array>} Inserted rows
+     */
+    async insert(table, rows) {
+        const list = Array.isArray(rows) ? rows : [rows];
+        const defaults = TABLE_DEFAULTS[table];
+        const inserted = list.map(row => {
+            const record = {
+                created_at: new Date().toISOString(),
+                ...(defaults ? defaults() : {}),
+                ...row
+            };
+
+            if (record.id === undefined || record.id === null) {
+                record.id = this.nextId(table);
+            } else if (this.table(table).some(existing => sameValue(existing.id, record.id))) {
+                throw new Error(`duplicate key value violates unique constraint "${table}_pkey"`);
+            } else if (typeof record.id === 'number' && record.id > (this.sequences[table] || 0)) {
+                this.sequences[table] = record.id;
+            }
+
+            this.table(table).push(record);
+            return { ...record };
+        });
+
+        this.persist();
+        return inserted;
+    }
+
+    /**
+     * Update rows matching a filter
+     * @returns {Promise<Array>} Updated rows
+     */
+    async update(table, where, changes) {
+        const updated = [];
+        this.table(table).forEach(row => {
+            if (matchesWhere(row, where)) {
+                Object.assign(row, changes);
+                updated.push({ ...row });
+            }
+        });
+
+        if (updated.length > 0) this.persist();
+        return updated;
+    }
+
+    /**
+     * Delete rows matching a filter
+     * @returns {Promise<Array>} Deleted rows
+     */
+    async remove(table, where) {
+        const rows = this.table(table);
+        const removed = rows.filter(row => matchesWhere(row, where));
+        this.tables[table] = rows.filter(row => !matchesWhere(row, where));
+
+        if (removed.length > 0) this.persist();
+        return removed;
+    }
+
+    /**
+     * Count rows matching a filter
+     * @returns {Promise<number>}
+     */
+    async count(table, where) {
+        return this.table(table).filter(row => matchesWhere(row, where)).length;
+    }
+}
+
+module.exports = MemoryStore;
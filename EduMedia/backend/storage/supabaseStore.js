@@ -0,0 +1,262 @@
+// ==========================================
+// EduMedia - Supabase Storage Driver
+// Translates the storage driver interface into
+// Supabase query builder calls
+// ==========================================
+
+const { createClient } = require('@supabase/supabase-js');
+
+// PostgREST returns at most this many rows per request (its default max-rows)
+const SELECT_PAGE_SIZE = 1000;
+
+/**
+ * Check whether a filter can never match (e.g. `in` an empty list)
+ * Supabase rejects empty `in` filters, so we short-circuit them
+ */
+function isEmptyFilter(where = {}) {
+    return Object.entries(where).some(([column, condition]) => {
+        if (column === 'or') return condition.every(isEmptyFilter);
+        if (column === 'and') return condition.some(isEmptyFilter);
+        return condition !== null &&
+            typeof condition === 'object' &&
+            Array.isArray(condition.in) &&
+            condition.in.length === 0;
+    });
+}
+
+/**
+ * Quote a value for a PostgREST filter string when it contains
+ * characters that are reserved in the `or` syntax
+ */
+function quoteFilterValue(value) {
+    const text = String(value);
+    return /[,.:()"\\\s]/.test(text) ? `"${text.replace(/["\\]/g, '\\$&')}"` : text;
+}
+
+/**
+ * Convert a where object into PostgREST filter strings for `.or()`
+ * Branches that can never match are dropped
+ */
+function toFilterStrings(where = {}) {
+    const filters = [];
+    for (const [column, condition] of Object.entries(where)) {
+        if (column === 'or' || column === 'and') {
+            const branches = condition.filter(branch => !isEmptyFilter(branch)).map(toFilterBranch);
+            filters.push(`${column}(${branches.join(',')})`);
+            continue;
+        }
+
+        if (condition === null) {
+            filters.push(`${column}.is.null`);
+            continue;
+        }
+
+        if (typeof condition !== 'object' || Array.isArray(condition)) {
+            filters.push(`${column}.eq.${quoteFilterValue(condition)}`);
+            continue;
+        }
+
+        for (const [op, value] of Object.entries(condition)) {
+            switch (op) {
+                case 'in':
+                    filters.push(`${column}.in.(${value.map(quoteFilterValue).join(',')})`);
+                    break;
+                case 'notIn':
+                    if (value.length > 0) {
+                        filters.push(`${column}.not.in.(${value.map(quoteFilterValue).join(',')})`);
+                    }
+                    break;
+                case 'is':
+                    filters.push(`${column}.is.${value}`);
+                    break;
+                case 'not':
+                    filters.push(`${column}.not.is.${value}`);
+                    break;
+                case 'eq':
+                case 'neq':
+                case 'lt':
+                case 'lte':
+                case 'gt':
+                case 'gte':
+                case 'ilike':
+                    filters.push(`${column}.${op}.${quoteFilterValue(value)}`);
+                    break;
+                default:
+                    throw new Error(`Unsupported filter operator "${op}"`);
+            }
+        }
+    }
+    return filters;
+}
+
+function toFilterBranch(where) {
+    const filters = toFilterStrings(where);
+    return filters.length === 1 ? filters[0] : `and(${filters.join(',')})`;
+}
+
+/**
+ * Apply a where object to a Supabase query
+ * Plain values use eq, objects map operators onto query builder methods,
+ * `or` / `and` hold arrays of nested where objects
+ */
+function applyWhere(query, where = {}) {
+    for (const [column, condition] of Object.entries(where)) {
+        if (column === 'or') {
+            const branches = condition.filter(branch => !isEmptyFilter(branch));
+            query = query.or(branches.map(toFilterBranch).join(','));
+            continue;
+        }
+
+        if (column === 'and') {
+            condition.forEach(branch => {
+                query = applyWhere(query, branch);
+            });
+            continue;
+        }
+
+        if (condition === null) {
+            query = query.is(column, null);
+            continue;
+        }
+
+        if (typeof condition !== 'object' || Array.isArray(condition)) {
+            query = query.eq(column, condition);
+            continue;
+        }
+
+        for (const [op, value] of Object.entries(condition)) {
+            switch (op) {
+                case 'eq':
+                case 'neq':
+                case 'in':
+                case 'is':
+                case 'lt':
+                case 'lte':
+                case 'gt':
+                case 'gte':
+                case 'ilike':
+                    query = query[op](column, value);
+                    break;
+                case 'not':
+                    query = query.not(column, 'is', value);
+                    break;
+                case 'notIn':
+                    // An empty list excludes nothing
+                    if (value.length > 0) {
+                        query = query.not(column, 'in', `(${value.map(quoteFilterValue).join(',')})`);
+                    }
+                    break;
+                default:
+                    throw new Error(`Unsupported filter operator "${op}"`);
+            }
+        }
+    }
+    return query;
+}
+
+function applyOrder(query, orderBy) {
+    if (!orderBy) return query;
+
+    const orders = Array.isArray(orderBy) ? orderBy : [orderBy];
+    orders.forEach(({ column, ascending = true }) => {
+        query = query.order(column, { ascending });
+    });
+    return query;
+}
+
+class SupabaseStore {
+    constructor(url, anonKey) {
+        this.name = 'supabase';
+        this.client = createClient(url, anonKey);
+    }
+
+    /**
+     * Select rows from a table
+     * @param {string} table - Table name
+     * @param {Object} query - {where, orderBy, limit, offset}
+     * @returns {Promise<Array>} Matching rows
+     */
+    async select(table, query = {}) {
+        const { where, orderBy, limit, offset = 0 } = query;
+        if (isEmptyFilter(where)) return [];
+
+        const request = order => applyOrder(applyWhere(this.client.from(table).select('*'), where), order);
+
+        if (limit !== undefined) {
+            const { data, error } = await request(orderBy).range(offset, offset + limit - 1);
+            if (error) throw error;
+            return data || [];
+        }
+
+        // PostgREST caps each response, so read everything in pages until a short one.
+        // Ordering by id as well keeps rows from shifting between pages.
+        const orders = orderBy ? (Array.isArray(orderBy) ? orderBy : [orderBy]) : [];
+        const pagedOrder = orders.some(order => order.column === 'id') ? orders : [...orders, { column: 'id' }];
+        const rows = [];
+        for (let from = offset; ; from += SELECT_PAGE_SIZE) {
+            const { data, error } = await request(pagedOrder).range(from, from + SELECT_PAGE_SIZE - 1);
+            if (error) throw error;
+
+            rows.push(...(data || []));
+            if (!data || data.length < SELECT_PAGE_SIZE) return rows;
+        }
+    }
+
+    /**
+     * Insert one or more rows
+     * @returns {Promise<Array>} Inserted rows
+     */
+    async insert(table, rows) {
+        const { data, error } = await this.client
+            .from(table)
+            .insert(Array.isArray(rows) ? rows : [rows])
+            .select();
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Update rows matching a filter
+     * @returns {Promise<Array>} Updated rows
+     */
+    async update(table, where, changes) {
+        if (isEmptyFilter(where)) return [];
+
+        const { data, error } = await applyWhere(this.client.from(table).update(changes), where).select();
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Delete rows matching a filter
+     * @returns {Promise<Array>} Deleted rows
+     */
+    async remove(table, where) {
+        if (isEmptyFilter(where)) return [];
+
+        const { data, error } = await applyWhere(this.client.from(table).delete(), where).select();
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Count rows matching a filter
+     * @returns {Promise<number>}
+     */
+    async count(table, where) {
+        if (isEmptyFilter(where)) return 0;
+
+        const { count, error } = await applyWhere(
+            this.client.from(table).select('*', { count: 'exact', head: true }),
+            where
+        );
+
+        if (error) throw error;
+        return count || 0;
+    }
+}
+
+module.exports = SupabaseStore;
@@ -38,6 +38,15 @@ Actual Tables in Supabase:
    - content
    - likes (integer)
    - created_at (timestamp)
+   - deleted_at (timestamp, null unless the post is in the Trash)
+   - edited_at (timestamp, null until the post is first edited)
+   - visibility (public | friends | list | group | private, default public)
+   - audience_list_id (foreign key → friend_lists.id, set when visibility is list)
+   - group_id (foreign key → study_groups.id, nullable - posts in a group are public
+     when the group is public and group otherwise)
+   - course_id (foreign key → courses.id, nullable - shows the post on the course page)
+   - post_type (post | question, default post - comments on a question are its answers)
+   - accepted_comment_id (foreign key → comments.id, nullable - the answer the author accepted)
 
 3. comments
    - id (primary key)
@@ -45,6 +54,7 @@ Actual Tables in Supabase:
    - author_id (foreign key → users.id)
    - text
    - created_at (timestamp)
+   - score (integer, default 0 - cached upvote count when the comment answers a question)
 
 4. friends
    - id (primary key)
@@ -56,6 +66,138 @@ Actual Tables in Supabase:
    - id (primary key)
    - user_id (foreign key → users.id)
    - post_id (foreign key → posts.id)
+
+6. undo_actions (per-user undo/redo stacks for My Posts)
+   - id (primary key)
+   - user_id (foreign key → users.id)
+   - stack (undo | redo, default undo)
+   - type (EDIT | DELETE)
+   - action (jsonb - full undo payload)
+   - created_at (timestamp)
+
+7. post_revisions (every saved version of an edited post)
+   - id (primary key)
+   - post_id (foreign key → posts.id)
+   - editor_id (foreign key → users.id)
+   - content
+   - created_at (timestamp)
+
+8. post_tags (hashtag index: one row per tag per post)
+   - id (primary key)
+   - post_id (foreign key → posts.id)
+   - tag (lowercase, without the #)
+   - created_at (timestamp)
+
+9. mentions (@mentions resolved to users when a post or comment is saved)
+   - id (primary key)
+   - post_id (foreign key → posts.id)
+   - comment_id (foreign key → comments.id, null for mentions in the post itself)
+   - author_id (foreign key → users.id, who wrote the mention)
+   - mentioned_user_id (foreign key → users.id)
+   - handle (lowercase text after the @, as typed)
+   - created_at (timestamp)
+
+10. notifications (likes, comments, mentions and friend requests for a user)
+   - id (primary key)
+   - user_id (foreign key → users.id, who is notified)
+   - actor_id (foreign key → users.id, who did it)
+   - type (like | comment | mention | friend_request | friend_accept | follow |
+     group_invite | group_request | group_approved | answer_accepted)
+   - post_id (foreign key → posts.id, nullable)
+   - comment_id (foreign key → comments.id, nullable)
+   - friendship_id (foreign key → friends.id, nullable)
+   - group_id (foreign key → study_groups.id, nullable)
+   - read_at (timestamp, null until read)
+   - created_at (timestamp)
+
+11. user_relations (blocks and mutes one user sets on another)
+   - id (primary key)
+   - user_id (foreign key → users.id, who blocked or muted)
+   - target_id (foreign key → users.id, who is blocked or muted)
+   - type (block | mute)
+   - created_at (timestamp)
+   - unique (user_id, target_id, type)
+
+12. friend_lists (named groups a user sorts their friends into)
+   - id (primary key)
+   - owner_id (foreign key → users.id)
+   - name
+   - created_at (timestamp)
+
+13. friend_list_members (a friend can be on several of the owner's lists)
+   - id (primary key)
+   - list_id (foreign key → friend_lists.id)
+   - friend_id (foreign key → users.id)
+   - created_at (timestamp)
+   - unique (list_id, friend_id)
+
+14. follows (one-way: no approval needed, unlike friends)
+   - id (primary key)
+   - follower_id (foreign key → users.id)
+   - followee_id (foreign key → users.id)
+   - created_at (timestamp)
+   - unique (follower_id, followee_id)
+
+15. conversations (one per pair of users; user_a_id is the smaller ID)
+   - id (primary key)
+   - user_a_id (foreign key → users.id)
+   - user_b_id (foreign key → users.id)
+   - last_message_at (timestamp, nullable - null until the first message)
+   - last_message_body (text, nullable)
+   - last_message_sender_id (foreign key → users.id, nullable)
+   - created_at (timestamp)
+   - unique (user_a_id, user_b_id)
+
+16. messages
+   - id (primary key)
+   - conversation_id (foreign key → conversations.id)
+   - sender_id (foreign key → users.id)
+   - body
+   - read_at (timestamp, nullable - null until the recipient opens the conversation)
+   - created_at (timestamp)
+
+17. study_groups
+   - id (primary key)
+   - name
+   - description
+   - is_public (boolean - anyone may join and read posts without asking)
+   - owner_id (foreign key → users.id)
+   - created_at (timestamp)
+
+18. group_members
+   - id (primary key)
+   - group_id (foreign key → study_groups.id)
+   - user_id (foreign key → users.id)
+   - role (owner | moderator | member)
+   - created_at (timestamp)
+
+19. group_requests (pending invites and join requests)
+   - id (primary key)
+   - group_id (foreign key → study_groups.id)
+   - user_id (foreign key → users.id, who is invited or asking to join)
+   - type (invite | request)
+   - invited_by (foreign key → users.id, nullable - set for invites)
+   - created_at (timestamp)
+
+20. courses (one offering of a course; unique on code + term)
+   - id (primary key)
+   - code (uppercase, e.g. CS201)
+   - title
+   - term (e.g. Fall 2026)
+   - created_by (foreign key → users.id)
+   - created_at (timestamp)
+
+21. enrollments
+   - id (primary key)
+   - course_id (foreign key → courses.id)
+   - user_id (foreign key → users.id)
+   - created_at (timestamp)
+
+22. answer_votes (upvotes on answers to question posts)
+   - id (primary key)
+   - comment_id (foreign key → comments.id)
+   - user_id (foreign key → users.id)
+   - created_at (timestamp)
 */
 
 // ========== USER MANAGEMENT ==========
@@ -0,0 +1,185 @@
+// ==========================================
+// EduMedia - User Autocomplete (Prefix Trie)
+// Every user is stored under their full name and each word
+// of their name, so "bo" and "jon" both find Bob Jones as
+// the user types. Emails are never prefix-matched: only a
+// full address ("b@x.io") or a full domain ("@x.io") finds
+// anyone by email.
+// ==========================================
+
+class TrieNode {
+    constructor() {
+        this.children = new Map(); // character -> TrieNode
+        this.userIds = new Set(); // users whose key ends here
+    }
+}
+
+class UserTrie {
+    constructor() {
+        this.root = new TrieNode();
+        this.users = new Map(); // user id -> {user, keys, email}
+        this.emails = new Map(); // full email -> user id
+        this.domains = new Map(); // "@domain" -> Set of user ids
+    }
+
+    /**
+     * Keys a user can be found under (lowercase)
+     */
+    static keysFor(user) {
+        const name = (user.name || '').trim().toLowerCase();
+        const words = name.split(/\s+/).filter(Boolean);
+        const keys = [name, ...words.slice(1)];
+        return [...new Set(keys.filter(Boolean))];
+    }
+
+    /**
+     * Add a user, or re-add them after their name or email changed
+     * @param {Object} user - Public user row (id, name, email, initials)
+     */
+    insert(user) {
+        const id = String(user.id);
+        this.remove(id);
+
+        const keys = UserTrie.keysFor(user);
+        const email = (user.email || '').trim().toLowerCase();
+        keys.forEach(key => {
+            let node = this.root;
+            for (const char of key) {
+                if (!node.children.has(char)) node.children.set(char, new TrieNode());
+                node = node.children.get(char);
+            }
+            node.userIds.add(id);
+        });
+
+        if (email) {
+            this.emails.set(email, id);
+            const domain = UserTrie.domainOf(email);
+            if (!this.domains.has(domain)) this.domains.set(domain, new Set());
+            this.domains.get(domain).add(id);
+        }
+
+        this.users.set(id, { user, keys, email });
+    }
+
+    /**
+     * "@domain" part of an email (lowercase)
+     */
+    static domainOf(email) {
+        return email.slice(email.lastIndexOf('@'));
+    }
+
+    /**
+     * Remove a user and prune branches left without users
+     */
+    remove(userId) {
+        const id = String(userId);
+        const entry = this.users.get(id);
+        if (!entry) return;
+
+        entry.keys.forEach(key => this.removeKey(this.root, [...key], 0, id));
+        if (entry.email) {
+            if (this.emails.get(entry.email) === id) this.emails.delete(entry.email);
+            const domain = UserTrie.domainOf(entry.email);
+            const ids = this.domains.get(domain);
+            if (ids) {
+                ids.delete(id);
+                if (ids.size === 0) this.domains.delete(domain);
+            }
+        }
+        this.users.delete(id);
+    }
+
+    /**
+     * @returns {boolean} Whether the node is now empty and can be dropped
+     */
+    removeKey(node, chars, depth, id) {
+        if (depth === chars.length) {
+            node.userIds.delete(id);
+        } else {
+            const child = node.children.get(chars[depth]);
+            if (child && this.removeKey(child, chars, depth + 1, id)) {
+                node.children.delete(chars[depth]);
+            }
+        }
+        return node.userIds.size === 0 && node.children.size === 0;
+    }
+
+    /**
+     * Replace every user in the trie
+     * @param {Array<Object>} users - Public user rows
+     */
+    rebuild(users) {
+        this.root = new TrieNode();
+        this.users.clear();
+        this.emails.clear();
+        this.domains.clear();
+        users.forEach(user => this.insert(user));
+    }
+
+    /**
+     * Find users with a name key starting with the prefix, in alphabetical key order.
+     * Text containing "@" is instead matched against whole emails or whole domains.
+     * @param {string} prefix
+     * @param {Object} options
+     * @param {number} [options.limit] - Maximum users to return
+     * @param {Set<string>} [options.exclude] - User ids (as strings) to skip
+     * @returns {Array<Object>} User rows
+     */
+    search(prefix, { limit = 8, exclude = new Set() } = {}) {
+        const text = prefix.trim().toLowerCase();
+        if (text.includes('@')) return this.searchEmail(text, { limit, exclude });
+
+        let node = this.root;
+        for (const char of text) {
+            node = node.children.get(char);
+            if (!node) return [];
+        }
+
+        // Depth-first walk below the prefix node, stopping once we have enough
+        const found = new Set();
+        const stack = [node];
+        while (stack.length > 0 && found.size < limit) {
+            const current = stack.pop();
+
+            for (const id of current.userIds) {
+                if (!exclude.has(id)) found.add(id);
+                if (found.size >= limit) break;
+            }
+
+            // Push in reverse so "a" is visited before "b"
+            [...current.children.keys()].sort().reverse()
+                .forEach(char => stack.push(current.children.get(char)));
+        }
+
+        return [...found].map(id => this.users.get(id).user);
+    }
+
+    /**
+     * Users whose email is exactly the text, or whose domain is ("@x.io")
+     */
+    searchEmail(text, { limit, exclude }) {
+        let ids = [];
+        if (text.startsWith('@')) {
+            ids = [...(this.domains.get(text) || [])];
+        } else if (this.emails.has(text)) {
+            ids = [this.emails.get(text)];
+        }
+
+        return ids
+            .filter(id => !exclude.has(id))
+            .map(id => this.users.get(id).user)
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+            .slice(0, limit);
+    }
+
+    get size() {
+        return this.users.size;
+    }
+}
+
+const userTrie = new UserTrie();
+
+module.exports = {
+    userTrie,
+    UserTrie
+};
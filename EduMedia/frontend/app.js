@@ -167,7 +167,44 @@ const AppState = {
     historyStack: new Stack(),
     friendsList: new LinkedList(),
     selectedPost: null,
-    isLoading: false
+    isLoading: false,
+    feedCursor: null, // Cursor for the next feed page (null when there are no more)
+    feedLoading: false,
+    searchQuery: null, // Query the feed currently shows ranked results for
+    searchTotal: 0,
+    currentTag: null, // Hashtag shown on the tag page
+    tagPosts: [],
+    tagCursor: null,
+    viewedUserId: null, // User shown on another person's profile page
+    viewedUserRelations: { block: false, mute: false }, // Whether we blocked/muted them
+    viewedUserFollowing: false, // Whether we follow them
+    userPosts: [],
+    userPostsCursor: null,
+    friendLists: [], // Our friend lists: {id, name, member_ids}
+    activeFriendListId: null, // List the friends page is filtered to (null = all)
+    viewedPostId: null, // Post shown on the single post page
+    viewedPost: null,
+    notifications: [],
+    notificationsCursor: null,
+    conversations: [],
+    activeConversationId: null, // Thread shown on the conversation page
+    activeConversation: null,
+    messages: [], // Loaded messages of the open thread, oldest first
+    messagesCursor: null, // Oldest loaded message id when older ones exist
+    myGroups: [], // Study groups we belong to, with our role
+    groupInvites: [],
+    discoverGroups: [], // Public groups we have not joined
+    activeGroupId: null, // Group shown on the group page
+    activeGroup: null,
+    groupMembers: [],
+    groupPosts: [],
+    groupPostsCursor: null,
+    myCourses: [], // Courses we take: {id, code, title, term}
+    activeCourseId: null, // Course shown on the course page
+    activeCourse: null,
+    coursePosts: [],
+    coursePostsCursor: null,
+    classmates: []
 };
 
 // ========== INITIALIZATION ==========
@@ -206,6 +243,12 @@ async function initializeApp() {
         // Load data from database
         await loadDataFromDatabase();
 
+        // Keep the notification badge current
+        startNotificationPolling();
+
+        // Live likes, comments and post changes from other users
+        connectRealtime();
+
     } catch (error) {
         console.error('Error initializing app:', error);
         alert('Failed to initialize application. Please check your database connection.');
@@ -216,24 +259,13 @@ async function initializeApp() {
 
 async function loadDataFromDatabase() {
     try {
-        // Load posts into queue
-        const posts = await Database.getAllPosts();
-        AppState.postsQueue.clear();
-        posts.forEach(post => {
-            // Transform database post to match our frontend structure
-            const transformedPost = {
-                id: post.id,
-                author: post.author.name,
-                authorId: post.author_id,
-                initials: post.author.initials,
-                content: post.content,
-                timestamp: new Date(post.created_at),
-                likes: post.likes,
-                likedBy: [], // Will be populated below
-                comments: []  // Will be loaded below
-            };
-            AppState.postsQueue.enqueue(transformedPost);
-        });
+        // Groups first, so group posts in the feed can show their group's name
+        await loadGroups();
+        await loadMyCourses();
+
+        // Load the first page of the feed (counts and comment previews included)
+        await loadFeed();
+        await loadPopularTags();
 
         // Load friends into linked list
         const friends = await Database.getFriends(AppState.currentUser.id);
@@ -249,29 +281,301 @@ async function loadDataFromDatabase() {
             };
             AppState.friendsList.add(friend);
         });
+        await loadFriendLists();
 
-        // Load likes and comments for each post
-        for (const post of AppState.postsQueue.toArray()) {
-            // Load likes and get FRESH count from database
-            const likes = await Database.getLikesForPost(post.id);
-            post.likedBy = likes.map(like => like.user_id);
-            post.likes = likes.length; // ✅ UPDATE: Use actual count from database, not stale cache
-            
-            // Load comments
-            const comments = await Database.getCommentsForPost(post.id);
-            post.comments = comments.map(comment => ({
-                id: comment.id,
-                author: comment.author.name,
-                authorId: comment.author_id,
-                text: comment.text,
-                created_at: comment.created_at,
-                post_id: post.id
-            }));
+        updateStatistics();
+    } catch (error) {
+        console.error('Error loading data:', error);
+    }
+}
+
+/**
+ * Load a page of the feed from the backend
+ * Sort comes from the feed toolbar; a search query switches to ranked results
+ * append=true loads the next page
+ */
+async function loadFeed(append = false) {
+    const query = document.getElementById('searchPosts').value.trim();
+    if (query) {
+        return loadSearchResults(query, append);
+    }
+
+    searchRequestId++; // Drop any search still in flight
+    if (AppState.feedLoading) return;
+    if (append && !AppState.feedCursor) return;
+
+    const params = new URLSearchParams({
+        sort: document.getElementById('sortPosts').value,
+        filter: document.getElementById('feedFilter').value
+    });
+    if (append) {
+        params.set('cursor', AppState.feedCursor);
+    }
+
+    try {
+        AppState.feedLoading = true;
+
+        const response = await fetch(`${API_URL}/feed?${params}`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            console.error('Failed to load feed:', result.message);
+            return;
         }
 
+        // The user started searching while this page was loading
+        if (document.getElementById('searchPosts').value.trim()) return;
+
+        if (!append) {
+            AppState.postsQueue.clear();
+        }
+
+        result.data.posts.forEach(post => AppState.postsQueue.enqueue(toFeedPost(post)));
+
+        AppState.feedCursor = result.data.next_cursor;
+        AppState.searchQuery = null;
+
+        renderFeed();
         updateStatistics();
     } catch (error) {
-        console.error('Error loading data:', error);
+        console.error('Error loading feed:', error);
+    } finally {
+        AppState.feedLoading = false;
+    }
+}
+
+let searchRequestId = 0;
+let searchLoading = false;
+
+/**
+ * Fill the feed with posts matching a search, ranked by relevance on the server
+ * While searching, feedCursor holds the offset of the next page of results
+ */
+async function loadSearchResults(query, append = false) {
+    if (append && (searchLoading || !AppState.feedCursor)) return;
+
+    // A newer query makes older responses stale
+    const requestId = ++searchRequestId;
+    const params = new URLSearchParams({ q: query });
+    if (append) {
+        params.set('offset', AppState.feedCursor);
+    }
+
+    try {
+        searchLoading = true;
+
+        const response = await fetch(`${API_URL}/search?${params}`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+        if (requestId !== searchRequestId) return;
+
+        if (!response.ok) {
+            console.error('Failed to search posts:', result.message);
+            return;
+        }
+
+        if (!append) {
+            AppState.postsQueue.clear();
+        }
+
+        result.data.results.forEach(item => {
+            AppState.postsQueue.enqueue({ ...toFeedPost(item), snippet: item.snippet, score: item.score });
+        });
+
+        AppState.feedCursor = result.data.next_offset;
+        AppState.searchQuery = query;
+        AppState.searchTotal = result.data.total;
+
+        renderFeed();
+        updateStatistics();
+    } catch (error) {
+        console.error('Error searching posts:', error);
+    } finally {
+        if (requestId === searchRequestId) {
+            searchLoading = false;
+        }
+    }
+}
+
+/**
+ * Transform an API post to match our frontend structure
+ */
+function toFeedPost(post) {
+    return {
+        id: post.post_id,
+        author: post.author_name,
+        authorId: post.author_id,
+        initials: post.author_initials,
+        content: post.content,
+        timestamp: new Date(post.timestamp),
+        editedAt: post.edited_at ? new Date(post.edited_at) : null,
+        visibility: post.visibility,
+        audienceListId: post.audience_list_id,
+        groupId: post.group_id || null,
+        course: post.course || null,
+        postType: post.post_type || 'post',
+        acceptedCommentId: post.accepted_comment_id || null,
+        likes: post.likes_count,
+        likedBy: post.liked_by_me ? [AppState.currentUser.id] : [],
+        commentsCount: post.comments_count,
+        comments: post.comments.map(toFeedComment),
+        mentions: post.mentions || []
+    };
+}
+
+/**
+ * Convert an API comment into the shape createCommentHTML expects
+ */
+function toFeedComment(comment) {
+    return {
+        id: comment.id,
+        author: comment.author,
+        authorId: comment.author_id,
+        text: comment.text,
+        created_at: comment.created_at,
+        post_id: comment.post_id,
+        mentions: comment.mentions || [],
+        score: comment.score || 0,
+        upvoted: Boolean(comment.upvoted)
+    };
+}
+
+/**
+ * Every post currently loaded in the feed, on the tag page, on a user's profile,
+ * on a group or course page or on the single post page
+ */
+function getLoadedPosts() {
+    const posts = AppState.postsQueue.toArray();
+    const viewedPost = AppState.viewedPost ? [AppState.viewedPost] : [];
+    [...AppState.tagPosts, ...AppState.userPosts, ...AppState.groupPosts, ...AppState.coursePosts, ...viewedPost].forEach(post => {
+        if (!posts.includes(post)) posts.push(post);
+    });
+    return posts;
+}
+
+/**
+ * Find a loaded post by ID (IDs from onclick handlers arrive as strings)
+ */
+function findLoadedPost(postId) {
+    return getLoadedPosts().find(post => String(post.id) === String(postId)) || null;
+}
+
+/**
+ * Convert a page of API posts, reusing objects already loaded elsewhere
+ * so likes and comments stay in sync between views
+ */
+function toLoadedPosts(apiPosts) {
+    const loaded = getLoadedPosts();
+    return apiPosts.map(post =>
+        loaded.find(p => String(p.id) === String(post.post_id)) || toFeedPost(post)
+    );
+}
+
+/**
+ * Re-render every view that shows loaded posts after a like or comment
+ */
+function refreshPostViews() {
+    renderFeed();
+    if (getCurrentPage() === 'tag') {
+        renderTagPosts();
+    } else if (getCurrentPage() === 'user') {
+        renderUserPosts();
+    } else if (getCurrentPage() === 'group') {
+        renderGroupPosts();
+    } else if (getCurrentPage() === 'course') {
+        renderCoursePosts();
+    } else if (getCurrentPage() === 'post') {
+        renderSinglePost();
+    }
+}
+
+/**
+ * Label shown next to a post's timestamp for its visibility
+ * List posts show the list's name when it is one of ours
+ */
+function getVisibilityLabel(visibility, audienceListId = null) {
+    if (visibility === 'list') {
+        const list = AppState.friendLists.find(l => String(l.id) === String(audienceListId));
+        return list ? `🏷️ ${list.name}` : '🏷️ List';
+    }
+
+    const labels = {
+        'public': '🌐 Public',
+        'friends': '👥 Friends',
+        'group': '🎓 Group members',
+        'private': '🔒 Only me'
+    };
+    return labels[visibility] || labels.public;
+}
+
+/**
+ * Options for a visibility select, with one "list:ID" option per friend list
+ */
+function getVisibilityOptions(visibility = 'public', audienceListId = null) {
+    const option = (value, label, selected) =>
+        `<option value="${value}" ${selected ? 'selected' : ''}>${label}</option>`;
+
+    const listOptions = AppState.friendLists.map(list => option(
+        `list:${list.id}`,
+        `🏷️ ${list.name}`,
+        visibility === 'list' && String(list.id) === String(audienceListId)
+    )).join('');
+
+    return option('public', '🌐 Public', visibility === 'public') +
+        option('friends', '👥 Friends only', visibility === 'friends') +
+        option('private', '🔒 Only me', visibility === 'private') +
+        (listOptions ? `<optgroup label="Friend lists">${listOptions}</optgroup>` : '');
+}
+
+/**
+ * Split a visibility select value into the fields the API expects
+ */
+function parseVisibilityValue(value) {
+    if (value.startsWith('list:')) {
+        return { visibility: 'list', audience_list_id: value.slice('list:'.length) };
+    }
+    return { visibility: value };
+}
+
+/**
+ * Load every comment for a feed post (the feed only includes the latest few)
+ */
+async function loadAllComments(postId) {
+    const post = getLoadedPosts().find(p => p.id == postId);
+    if (!post) return;
+
+    try {
+        const response = await fetch(`${API_URL}/posts/${postId}/comments`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            alert(result.message || 'Failed to load comments');
+            return;
+        }
+
+        post.comments = result.data.comments.map(toFeedComment);
+        post.commentsCount = result.data.total;
+
+        refreshPostViews();
+    } catch (error) {
+        console.error('Error loading comments:', error);
     }
 }
 
@@ -291,12 +595,17 @@ function setupEventListeners() {
 
     // Toast notification buttons
     const toastUndoBtn = document.getElementById('toastUndoBtn');
+    const toastRedoBtn = document.getElementById('toastRedoBtn');
     const toastCloseBtn = document.getElementById('toastCloseBtn');
 
     if (toastUndoBtn) {
         toastUndoBtn.addEventListener('click', handleToastUndo);
     }
 
+    if (toastRedoBtn) {
+        toastRedoBtn.addEventListener('click', handleToastRedo);
+    }
+
     if (toastCloseBtn) {
         toastCloseBtn.addEventListener('click', hideToast);
     }
@@ -331,6 +640,49 @@ function setupEventListeners() {
     // Search and sort posts
     document.getElementById('searchPosts').addEventListener('input', filterAndSortPosts);
     document.getElementById('sortPosts').addEventListener('change', filterAndSortPosts);
+    document.getElementById('feedFilter').addEventListener('change', filterAndSortPosts);
+    document.getElementById('loadMoreBtn').addEventListener('click', () => loadFeed(true));
+    document.getElementById('myPostsLoadMoreBtn').addEventListener('click', () => loadMyPosts(true));
+    document.getElementById('tagLoadMoreBtn').addEventListener('click', () => loadTagPosts(true));
+    document.getElementById('userPostsLoadMoreBtn').addEventListener('click', () => loadUserPosts(true));
+    document.getElementById('userFollowBtn').addEventListener('click', toggleViewedUserFollow);
+    document.getElementById('userMessageBtn').addEventListener('click', () => startConversation(AppState.viewedUserId));
+
+    // Study groups
+    document.getElementById('newGroupBtn').addEventListener('click', showCreateGroupForm);
+    document.getElementById('cancelCreateGroupBtn').addEventListener('click', hideCreateGroupForm);
+    document.getElementById('createGroupForm').addEventListener('submit', handleCreateGroup);
+    document.getElementById('groupPostForm').addEventListener('submit', handleCreateGroupPost);
+    document.getElementById('groupPostsLoadMoreBtn').addEventListener('click', () => loadGroupPosts(true));
+    document.getElementById('groupInviteBtn').addEventListener('click', inviteToGroup);
+
+    // Courses
+    document.getElementById('addCourseBtn').addEventListener('click', showAddCourseForm);
+    document.getElementById('cancelAddCourseBtn').addEventListener('click', hideAddCourseForm);
+    document.getElementById('addCourseForm').addEventListener('submit', handleAddCourse);
+    document.getElementById('courseCodeInput').addEventListener('input', handleCourseCodeInput);
+    document.getElementById('coursePostsLoadMoreBtn').addEventListener('click', () => loadCoursePosts(true));
+
+    // Direct messages
+    document.getElementById('messageForm').addEventListener('submit', handleSendMessage);
+    document.getElementById('messageInput').addEventListener('keydown', handleMessageInputKeydown);
+    document.getElementById('olderMessagesBtn').addEventListener('click', () => loadConversationMessages(true));
+    document.getElementById('userMuteBtn').addEventListener('click', () => toggleViewedUserRelation('mute'));
+    document.getElementById('userBlockBtn').addEventListener('click', () => toggleViewedUserRelation('block'));
+
+    // Notifications panel
+    document.getElementById('notificationsBtn').addEventListener('click', toggleNotificationsPanel);
+    document.getElementById('markAllReadBtn').addEventListener('click', markAllNotificationsRead);
+    document.getElementById('notificationsLoadMoreBtn').addEventListener('click', () => loadNotifications(true));
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.notifications-wrapper')) {
+            document.getElementById('notificationsPanel').style.display = 'none';
+        }
+    });
+
+    // @mention suggestions in the post composer and comment inputs
+    setupMentionAutocomplete();
+    setupFriendAutocomplete();
 
     // Profile edit
     document.getElementById('editProfileBtn').addEventListener('click', showProfileEdit);
@@ -343,6 +695,7 @@ function setupEventListeners() {
     document.getElementById('addFriendForm').addEventListener('submit', handleAddFriend);
     document.getElementById('searchFriends').addEventListener('input', filterAndSortFriends);
     document.getElementById('sortFriends').addEventListener('change', filterAndSortFriends);
+    document.getElementById('newFriendListBtn').addEventListener('click', createFriendList);
 
     // History
     document.getElementById('clearHistoryBtn').addEventListener('click', clearHistory);
@@ -357,13 +710,18 @@ function setupEventListeners() {
 
     // Edit post form
     document.getElementById('editPostForm').addEventListener('submit', handleEditPost);
+
+    // Revision history comparison
+    document.getElementById('revisionFrom').addEventListener('change', renderRevisionDiff);
+    document.getElementById('revisionTo').addEventListener('change', renderRevisionDiff);
 }
 
 // ========== NAVIGATION (with Navigation Stack DSA) ==========
 
 function handleNavigation(e) {
     e.preventDefault();
-    const page = e.target.dataset.page;
+    // currentTarget: the click may land on a badge inside the link
+    const page = e.currentTarget.dataset.page;
 
     // Track navigation in history stack (for browsing history feature)
     AppState.historyStack.push({
@@ -376,7 +734,7 @@ function handleNavigation(e) {
     document.querySelectorAll('.nav-link').forEach(link => {
         link.classList.remove('active');
     });
-    e.target.classList.add('active');
+    e.currentTarget.classList.add('active');
 
     // Show selected page
     document.querySelectorAll('.page').forEach(p => {
@@ -407,8 +765,9 @@ function handleBackNavigation() {
         return;
     }
     
-    // Update the UI to show the previous page
-    navigateToPage(previousPage);
+    // Update the UI to show the previous page (tag pages remember their tag)
+    const entry = navigationStack.peek();
+    navigateToPage(previousPage, entry ? entry.params : null);
     
     // Print stack state for debugging
     navigationStack.printStack();
@@ -417,7 +776,30 @@ function handleBackNavigation() {
 /**
  * Navigate to a specific page (used by back navigation)
  */
-function navigateToPage(page) {
+function navigateToPage(page, params = null) {
+    if (page === 'tag' && params) {
+        AppState.currentTag = params.tag;
+    }
+    if (page === 'user' && params) {
+        AppState.viewedUserId = params.userId;
+    }
+    if (page === 'post' && params) {
+        AppState.viewedPost = null;
+        AppState.viewedPostId = params.postId;
+    }
+    if (page === 'conversation' && params) {
+        AppState.activeConversation = null;
+        AppState.activeConversationId = params.conversationId;
+    }
+    if (page === 'group' && params) {
+        AppState.activeGroup = null;
+        AppState.activeGroupId = params.groupId;
+    }
+    if (page === 'course' && params) {
+        AppState.activeCourse = null;
+        AppState.activeCourseId = params.courseId;
+    }
+
     // Update active nav link
     document.querySelectorAll('.nav-link').forEach(link => {
         link.classList.remove('active');
@@ -435,6 +817,24 @@ function navigateToPage(page) {
     renderCurrentPage();
 }
 
+/**
+ * Open a page from a link inside the app (not the nav bar)
+ * Recorded in the history and navigation stacks so Back works
+ */
+function pushPage(page, params = null) {
+    AppState.historyStack.push({
+        action: 'navigate',
+        page: page,
+        timestamp: new Date()
+    });
+
+    navigationStack.push(page, params);
+    navigationStack.printStack();
+
+    navigateToPage(page, params);
+    window.scrollTo(0, 0);
+}
+
 /**
  * Get the current active page identifier
  */
@@ -458,14 +858,41 @@ async function renderCurrentPage() {
             break;
         case 'profilePage':
             await loadMyPosts();
+            loadUserRelations();
+            loadMyFollowCounts();
             break;
         case 'friendsPage':
-            await loadPendingFriendRequests();
+            await Promise.all([loadPendingFriendRequests(), loadSentFriendRequests()]);
             renderFriends();
+            loadFriendSuggestions();
             break;
         case 'historyPage':
             renderHistory();
             break;
+        case 'tagPage':
+            await loadTagPosts();
+            break;
+        case 'userPage':
+            await loadUserProfile();
+            break;
+        case 'postPage':
+            await loadSinglePost();
+            break;
+        case 'messagesPage':
+            await loadConversations();
+            break;
+        case 'conversationPage':
+            await loadConversationMessages();
+            break;
+        case 'groupsPage':
+            await loadGroups();
+            break;
+        case 'groupPage':
+            await loadGroupPage();
+            break;
+        case 'coursePage':
+            await loadCoursePage();
+            break;
     }
 }
 
@@ -474,29 +901,37 @@ async function renderCurrentPage() {
 async function handleCreatePost(e) {
     e.preventDefault();
     const content = document.getElementById('postContent').value.trim();
+    const audience = parseVisibilityValue(document.getElementById('postVisibility').value);
+    const courseId = document.getElementById('postCourse').value;
+    const postType = document.getElementById('postType').value;
 
     if (!content || AppState.isLoading) return;
 
     try {
         AppState.isLoading = true;
 
-        // Create post in database
-        const dbPost = await Database.createPost(AppState.currentUser.id, content);
-
-        const newPost = {
-            id: dbPost.id,
-            author: dbPost.author.name,
-            authorId: dbPost.author_id,
-            initials: dbPost.author.initials,
-            content: dbPost.content,
-            timestamp: new Date(dbPost.created_at),
-            likes: dbPost.likes,
-            likedBy: [],
-            comments: []
-        };
+        // Create post through the API (visibility is enforced server-side)
+        const response = await fetch(`${API_URL}/posts/create`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ content, ...audience, course_id: courseId || null, post_type: postType })
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to create post');
+        }
+
+        const newPost = toFeedPost(result.data.post);
 
-        // Enqueue post (FIFO - Queue)
-        AppState.postsQueue.enqueue(newPost);
+        // Enqueue post (FIFO - Queue) unless the realtime stream already added it
+        if (!findLoadedPost(newPost.id)) {
+            AppState.postsQueue.enqueue(newPost);
+        }
 
         // Track in history
         AppState.historyStack.push({
@@ -507,6 +942,7 @@ async function handleCreatePost(e) {
 
         // Clear form
         document.getElementById('postContent').value = '';
+        document.getElementById('postType').value = 'post';
 
         // Re-render feed
         renderFeed();
@@ -522,24 +958,24 @@ async function handleCreatePost(e) {
 function renderFeed() {
     const feedContainer = document.getElementById('postsFeed');
     const emptyState = document.getElementById('emptyFeed');
+    const loadMoreBtn = document.getElementById('loadMoreBtn');
 
-    let posts = AppState.postsQueue.toArray();
-
-    // Apply search filter
-    const searchTerm = document.getElementById('searchPosts').value.toLowerCase();
-    if (searchTerm) {
-        posts = posts.filter(post =>
-            post.content.toLowerCase().includes(searchTerm) ||
-            post.author.toLowerCase().includes(searchTerm)
-        );
-    }
-
-    // Apply sorting
+    // Search results stay in relevance order; otherwise sorting again keeps newly created posts in place
     const sortBy = document.getElementById('sortPosts').value;
-    posts = sortPosts(posts, sortBy);
+    const posts = AppState.searchQuery
+        ? AppState.postsQueue.toArray()
+        : sortPosts(AppState.postsQueue.toArray(), sortBy);
+
+    loadMoreBtn.style.display = AppState.feedCursor ? 'block' : 'none';
+    renderSearchHint();
 
     if (posts.length === 0) {
         feedContainer.innerHTML = '';
+        const filter = AppState.searchQuery ? 'all' : document.getElementById('feedFilter').value;
+        document.getElementById('emptyFeedMessage').textContent = {
+            following: 'No posts from people you follow yet. Follow someone from their profile to see their posts here.',
+            unanswered: 'No unanswered questions right now. Nice work, everyone!'
+        }[filter] || 'No posts yet. Be the first to share something!';
         emptyState.style.display = 'block';
         return;
     }
@@ -548,9 +984,70 @@ function renderFeed() {
     feedContainer.innerHTML = posts.map(post => createPostHTML(post)).join('');
 }
 
+// @mentions and #hashtags, matched the same way the server parses them
+const MENTION_OR_HASHTAG_PATTERN = /(?<![\p{L}\p{N}_@.])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+|[\p{L}\p{N}_]{1,50})|#([\p{L}\p{N}_]{1,50})/gu;
+
+/**
+ * Turn resolved @mentions into profile links and, optionally, #hashtags into tag page links
+ * @param {string} text - Post or comment text
+ * @param {Array} mentions - [{user_id, handle}] resolved by the server when the text was saved
+ * @param {boolean} withHashtags - Only posts are indexed by hashtag
+ */
+function linkifyText(text, mentions = [], withHashtags = true) {
+    const userIdsByHandle = new Map(mentions.map(mention => [mention.handle, mention.user_id]));
+
+    return text.replace(MENTION_OR_HASHTAG_PATTERN, (match, handle, tag) => {
+        if (handle) {
+            const userId = userIdsByHandle.get(handle.toLowerCase());
+            return userId === undefined
+                ? match
+                : `<a href="#" class="mention" onclick="openUserProfile('${userId}'); return false;">${match}</a>`;
+        }
+        return withHashtags
+            ? `<a href="#" class="hashtag" onclick="openTagPage('${tag.toLowerCase()}'); return false;">${match}</a>`
+            : match;
+    });
+}
+
+/**
+ * Render post text with mention and hashtag links
+ */
+function formatPostContent(content, mentions = []) {
+    return linkifyText(content, mentions);
+}
+
+/**
+ * Show how many posts matched the current search
+ */
+function renderSearchHint() {
+    const hint = document.getElementById('searchHint');
+    const sortSelect = document.getElementById('sortPosts');
+    const filterSelect = document.getElementById('feedFilter');
+
+    if (!AppState.searchQuery) {
+        hint.style.display = 'none';
+        sortSelect.disabled = false;
+        filterSelect.disabled = false;
+        return;
+    }
+
+    // The server only counts every match once all of them have been loaded
+    const total = AppState.searchTotal;
+    hint.textContent = total === null
+        ? `${AppState.postsQueue.size()}+ results · ranked by relevance`
+        : `${total} ${total === 1 ? 'result' : 'results'} · ranked by relevance`;
+    hint.style.display = 'block';
+    sortSelect.disabled = true;
+    filterSelect.disabled = true;
+}
+
 function createPostHTML(post) {
     const timeAgo = getTimeAgo(post.timestamp);
     const isLiked = post.likedBy.includes(AppState.currentUser.id);
+    const commentsCount = post.commentsCount ?? post.comments.length;
+    const isQuestion = post.postType === 'question';
+    const comments = isQuestion ? sortAnswers(post) : post.comments;
+    const noun = isQuestion ? 'answer' : 'comment';
 
     return `
         <div class="post-item" data-post-id="${post.id}">
@@ -560,10 +1057,23 @@ function createPostHTML(post) {
                     <div class="author-info">
                         <h4>${post.author}</h4>
                         <span class="post-time">${timeAgo}</span>
+                        <span class="post-visibility">${getVisibilityLabel(post.visibility, post.audienceListId)}</span>
+                        ${isQuestion
+                            ? `<span class="question-badge ${post.acceptedCommentId ? 'answered' : ''}">${post.acceptedCommentId ? '✓ Answered' : '❓ Question'}</span>`
+                            : ''}
+                        ${post.groupId && !(getCurrentPage() === 'group' && String(AppState.activeGroupId) === String(post.groupId))
+                            ? `<a href="#" class="post-group-link" onclick="openGroupPage('${post.groupId}'); return false;">in ${escapeHTML(getGroupName(post.groupId))}</a>`
+                            : ''}
+                        ${post.course && getCurrentPage() !== 'course'
+                            ? `<a href="#" class="post-group-link" onclick="openCoursePage('${post.course.id}'); return false;">📚 ${post.course.code}</a>`
+                            : ''}
+                        ${post.editedAt ? `<button class="edited-marker" onclick="showRevisions('${post.id}')" title="View revision history">· edited</button>` : ''}
                     </div>
                 </div>
             </div>
-            <div class="post-content">${post.content}</div>
+            <div class="post-content">${post.snippet
+                ? `<p class="search-snippet">${post.snippet}</p>`
+                : formatPostContent(post.content, post.mentions)}</div>
             <div class="post-footer">
                 <div class="post-actions">
                     <button class="like-btn ${isLiked ? 'liked' : ''}" onclick="toggleLike('${post.id}')">
@@ -574,14 +1084,17 @@ function createPostHTML(post) {
             </div>
             <div class="comments-section">
                 <div class="add-comment-form">
-                    <input type="text" class="comment-input" placeholder="Write a comment..." data-post-id="${post.id}">
+                    <input type="text" class="comment-input" placeholder="Write ${isQuestion ? 'an answer' : 'a comment'}..." data-post-id="${post.id}">
                     <button onclick="handleAddCommentClick('${post.id}')">Post</button>
                 </div>
                 <div class="comments-count-display">
-                    <span class="comment-count">${post.comments.length}</span> comment${post.comments.length !== 1 ? 's' : ''}
+                    <span class="comment-count">${commentsCount}</span> ${noun}${commentsCount !== 1 ? 's' : ''}
                 </div>
+                ${commentsCount > post.comments.length ? `
+                    <button class="view-all-comments-btn" onclick="loadAllComments('${post.id}')">View all ${commentsCount} ${noun}s</button>
+                ` : ''}
                 <div class="comments-list">
-                    ${post.comments.map(comment => createCommentHTML(comment)).join('')}
+                    ${comments.map(comment => createCommentHTML(comment, isQuestion ? post : null)).join('')}
                 </div>
             </div>
         </div>
@@ -601,7 +1114,7 @@ async function toggleLike(postId) {
         return;
     }
 
-    const posts = AppState.postsQueue.toArray();
+    const posts = getLoadedPosts();
     // Convert to number for comparison (HTML onclick passes string)
     const postIdNum = parseInt(postId);
     const post = posts.find(p => p.id == postId || p.id === postIdNum);
@@ -637,7 +1150,8 @@ async function toggleLike(postId) {
             console.log('Unlike response:', result);
 
             if (response.ok) {
-                post.likedBy.splice(userLikedIndex, 1);
+                // A realtime event may already have applied this change
+                post.likedBy = post.likedBy.filter(id => id !== userId);
                 post.likes = result.data.likes_count;
 
                 AppState.historyStack.push({
@@ -664,7 +1178,9 @@ async function toggleLike(postId) {
             console.log('Like response:', result);
 
             if (response.ok) {
-                post.likedBy.push(userId);
+                if (!post.likedBy.includes(userId)) {
+                    post.likedBy.push(userId);
+                }
                 post.likes = result.data.likes_count;
 
                 AppState.historyStack.push({
@@ -677,7 +1193,7 @@ async function toggleLike(postId) {
             }
         }
 
-        renderFeed();
+        refreshPostViews();
     } catch (error) {
         console.error('Error toggling like:', error);
         alert('Failed to update like. Please try again.');
@@ -719,7 +1235,7 @@ async function addCommentToPost(postId, commentText) {
         return;
     }
 
-    const posts = AppState.postsQueue.toArray();
+    const posts = getLoadedPosts();
     // Convert to number for comparison (HTML onclick passes string)
     const postIdNum = parseInt(postId);
     const post = posts.find(p => p.id == postId || p.id === postIdNum);
@@ -757,10 +1273,15 @@ async function addCommentToPost(postId, commentText) {
                 author: AppState.currentUser.name,
                 authorId: AppState.currentUser.id,
                 text: commentText,
-                created_at: result.data.comment.created_at
+                created_at: result.data.comment.created_at,
+                mentions: result.data.comment.mentions || []
             };
 
-            post.comments.push(newComment);
+            // The realtime stream may have delivered our own comment first
+            if (!post.comments.some(comment => String(comment.id) === String(newComment.id))) {
+                post.comments.push(newComment);
+            }
+            post.commentsCount = result.data.comments_count;
 
             AppState.historyStack.push({
                 action: 'add_comment',
@@ -769,7 +1290,7 @@ async function addCommentToPost(postId, commentText) {
                 timestamp: new Date()
             });
 
-            renderFeed();
+            refreshPostViews();
         } else {
             alert(result.message || 'Failed to add comment');
         }
@@ -783,19 +1304,23 @@ async function addCommentToPost(postId, commentText) {
 
 /**
  * Create HTML for a comment
+ * @param {Object} [question] - The question post when the comment is one of its answers
  */
-function createCommentHTML(comment) {
+function createCommentHTML(comment, question = null) {
     const isOwn = AppState.currentUser && (comment.authorId === AppState.currentUser.id || comment.author_id === AppState.currentUser.id);
     const commentTime = comment.created_at ? getTimeAgo(new Date(comment.created_at)) : 'Just now';
+    const isAccepted = question && String(question.acceptedCommentId) === String(comment.id);
     
     return `
-        <div class="comment-item" data-comment-id="${comment.id}">
+        <div class="comment-item ${isAccepted ? 'accepted-answer' : ''}" data-comment-id="${comment.id}">
+            ${question ? answerControlsHTML(comment, question, isOwn, isAccepted) : ''}
             <div class="comment-header">
                 <strong class="comment-author">${comment.author}</strong>
                 <span class="comment-time">${commentTime}</span>
+                ${isAccepted ? '<span class="accepted-label">✓ Accepted answer</span>' : ''}
             </div>
             <div class="comment-content">
-                <p class="comment-text">${comment.text}</p>
+                <p class="comment-text">${linkifyText(comment.text, comment.mentions, false)}</p>
             </div>
             ${isOwn ? `
                 <div class="comment-actions">
@@ -835,15 +1360,19 @@ async function deleteCommentFromPost(commentId, postId) {
 
         if (response.ok) {
             // Remove comment from all posts
-            const posts = AppState.postsQueue.toArray();
+            const posts = getLoadedPosts();
             posts.forEach(post => {
-                const commentIndex = post.comments.findIndex(c => c.id === commentId);
+                const commentIndex = post.comments.findIndex(c => String(c.id) === String(commentId));
                 if (commentIndex > -1) {
                     post.comments.splice(commentIndex, 1);
+                    if (post.commentsCount) post.commentsCount--;
+                }
+                if (String(post.acceptedCommentId) === String(commentId)) {
+                    post.acceptedCommentId = null;
                 }
             });
 
-            renderFeed();
+            refreshPostViews();
 
             AppState.historyStack.push({
                 action: 'delete_comment',
@@ -895,10 +1424,12 @@ async function handleEditPost(e) {
         AppState.isLoading = true;
         const oldContent = AppState.selectedPost.content;
 
-        // Update in database
-        await Database.updatePost(AppState.selectedPost.id, newContent);
+        // Update through the API so the edit is stored as a revision
+        const savedPost = await savePostContent(AppState.selectedPost.id, newContent);
 
         AppState.selectedPost.content = newContent;
+        AppState.selectedPost.mentions = savedPost.mentions || [];
+        AppState.selectedPost.editedAt = new Date();
 
         AppState.historyStack.push({
             action: 'edit_post',
@@ -930,8 +1461,20 @@ async function deletePost(postId) {
         AppState.isLoading = true;
         const deletedPost = posts[postIndex];
 
-        // Delete from database
-        await Database.deletePost(postId);
+        // Move to the Trash via the API so it can be restored later
+        const response = await fetch(`${API_URL}/posts/delete`, {
+            method: 'DELETE',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ post_id: postId })
+        });
+
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.message || 'Failed to delete post');
+        }
 
         posts.splice(postIndex, 1);
 
@@ -1034,30 +1577,2388 @@ function sortPosts(posts, sortBy) {
     }
 }
 
+let feedSearchTimeout;
+
 function filterAndSortPosts() {
-    renderFeed();
+    // Search and sort are server-side; wait for typing to pause before refetching
+    clearTimeout(feedSearchTimeout);
+    feedSearchTimeout = setTimeout(() => loadFeed(), 300);
 }
 
-// ========== PROFILE MANAGEMENT ==========
-
-function showProfileEdit() {
-    document.getElementById('profileView').style.display = 'none';
-    document.getElementById('profileEditForm').style.display = 'block';
+// ========== QUESTIONS & ANSWERS ==========
 
-    document.getElementById('editName').value = AppState.currentUser.name;
-    document.getElementById('editEmail').value = AppState.currentUser.email;
-    document.getElementById('editBio').value = AppState.currentUser.bio;
+/**
+ * A question's answers: the accepted one first, then by score, oldest first on ties
+ */
+function sortAnswers(post) {
+    const accepted = String(post.acceptedCommentId);
+    return [...post.comments].sort((a, b) =>
+        Number(String(b.id) === accepted) - Number(String(a.id) === accepted) ||
+        (b.score || 0) - (a.score || 0) ||
+        new Date(a.created_at) - new Date(b.created_at));
 }
 
-function hideProfileEdit() {
-    document.getElementById('profileView').style.display = 'flex';
-    document.getElementById('profileEditForm').style.display = 'none';
+/**
+ * Upvote button and score for an answer, plus Accept for the person who asked
+ */
+function answerControlsHTML(comment, question, isOwn, isAccepted) {
+    const isAsker = String(question.authorId) === String(AppState.currentUser.id);
+    const score = comment.score || 0;
+
+    return `
+        <div class="answer-controls">
+            <button class="answer-upvote-btn ${comment.upvoted ? 'upvoted' : ''}"
+                onclick="toggleAnswerUpvote('${comment.id}', '${question.id}')"
+                title="${isOwn ? 'You cannot upvote your own answer' : (comment.upvoted ? 'Remove upvote' : 'Upvote this answer')}"
+                ${isOwn ? 'disabled' : ''}>▲</button>
+            <span class="answer-score">${score}</span>
+            ${isAsker ? `
+                <button class="answer-accept-btn ${isAccepted ? 'accepted' : ''}"
+                    onclick="${isAccepted ? `unacceptAnswer('${question.id}')` : `acceptAnswer('${question.id}', '${comment.id}')`}"
+                    title="${isAccepted ? 'Unaccept this answer' : 'Accept this answer'}">✓</button>
+            ` : ''}
+        </div>
+    `;
 }
 
-async function handleProfileSave(e) {
-    e.preventDefault();
+async function answerRequest(path, method, body = null) {
+    const response = await fetch(`${API_URL}${path}`, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
 
-    if (AppState.isLoading) return;
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.message || 'Answer request failed');
+    }
+    return result;
+}
+
+/**
+ * Find an answer among the loaded copies of its question
+ */
+function findLoadedAnswer(postId, commentId) {
+    const post = findLoadedPost(postId);
+    const comment = post && post.comments.find(item => String(item.id) === String(commentId));
+    return comment ? { post, comment } : null;
+}
+
+async function toggleAnswerUpvote(commentId, postId) {
+    const found = findLoadedAnswer(postId, commentId);
+    if (!found) return;
+
+    try {
+        const result = await answerRequest(`/comments/${commentId}/upvote`, found.comment.upvoted ? 'DELETE' : 'POST');
+        found.comment.upvoted = result.data.upvoted;
+        found.comment.score = result.data.score;
+        rerenderPost(found.post);
+    } catch (error) {
+        console.error('Error upvoting answer:', error);
+        showToast(`❌ ${error.message}`, 'error');
+    }
+}
+
+async function acceptAnswer(postId, commentId) {
+    try {
+        const result = await answerRequest(`/posts/${postId}/accept`, 'POST', { comment_id: commentId });
+        handleRealtimeAnswerAccepted(result.data);
+        showToast(`✓ ${result.message}`, 'success');
+    } catch (error) {
+        console.error('Error accepting answer:', error);
+        showToast(`❌ ${error.message}`, 'error');
+    }
+}
+
+async function unacceptAnswer(postId) {
+    try {
+        const result = await answerRequest(`/posts/${postId}/accept`, 'DELETE');
+        handleRealtimeAnswerAccepted(result.data);
+        showToast(`✓ ${result.message}`, 'success');
+    } catch (error) {
+        console.error('Error unaccepting answer:', error);
+        showToast(`❌ ${error.message}`, 'error');
+    }
+}
+
+// ========== HASHTAGS ==========
+
+/**
+ * Open the tag page for a hashtag
+ */
+function openTagPage(tag) {
+    pushPage('tag', { tag });
+}
+
+/**
+ * Load posts for the current tag (append=true loads the next page)
+ */
+async function loadTagPosts(append = false) {
+    const tag = AppState.currentTag;
+    if (!tag) return;
+    if (append && !AppState.tagCursor) return;
+
+    const query = append ? `?cursor=${encodeURIComponent(AppState.tagCursor)}` : '';
+
+    try {
+        const response = await fetch(`${API_URL}/tags/${encodeURIComponent(tag)}/posts${query}`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            console.error('Failed to load tag posts:', result.message);
+            return;
+        }
+
+        const posts = toLoadedPosts(result.data.posts);
+
+        AppState.tagPosts = append ? [...AppState.tagPosts, ...posts] : posts;
+        AppState.tagCursor = result.data.next_cursor;
+
+        renderTagPosts();
+    } catch (error) {
+        console.error('Error loading tag posts:', error);
+    }
+}
+
+function renderTagPosts() {
+    const container = document.getElementById('tagPostsList');
+    const emptyState = document.getElementById('emptyTagPosts');
+
+    document.getElementById('tagTitle').textContent = `#${AppState.currentTag}`;
+    document.getElementById('tagLoadMoreBtn').style.display = AppState.tagCursor ? 'block' : 'none';
+
+    if (AppState.tagPosts.length === 0) {
+        container.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+
+    emptyState.style.display = 'none';
+    container.innerHTML = AppState.tagPosts.map(post => createPostHTML(post)).join('');
+}
+
+/**
+ * Load the most used hashtags of the week into the feed sidebar
+ */
+async function loadPopularTags() {
+    const container = document.getElementById('popularTagsList');
+    if (!container) return;
+
+    try {
+        const response = await fetch(`${API_URL}/tags/popular`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            console.error('Failed to load popular tags:', result.message);
+            return;
+        }
+
+        if (result.data.tags.length === 0) {
+            container.innerHTML = '<p class="form-hint">No tags this week yet.</p>';
+            return;
+        }
+
+        container.innerHTML = result.data.tags.map(({ tag, count }) => `
+            <a href="#" class="tag-chip" onclick="openTagPage('${tag}'); return false;">
+                #${tag} <span class="tag-count">${count}</span>
+            </a>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading popular tags:', error);
+    }
+}
+
+// ========== USER PROFILES ==========
+
+/**
+ * Open another user's profile (mention links); our own opens My Profile
+ */
+function openUserProfile(userId) {
+    if (String(userId) === String(AppState.currentUser.id)) {
+        pushPage('profile');
+    } else {
+        pushPage('user', { userId });
+    }
+}
+
+/**
+ * Load the header and first page of posts for the viewed user
+ */
+async function loadUserProfile() {
+    const userId = AppState.viewedUserId;
+    if (!userId) return;
+
+    try {
+        const response = await fetch(`${API_URL}/users/${userId}`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            // Missing users and people who blocked us look the same
+            console.error('Failed to load user profile:', result.message);
+            document.getElementById('userProfileAvatar').textContent = '?';
+            document.getElementById('userProfileName').textContent = 'User not found';
+            document.getElementById('userProfileBio').textContent = '';
+            document.getElementById('userProfileCourses').innerHTML = '';
+            document.getElementById('userProfileFriendBadge').style.display = 'none';
+            document.getElementById('userProfileFollowsYouBadge').style.display = 'none';
+            document.getElementById('userMessageBtn').style.display = 'none';
+            document.getElementById('userProfileFollowCounts').textContent = '';
+            document.getElementById('userProfileConnection').style.display = 'none';
+            document.getElementById('userProfileBlockedNote').style.display = 'none';
+            document.querySelector('.user-relation-actions').style.display = 'none';
+            AppState.userPosts = [];
+            AppState.userPostsCursor = null;
+            renderUserPosts();
+            return;
+        }
+
+        const { user, is_friend, is_following, follows_me, followers_count, following_count, courses, is_blocked, is_muted } = result.data;
+        AppState.viewedUserRelations = { block: is_blocked, mute: is_muted };
+        AppState.viewedUserFollowing = is_following;
+        renderViewedUserRelations();
+        renderFollowCounts('userProfileFollowCounts', followers_count, following_count);
+        document.getElementById('userProfileFollowsYouBadge').style.display = follows_me ? 'inline-block' : 'none';
+        document.querySelector('.user-relation-actions').style.display = 'flex';
+        document.getElementById('userProfileAvatar').textContent = user.initials;
+        document.getElementById('userProfileName').textContent = user.name;
+        document.getElementById('userProfileBio').textContent = user.bio || 'No bio yet.';
+        document.getElementById('userProfileCourses').innerHTML = courseBadgesHTML(courses || []);
+        document.getElementById('userProfileFriendBadge').style.display = is_friend ? 'inline-block' : 'none';
+        document.getElementById('userMessageBtn').style.display = is_friend ? '' : 'none';
+
+        await Promise.all([loadUserConnection(), loadUserPosts()]);
+    } catch (error) {
+        console.error('Error loading user profile:', error);
+    }
+}
+
+// ========== BLOCK & MUTE ==========
+
+/**
+ * Block/unblock or mute/unmute a user
+ * @param {string} userId - User to change
+ * @param {string} type - 'block' or 'mute'
+ * @param {boolean} enable - true to block/mute, false to lift it
+ * @returns {Promise<Object|null>} {is_blocked, is_muted} or null if it failed
+ */
+async function setUserRelation(userId, type, enable) {
+    try {
+        const response = await fetch(`${API_URL}/users/${userId}/${type}`, {
+            method: enable ? 'POST' : 'DELETE',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            showToast(`❌ ${result.message || `Failed to ${type} user`}`, 'error');
+            return null;
+        }
+
+        showToast(`✓ ${result.message}`, 'success');
+
+        // Blocking drops friendships, and both change which posts the feed shows
+        loadDataFromDatabase();
+        return result.data;
+    } catch (error) {
+        console.error(`Error changing ${type}:`, error);
+        showToast(`❌ Failed to ${type} user`, 'error');
+        return null;
+    }
+}
+
+function renderViewedUserRelations() {
+    const { block, mute } = AppState.viewedUserRelations;
+    const followBtn = document.getElementById('userFollowBtn');
+    followBtn.textContent = AppState.viewedUserFollowing ? '✓ Following' : '➕ Follow';
+    followBtn.style.display = block ? 'none' : '';
+    document.getElementById('userMuteBtn').textContent = mute ? '🔔 Unmute' : '🔕 Mute';
+    document.getElementById('userBlockBtn').textContent = block ? 'Unblock' : '🚫 Block';
+    document.getElementById('userProfileBlockedNote').style.display = block ? 'block' : 'none';
+}
+
+/**
+ * Mute/block buttons on another user's profile
+ */
+async function toggleViewedUserRelation(type) {
+    const userId = AppState.viewedUserId;
+    const enable = !AppState.viewedUserRelations[type];
+    const name = document.getElementById('userProfileName').textContent;
+
+    if (type === 'block' && enable &&
+        !confirm(`Block ${name}? You will stop being friends, and neither of you will see the other's posts, comments or profile.`)) {
+        return;
+    }
+
+    const relations = await setUserRelation(userId, type, enable);
+    if (!relations || String(userId) !== String(AppState.viewedUserId)) return;
+
+    AppState.viewedUserRelations = { block: relations.is_blocked, mute: relations.is_muted };
+    renderViewedUserRelations();
+
+    if (type === 'block') {
+        // Blocking also ends follows both ways; reload the counts with the header
+        await loadUserProfile();
+    }
+}
+
+// ========== FOLLOWS ==========
+
+/**
+ * "12 followers · 3 following" under a profile name
+ */
+function renderFollowCounts(elementId, followers, following) {
+    document.getElementById(elementId).textContent =
+        `${followers} follower${followers === 1 ? '' : 's'} · ${following} following`;
+}
+
+/**
+ * Follow/unfollow button on another user's profile
+ */
+async function toggleViewedUserFollow() {
+    const userId = AppState.viewedUserId;
+    const follow = !AppState.viewedUserFollowing;
+
+    try {
+        const response = await fetch(`${API_URL}/users/${userId}/follow`, {
+            method: follow ? 'POST' : 'DELETE',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            showToast(`❌ ${result.message || `Failed to ${follow ? 'follow' : 'unfollow'} user`}`, 'error');
+            return;
+        }
+
+        showToast(`✓ ${result.message}`, 'success');
+        if (String(userId) !== String(AppState.viewedUserId)) return;
+
+        AppState.viewedUserFollowing = result.data.is_following;
+        renderViewedUserRelations();
+        renderFollowCounts('userProfileFollowCounts', result.data.followers_count, result.data.following_count);
+
+        // The Following feed changes with who we follow
+        if (document.getElementById('feedFilter').value === 'following') {
+            loadFeed();
+        }
+    } catch (error) {
+        console.error('Error changing follow:', error);
+        showToast(`❌ Failed to ${follow ? 'follow' : 'unfollow'} user`, 'error');
+    }
+}
+
+/**
+ * Follower/following counts on My Profile
+ */
+async function loadMyFollowCounts() {
+    try {
+        const response = await fetch(`${API_URL}/user/profile`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            renderFollowCounts('profileFollowCounts', result.data.followers_count, result.data.following_count);
+        }
+    } catch (error) {
+        console.error('Error loading follow counts:', error);
+    }
+}
+
+/**
+ * Load the "Blocked & muted" list in profile settings
+ */
+async function loadUserRelations() {
+    try {
+        const response = await fetch(`${API_URL}/user/relations`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            renderUserRelations(result.data);
+        }
+    } catch (error) {
+        console.error('Error loading blocked and muted users:', error);
+    }
+}
+
+function renderUserRelations({ blocked, muted }) {
+    const container = document.getElementById('userRelationsList');
+    const emptyState = document.getElementById('userRelationsEmpty');
+
+    const items = [
+        ...blocked.map(user => ({ ...user, type: 'block', label: '🚫 Blocked', action: 'Unblock' })),
+        ...muted.map(user => ({ ...user, type: 'mute', label: '🔕 Muted', action: 'Unmute' }))
+    ];
+
+    if (items.length === 0) {
+        container.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+
+    emptyState.style.display = 'none';
+    container.innerHTML = items.map(user => `
+        <div class="undo-history-item">
+            <div class="request-info">
+                <div class="friend-avatar">${user.initials}</div>
+                <div class="undo-history-details">
+                    <div class="undo-history-type">${user.name}</div>
+                    <div class="undo-history-meta">${user.label} ${getTimeAgo(new Date(user.since))}</div>
+                </div>
+            </div>
+            <button class="btn-secondary" onclick="liftUserRelation('${user.id}', '${user.type}')">${user.action}</button>
+        </div>
+    `).join('');
+}
+
+async function liftUserRelation(userId, type) {
+    if (await setUserRelation(userId, type, false)) {
+        await loadUserRelations();
+    }
+}
+
+/**
+ * 1 -> "1st", 2 -> "2nd", 3 -> "3rd", 4 -> "4th", 11 -> "11th"
+ */
+function getOrdinal(number) {
+    const tens = number % 100;
+    if (tens >= 11 && tens <= 13) return `${number}th`;
+    return `${number}${{ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th'}`;
+}
+
+/**
+ * Show how the viewed user is connected to us, e.g. "2nd-degree connection via Alice"
+ * (direct friends already get the Friend badge)
+ */
+async function loadUserConnection() {
+    const userId = AppState.viewedUserId;
+    const connection = document.getElementById('userProfileConnection');
+    connection.style.display = 'none';
+
+    try {
+        const response = await fetch(`${API_URL}/users/${userId}/path`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        // The user may have moved on to another profile meanwhile
+        if (!response.ok || String(userId) !== String(AppState.viewedUserId)) return;
+
+        const { connected, degree, path, max_depth } = result.data;
+
+        if (!connected) {
+            connection.textContent = `Not connected within ${max_depth} degrees`;
+        } else if (degree >= 2) {
+            const via = path.slice(1, -1)
+                .map(user => `<a href="#" class="mention" onclick="openUserProfile('${user.id}'); return false;">${user.name}</a>`)
+                .join(' → ');
+            connection.innerHTML = `${getOrdinal(degree)}-degree connection via ${via}`;
+        } else {
+            return;
+        }
+        connection.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading connection path:', error);
+    }
+}
+
+/**
+ * Load the viewed user's posts (append=true loads the next page)
+ */
+async function loadUserPosts(append = false) {
+    const userId = AppState.viewedUserId;
+    if (!userId) return;
+    if (append && !AppState.userPostsCursor) return;
+
+    const query = append ? `?cursor=${encodeURIComponent(AppState.userPostsCursor)}` : '';
+
+    try {
+        const response = await fetch(`${API_URL}/users/${userId}/posts${query}`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            console.error('Failed to load user posts:', result.message);
+            return;
+        }
+
+        const posts = toLoadedPosts(result.data.posts);
+
+        AppState.userPosts = append ? [...AppState.userPosts, ...posts] : posts;
+        AppState.userPostsCursor = result.data.next_cursor;
+
+        renderUserPosts();
+    } catch (error) {
+        console.error('Error loading user posts:', error);
+    }
+}
+
+function renderUserPosts() {
+    const container = document.getElementById('userPostsList');
+    const emptyState = document.getElementById('emptyUserPosts');
+
+    document.getElementById('userPostsLoadMoreBtn').style.display = AppState.userPostsCursor ? 'block' : 'none';
+
+    if (AppState.userPosts.length === 0) {
+        container.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+
+    emptyState.style.display = 'none';
+    container.innerHTML = AppState.userPosts.map(post => createPostHTML(post)).join('');
+}
+
+// ========== SINGLE POST PAGE ==========
+
+/**
+ * Open one post with all its comments (used by notifications)
+ */
+function openPostPage(postId) {
+    pushPage('post', { postId });
+}
+
+async function loadSinglePost() {
+    const postId = AppState.viewedPostId;
+    if (!postId) return;
+
+    try {
+        const response = await fetch(`${API_URL}/posts/${postId}`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            AppState.viewedPost = null;
+            renderSinglePost();
+            return;
+        }
+
+        // The permalink includes every comment, not just the preview
+        const [post] = toLoadedPosts([result.data.post]);
+        post.comments = result.data.post.comments.map(toFeedComment);
+        post.commentsCount = result.data.post.comments_count;
+
+        AppState.viewedPost = post;
+        renderSinglePost();
+    } catch (error) {
+        console.error('Error loading post:', error);
+    }
+}
+
+function renderSinglePost() {
+    const container = document.getElementById('singlePostContainer');
+    const emptyState = document.getElementById('singlePostMissing');
+
+    if (!AppState.viewedPost) {
+        container.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+
+    emptyState.style.display = 'none';
+    container.innerHTML = createPostHTML(AppState.viewedPost);
+}
+
+// ========== DIRECT MESSAGES ==========
+
+async function loadUnreadMessageCount() {
+    try {
+        const response = await fetch(`${API_URL}/messages/unread-count`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            updateMessagesBadge(result.data.unread_count);
+        }
+    } catch (error) {
+        console.error('Error loading unread messages:', error);
+    }
+}
+
+function updateMessagesBadge(unreadCount) {
+    const badge = document.getElementById('messagesBadge');
+    badge.textContent = unreadCount > 99 ? '99+' : unreadCount;
+    badge.style.display = unreadCount > 0 ? 'inline-block' : 'none';
+}
+
+/**
+ * Load the thread list on the Messages page
+ */
+async function loadConversations() {
+    try {
+        const response = await fetch(`${API_URL}/conversations`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            console.error('Failed to load conversations:', result.message);
+            return;
+        }
+
+        AppState.conversations = result.data.conversations;
+        updateMessagesBadge(result.data.unread_count);
+        renderConversations();
+    } catch (error) {
+        console.error('Error loading conversations:', error);
+    }
+}
+
+function renderConversations() {
+    const container = document.getElementById('conversationsList');
+    const emptyState = document.getElementById('emptyConversations');
+
+    if (AppState.conversations.length === 0) {
+        container.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+
+    emptyState.style.display = 'none';
+    container.innerHTML = AppState.conversations.map(conversation => {
+        const last = conversation.last_message;
+        const fromMe = last && String(last.sender_id) === String(AppState.currentUser.id);
+        return `
+        <div class="conversation-item ${conversation.unread_count > 0 ? 'unread' : ''}" onclick="openConversation('${conversation.id}')">
+            <div class="friend-avatar">${conversation.other_user.initials}</div>
+            <div class="conversation-details">
+                <div class="conversation-title">
+                    <h4>${conversation.other_user.name}</h4>
+                    ${last ? `<span class="request-time">${getTimeAgo(new Date(last.sent_at))}</span>` : ''}
+                </div>
+                <p class="conversation-preview">${last ? `${fromMe ? 'You: ' : ''}${escapeHTML(last.body)}` : ''}</p>
+            </div>
+            ${conversation.unread_count > 0 ? `<span class="nav-badge">${conversation.unread_count}</span>` : ''}
+        </div>
+    `;
+    }).join('');
+}
+
+function openConversation(conversationId) {
+    pushPage('conversation', { conversationId });
+}
+
+/**
+ * Open the thread with a friend (from the Friends page or their profile)
+ */
+async function startConversation(friendId) {
+    try {
+        const response = await fetch(`${API_URL}/conversations`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ friend_id: friendId })
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            showToast(`❌ ${result.message || 'Failed to open conversation'}`, 'error');
+            return;
+        }
+
+        openConversation(result.data.conversation.id);
+    } catch (error) {
+        console.error('Error opening conversation:', error);
+        showToast('❌ Failed to open conversation', 'error');
+    }
+}
+
+/**
+ * Load the newest messages of the open thread (older=true prepends the previous page)
+ */
+async function loadConversationMessages(older = false) {
+    const conversationId = AppState.activeConversationId;
+    if (!conversationId) return;
+    if (older && !AppState.messagesCursor) return;
+
+    const query = older ? `?before=${encodeURIComponent(AppState.messagesCursor)}` : '';
+
+    try {
+        const response = await fetch(`${API_URL}/conversations/${conversationId}/messages${query}`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+        if (String(conversationId) !== String(AppState.activeConversationId)) return;
+
+        if (!response.ok) {
+            console.error('Failed to load messages:', result.message);
+            AppState.activeConversation = null;
+            AppState.messages = [];
+            AppState.messagesCursor = null;
+            document.getElementById('conversationAvatar').textContent = '?';
+            document.getElementById('conversationName').textContent = 'Conversation not found';
+            document.getElementById('messageForm').style.display = 'none';
+            document.getElementById('conversationReadOnly').style.display = 'none';
+            renderMessages();
+            return;
+        }
+
+        AppState.activeConversation = result.data.conversation;
+        AppState.messages = older ? [...result.data.messages, ...AppState.messages] : result.data.messages;
+        AppState.messagesCursor = result.data.next_cursor;
+
+        renderConversationHeader();
+        renderMessages(older ? 'keep' : 'bottom');
+
+        if (!older && result.data.conversation.unread_count > 0) {
+            await markConversationRead(conversationId);
+        }
+    } catch (error) {
+        console.error('Error loading messages:', error);
+    }
+}
+
+function renderConversationHeader() {
+    const conversation = AppState.activeConversation;
+    const { other_user: otherUser } = conversation;
+
+    document.getElementById('conversationAvatar').textContent = otherUser.initials;
+    document.getElementById('conversationName').innerHTML =
+        `<a href="#" onclick="openUserProfile('${otherUser.id}'); return false;">${otherUser.name}</a>`;
+    document.getElementById('messageForm').style.display = conversation.can_message ? 'flex' : 'none';
+    document.getElementById('conversationReadOnly').style.display = conversation.can_message ? 'none' : 'block';
+}
+
+/**
+ * @param {string} scroll - 'bottom' to jump to the newest message, 'keep' to stay put when older ones are prepended
+ */
+function renderMessages(scroll = 'bottom') {
+    const container = document.getElementById('messagesList');
+    const previousHeight = container.scrollHeight;
+    const myId = String(AppState.currentUser.id);
+
+    document.getElementById('olderMessagesBtn').style.display = AppState.messagesCursor ? 'block' : 'none';
+
+    if (AppState.messages.length === 0) {
+        container.innerHTML = AppState.activeConversation
+            ? '<p class="form-hint messages-empty">No messages yet. Say hi!</p>'
+            : '';
+        return;
+    }
+
+    // Read receipt under the last message we sent, if they have read it
+    const lastMine = [...AppState.messages].reverse().find(message => String(message.sender_id) === myId);
+
+    container.innerHTML = AppState.messages.map(message => {
+        const mine = String(message.sender_id) === myId;
+        return `
+        <div class="message-bubble ${mine ? 'mine' : 'theirs'}" data-message-id="${message.id}">
+            <div class="message-body">${escapeHTML(message.body)}</div>
+            <span class="message-time">${getTimeAgo(new Date(message.created_at))}${message === lastMine && message.read_at ? ' · Seen' : ''}</span>
+        </div>
+    `;
+    }).join('');
+
+    container.scrollTop = scroll === 'keep'
+        ? container.scrollHeight - previousHeight
+        : container.scrollHeight;
+}
+
+async function markConversationRead(conversationId) {
+    try {
+        const response = await fetch(`${API_URL}/conversations/${conversationId}/read`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            updateMessagesBadge(result.data.unread_count);
+        }
+    } catch (error) {
+        console.error('Error marking conversation as read:', error);
+    }
+}
+
+async function handleSendMessage(e) {
+    e.preventDefault();
+    const input = document.getElementById('messageInput');
+    const body = input.value.trim();
+    const conversationId = AppState.activeConversationId;
+
+    if (!body || !conversationId) return;
+
+    try {
+        const response = await fetch(`${API_URL}/conversations/${conversationId}/messages`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ body })
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            showToast(`❌ ${result.message || 'Failed to send message'}`, 'error');
+            return;
+        }
+
+        input.value = '';
+        if (String(conversationId) === String(AppState.activeConversationId)) {
+            AppState.messages.push(result.data.message);
+            renderMessages();
+        }
+    } catch (error) {
+        console.error('Error sending message:', error);
+        showToast('❌ Failed to send message', 'error');
+    }
+}
+
+/**
+ * Enter sends, Shift+Enter adds a new line
+ */
+function handleMessageInputKeydown(e) {
+    if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        document.getElementById('messageForm').requestSubmit();
+    }
+}
+
+function handleRealtimeMessageReceived({ message, unread_count }) {
+    const page = getCurrentPage();
+
+    // Reading the thread right now: show it and mark it read straight away
+    if (page === 'conversation' && String(message.conversation_id) === String(AppState.activeConversationId)) {
+        if (!AppState.messages.some(existing => String(existing.id) === String(message.id))) {
+            AppState.messages.push(message);
+            renderMessages();
+        }
+        markConversationRead(message.conversation_id);
+        return;
+    }
+
+    updateMessagesBadge(unread_count);
+    if (page === 'messages') {
+        loadConversations();
+    }
+}
+
+function handleRealtimeMessagesRead({ conversation_id, read_at }) {
+    if (getCurrentPage() !== 'conversation' || String(conversation_id) !== String(AppState.activeConversationId)) return;
+
+    const myId = String(AppState.currentUser.id);
+    AppState.messages.forEach(message => {
+        if (String(message.sender_id) === myId && !message.read_at) {
+            message.read_at = read_at;
+        }
+    });
+    renderMessages();
+}
+
+// ========== STUDY GROUPS ==========
+
+const GROUP_ROLE_LABELS = {
+    owner: '👑 Owner',
+    moderator: '🛡️ Moderator',
+    member: 'Member'
+};
+
+async function groupRequest(path, method = 'GET', body = null) {
+    const response = await fetch(`${API_URL}/groups${path}`, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.message || 'Group request failed');
+    }
+    return result;
+}
+
+/**
+ * Name of a group we know about (ours, an invite, a public one or the open group page)
+ */
+function getGroupName(groupId) {
+    const groups = [
+        ...AppState.myGroups,
+        ...AppState.groupInvites.map(invite => invite.group),
+        ...AppState.discoverGroups,
+        ...(AppState.activeGroup ? [AppState.activeGroup] : [])
+    ];
+    const group = groups.find(g => String(g.id) === String(groupId));
+    return group ? group.name : 'Study group';
+}
+
+/**
+ * Load our groups, invitations and public groups for the Groups page
+ */
+async function loadGroups() {
+    try {
+        const result = await groupRequest('');
+
+        AppState.myGroups = result.data.my_groups;
+        AppState.groupInvites = result.data.invitations;
+        AppState.discoverGroups = result.data.discover;
+
+        renderGroups();
+    } catch (error) {
+        console.error('Error loading groups:', error);
+    }
+}
+
+function groupItemHTML(group, actions = '') {
+    const meta = [
+        group.is_public ? '🌐 Public' : '🔒 Private',
+        `${group.member_count} member${group.member_count !== 1 ? 's' : ''}`,
+        group.my_role ? GROUP_ROLE_LABELS[group.my_role] : ''
+    ].filter(Boolean).join(' · ');
+
+    return `
+        <div class="group-item" onclick="openGroupPage('${group.id}')">
+            <div class="friend-avatar">🎓</div>
+            <div class="group-details">
+                <h4>${escapeHTML(group.name)}</h4>
+                <p class="form-hint">${meta}</p>
+                ${group.description ? `<p class="group-item-description">${escapeHTML(group.description)}</p>` : ''}
+            </div>
+            ${actions ? `<div class="request-actions" onclick="event.stopPropagation()">${actions}</div>` : ''}
+        </div>
+    `;
+}
+
+function renderGroups() {
+    const invitesCard = document.getElementById('groupInvitesCard');
+    document.getElementById('groupInvitesCount').textContent = AppState.groupInvites.length;
+    invitesCard.style.display = AppState.groupInvites.length > 0 ? 'block' : 'none';
+
+    document.getElementById('groupInvitesList').innerHTML = AppState.groupInvites.map(invite => `
+        <div class="pending-request-item">
+            <div class="request-info">
+                <div class="friend-avatar">🎓</div>
+                <div class="request-details">
+                    <h4>${escapeHTML(invite.group.name)}</h4>
+                    <p>${invite.inviter_name} invited you · ${invite.group.member_count} member${invite.group.member_count !== 1 ? 's' : ''}</p>
+                    <span class="request-time">Sent ${getTimeAgo(new Date(invite.invited_at))}</span>
+                </div>
+            </div>
+            <div class="request-actions">
+                <button class="btn-accept" onclick="joinGroup('${invite.group.id}')">✓ Join</button>
+                <button class="btn-reject" onclick="cancelGroupJoin('${invite.group.id}')">✗ Decline</button>
+            </div>
+        </div>
+    `).join('');
+
+    document.getElementById('myGroupsList').innerHTML =
+        AppState.myGroups.map(group => groupItemHTML(group)).join('');
+    document.getElementById('emptyMyGroups').style.display = AppState.myGroups.length === 0 ? 'block' : 'none';
+
+    document.getElementById('discoverGroupsList').innerHTML = AppState.discoverGroups.map(group =>
+        groupItemHTML(group, `<button class="btn-accept" onclick="joinGroup('${group.id}')">Join</button>`)
+    ).join('');
+    document.getElementById('emptyDiscoverGroups').style.display = AppState.discoverGroups.length === 0 ? 'block' : 'none';
+}
+
+function showCreateGroupForm() {
+    document.getElementById('createGroupForm').style.display = 'block';
+    document.getElementById('groupNameInput').focus();
+}
+
+function hideCreateGroupForm() {
+    document.getElementById('createGroupForm').style.display = 'none';
+    document.getElementById('createGroupForm').reset();
+}
+
+async function handleCreateGroup(e) {
+    e.preventDefault();
+
+    try {
+        const result = await groupRequest('', 'POST', {
+            name: document.getElementById('groupNameInput').value.trim(),
+            description: document.getElementById('groupDescriptionInput').value.trim(),
+            is_public: document.getElementById('groupPublicInput').checked
+        });
+
+        hideCreateGroupForm();
+        showToast(`✓ ${result.message}`, 'success');
+        openGroupPage(result.data.group.id);
+    } catch (error) {
+        console.error('Error creating group:', error);
+        showToast(`❌ ${error.message}`, 'error');
+    }
+}
+
+function openGroupPage(groupId) {
+    pushPage('group', { groupId });
+}
+
+/**
+ * Load the group page: details, then posts and members if we may see them
+ */
+async function loadGroupPage() {
+    const groupId = AppState.activeGroupId;
+    if (!groupId) return;
+
+    try {
+        const result = await groupRequest(`/${groupId}`);
+        AppState.activeGroup = result.data.group;
+    } catch (error) {
+        console.error('Error loading group:', error);
+        AppState.activeGroup = null;
+        document.getElementById('groupTitle').textContent = 'Group not found';
+        document.getElementById('groupMeta').textContent = 'This group was deleted.';
+        ['groupDescription', 'groupActions', 'groupPostsList'].forEach(id => {
+            document.getElementById(id).innerHTML = '';
+        });
+        ['groupRequestsCard', 'groupMembersCard', 'groupComposerCard', 'emptyGroupPosts', 'groupPostsLoadMoreBtn'].forEach(id => {
+            document.getElementById(id).style.display = 'none';
+        });
+        return;
+    }
+
+    const group = AppState.activeGroup;
+    const canRead = Boolean(group.my_role) || group.is_public;
+    renderGroupHeader();
+
+    document.getElementById('groupComposerCard').style.display = group.my_role ? 'block' : 'none';
+    document.getElementById('groupRequestsCard').style.display = 'none';
+
+    AppState.groupPosts = [];
+    AppState.groupPostsCursor = null;
+    AppState.groupMembers = [];
+
+    if (!canRead) {
+        document.getElementById('groupMembersCard').style.display = 'none';
+        document.getElementById('emptyGroupPostsMessage').textContent = 'This group is private. Join it to see its posts.';
+        renderGroupPosts();
+        return;
+    }
+
+    document.getElementById('emptyGroupPostsMessage').textContent = 'No posts in this group yet.';
+    await Promise.all([
+        loadGroupPosts(),
+        loadGroupMembers(),
+        ['owner', 'moderator'].includes(group.my_role) ? loadGroupRequests() : null
+    ]);
+}
+
+function renderGroupHeader() {
+    const group = AppState.activeGroup;
+
+    document.getElementById('groupTitle').textContent = `🎓 ${group.name}`;
+    document.getElementById('groupMeta').textContent = [
+        group.is_public ? '🌐 Public group' : '🔒 Private group',
+        `${group.member_count} member${group.member_count !== 1 ? 's' : ''}`,
+        group.my_role ? `You are ${group.my_role === 'member' ? 'a member' : `the ${group.my_role}`}` : ''
+    ].filter(Boolean).join(' · ');
+    document.getElementById('groupDescription').textContent = group.description;
+
+    let actions;
+    if (group.my_role === 'owner') {
+        actions = `
+            <button class="btn-secondary" onclick="editGroup()">✏️ Edit</button>
+            <button class="btn-secondary" onclick="toggleGroupPrivacy()">${group.is_public ? '🔒 Make private' : '🌐 Make public'}</button>
+            <button class="btn-secondary" onclick="deleteGroup()">🗑️ Delete group</button>
+        `;
+    } else if (group.my_role) {
+        actions = `<button class="btn-secondary" onclick="leaveGroup()">🚪 Leave group</button>`;
+    } else if (group.pending === 'invite') {
+        actions = `
+            <button class="btn-primary" onclick="joinGroup('${group.id}')">✓ Accept invite</button>
+            <button class="btn-secondary" onclick="cancelGroupJoin('${group.id}')">✗ Decline</button>
+        `;
+    } else if (group.pending === 'request') {
+        actions = `
+            <span class="form-hint">Waiting for a moderator to approve your request</span>
+            <button class="btn-secondary" onclick="cancelGroupJoin('${group.id}')">Withdraw request</button>
+        `;
+    } else {
+        actions = `<button class="btn-primary" onclick="joinGroup('${group.id}')">${group.is_public ? '➕ Join group' : '➕ Ask to join'}</button>`;
+    }
+    document.getElementById('groupActions').innerHTML = actions;
+}
+
+/**
+ * Load the group's posts (append=true loads the next page)
+ */
+async function loadGroupPosts(append = false) {
+    const groupId = AppState.activeGroupId;
+    if (!groupId) return;
+    if (append && !AppState.groupPostsCursor) return;
+
+    const query = append ? `?cursor=${encodeURIComponent(AppState.groupPostsCursor)}` : '';
+
+    try {
+        const result = await groupRequest(`/${groupId}/posts${query}`);
+        const posts = toLoadedPosts(result.data.posts);
+
+        AppState.groupPosts = append ? [...AppState.groupPosts, ...posts] : posts;
+        AppState.groupPostsCursor = result.data.next_cursor;
+
+        renderGroupPosts();
+    } catch (error) {
+        console.error('Error loading group posts:', error);
+    }
+}
+
+function renderGroupPosts() {
+    const container = document.getElementById('groupPostsList');
+    const emptyState = document.getElementById('emptyGroupPosts');
+
+    document.getElementById('groupPostsLoadMoreBtn').style.display = AppState.groupPostsCursor ? 'block' : 'none';
+
+    if (AppState.groupPosts.length === 0) {
+        container.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+
+    emptyState.style.display = 'none';
+    container.innerHTML = AppState.groupPosts.map(post => createPostHTML(post)).join('');
+}
+
+/**
+ * Post to the open group through the normal create-post endpoint
+ */
+async function handleCreateGroupPost(e) {
+    e.preventDefault();
+    const input = document.getElementById('groupPostContent');
+    const content = input.value.trim();
+
+    if (!content || !AppState.activeGroupId) return;
+
+    try {
+        const response = await fetch(`${API_URL}/posts/create`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ content, group_id: AppState.activeGroupId })
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.message || 'Failed to create post');
+        }
+
+        // The realtime stream may already have added it
+        if (!findLoadedPost(result.data.post.post_id)) {
+            AppState.groupPosts.unshift(toFeedPost(result.data.post));
+        }
+        input.value = '';
+        renderGroupPosts();
+    } catch (error) {
+        console.error('Error creating group post:', error);
+        showToast(`❌ ${error.message}`, 'error');
+    }
+}
+
+async function loadGroupMembers() {
+    try {
+        const result = await groupRequest(`/${AppState.activeGroupId}/members`);
+        AppState.groupMembers = result.data.members;
+        renderGroupMembers();
+    } catch (error) {
+        console.error('Error loading group members:', error);
+    }
+}
+
+/**
+ * Members with role controls for the owner and remove buttons for moderators,
+ * plus a picker of friends who are not in the group yet
+ */
+function renderGroupMembers() {
+    const group = AppState.activeGroup;
+    const myRole = group.my_role;
+    const myId = String(AppState.currentUser.id);
+
+    document.getElementById('groupMembersCard').style.display = 'block';
+    document.getElementById('groupMembersList').innerHTML = AppState.groupMembers.map(member => {
+        const isMe = String(member.user_id) === myId;
+        const canRemove = !isMe && (myRole === 'owner' || (myRole === 'moderator' && member.role === 'member'));
+
+        let roleControl = `<span class="group-role">${GROUP_ROLE_LABELS[member.role]}</span>`;
+        if (myRole === 'owner' && !isMe) {
+            roleControl = `
+                <select class="sort-select" onchange="changeGroupRole('${member.user_id}', this.value)">
+                    ${['member', 'moderator', 'owner'].map(role =>
+                        `<option value="${role}" ${member.role === role ? 'selected' : ''}>${GROUP_ROLE_LABELS[role]}</option>`
+                    ).join('')}
+                </select>
+            `;
+        }
+
+        return `
+            <div class="group-member-item">
+                <div class="friend-avatar">${member.initials}</div>
+                <div class="group-details">
+                    <h4><a href="#" class="mention" onclick="openUserProfile('${member.user_id}'); return false;">${member.name}</a>${isMe ? ' (you)' : ''}</h4>
+                </div>
+                <div class="request-actions">
+                    ${roleControl}
+                    ${canRemove ? `<button class="btn-reject" onclick="removeGroupMember('${member.user_id}')">Remove</button>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    // Any member may invite friends who are not in the group yet
+    const memberIds = new Set(AppState.groupMembers.map(member => String(member.user_id)));
+    const invitable = AppState.friendsList.toArray().filter(friend => !memberIds.has(String(friend.friendId)));
+    const controls = document.getElementById('groupInviteControls');
+    controls.style.display = myRole && invitable.length > 0 ? 'flex' : 'none';
+    document.getElementById('groupInviteSelect').innerHTML = invitable
+        .map(friend => `<option value="${friend.friendId}">${friend.name}</option>`)
+        .join('');
+}
+
+async function loadGroupRequests() {
+    try {
+        const result = await groupRequest(`/${AppState.activeGroupId}/requests`);
+        renderGroupRequests(result.data.requests, result.data.invites);
+    } catch (error) {
+        console.error('Error loading group requests:', error);
+    }
+}
+
+function renderGroupRequests(requests, invites) {
+    const card = document.getElementById('groupRequestsCard');
+    document.getElementById('groupRequestsCount').textContent = requests.length;
+    card.style.display = requests.length + invites.length > 0 ? 'block' : 'none';
+
+    document.getElementById('groupRequestsList').innerHTML = [
+        ...requests.map(request => `
+            <div class="pending-request-item">
+                <div class="request-info">
+                    <div class="friend-avatar">${request.initials}</div>
+                    <div class="request-details">
+                        <h4>${request.name}</h4>
+                        <span class="request-time">Asked ${getTimeAgo(new Date(request.since))}</span>
+                    </div>
+                </div>
+                <div class="request-actions">
+                    <button class="btn-accept" onclick="approveGroupRequest('${request.user_id}')">✓ Approve</button>
+                    <button class="btn-reject" onclick="declineGroupRequest('${request.user_id}')">✗ Decline</button>
+                </div>
+            </div>
+        `),
+        ...invites.map(invite => `
+            <div class="pending-request-item">
+                <div class="request-info">
+                    <div class="friend-avatar">${invite.initials}</div>
+                    <div class="request-details">
+                        <h4>${invite.name}</h4>
+                        <span class="request-time">Invited ${getTimeAgo(new Date(invite.since))}</span>
+                    </div>
+                </div>
+                <div class="request-actions">
+                    <button class="btn-reject" onclick="declineGroupRequest('${invite.user_id}')">Cancel invite</button>
+                </div>
+            </div>
+        `)
+    ].join('');
+}
+
+/**
+ * Reload whichever groups view is open after a change
+ */
+async function refreshGroupViews() {
+    if (getCurrentPage() === 'group') {
+        await loadGroupPage();
+    } else {
+        await loadGroups();
+    }
+}
+
+/**
+ * Run a group action, show its message and reload the view
+ */
+async function runGroupAction(path, method, body = null) {
+    try {
+        const result = await groupRequest(path, method, body);
+        showToast(`✓ ${result.message}`, 'success');
+        await refreshGroupViews();
+        return result;
+    } catch (error) {
+        console.error('Group action error:', error);
+        showToast(`❌ ${error.message}`, 'error');
+        return null;
+    }
+}
+
+function joinGroup(groupId) {
+    return runGroupAction(`/${groupId}/join`, 'POST');
+}
+
+/**
+ * Withdraw our join request or decline an invite
+ */
+function cancelGroupJoin(groupId) {
+    return runGroupAction(`/${groupId}/join`, 'DELETE');
+}
+
+async function leaveGroup() {
+    const group = AppState.activeGroup;
+    if (!group || !confirm(`Leave ${group.name}?`)) return;
+
+    await runGroupAction(`/${group.id}/leave`, 'POST');
+}
+
+async function editGroup() {
+    const group = AppState.activeGroup;
+    if (!group) return;
+
+    const name = prompt('Group name:', group.name);
+    if (name === null || !name.trim()) return;
+    const description = prompt('Description:', group.description);
+    if (description === null) return;
+
+    await runGroupAction(`/${group.id}`, 'PUT', { name: name.trim(), description: description.trim() });
+}
+
+async function toggleGroupPrivacy() {
+    const group = AppState.activeGroup;
+    if (!group) return;
+
+    const question = group.is_public
+        ? 'Make this group private? Its posts will only be visible to members.'
+        : 'Make this group public? Anyone will be able to join and read its posts.';
+    if (!confirm(question)) return;
+
+    await runGroupAction(`/${group.id}`, 'PUT', { is_public: !group.is_public });
+}
+
+async function deleteGroup() {
+    const group = AppState.activeGroup;
+    if (!group) return;
+
+    if (!confirm(`Delete ${group.name}? Its posts will become visible only to their authors.`)) {
+        return;
+    }
+
+    try {
+        const result = await groupRequest(`/${group.id}`, 'DELETE');
+        showToast(`✓ ${result.message}`, 'success');
+        AppState.activeGroup = null;
+        pushPage('groups');
+    } catch (error) {
+        console.error('Error deleting group:', error);
+        showToast(`❌ ${error.message}`, 'error');
+    }
+}
+
+function inviteToGroup() {
+    const friendId = document.getElementById('groupInviteSelect').value;
+    if (!friendId) return;
+
+    return runGroupAction(`/${AppState.activeGroupId}/invite`, 'POST', { friend_id: friendId });
+}
+
+function approveGroupRequest(userId) {
+    return runGroupAction(`/${AppState.activeGroupId}/requests/${userId}/approve`, 'POST');
+}
+
+function declineGroupRequest(userId) {
+    return runGroupAction(`/${AppState.activeGroupId}/requests/${userId}`, 'DELETE');
+}
+
+async function changeGroupRole(userId, role) {
+    if (role === 'owner' && !confirm('Hand the group over? You will become a moderator.')) {
+        renderGroupMembers();
+        return;
+    }
+
+    await runGroupAction(`/${AppState.activeGroupId}/members/${userId}`, 'PUT', { role });
+}
+
+async function removeGroupMember(userId) {
+    if (!confirm('Remove this member from the group?')) return;
+
+    await runGroupAction(`/${AppState.activeGroupId}/members/${userId}`, 'DELETE');
+}
+
+// ========== COURSES ==========
+
+const COURSE_SEARCH_DELAY = 200;
+let courseSearchTimeout;
+
+async function courseRequest(path, method = 'GET', body = null) {
+    const response = await fetch(`${API_URL}/courses${path}`, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.message || 'Course request failed');
+    }
+    return result;
+}
+
+/**
+ * Clickable course badges; our own profile also gets a drop button on each
+ */
+function courseBadgesHTML(courses, removable = false) {
+    return courses.map(course => `
+        <span class="course-badge" title="${escapeHTML(course.title || course.code)} · ${escapeHTML(course.term)}">
+            <a href="#" onclick="openCoursePage('${course.id}'); return false;">📚 ${course.code}</a>
+            <span class="course-badge-term">${escapeHTML(course.term)}</span>
+            ${removable ? `<button class="course-badge-remove" onclick="dropCourse('${course.id}')" title="Drop course">×</button>` : ''}
+        </span>
+    `).join('');
+}
+
+/**
+ * Load the courses we take for our profile and the post composer
+ */
+async function loadMyCourses() {
+    try {
+        const result = await courseRequest('/mine');
+        AppState.myCourses = result.data.courses;
+        renderMyCourses();
+    } catch (error) {
+        console.error('Error loading courses:', error);
+    }
+}
+
+function renderMyCourses() {
+    document.getElementById('profileCourses').innerHTML = courseBadgesHTML(AppState.myCourses, true);
+
+    // Keep the composer's choice if we still take that course
+    const select = document.getElementById('postCourse');
+    const selected = select.value;
+    select.innerHTML = '<option value="">📚 No course</option>' + AppState.myCourses.map(course =>
+        `<option value="${course.id}" ${String(course.id) === selected ? 'selected' : ''}>📚 ${course.code} · ${escapeHTML(course.term)}</option>`
+    ).join('');
+    select.style.display = AppState.myCourses.length > 0 ? '' : 'none';
+}
+
+function showAddCourseForm() {
+    document.getElementById('addCourseForm').style.display = 'block';
+    document.getElementById('courseCodeInput').focus();
+}
+
+function hideAddCourseForm() {
+    document.getElementById('addCourseForm').style.display = 'none';
+    document.getElementById('addCourseForm').reset();
+    document.getElementById('courseMatches').style.display = 'none';
+}
+
+/**
+ * Suggest catalog courses while the code is typed, so classmates end up in the same offering
+ */
+function handleCourseCodeInput() {
+    const query = document.getElementById('courseCodeInput').value.trim();
+    clearTimeout(courseSearchTimeout);
+
+    if (query.length < 2) {
+        document.getElementById('courseMatches').style.display = 'none';
+        return;
+    }
+
+    courseSearchTimeout = setTimeout(async () => {
+        try {
+            const result = await courseRequest(`?q=${encodeURIComponent(query)}`);
+            renderCourseMatches(result.data.courses.filter(course => !course.is_enrolled));
+        } catch (error) {
+            console.error('Error searching courses:', error);
+        }
+    }, COURSE_SEARCH_DELAY);
+}
+
+function renderCourseMatches(courses) {
+    const container = document.getElementById('courseMatches');
+
+    if (courses.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    container.innerHTML = `<span class="form-hint">Already in the catalog:</span>` + courses.map(course => `
+        <div class="course-match">
+            <span><strong>${course.code}</strong> ${escapeHTML(course.title)} · ${escapeHTML(course.term)} · ${course.enrolled_count} enrolled</span>
+            <button type="button" class="btn-accept" onclick="enrollInCourse('${course.id}')">Join</button>
+        </div>
+    `).join('');
+    container.style.display = 'block';
+}
+
+async function handleAddCourse(e) {
+    e.preventDefault();
+
+    try {
+        const result = await courseRequest('', 'POST', {
+            code: document.getElementById('courseCodeInput').value,
+            title: document.getElementById('courseTitleInput').value,
+            term: document.getElementById('courseTermInput').value
+        });
+
+        hideAddCourseForm();
+        showToast(`✓ ${result.message}`, 'success');
+        await loadMyCourses();
+    } catch (error) {
+        console.error('Error adding course:', error);
+        showToast(`❌ ${error.message}`, 'error');
+    }
+}
+
+async function enrollInCourse(courseId) {
+    try {
+        const result = await courseRequest(`/${courseId}/enroll`, 'POST');
+        hideAddCourseForm();
+        showToast(`✓ ${result.message}`, 'success');
+        await loadMyCourses();
+        if (getCurrentPage() === 'course') {
+            await loadCoursePage();
+        }
+    } catch (error) {
+        console.error('Error enrolling in course:', error);
+        showToast(`❌ ${error.message}`, 'error');
+    }
+}
+
+async function dropCourse(courseId) {
+    const course = AppState.myCourses.find(c => String(c.id) === String(courseId)) || AppState.activeCourse;
+    if (!course || !confirm(`Drop ${course.code} (${course.term})? Posts you tagged with it stay on the course page.`)) {
+        return;
+    }
+
+    try {
+        const result = await courseRequest(`/${courseId}/enroll`, 'DELETE');
+        showToast(`✓ ${result.message}`, 'success');
+        await loadMyCourses();
+        if (getCurrentPage() === 'course') {
+            await loadCoursePage();
+        }
+    } catch (error) {
+        console.error('Error dropping course:', error);
+        showToast(`❌ ${error.message}`, 'error');
+    }
+}
+
+function openCoursePage(courseId) {
+    pushPage('course', { courseId });
+}
+
+/**
+ * Load the course page: details, tagged posts and (once enrolled) classmates
+ */
+async function loadCoursePage() {
+    const courseId = AppState.activeCourseId;
+    if (!courseId) return;
+
+    try {
+        const result = await courseRequest(`/${courseId}`);
+        AppState.activeCourse = result.data.course;
+    } catch (error) {
+        console.error('Error loading course:', error);
+        AppState.activeCourse = null;
+        document.getElementById('courseTitle').textContent = 'Course not found';
+        document.getElementById('courseMeta').textContent = '';
+        document.getElementById('courseActions').innerHTML = '';
+        document.getElementById('classmatesCard').style.display = 'none';
+        AppState.coursePosts = [];
+        AppState.coursePostsCursor = null;
+        renderCoursePosts();
+        return;
+    }
+
+    const course = AppState.activeCourse;
+    document.getElementById('courseTitle').textContent = `📚 ${course.code}${course.title ? ` · ${course.title}` : ''}`;
+    document.getElementById('courseMeta').textContent =
+        `${course.term} · ${course.enrolled_count} enrolled${course.is_enrolled ? ' · You take this course' : ''}`;
+    document.getElementById('courseActions').innerHTML = course.is_enrolled
+        ? `<button class="btn-secondary" onclick="dropCourse('${course.id}')">Drop course</button>`
+        : `<button class="btn-primary" onclick="enrollInCourse('${course.id}')">➕ I'm taking this course</button>`;
+
+    document.getElementById('classmatesCard').style.display = course.is_enrolled ? 'block' : 'none';
+    await Promise.all([
+        loadCoursePosts(),
+        course.is_enrolled ? loadClassmates() : null
+    ]);
+}
+
+/**
+ * Load posts tagged with the current course (append=true loads the next page)
+ */
+async function loadCoursePosts(append = false) {
+    const courseId = AppState.activeCourseId;
+    if (!courseId) return;
+    if (append && !AppState.coursePostsCursor) return;
+
+    const query = append ? `?cursor=${encodeURIComponent(AppState.coursePostsCursor)}` : '';
+
+    try {
+        const result = await courseRequest(`/${courseId}/posts${query}`);
+        const posts = toLoadedPosts(result.data.posts);
+
+        AppState.coursePosts = append ? [...AppState.coursePosts, ...posts] : posts;
+        AppState.coursePostsCursor = result.data.next_cursor;
+
+        renderCoursePosts();
+    } catch (error) {
+        console.error('Error loading course posts:', error);
+    }
+}
+
+function renderCoursePosts() {
+    const container = document.getElementById('coursePostsList');
+    const emptyState = document.getElementById('emptyCoursePosts');
+
+    document.getElementById('coursePostsLoadMoreBtn').style.display = AppState.coursePostsCursor ? 'block' : 'none';
+
+    if (AppState.coursePosts.length === 0) {
+        container.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+
+    emptyState.style.display = 'none';
+    container.innerHTML = AppState.coursePosts.map(post => createPostHTML(post)).join('');
+}
+
+async function loadClassmates() {
+    try {
+        const result = await courseRequest(`/${AppState.activeCourseId}/classmates`);
+        AppState.classmates = result.data.classmates;
+        renderClassmates();
+    } catch (error) {
+        console.error('Error loading classmates:', error);
+    }
+}
+
+function renderClassmates() {
+    const classmates = AppState.classmates;
+
+    document.getElementById('classmatesCount').textContent = classmates.length;
+    document.getElementById('emptyClassmates').style.display = classmates.length === 0 ? 'block' : 'none';
+    document.getElementById('classmatesList').innerHTML = classmates.map(classmate => `
+        <div class="classmate-item">
+            <div class="friend-avatar">${classmate.initials}</div>
+            <div class="group-details">
+                <h4><a href="#" class="mention" onclick="openUserProfile('${classmate.user_id}'); return false;">${classmate.name}</a></h4>
+            </div>
+            ${classmate.is_friend ? '<span class="mention-friend-badge">Friend</span>' : ''}
+        </div>
+    `).join('');
+}
+
+// ========== NOTIFICATIONS ==========
+
+const NOTIFICATIONS_POLL_INTERVAL = 60 * 1000;
+let notificationsTimer = null;
+
+function startNotificationPolling() {
+    stopNotificationPolling();
+    loadNotifications();
+    loadUnreadMessageCount();
+    notificationsTimer = setInterval(() => {
+        loadNotifications();
+        loadUnreadMessageCount();
+    }, NOTIFICATIONS_POLL_INTERVAL);
+}
+
+function stopNotificationPolling() {
+    clearInterval(notificationsTimer);
+    notificationsTimer = null;
+}
+
+/**
+ * Load notifications and the unread count (append=true loads older ones)
+ */
+async function loadNotifications(append = false) {
+    if (append && !AppState.notificationsCursor) return;
+
+    const query = append ? `?before=${encodeURIComponent(AppState.notificationsCursor)}` : '';
+
+    try {
+        const response = await fetch(`${API_URL}/notifications${query}`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            console.error('Failed to load notifications:', result.message);
+            return;
+        }
+
+        AppState.notifications = append
+            ? [...AppState.notifications, ...result.data.notifications]
+            : result.data.notifications;
+        AppState.notificationsCursor = result.data.next_cursor;
+
+        updateNotificationsBadge(result.data.unread_count);
+        renderNotifications();
+
+        // New requests show up on the Friends page without leaving it
+        if (getCurrentPage() === 'friends' && AppState.notifications.some(item => item.type === 'friend_request' && !item.read)) {
+            await loadPendingFriendRequests();
+        }
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+    }
+}
+
+function updateNotificationsBadge(unreadCount) {
+    const badge = document.getElementById('notificationsBadge');
+    badge.textContent = unreadCount > 99 ? '99+' : unreadCount;
+    badge.style.display = unreadCount > 0 ? 'inline-block' : 'none';
+}
+
+function renderNotifications() {
+    const container = document.getElementById('notificationsList');
+    const emptyState = document.getElementById('notificationsEmpty');
+
+    document.getElementById('notificationsLoadMoreBtn').style.display = AppState.notificationsCursor ? 'block' : 'none';
+
+    if (AppState.notifications.length === 0) {
+        container.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+
+    emptyState.style.display = 'none';
+    container.innerHTML = AppState.notifications.map(notification => `
+        <div class="notification-item ${notification.read ? '' : 'unread'}" onclick="openNotification('${notification.id}')">
+            <div class="author-avatar">${notification.actor_initials}</div>
+            <div class="notification-body">
+                <p class="notification-message">${escapeHTML(notification.message)}</p>
+                ${notification.post_preview ? `<p class="notification-preview">${notification.post_preview}</p>` : ''}
+                <span class="notification-time">${getTimeAgo(new Date(notification.created_at))}</span>
+            </div>
+        </div>
+    `).join('');
+}
+
+function toggleNotificationsPanel() {
+    const panel = document.getElementById('notificationsPanel');
+    const isOpen = panel.style.display === 'block';
+
+    panel.style.display = isOpen ? 'none' : 'block';
+    if (!isOpen) {
+        loadNotifications();
+    }
+}
+
+/**
+ * Mark a notification as read and go to what it is about
+ */
+async function openNotification(notificationId) {
+    const notification = AppState.notifications.find(item => String(item.id) === String(notificationId));
+    if (!notification) return;
+
+    document.getElementById('notificationsPanel').style.display = 'none';
+
+    if (!notification.read) {
+        try {
+            const response = await fetch(`${API_URL}/notifications/${notificationId}/read`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+                }
+            });
+
+            const result = await response.json();
+
+            if (response.ok) {
+                notification.read = true;
+                updateNotificationsBadge(result.data.unread_count);
+                renderNotifications();
+            }
+        } catch (error) {
+            console.error('Error marking notification as read:', error);
+        }
+    }
+
+    switch (notification.type) {
+        case 'friend_request':
+            pushPage('friends');
+            break;
+        case 'friend_accept':
+        case 'follow':
+            openUserProfile(notification.actor_id);
+            break;
+        case 'group_invite':
+            pushPage('groups');
+            break;
+        case 'group_request':
+        case 'group_approved':
+            openGroupPage(notification.group_id);
+            break;
+        default:
+            openPostPage(notification.post_id);
+    }
+}
+
+async function markAllNotificationsRead() {
+    try {
+        const response = await fetch(`${API_URL}/notifications/read-all`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            alert(result.message || 'Failed to mark notifications as read');
+            return;
+        }
+
+        AppState.notifications.forEach(notification => {
+            notification.read = true;
+        });
+        updateNotificationsBadge(0);
+        renderNotifications();
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+    }
+}
+
+// ========== REALTIME UPDATES ==========
+
+// Lists whose .post-item nodes are rendered with createPostHTML
+const POST_LIST_SELECTOR = '#postsFeed, #tagPostsList, #userPostsList, #groupPostsList, #coursePostsList, #singlePostContainer';
+
+let realtimeSource = null;
+
+/**
+ * Open the Server-Sent Events stream; the browser reconnects by itself if it drops
+ */
+function connectRealtime() {
+    disconnectRealtime();
+    if (typeof EventSource === 'undefined') return;
+
+    const token = localStorage.getItem('authToken');
+    realtimeSource = new EventSource(`${API_URL}/realtime?token=${encodeURIComponent(token)}`);
+
+    const handlers = {
+        post_created: handleRealtimePostCreated,
+        post_updated: handleRealtimePostUpdated,
+        post_deleted: handleRealtimePostDeleted,
+        like_changed: handleRealtimeLikeChanged,
+        comment_added: handleRealtimeCommentAdded,
+        comment_updated: handleRealtimeCommentUpdated,
+        comment_deleted: handleRealtimeCommentDeleted,
+        answer_voted: handleRealtimeAnswerVoted,
+        answer_accepted: handleRealtimeAnswerAccepted,
+        friend_request: handleRealtimeFriendRequest,
+        friend_request_accepted: handleRealtimeFriendAccepted,
+        friend_request_cancelled: handleRealtimeFriendRequestCancelled,
+        message_received: handleRealtimeMessageReceived,
+        messages_read: handleRealtimeMessagesRead,
+        notification: handleRealtimeNotification
+    };
+
+    Object.entries(handlers).forEach(([event, handler]) => {
+        realtimeSource.addEventListener(event, (e) => {
+            try {
+                handler(JSON.parse(e.data));
+            } catch (error) {
+                console.error(`Error handling realtime ${event}:`, error);
+            }
+        });
+    });
+}
+
+function disconnectRealtime() {
+    if (realtimeSource) {
+        realtimeSource.close();
+        realtimeSource = null;
+    }
+}
+
+/**
+ * Re-render only the .post-item nodes showing a post, keeping any half-typed comment
+ */
+function rerenderPost(post) {
+    document.querySelectorAll(POST_LIST_SELECTOR).forEach(list => {
+        const node = list.querySelector(`.post-item[data-post-id="${post.id}"]`);
+        if (!node) return;
+
+        const input = node.querySelector('.comment-input');
+        const draft = input ? input.value : '';
+        const hadFocus = input && document.activeElement === input;
+
+        const template = document.createElement('template');
+        template.innerHTML = createPostHTML(post).trim();
+        const replacement = template.content.firstElementChild;
+        node.replaceWith(replacement);
+
+        const newInput = replacement.querySelector('.comment-input');
+        if (newInput) {
+            newInput.value = draft;
+            if (hadFocus) newInput.focus();
+        }
+    });
+}
+
+function handleRealtimePostCreated({ post: apiPost }) {
+    if (findLoadedPost(apiPost.post_id)) return;
+
+    // New posts in the open group go to the top of its page
+    if (apiPost.group_id && getCurrentPage() === 'group' &&
+        String(apiPost.group_id) === String(AppState.activeGroupId)) {
+        AppState.groupPosts.unshift(toFeedPost(apiPost));
+        renderGroupPosts();
+    }
+    if (apiPost.course_id && getCurrentPage() === 'course' &&
+        String(apiPost.course_id) === String(AppState.activeCourseId)) {
+        AppState.coursePosts.unshift(findLoadedPost(apiPost.post_id) || toFeedPost(apiPost));
+        renderCoursePosts();
+    }
+
+    // Private group posts only show inside their group
+    if (apiPost.visibility === 'group') return;
+
+    // A filtered feed cannot tell whether the post matches without asking the server
+    if (document.getElementById('searchPosts').value.trim() ||
+        document.getElementById('feedFilter').value !== 'all') return;
+
+    const post = toFeedPost(apiPost);
+    const sortBy = document.getElementById('sortPosts').value;
+    const posts = AppState.postsQueue.toArray();
+    const isNewest = posts.every(other => other.timestamp <= post.timestamp);
+
+    if (sortBy === 'newest' && isNewest && posts.length > 0) {
+        AppState.postsQueue.enqueue(post);
+        document.getElementById('postsFeed').insertAdjacentHTML('afterbegin', createPostHTML(post));
+    } else if (!AppState.feedCursor || isNewest) {
+        // Belongs somewhere in the loaded pages; let renderFeed place it
+        AppState.postsQueue.enqueue(post);
+        renderFeed();
+    }
+
+    updateStatistics();
+}
+
+function handleRealtimePostUpdated({ post_id, content, edited_at, visibility, audience_list_id, mentions }) {
+    const post = findLoadedPost(post_id);
+    if (post) {
+        post.content = content;
+        post.snippet = null; // Highlighted against the old text
+        post.editedAt = edited_at ? new Date(edited_at) : null;
+        post.visibility = visibility;
+        post.audienceListId = audience_list_id;
+        post.mentions = mentions;
+        rerenderPost(post);
+    }
+
+    // Our own post may also be open in My Posts
+    const myPostContent = document.getElementById(`content-${post_id}`);
+    if (myPostContent && !myPostContent.classList.contains('editing')) {
+        myPostContent.innerHTML = formatPostContent(content, mentions);
+    }
+}
+
+function handleRealtimePostDeleted({ post_id }) {
+    const isOther = post => String(post.id) !== String(post_id);
+
+    const remaining = AppState.postsQueue.toArray().filter(isOther);
+    AppState.postsQueue.clear();
+    remaining.forEach(post => AppState.postsQueue.enqueue(post));
+
+    AppState.tagPosts = AppState.tagPosts.filter(isOther);
+    AppState.userPosts = AppState.userPosts.filter(isOther);
+    AppState.groupPosts = AppState.groupPosts.filter(isOther);
+    AppState.coursePosts = AppState.coursePosts.filter(isOther);
+
+    document.querySelectorAll(POST_LIST_SELECTOR).forEach(list => {
+        const node = list.querySelector(`.post-item[data-post-id="${post_id}"]`);
+        if (node) node.remove();
+    });
+
+    if (AppState.viewedPost && !isOther(AppState.viewedPost)) {
+        AppState.viewedPost = null;
+        renderSinglePost();
+    }
+    if (remaining.length === 0) {
+        renderFeed();
+    }
+    updateStatistics();
+}
+
+function handleRealtimeLikeChanged({ post_id, likes_count, user_id, liked }) {
+    const post = findLoadedPost(post_id);
+    if (!post) return;
+
+    post.likes = likes_count;
+
+    // Our own like from another tab
+    if (String(user_id) === String(AppState.currentUser.id)) {
+        post.likedBy = post.likedBy.filter(id => id !== AppState.currentUser.id);
+        if (liked) post.likedBy.push(AppState.currentUser.id);
+    }
+
+    rerenderPost(post);
+}
+
+function handleRealtimeCommentAdded({ post_id, comment, comments_count }) {
+    const post = findLoadedPost(post_id);
+    if (!post) return;
+
+    if (!post.comments.some(existing => String(existing.id) === String(comment.id))) {
+        post.comments.push(toFeedComment(comment));
+    }
+    post.commentsCount = comments_count;
+
+    rerenderPost(post);
+}
+
+function handleRealtimeCommentUpdated({ post_id, comment }) {
+    const post = findLoadedPost(post_id);
+    const existing = post && post.comments.find(item => String(item.id) === String(comment.id));
+    if (!existing) return;
+
+    existing.text = comment.text;
+    existing.mentions = comment.mentions || [];
+
+    rerenderPost(post);
+}
+
+function handleRealtimeCommentDeleted({ post_id, comment_id, comments_count }) {
+    const post = findLoadedPost(post_id);
+    if (!post) return;
+
+    post.comments = post.comments.filter(comment => String(comment.id) !== String(comment_id));
+    post.commentsCount = comments_count;
+    if (String(post.acceptedCommentId) === String(comment_id)) {
+        post.acceptedCommentId = null;
+    }
+
+    rerenderPost(post);
+}
+
+function handleRealtimeAnswerVoted({ post_id, comment_id, score }) {
+    const found = findLoadedAnswer(post_id, comment_id);
+    if (!found) return;
+
+    found.comment.score = score;
+    rerenderPost(found.post);
+}
+
+function handleRealtimeAnswerAccepted({ post_id, accepted_comment_id }) {
+    const post = findLoadedPost(post_id);
+    if (!post) return;
+
+    post.acceptedCommentId = accepted_comment_id;
+
+    // An answered question no longer belongs in the Unanswered feed
+    if (accepted_comment_id && document.getElementById('feedFilter').value === 'unanswered' &&
+        AppState.postsQueue.toArray().includes(post)) {
+        const remaining = AppState.postsQueue.toArray().filter(other => other !== post);
+        AppState.postsQueue.clear();
+        remaining.forEach(other => AppState.postsQueue.enqueue(other));
+        renderFeed();
+    }
+
+    rerenderPost(post);
+}
+
+function handleRealtimeFriendRequest() {
+    if (getCurrentPage() === 'friends') {
+        loadPendingFriendRequests();
+    }
+}
+
+async function handleRealtimeFriendAccepted() {
+    // New friend: their friends-only posts and the friends list both change
+    await loadDataFromDatabase();
+    if (getCurrentPage() === 'friends') {
+        renderFriends();
+        loadSentFriendRequests();
+    }
+}
+
+function handleRealtimeFriendRequestCancelled() {
+    // The request's notification is gone too
+    loadNotifications();
+    if (getCurrentPage() === 'friends') {
+        loadPendingFriendRequests();
+    }
+}
+
+function handleRealtimeNotification({ unread_count }) {
+    updateNotificationsBadge(unread_count);
+
+    if (document.getElementById('notificationsPanel').style.display === 'block') {
+        loadNotifications();
+    }
+}
+
+// ========== MENTION AUTOCOMPLETE ==========
+
+const MENTION_SUGGEST_DELAY = 150;
+
+// The input being completed and the "@partial" being replaced
+const mentionAutocomplete = {
+    input: null,
+    start: 0,
+    query: '',
+    users: [],
+    activeIndex: 0,
+    timer: null
+};
+
+/**
+ * Watch the post composer and every comment input (including ones
+ * rendered later) for "@" followed by a partial name
+ */
+function setupMentionAutocomplete() {
+    document.addEventListener('input', (e) => {
+        if (e.target.id === 'postContent' || e.target.classList.contains('comment-input')) {
+            updateMentionSuggestions(e.target);
+        }
+    });
+
+    // Capture phase so Enter picks a suggestion before anything else sees it
+    document.addEventListener('keydown', handleMentionKeydown, true);
+
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('#mentionSuggestions')) {
+            hideMentionSuggestions();
+        }
+    });
+}
+
+function updateMentionSuggestions(input) {
+    const beforeCaret = input.value.slice(0, input.selectionStart);
+    const match = beforeCaret.match(/(?:^|\s)@([\p{L}\p{N}_]{0,50})$/u);
+
+    clearTimeout(mentionAutocomplete.timer);
+
+    if (!match) {
+        hideMentionSuggestions();
+        return;
+    }
+
+    mentionAutocomplete.input = input;
+    mentionAutocomplete.start = input.selectionStart - match[1].length - 1;
+    mentionAutocomplete.query = match[1];
+    mentionAutocomplete.timer = setTimeout(() => fetchMentionSuggestions(match[1]), MENTION_SUGGEST_DELAY);
+}
+
+async function fetchMentionSuggestions(query) {
+    try {
+        const response = await fetch(`${API_URL}/mentions/suggest?q=${encodeURIComponent(query)}`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        // Ignore answers for text the user has already changed
+        if (!response.ok || query !== mentionAutocomplete.query) return;
+
+        mentionAutocomplete.users = result.data.users;
+        mentionAutocomplete.activeIndex = 0;
+        renderMentionSuggestions();
+    } catch (error) {
+        console.error('Error loading mention suggestions:', error);
+    }
+}
+
+function renderMentionSuggestions() {
+    const dropdown = document.getElementById('mentionSuggestions');
+    const { input, users, activeIndex } = mentionAutocomplete;
+
+    if (!input || users.length === 0) {
+        hideMentionSuggestions();
+        return;
+    }
+
+    const rect = input.getBoundingClientRect();
+    dropdown.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    dropdown.style.left = `${rect.left + window.scrollX}px`;
+    dropdown.style.width = `${Math.min(rect.width, 320)}px`;
+
+    dropdown.innerHTML = users.map((user, index) => `
+        <div class="mention-option ${index === activeIndex ? 'active' : ''}" onmousedown="selectMentionSuggestion(${index}); return false;">
+            <div class="author-avatar">${user.initials}</div>
+            <div class="mention-option-info">
+                <strong>${user.name}</strong>
+                <span class="mention-handle">@${user.handle}</span>
+            </div>
+            ${user.is_friend ? '<span class="mention-friend-badge">Friend</span>' : ''}
+        </div>
+    `).join('');
+    dropdown.style.display = 'block';
+}
+
+function hideMentionSuggestions() {
+    const dropdown = document.getElementById('mentionSuggestions');
+    if (dropdown) dropdown.style.display = 'none';
+    mentionAutocomplete.users = [];
+}
+
+/**
+ * Replace the "@partial" before the caret with the chosen user's handle
+ */
+function selectMentionSuggestion(index) {
+    const { input, start, users } = mentionAutocomplete;
+    const user = users[index];
+    if (!input || !user) return;
+
+    const caret = input.selectionStart;
+    const mention = `@${user.handle} `;
+    input.value = input.value.slice(0, start) + mention + input.value.slice(caret);
+    input.focus();
+    input.setSelectionRange(start + mention.length, start + mention.length);
+
+    hideMentionSuggestions();
+}
+
+function handleMentionKeydown(e) {
+    const { input, users } = mentionAutocomplete;
+    if (users.length === 0 || e.target !== input) return;
+
+    switch (e.key) {
+        case 'ArrowDown':
+            mentionAutocomplete.activeIndex = (mentionAutocomplete.activeIndex + 1) % users.length;
+            break;
+        case 'ArrowUp':
+            mentionAutocomplete.activeIndex = (mentionAutocomplete.activeIndex - 1 + users.length) % users.length;
+            break;
+        case 'Enter':
+        case 'Tab':
+            selectMentionSuggestion(mentionAutocomplete.activeIndex);
+            break;
+        case 'Escape':
+            hideMentionSuggestions();
+            break;
+        default:
+            return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+    if (mentionAutocomplete.users.length > 0) renderMentionSuggestions();
+}
+
+// ========== PROFILE MANAGEMENT ==========
+
+function showProfileEdit() {
+    document.getElementById('profileView').style.display = 'none';
+    document.getElementById('profileEditForm').style.display = 'block';
+
+    document.getElementById('editName').value = AppState.currentUser.name;
+    document.getElementById('editEmail').value = AppState.currentUser.email;
+    document.getElementById('editBio').value = AppState.currentUser.bio;
+}
+
+function hideProfileEdit() {
+    document.getElementById('profileView').style.display = 'flex';
+    document.getElementById('profileEditForm').style.display = 'none';
+}
+
+/**
+ * Save name, email and bio through the API (it keeps user search in sync)
+ * @returns {Promise<Object>} The updated user
+ */
+async function saveProfile({ name, email, bio }) {
+    const response = await fetch(`${API_URL}/user/profile`, {
+        method: 'PUT',
+        headers: {
+            'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ name, email, bio })
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.message || 'Failed to save profile');
+    }
+    return { ...result.data.user, bio: result.data.user.bio || '' };
+}
+
+async function handleProfileSave(e) {
+    e.preventDefault();
+
+    if (AppState.isLoading) return;
 
     try {
         AppState.isLoading = true;
@@ -1069,8 +3970,7 @@ async function handleProfileSave(e) {
             bio: document.getElementById('editBio').value
         };
 
-        // Update in database
-        const updatedUser = await Database.updateUser(AppState.currentUser.id, updates);
+        const updatedUser = await saveProfile(updates);
 
         AppState.currentUser = updatedUser;
 
@@ -1101,6 +4001,12 @@ async function handleProfileSave(e) {
 // Store pending requests globally
 let pendingFriendRequests = [];
 
+// Requests we sent that have not been answered yet
+let sentFriendRequests = [];
+
+// Friends-of-friends suggested on the Friends page
+let friendSuggestions = [];
+
 function showAddFriendForm() {
     document.getElementById('addFriendForm').style.display = 'block';
     document.getElementById('friendRequestMessage').style.display = 'none';
@@ -1110,6 +4016,127 @@ function hideAddFriendForm() {
     document.getElementById('addFriendForm').style.display = 'none';
     document.getElementById('friendEmail').value = '';
     document.getElementById('friendRequestMessage').style.display = 'none';
+    friendAutocomplete.selected = null;
+    hideFriendSuggestions();
+}
+
+// ========== FRIEND AUTOCOMPLETE ==========
+
+const FRIEND_SUGGEST_DELAY = 150;
+
+// Suggestions for the add friend field and the person picked from them
+const friendAutocomplete = {
+    prefix: '',
+    users: [],
+    activeIndex: 0,
+    selected: null,
+    timer: null
+};
+
+function setupFriendAutocomplete() {
+    const input = document.getElementById('friendEmail');
+
+    input.addEventListener('input', () => {
+        // Typing again means the picked person no longer matches the field
+        friendAutocomplete.selected = null;
+        clearTimeout(friendAutocomplete.timer);
+
+        const prefix = input.value.trim();
+        friendAutocomplete.prefix = prefix;
+        if (!prefix) {
+            hideFriendSuggestions();
+            return;
+        }
+        friendAutocomplete.timer = setTimeout(() => fetchFriendSuggestions(prefix), FRIEND_SUGGEST_DELAY);
+    });
+
+    input.addEventListener('keydown', handleFriendSuggestionKeydown);
+    input.addEventListener('blur', hideFriendSuggestions);
+}
+
+async function fetchFriendSuggestions(prefix) {
+    try {
+        const response = await fetch(`${API_URL}/users/suggest?prefix=${encodeURIComponent(prefix)}`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        // Ignore answers for text the user has already changed
+        if (!response.ok || prefix !== friendAutocomplete.prefix) return;
+
+        friendAutocomplete.users = result.data.users;
+        friendAutocomplete.activeIndex = 0;
+        renderFriendSuggestions();
+    } catch (error) {
+        console.error('Error loading user suggestions:', error);
+    }
+}
+
+function renderFriendSuggestions() {
+    const dropdown = document.getElementById('friendSuggestions');
+    const { users, activeIndex } = friendAutocomplete;
+
+    if (users.length === 0) {
+        hideFriendSuggestions();
+        return;
+    }
+
+    dropdown.innerHTML = users.map((user, index) => `
+        <div class="mention-option ${index === activeIndex ? 'active' : ''}" onmousedown="selectFriendSuggestion(${index}); return false;">
+            <div class="author-avatar">${user.initials}</div>
+            <div class="mention-option-info">
+                <strong>${escapeHTML(user.name)}</strong>
+            </div>
+        </div>
+    `).join('');
+    dropdown.style.display = 'block';
+}
+
+function hideFriendSuggestions() {
+    document.getElementById('friendSuggestions').style.display = 'none';
+    friendAutocomplete.users = [];
+}
+
+/**
+ * Fill the field with the chosen person's name; their id is sent on submit
+ */
+function selectFriendSuggestion(index) {
+    const user = friendAutocomplete.users[index];
+    if (!user) return;
+
+    friendAutocomplete.selected = user;
+    document.getElementById('friendEmail').value = user.name;
+    hideFriendSuggestions();
+}
+
+function handleFriendSuggestionKeydown(e) {
+    const { users } = friendAutocomplete;
+    if (users.length === 0) return;
+
+    switch (e.key) {
+        case 'ArrowDown':
+            friendAutocomplete.activeIndex = (friendAutocomplete.activeIndex + 1) % users.length;
+            break;
+        case 'ArrowUp':
+            friendAutocomplete.activeIndex = (friendAutocomplete.activeIndex - 1 + users.length) % users.length;
+            break;
+        case 'Enter':
+        case 'Tab':
+            selectFriendSuggestion(friendAutocomplete.activeIndex);
+            break;
+        case 'Escape':
+            hideFriendSuggestions();
+            break;
+        default:
+            return;
+    }
+
+    e.preventDefault();
+    if (friendAutocomplete.users.length > 0) renderFriendSuggestions();
 }
 
 /**
@@ -1130,54 +4157,158 @@ async function handleAddFriend(e) {
     
     if (AppState.isLoading) return;
     
+    // A person picked from the suggestions is sent by id, anyone else by email
+    const { selected } = friendAutocomplete;
     const friendEmail = document.getElementById('friendEmail').value.trim();
     
     // Validate input
-    if (!friendEmail) {
-        showFriendRequestMessage('Please enter an email address', 'error');
+    if (!selected && !friendEmail) {
+        showFriendRequestMessage('Please enter a name or email address', 'error');
+        return;
+    }
+
+    // Basic email validation
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!selected && !emailRegex.test(friendEmail)) {
+        showFriendRequestMessage('Pick a person from the suggestions or enter their full email address', 'error');
+        return;
+    }
+    
+    try {
+        AppState.isLoading = true;
+        
+        const token = localStorage.getItem('authToken');
+        
+        const response = await fetch(`${API_URL}/friend-request/send`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: JSON.stringify(selected ? { friendId: selected.id } : { friendEmail })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showFriendRequestMessage(data.message, 'success');
+            document.getElementById('friendEmail').value = '';
+            friendAutocomplete.selected = null;
+            loadSentFriendRequests();
+            
+            // Hide form after success
+            setTimeout(() => {
+                hideAddFriendForm();
+            }, 2000);
+        } else {
+            showFriendRequestMessage(data.message, 'error');
+        }
+        
+    } catch (error) {
+        console.error('Error sending friend request:', error);
+        showFriendRequestMessage('Failed to send friend request. Please try again.', 'error');
+    } finally {
+        AppState.isLoading = false;
+    }
+}
+
+// ========== PEOPLE YOU MAY KNOW ==========
+
+async function loadFriendSuggestions() {
+    try {
+        const response = await fetch(`${API_URL}/friends/suggestions`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            friendSuggestions = result.data.suggestions;
+            renderFriendSuggestions();
+        }
+    } catch (error) {
+        console.error('Error loading friend suggestions:', error);
+    }
+}
+
+/**
+ * "Bob Jones", "Bob Jones and Dan Doe", "Bob Jones, Dan Doe and 2 others"
+ */
+function formatMutualFriends(mutualFriends) {
+    const names = mutualFriends.map(friend => friend.name);
+    if (names.length <= 2) return names.join(' and ');
+
+    const others = names.length - 2;
+    return `${names.slice(0, 2).join(', ')} and ${others} ${others === 1 ? 'other' : 'others'}`;
+}
+
+function renderFriendSuggestions() {
+    const card = document.getElementById('friendSuggestionsCard');
+    const container = document.getElementById('friendSuggestionsList');
+
+    // Nothing to suggest until the user has friends with friends of their own
+    if (friendSuggestions.length === 0) {
+        card.style.display = 'none';
         return;
     }
 
-    // Basic email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(friendEmail)) {
-        showFriendRequestMessage('Please enter a valid email address', 'error');
-        return;
-    }
-    
+    card.style.display = 'block';
+    container.innerHTML = friendSuggestions.map(user => `
+        <div class="friend-suggestion-item" data-suggestion-id="${user.id}">
+            <div class="request-info">
+                <div class="friend-avatar">${user.initials}</div>
+                <div class="request-details">
+                    <h4><a href="#" onclick="openUserProfile('${user.id}'); return false;">${user.name}</a></h4>
+                    <p>${user.mutual_count} mutual ${user.mutual_count === 1 ? 'friend' : 'friends'}</p>
+                    <span class="request-time">${formatMutualFriends(user.mutual_friends)}</span>
+                </div>
+            </div>
+            <div class="request-actions">
+                <button class="btn-accept" onclick="sendSuggestedFriendRequest('${user.id}')">Send request</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * One-click friend request from a suggestion
+ */
+async function sendSuggestedFriendRequest(userId) {
+    const user = friendSuggestions.find(suggestion => String(suggestion.id) === String(userId));
+    if (!user) return;
+
+    const button = document.querySelector(`[data-suggestion-id="${userId}"] button`);
+    if (button) button.disabled = true;
+
     try {
-        AppState.isLoading = true;
-        
-        const token = localStorage.getItem('authToken');
-        
         const response = await fetch(`${API_URL}/friend-request/send`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
             },
-            body: JSON.stringify({ friendEmail })
+            body: JSON.stringify({ friendId: user.id })
         });
-        
-        const data = await response.json();
-        
-        if (data.success) {
-            showFriendRequestMessage(data.message, 'success');
-            document.getElementById('friendEmail').value = '';
-            
-            // Hide form after success
-            setTimeout(() => {
-                hideAddFriendForm();
-            }, 2000);
-        } else {
-            showFriendRequestMessage(data.message, 'error');
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            showToast(`❌ ${result.message || 'Failed to send friend request'}`, 'error');
+            if (button) button.disabled = false;
+            return;
         }
-        
+
+        friendSuggestions = friendSuggestions.filter(suggestion => suggestion !== user);
+        renderFriendSuggestions();
+        loadSentFriendRequests();
+        showToast(`✓ Friend request sent to ${user.name}`, 'success');
     } catch (error) {
         console.error('Error sending friend request:', error);
-        showFriendRequestMessage('Failed to send friend request. Please try again.', 'error');
-    } finally {
-        AppState.isLoading = false;
+        showToast('❌ Failed to send friend request', 'error');
+        if (button) button.disabled = false;
     }
 }
 
@@ -1245,6 +4376,92 @@ function renderPendingRequests() {
     `).join('');
 }
 
+/**
+ * Load and render friend requests we sent that are still pending
+ */
+async function loadSentFriendRequests() {
+    try {
+        const response = await fetch(`${API_URL}/friend-request/sent`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            sentFriendRequests = result.data.requests;
+            renderSentRequests();
+        }
+    } catch (error) {
+        console.error('Error loading sent requests:', error);
+    }
+}
+
+function renderSentRequests() {
+    const container = document.getElementById('sentRequestsList');
+    const emptyState = document.getElementById('emptySentRequests');
+
+    document.getElementById('sentRequestsCount').textContent = sentFriendRequests.length;
+
+    if (sentFriendRequests.length === 0) {
+        container.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+
+    emptyState.style.display = 'none';
+
+    container.innerHTML = sentFriendRequests.map(req => `
+        <div class="pending-request-item sent-request-item" data-sent-request-id="${req.id}">
+            <div class="request-info">
+                <div class="friend-avatar">${req.receiver_initials}</div>
+                <div class="request-details">
+                    <h4>${req.receiver_name}</h4>
+                    <span class="request-time">Sent ${getTimeAgo(new Date(req.sent_at))}</span>
+                </div>
+            </div>
+            <div class="request-actions">
+                <button class="btn-reject" onclick="cancelFriendRequest('${req.id}')">✗ Cancel</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Withdraw a friend request we sent
+ */
+async function cancelFriendRequest(requestId) {
+    const request = sentFriendRequests.find(req => String(req.id) === String(requestId));
+    if (!request) return;
+
+    try {
+        const response = await fetch(`${API_URL}/friend-request/cancel/${requestId}`, {
+            method: 'DELETE',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            showToast(`❌ ${result.message || 'Failed to cancel friend request'}`, 'error');
+            // It may have been accepted or rejected meanwhile
+            await loadSentFriendRequests();
+            return;
+        }
+
+        sentFriendRequests = sentFriendRequests.filter(req => req !== request);
+        renderSentRequests();
+        showToast(`✓ Friend request to ${request.receiver_name} cancelled`, 'success');
+    } catch (error) {
+        console.error('Error cancelling friend request:', error);
+        showToast('❌ Failed to cancel friend request', 'error');
+    }
+}
+
 /**
  * Accept friend request with optimistic UI update
  */
@@ -1306,6 +4523,9 @@ async function acceptFriendRequest(requestId, senderId, senderName, senderEmail,
             await loadDataFromDatabase();
             
             alert(result.message || 'Failed to accept friend request');
+        } else {
+            // The new friend's friends are now friends of friends
+            loadFriendSuggestions();
         }
 
     } catch (error) {
@@ -1378,6 +4598,14 @@ function renderFriends() {
 
     let friends = AppState.friendsList.toArray();
 
+    renderFriendListChips();
+
+    // Only show members of the selected list
+    const activeList = getActiveFriendList();
+    if (activeList) {
+        friends = friends.filter(friend => isOnFriendList(activeList, friend.friendId));
+    }
+
     // Apply search filter
     const searchTerm = document.getElementById('searchFriends').value.toLowerCase();
     if (searchTerm) {
@@ -1405,11 +4633,17 @@ function renderFriends() {
                 <div class="friend-details">
                     <h4>${friend.name}</h4>
                     <p>${friend.email}</p>
+                    ${renderFriendListTags(friend.friendId)}
                 </div>
             </div>
             <div class="friend-actions">
+                <button class="btn-friend-lists" onclick="startConversation('${friend.friendId}')">✉️ Message</button>
+                <button class="btn-friend-lists" onclick="toggleFriendListPicker('${friend.friendId}')">🏷️ Lists</button>
                 <button onclick="removeFriend('${friend.id}')">Remove</button>
             </div>
+            <div class="friend-list-picker" id="friend-list-picker-${friend.friendId}" style="display: none;">
+                ${renderFriendListPicker(friend.friendId)}
+            </div>
         </div>
     `).join('');
 }
@@ -1454,6 +4688,11 @@ async function removeFriend(friendshipId) {
         AppState.friendsList.remove(numericId);
         console.log('Removed from linked list');
 
+        // The backend takes former friends off our lists too
+        AppState.friendLists.forEach(list => {
+            list.member_ids = list.member_ids.filter(id => String(id) !== String(friend.friendId));
+        });
+
         AppState.historyStack.push({
             action: 'remove_friend',
             friend: friend,
@@ -1488,6 +4727,215 @@ function filterAndSortFriends() {
     renderFriends();
 }
 
+// ========== FRIEND LISTS ==========
+
+/**
+ * Load our friend lists (used by the friends page filter and post audiences)
+ */
+async function loadFriendLists() {
+    try {
+        const response = await fetch(`${API_URL}/friend-lists`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (response.ok) {
+            AppState.friendLists = result.data.lists;
+            if (!getActiveFriendList()) {
+                AppState.activeFriendListId = null;
+            }
+            renderComposerVisibility();
+        }
+    } catch (error) {
+        console.error('Error loading friend lists:', error);
+    }
+}
+
+function getActiveFriendList() {
+    return AppState.friendLists.find(list => String(list.id) === String(AppState.activeFriendListId)) || null;
+}
+
+function isOnFriendList(list, friendId) {
+    return list.member_ids.some(id => String(id) === String(friendId));
+}
+
+/**
+ * Refill the create-post visibility select, keeping the current choice if it still exists
+ */
+function renderComposerVisibility() {
+    const select = document.getElementById('postVisibility');
+    const { visibility, audience_list_id } = parseVisibilityValue(select.value || 'public');
+    select.innerHTML = getVisibilityOptions(visibility, audience_list_id);
+}
+
+/**
+ * "All" plus one chip per list; the selected list gets rename/delete buttons
+ */
+function renderFriendListChips() {
+    const container = document.getElementById('friendListChips');
+    const activeList = getActiveFriendList();
+
+    const chip = (id, label, count) => `
+        <button class="friend-list-chip ${String(id) === String(AppState.activeFriendListId) ? 'active' : ''}"
+                onclick="selectFriendList(${id === null ? 'null' : `'${id}'`})">
+            ${label} <span class="tag-count">${count}</span>
+        </button>
+    `;
+
+    container.innerHTML = chip(null, 'All', AppState.friendsList.getSize()) +
+        AppState.friendLists.map(list => chip(list.id, list.name, list.member_ids.length)).join('') +
+        (activeList ? `
+            <button class="friend-list-manage" onclick="renameFriendList('${activeList.id}')" title="Rename list">✏️</button>
+            <button class="friend-list-manage" onclick="deleteFriendList('${activeList.id}')" title="Delete list">🗑️</button>
+        ` : '');
+}
+
+/**
+ * Names of the lists a friend is on, shown under their email
+ */
+function renderFriendListTags(friendId) {
+    const names = AppState.friendLists
+        .filter(list => isOnFriendList(list, friendId))
+        .map(list => `<span class="friend-list-tag">${list.name}</span>`);
+    return names.length > 0 ? `<div class="friend-list-tags">${names.join('')}</div>` : '';
+}
+
+/**
+ * Checkbox per list for adding a friend to (or taking them off) several lists
+ */
+function renderFriendListPicker(friendId) {
+    if (AppState.friendLists.length === 0) {
+        return '<p class="form-hint">No lists yet. Use "+ New List" to create one.</p>';
+    }
+
+    return AppState.friendLists.map(list => `
+        <label class="friend-list-option">
+            <input type="checkbox" ${isOnFriendList(list, friendId) ? 'checked' : ''}
+                   onchange="toggleFriendListMember('${list.id}', '${friendId}', this.checked)">
+            ${list.name}
+        </label>
+    `).join('');
+}
+
+function toggleFriendListPicker(friendId) {
+    const picker = document.getElementById(`friend-list-picker-${friendId}`);
+    if (picker) {
+        picker.style.display = picker.style.display === 'none' ? 'flex' : 'none';
+    }
+}
+
+function selectFriendList(listId) {
+    AppState.activeFriendListId = listId;
+    renderFriends();
+}
+
+/**
+ * Send a friend list request and return the parsed body (throws with the API message)
+ */
+async function friendListRequest(path, method, body) {
+    const response = await fetch(`${API_URL}/friend-lists${path}`, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.message || 'Friend list request failed');
+    }
+    return result;
+}
+
+async function createFriendList() {
+    const name = prompt('Name for the new list (e.g. "Study group", "Classmates"):');
+    if (!name || !name.trim()) return;
+
+    try {
+        const result = await friendListRequest('', 'POST', { name: name.trim() });
+        AppState.friendLists.push(result.data.list);
+        AppState.activeFriendListId = result.data.list.id;
+        renderFriends();
+        renderComposerVisibility();
+        showToast(`✓ ${result.message}`, 'success');
+    } catch (error) {
+        console.error('Error creating friend list:', error);
+        showToast(`❌ ${error.message}`, 'error');
+    }
+}
+
+async function renameFriendList(listId) {
+    const list = AppState.friendLists.find(l => String(l.id) === String(listId));
+    if (!list) return;
+
+    const name = prompt('Rename list:', list.name);
+    if (!name || !name.trim() || name.trim() === list.name) return;
+
+    try {
+        const result = await friendListRequest(`/${listId}`, 'PUT', { name: name.trim() });
+        list.name = result.data.list.name;
+        renderFriends();
+        renderComposerVisibility();
+        showToast('✓ List renamed', 'success');
+    } catch (error) {
+        console.error('Error renaming friend list:', error);
+        showToast(`❌ ${error.message}`, 'error');
+    }
+}
+
+async function deleteFriendList(listId) {
+    const list = AppState.friendLists.find(l => String(l.id) === String(listId));
+    if (!list) return;
+
+    if (!confirm(`Delete the list "${list.name}"? Posts shared with it will become visible only to you.`)) {
+        return;
+    }
+
+    try {
+        const result = await friendListRequest(`/${listId}`, 'DELETE');
+        AppState.friendLists = AppState.friendLists.filter(l => l !== list);
+        AppState.activeFriendListId = null;
+        renderFriends();
+        renderComposerVisibility();
+        showToast(`✓ ${result.message}`, 'success');
+    } catch (error) {
+        console.error('Error deleting friend list:', error);
+        showToast(`❌ ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Put a friend on a list or take them off it (from the picker checkboxes)
+ */
+async function toggleFriendListMember(listId, friendId, add) {
+    const list = AppState.friendLists.find(l => String(l.id) === String(listId));
+    if (!list) return;
+
+    try {
+        if (add) {
+            await friendListRequest(`/${listId}/members`, 'POST', { friend_id: friendId });
+            if (!isOnFriendList(list, friendId)) list.member_ids.push(friendId);
+        } else {
+            await friendListRequest(`/${listId}/members/${friendId}`, 'DELETE');
+            list.member_ids = list.member_ids.filter(id => String(id) !== String(friendId));
+        }
+    } catch (error) {
+        console.error('Error updating friend list:', error);
+        showToast(`❌ ${error.message}`, 'error');
+    }
+
+    renderFriends();
+    // Keep the picker open for ticking several lists
+    toggleFriendListPicker(friendId);
+}
+
 // ========== HISTORY (Stack) ==========
 
 function renderHistory() {
@@ -1576,50 +5024,154 @@ async function performUndo() {
                 updateStatistics();
                 break;
             case 'edit_profile':
-                await Database.updateUser(AppState.currentUser.id, lastAction.oldProfile);
-                AppState.currentUser = lastAction.oldProfile;
+                AppState.currentUser = await saveProfile(lastAction.oldProfile);
                 initializeApp();
                 break;
             default:
                 alert('Cannot undo this action');
         }
 
-        renderCurrentPage();
-    } catch (error) {
-        console.error('Error undoing action:', error);
-        alert('Failed to undo action.');
-    } finally {
-        AppState.isLoading = false;
-    }
-}
+        renderCurrentPage();
+    } catch (error) {
+        console.error('Error undoing action:', error);
+        alert('Failed to undo action.');
+    } finally {
+        AppState.isLoading = false;
+    }
+}
+
+async function undoCreatePost(postId) {
+    await Database.deletePost(postId);
+    const posts = AppState.postsQueue.toArray();
+    const filteredPosts = posts.filter(p => p.id !== postId);
+
+    AppState.postsQueue.clear();
+    filteredPosts.forEach(post => AppState.postsQueue.enqueue(post));
+
+    renderFeed();
+    updateStatistics();
+}
+
+async function undoDeletePost(post) {
+    // Deleted posts are kept in the Trash, so restore brings back likes and comments too
+    const response = await fetch(`${API_URL}/posts/trash/${post.id}/restore`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+        }
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.message || 'Failed to restore post');
+    }
+
+    await loadDataFromDatabase();
+    renderFeed();
+    updateStatistics();
+}
+
+async function undoEditPost(postId, oldContent) {
+    const savedPost = await savePostContent(postId, oldContent);
+    const posts = AppState.postsQueue.toArray();
+    const post = posts.find(p => p.id === postId);
+
+    if (post) {
+        post.content = oldContent;
+        post.mentions = savedPost.mentions || [];
+        post.editedAt = new Date();
+        renderFeed();
+    }
+}
+
+/**
+ * Save new post content via the API (each save becomes a revision)
+ */
+async function savePostContent(postId, content) {
+    const response = await fetch(`${API_URL}/posts/edit`, {
+        method: 'PUT',
+        headers: {
+            'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ post_id: postId, content })
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.message || 'Failed to edit post');
+    }
+    return result.data.post;
+}
+
+// ========== REVISION HISTORY ==========
+
+let currentRevisions = [];
+
+/**
+ * Open the revision history modal for a post
+ */
+async function showRevisions(postId) {
+    const token = localStorage.getItem('authToken');
+
+    try {
+        const response = await fetch(`${API_URL}/posts/${postId}/revisions`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            alert(result.message || 'Failed to load revisions');
+            return;
+        }
+
+        currentRevisions = result.data.revisions;
 
-async function undoCreatePost(postId) {
-    await Database.deletePost(postId);
-    const posts = AppState.postsQueue.toArray();
-    const filteredPosts = posts.filter(p => p.id !== postId);
+        // Compare the previous version with the latest one by default
+        const options = currentRevisions.map((revision, index) => `
+            <option value="${index}">v${revision.revision} · ${revision.editor_name} · ${getTimeAgo(new Date(revision.created_at))}</option>
+        `).join('');
 
-    AppState.postsQueue.clear();
-    filteredPosts.forEach(post => AppState.postsQueue.enqueue(post));
+        const fromSelect = document.getElementById('revisionFrom');
+        const toSelect = document.getElementById('revisionTo');
+        fromSelect.innerHTML = options;
+        toSelect.innerHTML = options;
+        fromSelect.value = String(Math.max(currentRevisions.length - 2, 0));
+        toSelect.value = String(currentRevisions.length - 1);
 
-    renderFeed();
-    updateStatistics();
-}
+        renderRevisionDiff();
+        document.getElementById('revisionsModal').classList.add('active');
 
-async function undoDeletePost(post) {
-    // Note: We can't truly restore a deleted post from database
-    // In a real app, you'd implement soft deletes
-    alert('Cannot restore deleted post (not implemented in database)');
+    } catch (error) {
+        console.error('Error loading revisions:', error);
+        alert('Failed to load revisions. Please try again.');
+    }
 }
 
-async function undoEditPost(postId, oldContent) {
-    await Database.updatePost(postId, oldContent);
-    const posts = AppState.postsQueue.toArray();
-    const post = posts.find(p => p.id === postId);
+/**
+ * Show a word-level diff between the two selected revisions
+ */
+function renderRevisionDiff() {
+    const from = currentRevisions[document.getElementById('revisionFrom').value];
+    const to = currentRevisions[document.getElementById('revisionTo').value];
+    const container = document.getElementById('revisionDiff');
 
-    if (post) {
-        post.content = oldContent;
-        renderFeed();
+    if (!from || !to) {
+        container.innerHTML = '';
+        return;
     }
+
+    container.innerHTML = diffWords(from.content, to.content).map(chunk => {
+        if (chunk.type === 'added') return `<ins class="diff-added">${chunk.text}</ins>`;
+        if (chunk.type === 'removed') return `<del class="diff-removed">${chunk.text}</del>`;
+        return `<span>${chunk.text}</span>`;
+    }).join('');
 }
 
 // ========== AUTHENTICATION ==========
@@ -1804,6 +5356,8 @@ function confirmLogout() {
     
     // Clear user state
     AppState.currentUser = null;
+    stopNotificationPolling();
+    disconnectRealtime();
 
     // Remove token from localStorage
     localStorage.removeItem('authToken');
@@ -1886,7 +5440,10 @@ async function checkExistingAuth() {
 /**
  * Load and display user's posts from API
  */
-async function loadMyPosts() {
+// Cursor for the next page of My Posts (null when there are no more)
+let myPostsCursor = null;
+
+async function loadMyPosts(append = false) {
     console.log('=== loadMyPosts() called ===');
     const token = localStorage.getItem('authToken');
 
@@ -1895,10 +5452,14 @@ async function loadMyPosts() {
         return;
     }
 
-    console.log('Auth token found, fetching posts from:', `${API_URL}/posts/my-posts`);
+    if (append && !myPostsCursor) return;
+
+    const query = append ? `?cursor=${encodeURIComponent(myPostsCursor)}` : '';
+
+    console.log('Auth token found, fetching posts from:', `${API_URL}/posts/my-posts${query}`);
 
     try {
-        const response = await fetch(`${API_URL}/posts/my-posts`, {
+        const response = await fetch(`${API_URL}/posts/my-posts${query}`, {
             method: 'GET',
             headers: {
                 'Authorization': `Bearer ${token}`
@@ -1917,25 +5478,257 @@ async function loadMyPosts() {
         console.log('Posts to render:', result.data.posts);
 
         // Display posts
-        renderMyPosts(result.data.posts);
+        myPostsCursor = result.data.next_cursor;
+        renderMyPosts(result.data.posts, append);
+
+        if (append) return;
+
+        // Display restorable changes and the Trash alongside the posts
+        await loadUndoHistory();
+        await loadTrash();
 
     } catch (error) {
         console.error('Error loading my posts:', error);
     }
 }
 
+/**
+ * Load the user's undo stack (restorable edits and deletes)
+ */
+async function loadUndoHistory() {
+    const token = localStorage.getItem('authToken');
+
+    if (!token) return;
+
+    try {
+        const response = await fetch(`${API_URL}/posts/undo-history`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            console.error('Failed to load undo history:', result.message);
+            return;
+        }
+
+        renderUndoHistory(result.data.entries);
+
+    } catch (error) {
+        console.error('Error loading undo history:', error);
+    }
+}
+
+/**
+ * Render the undo stack entries (newest first)
+ */
+function renderUndoHistory(entries) {
+    const container = document.getElementById('undoHistoryList');
+    const emptyState = document.getElementById('undoHistoryEmpty');
+
+    if (!container || !emptyState) return;
+
+    if (!entries || entries.length === 0) {
+        container.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+
+    emptyState.style.display = 'none';
+
+    container.innerHTML = entries.map(entry => {
+        const label = entry.type === 'EDIT' ? '✏️ Edited post' : '🗑️ Deleted post';
+        const canRevert = !entry.conflict || entry.can_force;
+        return `
+        <div class="undo-history-item" data-entry-id="${entry.entry_id}">
+            <div class="undo-history-details">
+                <div class="undo-history-type">${label}</div>
+                <div class="undo-history-preview" title="${entry.preview}">${entry.preview}</div>
+                <div class="undo-history-meta">
+                    ${getTimeAgo(new Date(entry.timestamp))}
+                    ${entry.conflict ? `· <span class="undo-history-conflict">${entry.conflict}</span>` : ''}
+                </div>
+            </div>
+            ${canRevert ? `
+                <button class="btn-secondary" onclick="revertUndoEntry('${entry.entry_id}')">↶ Restore</button>
+            ` : ''}
+        </div>
+    `;
+    }).join('');
+}
+
+/**
+ * Load the user's deleted posts that can still be restored
+ */
+async function loadTrash() {
+    const token = localStorage.getItem('authToken');
+
+    if (!token) return;
+
+    try {
+        const response = await fetch(`${API_URL}/posts/trash`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            console.error('Failed to load trash:', result.message);
+            return;
+        }
+
+        renderTrash(result.data.posts, result.data.retention_days);
+
+    } catch (error) {
+        console.error('Error loading trash:', error);
+    }
+}
+
+/**
+ * Render trashed posts with the date they will be purged
+ */
+function renderTrash(posts, retentionDays) {
+    const container = document.getElementById('trashList');
+    const emptyState = document.getElementById('trashEmpty');
+    const hint = document.getElementById('trashHint');
+
+    if (!container || !emptyState) return;
+
+    if (hint && retentionDays) {
+        hint.textContent = `Deleted posts are removed permanently after ${retentionDays} days`;
+    }
+
+    if (!posts || posts.length === 0) {
+        container.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+
+    emptyState.style.display = 'none';
+
+    container.innerHTML = posts.map(post => `
+        <div class="undo-history-item" data-trash-post-id="${post.post_id}">
+            <div class="undo-history-details">
+                <div class="undo-history-preview" title="${post.content}">${post.content}</div>
+                <div class="undo-history-meta">
+                    Deleted ${getTimeAgo(new Date(post.deleted_at))}
+                    · ❤️ ${post.likes_count} · 💬 ${post.comments_count}
+                    · Purged ${new Date(post.purge_at).toLocaleDateString()}
+                </div>
+            </div>
+            <button class="btn-secondary" onclick="restoreFromTrash('${post.post_id}')">↶ Restore</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Restore a post from the Trash
+ */
+async function restoreFromTrash(postId) {
+    const token = localStorage.getItem('authToken');
+
+    if (!token) {
+        alert('Not authenticated');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_URL}/posts/trash/${postId}/restore`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            alert(result.message || 'Failed to restore post');
+            await loadTrash();
+            return;
+        }
+
+        await loadMyPosts();
+        showToast('✓ Post restored from Trash', 'success');
+
+    } catch (error) {
+        console.error('Error restoring post:', error);
+        alert('Failed to restore post. Please try again.');
+    }
+}
+
+/**
+ * Revert a specific undo entry, asking before overwriting newer edits
+ */
+async function revertUndoEntry(entryId, force = false) {
+    const token = localStorage.getItem('authToken');
+
+    if (!token) {
+        alert('Not authenticated');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_URL}/posts/undo/${entryId}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ force })
+        });
+
+        const result = await response.json();
+
+        if (response.status === 409 && result.data && result.data.can_force) {
+            const overwrite = confirm(`${result.message}.\n\nRestoring will replace the current text:\n"${result.data.current_content}"\n\nRestore anyway?`);
+            if (overwrite) {
+                await revertUndoEntry(entryId, true);
+            }
+            return;
+        }
+
+        if (!response.ok) {
+            alert(result.message || 'Failed to restore change');
+            await loadUndoHistory();
+            return;
+        }
+
+        await loadMyPosts();
+
+        const redoData = force ? null : {
+            type: result.data.action === 'UNDO_EDIT' ? 'edit' : 'delete',
+            postId: result.data.post.post_id
+        };
+        showToast(`✓ ${result.message}`, 'success', null, redoData);
+
+    } catch (error) {
+        console.error('Error reverting undo entry:', error);
+        alert('Failed to restore change. Please try again.');
+    }
+}
+
 /**
  * Render my posts in the UI
  */
-function renderMyPosts(posts) {
+function renderMyPosts(posts, append = false) {
     console.log('=== renderMyPosts() called with:', posts);
     const container = document.getElementById('myPostsList');
     const emptyState = document.getElementById('myPostsEmpty');
+    const loadMoreBtn = document.getElementById('myPostsLoadMoreBtn');
 
     console.log('Container element:', container);
     console.log('Empty state element:', emptyState);
 
-    if (!posts || posts.length === 0) {
+    loadMoreBtn.style.display = myPostsCursor ? 'block' : 'none';
+
+    if (!append && (!posts || posts.length === 0)) {
         console.log('No posts to render, showing empty state');
         container.innerHTML = '';
         emptyState.style.display = 'block';
@@ -1945,7 +5738,7 @@ function renderMyPosts(posts) {
     console.log(`Rendering ${posts.length} posts`);
     emptyState.style.display = 'none';
 
-    container.innerHTML = posts.map(post => {
+    const html = posts.map(post => {
         const initials = post.author_name ? post.author_name.split(' ').map(n => n[0]).join('').toUpperCase() : 'U';
         const comments = post.comments || [];
         const isLiked = post.liked_by ? post.liked_by.includes(AppState.currentUser.id) : false;
@@ -1957,6 +5750,8 @@ function renderMyPosts(posts) {
                     <div class="author-info">
                         <h4>${post.author_name || 'Unknown'}</h4>
                         <span class="post-time">${getTimeAgo(new Date(post.timestamp))}</span>
+                        <span class="post-visibility" id="visibility-${post.post_id}">${getVisibilityLabel(post.visibility, post.audience_list_id)}</span>
+                        <button class="edited-marker" id="edited-${post.post_id}" onclick="showRevisions('${post.post_id}')" title="View revision history" ${post.edited_at ? '' : 'style="display: none;"'}>· edited</button>
                     </div>
                 </div>
                 <div class="post-actions-menu">
@@ -1966,11 +5761,15 @@ function renderMyPosts(posts) {
             </div>
             
             <div class="post-content" id="content-${post.post_id}">
-                ${post.content}
+                ${formatPostContent(post.content, post.mentions)}
             </div>
             
             <div class="my-post-edit-form" id="edit-form-${post.post_id}">
                 <textarea id="edit-textarea-${post.post_id}">${post.content}</textarea>
+                ${post.group_id ? '' : `
+                <select id="edit-visibility-${post.post_id}" class="visibility-select" title="Who can see this post">
+                    ${getVisibilityOptions(post.visibility, post.audience_list_id)}
+                </select>`}
                 <div class="my-post-edit-actions">
                     <button class="btn-primary" onclick="savePostEdit('${post.post_id}')">💾 Save</button>
                     <button class="btn-secondary" onclick="cancelPostEdit('${post.post_id}')">✖ Cancel</button>
@@ -2001,6 +5800,12 @@ function renderMyPosts(posts) {
         </div>
     `;
     }).join('');
+
+    if (append) {
+        container.insertAdjacentHTML('beforeend', html);
+    } else {
+        container.innerHTML = html;
+    }
 }
 
 /**
@@ -2047,6 +5852,9 @@ function cancelPostEdit(postId) {
 async function savePostEdit(postId) {
     const textarea = document.getElementById(`edit-textarea-${postId}`);
     const newContent = textarea.value.trim();
+    // Group posts have no visibility select: they follow their group
+    const visibilitySelect = document.getElementById(`edit-visibility-${postId}`);
+    const audience = visibilitySelect ? parseVisibilityValue(visibilitySelect.value) : {};
 
     if (!newContent) {
         alert('Post content cannot be empty');
@@ -2064,7 +5872,8 @@ async function savePostEdit(postId) {
             },
             body: JSON.stringify({
                 post_id: postId,
-                content: newContent
+                content: newContent,
+                ...audience
             })
         });
 
@@ -2080,13 +5889,28 @@ async function savePostEdit(postId) {
         const editForm = document.getElementById(`edit-form-${postId}`);
 
         if (contentDiv && editForm) {
-            contentDiv.textContent = newContent;
+            contentDiv.innerHTML = formatPostContent(newContent, result.data.post.mentions);
             contentDiv.classList.remove('editing');
             editForm.classList.remove('active');
         }
 
-        // Show toast notification with undo option
-        showToast('✓ Post updated successfully', 'success', { type: 'edit', postId });
+        const visibilityBadge = document.getElementById(`visibility-${postId}`);
+        if (visibilityBadge && visibilitySelect) {
+            visibilityBadge.textContent = getVisibilityLabel(audience.visibility, audience.audience_list_id);
+        }
+
+        // Content edits can be undone; visibility-only changes cannot
+        if (result.data.undo_available) {
+            const editedMarker = document.getElementById(`edited-${postId}`);
+            if (editedMarker) {
+                editedMarker.style.display = '';
+            }
+
+            showToast('✓ Post updated successfully', 'success', { type: 'edit', postId });
+            loadUndoHistory();
+        } else {
+            showToast('✓ Post updated successfully', 'success');
+        }
 
     } catch (error) {
         console.error('Error editing post:', error);
@@ -2192,6 +6016,8 @@ async function confirmDeletePost() {
         
         // Show toast notification with undo option
         showToast('🗑️ Post deleted successfully', 'success', { type: 'delete', postId });
+        loadUndoHistory();
+        loadTrash();
         pendingDeletePostId = null;
     } catch (error) {
         console.error('Error deleting post:', error);
@@ -2241,21 +6067,59 @@ window.deleteCommentFromPost = deleteCommentFromPost;
 window.acceptFriendRequest = acceptFriendRequest;
 window.rejectFriendRequest = rejectFriendRequest;
 window.removeFriend = removeFriend;
+window.revertUndoEntry = revertUndoEntry;
+window.restoreFromTrash = restoreFromTrash;
+window.showRevisions = showRevisions;
+window.loadAllComments = loadAllComments;
+window.openTagPage = openTagPage;
+window.openUserProfile = openUserProfile;
+window.openNotification = openNotification;
+window.selectMentionSuggestion = selectMentionSuggestion;
+window.selectFriendSuggestion = selectFriendSuggestion;
+window.sendSuggestedFriendRequest = sendSuggestedFriendRequest;
+window.liftUserRelation = liftUserRelation;
+window.cancelFriendRequest = cancelFriendRequest;
+window.openConversation = openConversation;
+window.startConversation = startConversation;
+window.selectFriendList = selectFriendList;
+window.renameFriendList = renameFriendList;
+window.deleteFriendList = deleteFriendList;
+window.toggleFriendListPicker = toggleFriendListPicker;
+window.toggleFriendListMember = toggleFriendListMember;
+window.openGroupPage = openGroupPage;
+window.joinGroup = joinGroup;
+window.cancelGroupJoin = cancelGroupJoin;
+window.leaveGroup = leaveGroup;
+window.editGroup = editGroup;
+window.toggleGroupPrivacy = toggleGroupPrivacy;
+window.deleteGroup = deleteGroup;
+window.approveGroupRequest = approveGroupRequest;
+window.declineGroupRequest = declineGroupRequest;
+window.changeGroupRole = changeGroupRole;
+window.removeGroupMember = removeGroupMember;
+window.openCoursePage = openCoursePage;
+window.enrollInCourse = enrollInCourse;
+window.dropCourse = dropCourse;
+window.toggleAnswerUpvote = toggleAnswerUpvote;
+window.acceptAnswer = acceptAnswer;
+window.unacceptAnswer = unacceptAnswer;
 
 // ========== TOAST NOTIFICATION SYSTEM ==========
 
 let toastTimeout;
 let currentUndoAction = null;
+let currentRedoAction = null;
 
 /**
- * Show toast notification with undo button
+ * Show toast notification with undo/redo buttons
  */
-function showToast(message, actionType = 'success', undoData = null) {
+function showToast(message, actionType = 'success', undoData = null, redoData = null) {
     const toast = document.getElementById('undoToast');
     const messageEl = document.getElementById('toastMessage');
     const undoBtn = document.getElementById('toastUndoBtn');
+    const redoBtn = document.getElementById('toastRedoBtn');
 
-    if (!toast || !messageEl || !undoBtn) {
+    if (!toast || !messageEl || !undoBtn || !redoBtn) {
         console.error('Toast elements not found');
         return;
     }
@@ -2273,13 +6137,11 @@ function showToast(message, actionType = 'success', undoData = null) {
     // Set message and action data
     messageEl.textContent = message;
     currentUndoAction = undoData;
+    currentRedoAction = redoData;
 
-    // Show/hide undo button based on whether undo data exists
-    if (undoData) {
-        undoBtn.style.display = 'block';
-    } else {
-        undoBtn.style.display = 'none';
-    }
+    // Show/hide undo and redo buttons based on whether their data exists
+    undoBtn.style.display = undoData ? 'block' : 'none';
+    redoBtn.style.display = redoData ? 'block' : 'none';
 
     // Apply action type class
     toast.className = `undo-toast ${actionType}`;
@@ -2311,6 +6173,7 @@ function hideToast() {
         toast.style.display = 'none';
         toast.classList.remove('hide');
         currentUndoAction = null;
+        currentRedoAction = null;
     }, 300);
 
     if (toastTimeout) {
@@ -2357,9 +6220,9 @@ async function handleToastUndo() {
             // Refresh the post content
             const contentDiv = document.getElementById(`content-${result.data.post.post_id}`);
             if (contentDiv) {
-                contentDiv.textContent = result.data.post.content;
+                contentDiv.innerHTML = formatPostContent(result.data.post.content, result.data.post.mentions);
             }
-            showToast('✓ Edit undone successfully', 'success');
+            showToast('✓ Edit undone successfully', 'success', null, { type: 'edit', postId: result.data.post.post_id });
         } else if (result.data.action === 'UNDO_DELETE') {
             // Re-add the post to the UI
             const container = document.getElementById('myPostsList');
@@ -2370,7 +6233,7 @@ async function handleToastUndo() {
                 const existingPost = container.querySelector(`[data-post-id="${result.data.post.post_id}"]`);
                 if (existingPost) {
                     console.log('Post already exists in UI, skipping re-add');
-                    showToast('✓ Post already visible', 'success');
+                    showToast('✓ Post already visible', 'success', null, { type: 'delete', postId: result.data.post.post_id });
                     return;
                 }
 
@@ -2426,15 +6289,95 @@ async function handleToastUndo() {
                 }, 10);
             }
 
-            showToast('✓ Post restored successfully', 'success');
+            showToast('✓ Post restored successfully', 'success', null, { type: 'delete', postId: result.data.post.post_id });
         }
 
+        loadUndoHistory();
+        loadTrash();
+
     } catch (error) {
         console.error('Error undoing action:', error);
         alert('Failed to undo action. Please try again.');
     }
 }
 
+/**
+ * Handle redo action from toast
+ */
+async function handleToastRedo() {
+    if (!currentRedoAction) {
+        console.error('No redo action available');
+        return;
+    }
+
+    hideToast();
+
+    const token = localStorage.getItem('authToken');
+
+    if (!token) {
+        alert('Not authenticated');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_URL}/posts/redo`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            alert(result.message || 'Failed to redo action');
+            return;
+        }
+
+        // Handle the redo based on action type
+        if (result.data.action === 'REDO_EDIT') {
+            const postId = result.data.post.post_id;
+            const contentDiv = document.getElementById(`content-${postId}`);
+            const textarea = document.getElementById(`edit-textarea-${postId}`);
+            if (contentDiv) {
+                contentDiv.innerHTML = formatPostContent(result.data.post.content, result.data.post.mentions);
+            }
+            if (textarea) {
+                textarea.value = result.data.post.content;
+            }
+            showToast('✓ Edit redone successfully', 'success', { type: 'edit', postId });
+        } else if (result.data.action === 'REDO_DELETE') {
+            const postId = result.data.deleted_post_id;
+            const postElement = document.querySelector(`#myPostsList [data-post-id="${postId}"]`);
+
+            if (postElement) {
+                postElement.style.transition = 'opacity 0.3s';
+                postElement.style.opacity = '0';
+
+                setTimeout(() => {
+                    postElement.remove();
+
+                    const container = document.getElementById('myPostsList');
+                    const emptyState = document.getElementById('myPostsEmpty');
+                    if (container && container.children.length === 0 && emptyState) {
+                        emptyState.style.display = 'block';
+                    }
+                }, 300);
+            }
+
+            showToast('🗑️ Post deleted again', 'success', { type: 'delete', postId });
+        }
+
+        loadUndoHistory();
+        loadTrash();
+
+    } catch (error) {
+        console.error('Error redoing action:', error);
+        alert('Failed to redo action. Please try again.');
+    }
+}
+
 // ========== STATISTICS ==========
 
 function updateStatistics() {
@@ -2464,6 +6407,15 @@ function getTimeAgo(date) {
     return `${days} day${days > 1 ? 's' : ''} ago`;
 }
 
+/**
+ * Escape text from other users before it goes into innerHTML (or an attribute)
+ */
+function escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 function getInitials(name) {
     return name
         .split(' ')
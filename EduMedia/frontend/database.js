@@ -90,6 +90,8 @@ const Database = {
                 *,
                 author:users!posts_author_id_fkey(name, email, initials)
             `)
+            .is('deleted_at', null)
+            .eq('visibility', 'public')
             .order('created_at', { ascending: false });
         
         if (error) {
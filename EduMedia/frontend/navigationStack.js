@@ -24,10 +24,12 @@ class NavigationStack {
     /**
      * Push a page onto the navigation stack
      * @param {string} page - The page identifier (e.g., "feed", "profile")
+     * @param {Object|null} params - Extra state for the page (e.g., {tag} for the tag page)
      */
-    push(page) {
+    push(page, params = null) {
         this.stack.push({
             page: page,
+            params: params,
             timestamp: new Date(),
             scrollPosition: window.scrollY || 0
         });
@@ -0,0 +1,81 @@
+// ========== WORD DIFF (DSA Implementation) ==========
+
+/**
+ * Longest Common Subsequence (LCS) Word Diff
+ *
+ * Used by the revision history modal to show what changed between two
+ * versions of a post. Both texts are split into words (keeping whitespace
+ * as separate tokens), an LCS table is built with dynamic programming, and
+ * the table is walked back to produce a list of kept, added and removed chunks.
+ *
+ * Complexity:
+ * - Time: O(n * m) where n and m are the token counts of the two texts
+ * - Space: O(n * m) for the LCS table
+ */
+
+/**
+ * Split text into word and whitespace tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens (joining them gives back the original text)
+ */
+function tokenizeWords(text) {
+    return (text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Compute a word-level diff between two texts
+ * @param {string} oldText - Earlier version
+ * @param {string} newText - Later version
+ * @returns {Array<{type: string, text: string}>} Chunks of type 'same', 'added' or 'removed'
+ */
+function diffWords(oldText, newText) {
+    const oldTokens = tokenizeWords(oldText);
+    const newTokens = tokenizeWords(newText);
+    const n = oldTokens.length;
+    const m = newTokens.length;
+
+    // lcs[i][j] = length of the LCS of oldTokens[i..] and newTokens[j..]
+    const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = oldTokens[i] === newTokens[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const chunks = [];
+    const addChunk = (type, text) => {
+        const last = chunks[chunks.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            chunks.push({ type, text });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (oldTokens[i] === newTokens[j]) {
+            addChunk('same', oldTokens[i]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            addChunk('removed', oldTokens[i]);
+            i++;
+        } else {
+            addChunk('added', newTokens[j]);
+            j++;
+        }
+    }
+    while (i < n) addChunk('removed', oldTokens[i++]);
+    while (j < m) addChunk('added', newTokens[j++]);
+
+    return chunks;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { diffWords, tokenizeWords };
+}